@@ -7,18 +7,23 @@
 
 const fs = require('fs-extra');
 const path = require('path');
-const { getDatabase } = require('../../src/config/database');
+const { initDatabase, getDatabase } = require('../../src/config/database');
 const { getUserStoragePath } = require('../../src/config/storage');
+const { inspectEncryptedFile, fileKeyId, FORMAT_LEGACY, FORMAT_SEGMENTED } = require('../../src/services/core/cryptoService');
 
 async function checkFileIntegrity() {
   console.log('🔍 PocketCloud File Integrity Check');
   console.log('=====================================');
   
   try {
+    await initDatabase();
     const db = getDatabase();
     
     // Get all files from database
-    const result = db.exec('SELECT * FROM files ORDER BY uploaded_at DESC');
+    const result = db.exec(
+      `SELECT id, user_id, filename, filepath, size, mimetype, uploaded_at, iv, auth_tag, encrypted, format_version, key_id
+       FROM files ORDER BY uploaded_at DESC`
+    );
     
     if (result.length === 0 || result[0].values.length === 0) {
       console.log('ℹ️  No files found in database');
@@ -35,7 +40,9 @@ async function checkFileIntegrity() {
       uploaded_at: row[6],
       iv: row[7],
       auth_tag: row[8],
-      encrypted: row[9]
+      encrypted: row[9],
+      format: row[10] || FORMAT_LEGACY,
+      keyId: fileKeyId({ keyId: row[11], userId: row[1], id: row[0] })
     }));
     
     console.log(`📊 Found ${files.length} files in database\n`);
@@ -43,16 +50,20 @@ async function checkFileIntegrity() {
     let healthyFiles = 0;
     let corruptedFiles = 0;
     let missingFiles = 0;
+    let legacyFiles = 0;
     
     for (const file of files) {
       const userPath = getUserStoragePath(file.user_id);
       const filePath = path.join(userPath, file.filepath);
       
-      console.log(`📄 Checking: ${file.filename}`);
+      console.log(`📄 Checking: #${file.id} (${file.filepath})`);
       console.log(`   Database ID: ${file.id}`);
       console.log(`   File path: ${file.filepath}`);
       console.log(`   Expected size: ${file.size} bytes`);
       console.log(`   Encrypted: ${file.encrypted ? 'Yes' : 'No'}`);
+      if (file.encrypted) {
+        console.log(`   Format: ${file.format === FORMAT_SEGMENTED ? 'segmented' : 'legacy (single tag)'}`);
+      }
       
       // Check if file exists on disk
       if (!await fs.pathExists(filePath)) {
@@ -66,7 +77,31 @@ async function checkFileIntegrity() {
       const stats = await fs.stat(filePath);
       console.log(`   Actual size: ${stats.size} bytes`);
       
-      if (file.encrypted) {
+      if (file.encrypted && file.format === FORMAT_SEGMENTED) {
+        // Segmented files describe themselves; nonces and tags live inside the file
+        const info = await inspectEncryptedFile(filePath);
+        
+        if (!info.segmented) {
+          console.log(`   ❌ Status: CORRUPTED - Encrypted file header is missing`);
+          corruptedFiles++;
+        } else if (!info.valid) {
+          console.log(`   ❌ Status: CORRUPTED - ${info.reason}`);
+          corruptedFiles++;
+        } else if (info.plainSize !== file.size) {
+          console.log(`   ❌ Status: CORRUPTED - Size mismatch (${info.plainSize} != ${file.size} bytes of data)`);
+          corruptedFiles++;
+        } else if (info.fileId && info.fileId !== file.keyId) {
+          console.log(`   ❌ Status: CORRUPTED - Header belongs to file ${info.fileId}, not ${file.keyId}`);
+          corruptedFiles++;
+        } else {
+          console.log(`   Header: v${info.version}, ${info.cipher}, ${info.segments} segment(s)` +
+            (info.kdf ? `, scrypt N=${info.kdf.N} r=${info.kdf.r} p=${info.kdf.p}` : ''));
+          console.log(`   ✅ Status: HEALTHY - Header and size match segmented layout`);
+          healthyFiles++;
+        }
+      } else if (file.encrypted) {
+        legacyFiles++;
+        
         // For encrypted files, disk size will be larger due to encryption overhead
         const expectedMinSize = file.size; // Original size
         const expectedMaxSize = file.size + 1024; // Original + reasonable overhead
@@ -114,6 +149,11 @@ async function checkFileIntegrity() {
     console.log(`❌ Corrupted: ${corruptedFiles}`);
     console.log(`📁 Missing: ${missingFiles}`);
     
+    if (legacyFiles > 0) {
+      console.log(`\nℹ️  ${legacyFiles} file(s) use the legacy single-tag format (no range requests).`);
+      console.log('   Convert them with: npm run convert:segmented -- <username>');
+    }
+    
     if (corruptedFiles > 0 || missingFiles > 0) {
       console.log('\n⚠️  ISSUES DETECTED');
       console.log('Possible causes:');
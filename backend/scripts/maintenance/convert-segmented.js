@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+
+/**
+ * Segmented Format Converter for PocketCloud
+ * Re-encrypts a user's legacy single-tag files into the segmented format
+ * so they support range requests and per-segment integrity checks.
+ *
+ * Keys are derived from the user's password, so conversion runs per user:
+ *   node scripts/maintenance/convert-segmented.js <username> [--keyfile <path>]
+ *
+ * The password is read from POCKETCLOUD_PASSWORD or prompted for.
+ * Accounts with an enrolled keyfile also need --keyfile <path>.
+ *
+ * Stop the server first (sudo systemctl stop pocketcloud). It keeps the
+ * database in memory and writes all of it back on its next save, which would
+ * point the rows back at the legacy files this script removes. The script
+ * refuses to run while the server answers on its port.
+ *
+ * Each file is converted crash-safely:
+ * 1. Decrypt legacy file → encrypt segmented → <new>.enc.tmp
+ * 2. Verify size, rename .tmp into place
+ * 3. Point the DB row at the new file (format_version = 2), save
+ * 4. Remove the legacy file
+ * A crash at any step leaves the DB pointing at a valid file; leftover
+ * .tmp files are removed by startup cleanup.
+ */
+
+const fs = require('fs-extra');
+const net = require('net');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { promisify } = require('util');
+const stream = require('stream');
+const pipeline = promisify(stream.pipeline);
+const config = require('../../src/config/config');
+const { initDatabase, getDatabase, saveDatabase } = require('../../src/config/database');
+const { getUserStoragePath } = require('../../src/config/storage');
+const { unlockDataKey, getUserKeys } = require('../../src/services/core/keyService');
+const { openFileRows } = require('../../src/services/core/metadataService');
+const {
+  deriveFileKey,
+  fileKeyId,
+  hashKeyfile,
+  createDecryptStream,
+  encryptedFileSize,
+  FORMAT_LEGACY,
+  FORMAT_SEGMENTED
+} = require('../../src/services/core/cryptoService');
+const { SegmentEncryptStream } = require('../../src/services/core/segmentedCrypto');
+const { KeyfileError } = require('../../src/services/core/cryptoErrors');
+const { promptHidden } = require('../../src/utils/terminal');
+
+function promptPassword(username) {
+  if (process.env.POCKETCLOUD_PASSWORD) {
+    return Promise.resolve(process.env.POCKETCLOUD_PASSWORD);
+  }
+
+  return promptHidden(`Password for ${username}: `, 'No terminal for the password - set POCKETCLOUD_PASSWORD');
+}
+
+/**
+ * Whether the PocketCloud server is answering on its port
+ */
+function isServerRunning() {
+  return new Promise(resolve => {
+    const socket = net.connect({ host: '127.0.0.1', port: config.PORT });
+    socket.setTimeout(1000);
+    socket.once('connect', () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.once('timeout', () => {
+      socket.destroy();
+      resolve(false);
+    });
+    socket.once('error', () => resolve(false));
+  });
+}
+
+/**
+ * Convert one legacy file, returns the new relative filename
+ */
+async function convertFile(userPath, file, dataKey, userId, kdfParams) {
+  const legacyPath = path.join(userPath, file.filepath);
+  const newName = file.filepath.replace(/\.enc$/, '') + '.seg.enc';
+  const newPath = path.join(userPath, newName);
+  const tempPath = `${newPath}.tmp`;
+
+  // Same HKDF context the download route uses
+  const fileId = fileKeyId({ keyId: file.key_id, userId, id: file.id });
+  const fileKey = deriveFileKey(dataKey, fileId);
+
+  try {
+    const decipher = createDecryptStream(fileKey, Buffer.from(file.iv, 'hex'), Buffer.from(file.auth_tag, 'hex'));
+
+    // Legacy tag is checked at the end of the stream - the temp file is
+    // only kept if the whole pipeline (including the tag check) succeeds
+    await pipeline(
+      fs.createReadStream(legacyPath),
+      decipher,
+      new SegmentEncryptStream(fileKey, { fileId, kdf: kdfParams }),
+      fs.createWriteStream(tempPath)
+    );
+
+    const stats = await fs.stat(tempPath);
+    const expectedSize = encryptedFileSize(file.size, FORMAT_SEGMENTED, fileId);
+    if (stats.size !== expectedSize) {
+      throw new Error(`Converted size mismatch (${stats.size} != ${expectedSize} bytes)`);
+    }
+
+    await fs.rename(tempPath, newPath);
+    return newName;
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => {});
+    throw error;
+  } finally {
+    fileKey.fill(0);
+  }
+}
+
+async function convertUser(username, { keyfile } = {}) {
+  console.log('🔄 PocketCloud Segmented Format Converter');
+  console.log('========================================');
+
+  if (await isServerRunning()) {
+    console.error(`❌ The PocketCloud server is running on port ${config.PORT} - stop it first (sudo systemctl stop pocketcloud)`);
+    console.error('   It would overwrite the converted rows with its own copy of the database.');
+    process.exit(1);
+  }
+
+  await initDatabase();
+  const db = getDatabase();
+
+  const userResult = db.exec('SELECT id, password FROM users WHERE username = ?', [username]);
+  if (userResult.length === 0 || userResult[0].values.length === 0) {
+    console.error(`❌ User not found: ${username}`);
+    process.exit(1);
+  }
+
+  const [userId, passwordHash] = userResult[0].values[0];
+  const password = await promptPassword(username);
+
+  if (!await bcrypt.compare(password, passwordHash)) {
+    console.error('❌ Incorrect password');
+    process.exit(1);
+  }
+
+  const filesResult = db.exec(
+    `SELECT id, filename, filepath, size, iv, auth_tag, key_id FROM files
+     WHERE user_id = ? AND encrypted = 1 AND (format_version IS NULL OR format_version = ?)`,
+    [userId, FORMAT_LEGACY]
+  );
+
+  const files = filesResult.length > 0 ? filesResult[0].values.map(row => ({
+    id: row[0],
+    filename: row[1],
+    filepath: row[2],
+    size: row[3],
+    iv: row[4],
+    auth_tag: row[5],
+    key_id: row[6]
+  })) : [];
+
+  if (files.length === 0) {
+    console.log('✅ No legacy files to convert');
+    return;
+  }
+
+  console.log(`📊 Found ${files.length} legacy file(s)\n`);
+
+  // Unlock the data key once - scrypt is slow on the Pi
+  const keyfileHash = keyfile ? hashKeyfile(await fs.readFile(keyfile)) : null;
+  let dataKey;
+  try {
+    dataKey = await unlockDataKey(userId, password, keyfileHash);
+  } finally {
+    if (keyfileHash) {
+      keyfileHash.fill(0);
+    }
+  }
+  const { kdfParams } = getUserKeys(userId);
+  const userPath = getUserStoragePath(userId);
+  let converted = 0;
+  let failed = 0;
+
+  try {
+    // Filenames are encrypted - decrypt them for the progress output
+    for (const file of openFileRows(dataKey, files)) {
+      console.log(`📄 Converting: ${file.filename}`);
+
+      if (!file.iv || !file.auth_tag) {
+        console.log('   ❌ Skipped: missing IV or AuthTag');
+        failed++;
+        continue;
+      }
+
+      try {
+        const newName = await convertFile(userPath, file, dataKey, userId, kdfParams);
+
+        db.run(
+          'UPDATE files SET filepath = ?, format_version = ?, iv = NULL, auth_tag = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [newName, FORMAT_SEGMENTED, file.id]
+        );
+        saveDatabase();
+
+        await fs.remove(path.join(userPath, file.filepath));
+
+        console.log('   ✅ Converted');
+        converted++;
+      } catch (error) {
+        const reason = error.name === 'CryptoIntegrityError' || /authenticate data|Unsupported state/.test(error.message)
+          ? 'integrity check failed (file left untouched)'
+          : error.message;
+        console.log(`   ❌ Failed: ${reason}`);
+        failed++;
+      }
+    }
+  } finally {
+    dataKey.fill(0);
+  }
+
+  console.log('\n📊 SUMMARY');
+  console.log('==========');
+  console.log(`✅ Converted: ${converted}`);
+  console.log(`❌ Failed: ${failed}`);
+
+  if (failed > 0) {
+    console.log('\nFailed files were not modified. Run npm run check:integrity for details.');
+    process.exitCode = 1;
+  }
+}
+
+// Command line interface
+if (require.main === module) {
+  const [username, option, keyfile] = process.argv.slice(2);
+
+  if (!username || (option && (option !== '--keyfile' || !keyfile))) {
+    console.log('Usage: node scripts/maintenance/convert-segmented.js <username> [--keyfile <path>]');
+    process.exit(1);
+  }
+
+  convertUser(username, { keyfile }).catch(error => {
+    console.error('❌ Conversion failed:', error.message);
+    if (error instanceof KeyfileError) {
+      console.error('   This account has a keyfile - pass --keyfile <path>.');
+    }
+    process.exit(1);
+  });
+}
+
+module.exports = { convertUser };
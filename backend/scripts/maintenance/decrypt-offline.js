@@ -0,0 +1,429 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Decryptor for PocketCloud
+ * Disaster recovery without the server: decrypts one user's files from a
+ * storage drive (or a .pcbackup) into plain files, rebuilding the original
+ * file and folder names (decrypting them if needed) and folder tree from the
+ * files/folders tables.
+ *
+ *   node scripts/maintenance/decrypt-offline.js --drive <storage root> --db <pocketcloud.db> --user <username> --out <dir>
+ *   node scripts/maintenance/decrypt-offline.js --backup <file.pcbackup> --user <username> --out <dir>
+ *
+ * The storage root is the directory holding user_N/ (normally /mnt/pocketcloud).
+ * The password is read from POCKETCLOUD_PASSWORD or prompted for.
+ * Accounts with an enrolled keyfile also need --keyfile <path>.
+ *
+ * A sealed database (DB_KEY_SOURCE) needs the system key as well:
+ * --db-keyfile <path>, or the passphrase from POCKETCLOUD_DB_PASSPHRASE or a prompt.
+ *
+ * Nothing on the drive or in the database is modified:
+ * - The database is loaded into memory, never written back
+ * - Each file is decrypted to <name>.part and only renamed once it verified
+ * - Files that fail verification are listed in the report and left out
+ * A JSON report (recovery-report.json) is written next to the recovered files.
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const tar = require('tar');
+const initSqlJs = require('sql.js');
+const {
+  deriveMasterKey,
+  hashKeyfile,
+  unlockDataKey,
+  parseKdfParams,
+  verifyKeyCheck,
+  deriveMetadataKey,
+  decryptMetadata,
+  decryptFileStream,
+  fileKeyId,
+  inspectEncryptedFile,
+  FORMAT_LEGACY,
+  FORMAT_SEGMENTED
+} = require('../../src/services/core/cryptoService');
+const { KeyUnlockError, KeyfileError } = require('../../src/services/core/cryptoErrors');
+const { isSealed, unlockSealingKey, unsealDatabase } = require('../../src/services/core/databaseSealing');
+const { loadSystemSecret } = require('../../src/services/core/systemKey');
+const { promptHidden } = require('../../src/utils/terminal');
+
+const TRASH_FOLDER = 'Trash';
+const REPORT_FILE = 'recovery-report.json';
+
+function promptPassword(username) {
+  if (process.env.POCKETCLOUD_PASSWORD) {
+    return Promise.resolve(process.env.POCKETCLOUD_PASSWORD);
+  }
+
+  return promptHidden(`Password for ${username}: `, 'No terminal for the password - set POCKETCLOUD_PASSWORD');
+}
+
+/**
+ * Parse --name value pairs
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+      throw new Error(`Unexpected argument: ${argv[i]}`);
+    }
+    options[argv[i].slice(2)] = argv[i + 1];
+  }
+  return options;
+}
+
+/**
+ * Run a query and return rows as objects
+ * Column names come from the result, so older schemas work too.
+ */
+function queryRows(db, sql, params = []) {
+  const result = db.exec(sql, params);
+  if (result.length === 0) {
+    return [];
+  }
+
+  const { columns, values } = result[0];
+  return values.map(row => Object.fromEntries(columns.map((column, i) => [column, row[i]])));
+}
+
+/**
+ * Unpack a .pcbackup into a temp directory
+ * @returns {Promise<Object>} - { tempDir, dbPath, drivePath }
+ */
+async function extractBackup(backupPath) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pocketcloud-offline-'));
+
+  try {
+    await tar.extract({ file: backupPath, cwd: tempDir });
+
+    const dbPath = path.join(tempDir, 'database.db');
+    if (!await fs.pathExists(dbPath)) {
+      throw new Error('Invalid backup: missing database.db');
+    }
+
+    return { tempDir, dbPath, drivePath: path.join(tempDir, 'files') };
+  } catch (error) {
+    await fs.remove(tempDir);
+    throw error;
+  }
+}
+
+/**
+ * Read the database, unsealing it with the system key if needed
+ */
+async function readDatabase(dbPath, { dbKeyfile, dbPassphrase }) {
+  const buffer = await fs.readFile(dbPath);
+  if (!isSealed(buffer)) {
+    return buffer;
+  }
+
+  const secret = await loadSystemSecret({
+    source: dbKeyfile ? 'keyfile' : 'passphrase',
+    keyfile: dbKeyfile,
+    passphrase: dbPassphrase
+  });
+  try {
+    const sealingKey = await unlockSealingKey(secret, buffer);
+    try {
+      return unsealDatabase(buffer, sealingKey);
+    } finally {
+      sealingKey.key.fill(0);
+    }
+  } finally {
+    secret.fill(0);
+  }
+}
+
+/**
+ * Unlock a user's data key from their database row
+ * Mirrors keyService.unlockDataKey, without migrating or writing anything
+ */
+async function unlockUserKey(user, password, keyfileHash) {
+  if (!user.encryption_salt) {
+    throw new KeyUnlockError('Encryption is not set up for this account');
+  }
+  if (user.keyfile_enrolled_at && !keyfileHash) {
+    throw new KeyfileError('This account requires its keyfile - pass --keyfile <path>');
+  }
+
+  const salt = Buffer.from(user.encryption_salt, 'hex');
+  const keyfile = user.keyfile_enrolled_at ? keyfileHash : null;
+  const dataKey = user.wrapped_data_key
+    ? await unlockDataKey(password, salt, user.wrapped_data_key, parseKdfParams(user.kdf_params), keyfile)
+    : await deriveMasterKey(password, salt, parseKdfParams(null));
+
+  if (user.key_check && !verifyKeyCheck(dataKey, user.key_check)) {
+    dataKey.fill(0);
+    throw new KeyUnlockError('Password does not unlock the encryption key this account uses');
+  }
+
+  return dataKey;
+}
+
+/**
+ * Make a stored name safe to use as one path segment
+ */
+function safeSegment(name, fallback) {
+  const cleaned = String(name || '')
+    .replace(/[/\\]/g, '_')
+    .replace(/[\x00-\x1f]/g, '')
+    .trim();
+  return cleaned && cleaned !== '.' && cleaned !== '..' ? cleaned : fallback;
+}
+
+/**
+ * Plaintext of a stored name - files.filename or folders.name (NULL if it can't be decrypted)
+ */
+function readName(metadataKey, stored, field) {
+  try {
+    return decryptMetadata(metadataKey, stored, field);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Relative output path for every folder of the user
+ * Broken parent links and cycles end at the top level instead of failing.
+ *
+ * @param {Array<Object>} folders - Rows with id, parent_id and the stored (encrypted) name
+ * @param {Buffer} metadataKey - Key from deriveMetadataKey
+ * @returns {Map<number, string>} - Folder ID -> path
+ */
+function buildFolderPaths(folders, metadataKey) {
+  const byId = new Map(folders.map(folder => [folder.id, folder]));
+  const paths = new Map();
+
+  function resolve(folder, seen) {
+    if (paths.has(folder.id)) {
+      return paths.get(folder.id);
+    }
+
+    const name = safeSegment(readName(metadataKey, folder.name, 'folders.name'), `folder-${folder.id}`);
+    const parent = byId.get(folder.parent_id);
+    const relative = parent && !seen.has(parent.id)
+      ? path.join(resolve(parent, seen.add(folder.id)), name)
+      : name;
+
+    paths.set(folder.id, relative);
+    return relative;
+  }
+
+  folders.forEach(folder => resolve(folder, new Set()));
+  return paths;
+}
+
+/**
+ * Pick an output path that no other recovered file uses
+ */
+function uniquePath(relativePath, used) {
+  const ext = path.extname(relativePath);
+  const base = relativePath.slice(0, relativePath.length - ext.length);
+  let candidate = relativePath;
+
+  for (let n = 1; used.has(candidate.toLowerCase()); n++) {
+    candidate = `${base} (${n})${ext}`;
+  }
+
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Recover one file
+ * @returns {Promise<Object>} - { status, reason? } with status ok | missing | failed
+ */
+async function recoverFile(file, userPath, outputPath, dataKey, userId) {
+  const sourcePath = path.join(userPath, file.filepath);
+  const partPath = `${outputPath}.part`;
+
+  if (!await fs.pathExists(sourcePath)) {
+    return { status: 'missing', reason: 'File not found on drive' };
+  }
+
+  await fs.ensureDir(path.dirname(outputPath));
+
+  try {
+    if (!file.encrypted) {
+      await fs.copy(sourcePath, partPath);
+    } else {
+      // Prefer the DB; databases from before format_version get it from the file header
+      const format = file.format_version ||
+        ((await inspectEncryptedFile(sourcePath)).segmented ? FORMAT_SEGMENTED : FORMAT_LEGACY);
+
+      if (format === FORMAT_LEGACY && (!file.iv || !file.auth_tag)) {
+        return { status: 'failed', reason: 'Missing IV or AuthTag in database' };
+      }
+
+      // Same HKDF context the download route uses (key_id is missing in older databases)
+      await decryptFileStream(
+        sourcePath,
+        fs.createWriteStream(partPath),
+        dataKey,
+        fileKeyId({ keyId: file.key_id, userId, id: file.id }),
+        file.iv,
+        file.auth_tag,
+        { format }
+      );
+    }
+
+    const { size } = await fs.stat(partPath);
+    if (size !== file.size) {
+      throw new Error(`Size mismatch (${size} != ${file.size} bytes)`);
+    }
+
+    await fs.rename(partPath, outputPath);
+    return { status: 'ok' };
+  } catch (error) {
+    await fs.remove(partPath).catch(() => {});
+    const reason = error.name === 'CryptoIntegrityError' || /authenticate data|Unsupported state/.test(error.message)
+      ? `Integrity check failed: ${error.message}`
+      : error.message;
+    return { status: 'failed', reason };
+  }
+}
+
+/**
+ * Decrypt all of a user's files into outputDir
+ *
+ * @param {Object} options - { drivePath, dbPath, backupPath, username, password, keyfile, outputDir,
+ *                             dbKeyfile, dbPassphrase } (keyfile path for enrolled accounts,
+ *                             the last two only for sealed databases)
+ * @returns {Promise<Object>} - Report: { username, userId, recovered, failed, missing, files }
+ */
+async function decryptOffline({ drivePath, dbPath, backupPath, username, password, keyfile, outputDir, dbKeyfile, dbPassphrase }) {
+  let backup = null;
+  if (backupPath) {
+    backup = await extractBackup(backupPath);
+    dbPath = backup.dbPath;
+    drivePath = backup.drivePath;
+  }
+
+  let db;
+  try {
+    const SQL = await initSqlJs();
+    db = new SQL.Database(await readDatabase(dbPath, { dbKeyfile, dbPassphrase }));
+  } catch (error) {
+    if (backup) {
+      await fs.remove(backup.tempDir);
+    }
+    throw error;
+  }
+  let dataKey = null;
+  let metadataKey = null;
+  let keyfileHash = null;
+
+  try {
+    const [user] = queryRows(db, 'SELECT * FROM users WHERE username = ?', [username]);
+    if (!user) {
+      throw new Error(`User not found: ${username}`);
+    }
+
+    if (keyfile) {
+      keyfileHash = hashKeyfile(await fs.readFile(keyfile));
+    }
+    dataKey = await unlockUserKey(user, password, keyfileHash);
+    metadataKey = deriveMetadataKey(dataKey);
+
+    const folders = queryRows(db, 'SELECT id, parent_id, name FROM folders WHERE user_id = ?', [user.id]);
+    const folderPaths = buildFolderPaths(folders, metadataKey);
+    const files = queryRows(db, 'SELECT * FROM files WHERE user_id = ? ORDER BY id', [user.id]);
+    const userPath = path.join(drivePath, `user_${user.id}`);
+    const used = new Set([REPORT_FILE]);
+
+    const report = { username, userId: user.id, recovered: 0, failed: 0, missing: 0, files: [] };
+    await fs.ensureDir(outputDir);
+
+    for (const file of files) {
+      const folder = folderPaths.get(file.folder_id) || '';
+      const name = safeSegment(readName(metadataKey, file.filename, 'files.filename'), `file-${file.id}`);
+      const relativePath = uniquePath(path.join(file.trashed_at ? TRASH_FOLDER : '', folder, name), used);
+
+      const result = await recoverFile(file, userPath, path.join(outputDir, relativePath), dataKey, user.id);
+      report.files.push({ id: file.id, path: relativePath, source: file.filepath, ...result });
+
+      if (result.status === 'ok') {
+        report.recovered++;
+        console.log(`   ✅ ${relativePath}`);
+      } else {
+        report[result.status]++;
+        console.log(`   ${result.status === 'missing' ? '📁' : '❌'} ${relativePath}: ${result.reason}`);
+      }
+    }
+
+    await fs.writeJson(path.join(outputDir, REPORT_FILE), report, { spaces: 2 });
+    return report;
+  } finally {
+    if (dataKey) {
+      dataKey.fill(0);
+    }
+    if (metadataKey) {
+      metadataKey.fill(0);
+    }
+    if (keyfileHash) {
+      keyfileHash.fill(0);
+    }
+    db.close();
+    if (backup) {
+      await fs.remove(backup.tempDir);
+    }
+  }
+}
+
+async function main() {
+  console.log('🔓 PocketCloud Offline Decryptor');
+  console.log('===============================');
+
+  const options = parseArgs(process.argv.slice(2));
+  const hasSource = options.backup || (options.drive && options.db);
+
+  if (!hasSource || !options.user || !options.out) {
+    console.log('Usage:');
+    console.log('  node scripts/maintenance/decrypt-offline.js --drive <storage root> --db <pocketcloud.db> --user <username> --out <dir>');
+    console.log('  node scripts/maintenance/decrypt-offline.js --backup <file.pcbackup> --user <username> --out <dir>');
+    console.log('  Account with a keyfile: add --keyfile <path>');
+    console.log('  Sealed database: add --db-keyfile <path> (or use POCKETCLOUD_DB_PASSPHRASE)');
+    process.exit(1);
+  }
+
+  const password = await promptPassword(options.user);
+  console.log(`\n📂 Recovering files for ${options.user} into ${options.out}\n`);
+
+  const report = await decryptOffline({
+    drivePath: options.drive,
+    dbPath: options.db,
+    backupPath: options.backup,
+    username: options.user,
+    password,
+    keyfile: options.keyfile,
+    outputDir: options.out,
+    dbKeyfile: options['db-keyfile']
+  });
+
+  console.log('\n📊 SUMMARY');
+  console.log('==========');
+  console.log(`✅ Recovered: ${report.recovered}`);
+  console.log(`❌ Failed integrity: ${report.failed}`);
+  console.log(`📁 Missing from drive: ${report.missing}`);
+  console.log(`\nPer-file results: ${path.join(options.out, REPORT_FILE)}`);
+
+  if (report.failed > 0 || report.missing > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Command line interface
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Offline decryption failed:', error.message);
+    if (error instanceof KeyfileError) {
+      console.error('   Use the keyfile that was enrolled at the time of the backup.');
+    } else if (error instanceof KeyUnlockError) {
+      console.error('   Check the password - it must be the account password at the time of the backup.');
+    }
+    process.exit(1);
+  });
+}
+
+module.exports = { decryptOffline };
@@ -105,7 +105,7 @@ async function migrate() {
   console.log('\n✅ Migration complete!');
   console.log('\nNext steps:');
   console.log('1. Existing users can log in normally');
-  console.log('2. Old files will download without decryption');
+  console.log('2. Old files are encrypted in the background at each user\'s next login');
   console.log('3. New uploads will be encrypted automatically');
   console.log('4. New users will have encryption enabled by default\n');
 }
@@ -5,14 +5,41 @@
  * Scans all files for corruption and provides recovery options
  */
 
-const { scanForCorruption, getCorruptedFiles, cleanupCorruptedFile } = require('../../src/services/core/fileRecovery');
-const { getDatabase } = require('../../src/config/database');
+const { scanForCorruption, scanStorageHeaders, getCorruptedFiles, cleanupCorruptedFile } = require('../../src/services/core/fileRecovery');
+const { initDatabase, getDatabase } = require('../../src/config/database');
+
+/**
+ * Report what the file headers say, independent of the files table
+ */
+async function reportStorageHeaders() {
+  const headers = await scanStorageHeaders();
+  
+  console.log('\n🧾 FILE HEADERS ON DISK');
+  console.log('======================');
+  console.log(`Encrypted files on disk: ${headers.scanned}`);
+  console.log(`✅ Self-describing (segmented): ${headers.segmented}`);
+  console.log(`ℹ️  Legacy (no header, needs DB): ${headers.legacy}`);
+  console.log(`❌ Damaged headers or layout: ${headers.damaged.length}`);
+  
+  headers.damaged.forEach(file => {
+    console.log(`   - ${file.path}: ${file.reason}`);
+  });
+  
+  if (headers.orphans.length > 0) {
+    console.log(`\n⚠️  ${headers.orphans.length} file(s) on disk are not in the database:`);
+    headers.orphans.forEach(file => {
+      console.log(`   - ${file.path} (${file.size} bytes${file.fileId ? `, header file ID ${file.fileId}` : ''})`);
+    });
+  }
+}
 
 async function scanAndReport() {
   console.log('🔍 PocketCloud Corruption Scanner');
   console.log('=================================');
   
   try {
+    await initDatabase();
+    
     console.log('📊 Scanning all files for corruption...\n');
     
     const results = await scanForCorruption();
@@ -41,7 +68,7 @@ async function scanAndReport() {
             console.log(`\n👤 User ${userId} - ${corruptedFiles.length} corrupted files:`);
             
             corruptedFiles.forEach((file, index) => {
-              console.log(`   ${index + 1}. ${file.filename}`);
+              console.log(`   ${index + 1}. #${file.id} (${file.filepath})`);
               console.log(`      Reason: ${file.reason}`);
               console.log(`      Detected: ${file.detected_at}`);
               console.log(`      Size: ${file.size} bytes`);
@@ -76,6 +103,8 @@ async function scanAndReport() {
       console.log('No corruption detected. Your PocketCloud is in good shape.');
     }
     
+    await reportStorageHeaders();
+    
   } catch (error) {
     console.error('❌ Scan failed:', error.message);
     process.exit(1);
@@ -86,6 +115,8 @@ async function cleanupAllCorrupted() {
   console.log('🧹 Cleaning up all corrupted files...');
   
   try {
+    await initDatabase();
+    
     const db = getDatabase();
     const userResult = db.exec('SELECT DISTINCT user_id FROM files');
     
@@ -101,7 +132,7 @@ async function cleanupAllCorrupted() {
       const corruptedFiles = getCorruptedFiles(userId);
       
       for (const file of corruptedFiles) {
-        console.log(`🗑️  Cleaning up: ${file.filename}`);
+        console.log(`🗑️  Cleaning up: #${file.id} (${file.filepath})`);
         const result = await cleanupCorruptedFile(file.id, userId);
         
         if (result.success) {
@@ -1,7 +1,7 @@
 /**
  * Startup cleanup task
  * Runs once when server starts
- * Cleans up orphaned temp files and validates system state
+ * Cleans up orphaned temp files and expired uploads, and validates system state
  * Integrated with failure detection and recovery system
  */
 
@@ -9,6 +9,7 @@ const fs = require('fs-extra');
 const path = require('path');
 const config = require('../../src/config/config');
 const { performStartupCleanup, validateSafeState } = require('../../src/services/core/failureDrills');
+const { cleanupExpiredUploads } = require('../../src/services/core/resumableUploadService');
 
 async function startupCleanup() {
   console.log('Running startup cleanup...');
@@ -31,7 +32,15 @@ async function startupCleanup() {
       cleanupResults.errors.forEach(error => console.warn(`  - ${error}`));
     }
     
-    if (cleanupResults.tempFilesRemoved === 0 && cleanupResults.orphanedEntriesRemoved === 0) {
+    // Resumable uploads that were abandoned
+    const uploadCleanup = await cleanupExpiredUploads();
+    cleanupResults.expiredUploadsRemoved = uploadCleanup.removed;
+    
+    if (uploadCleanup.removed > 0) {
+      console.log(`✓ Removed ${uploadCleanup.removed} expired upload(s)`);
+    }
+    
+    if (cleanupResults.tempFilesRemoved === 0 && cleanupResults.orphanedEntriesRemoved === 0 && uploadCleanup.removed === 0) {
       console.log('✓ No cleanup needed');
     }
     
@@ -5,6 +5,8 @@ const { initDatabase } = require('./src/config/database');
 const config = require('./src/config/config');
 const { requireSetup } = require('./src/middleware/setup');
 const { handleStorageError } = require('./src/middleware/storageError');
+const { apiErrorHandler } = require('./src/middleware/apiErrors');
+const { authenticateToken } = require('./src/middleware/apiToken');
 const { startupCleanup } = require('./scripts/maintenance/startup-cleanup');
 const { getHealth } = require('./src/services/monitoring/healthService');
 const usbMountService = require('./src/services/core/usbMountService');
@@ -18,6 +20,9 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
 
+// API tokens (Authorization: Bearer) - a token request never gets a session cookie
+app.use('/api/v1', authenticateToken);
+
 // Session configuration
 app.use(session({
   secret: config.SESSION_SECRET,
@@ -59,6 +64,9 @@ app.get('/', (req, res) => {
 // Auth routes (Phase 2)
 app.use('/auth', require('./src/routes/auth'));
 
+// Resumable uploads (tus) - before /files, which would otherwise see them first
+app.use('/files/uploads', require('./src/routes/uploads'));
+
 // Files routes (Phase 3)
 app.use('/files', require('./src/routes/files'));
 
@@ -68,14 +76,26 @@ app.use('/security', require('./src/routes/security'));
 // Support routes (Phase 14)
 app.use('/support', require('./src/routes/support'));
 
+// OpenAPI document and docs page for API v1
+app.use('/api', require('./src/routes/openapi'));
+
+// JSON API for the web app - before /api, which would otherwise see it first
+app.use('/api/v1', require('./src/routes/v1'));
+
 // API routes (Advanced features)
 app.use('/api', require('./src/routes/api'));
 
+// Duplicate detection - web UI only, not part of API v1
+app.use('/api', require('./src/routes/duplicates'));
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).render('error', { message: 'Page not found' });
 });
 
+// API v1 errors are JSON, including ones from body parsing
+app.use('/api/v1', apiErrorHandler);
+
 // Storage error handler (before general error handler)
 app.use(handleStorageError);
 
@@ -1,6 +1,7 @@
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const os = require('os');
 
 /**
  * Get or generate session secret
@@ -48,13 +49,36 @@ const config = {
   
   // Upload limits (1GB default - streaming supports it)
   MAX_UPLOAD_SIZE: parseInt(process.env.MAX_UPLOAD_SIZE, 10) || (1024 * 1024 * 1024),
+
+  // Files per folder upload (each one still limited by MAX_UPLOAD_SIZE)
+  MAX_FOLDER_UPLOAD_FILES: parseInt(process.env.MAX_FOLDER_UPLOAD_FILES, 10) || 1000,
+
+  // Unfinished resumable uploads are discarded after this long without progress (24 hours default)
+  UPLOAD_SESSION_TTL: parseInt(process.env.UPLOAD_SESSION_TTL, 10) || (24 * 60 * 60 * 1000),
   
   // Session configuration
   SESSION_SECRET: getSessionSecret(),
   SESSION_MAX_AGE: 24 * 60 * 60 * 1000, // 24 hours (fixed, not configurable)
+
+  // Unlocked encryption keys are forgotten after this much inactivity (30 minutes default)
+  KEY_IDLE_TIMEOUT: parseInt(process.env.KEY_IDLE_TIMEOUT, 10) || (30 * 60 * 1000),
+
+  // scrypt cost (N) for password-derived keys; existing users are upgraded at their next login
+  SCRYPT_N: parseInt(process.env.SCRYPT_N, 10) || 32768,
+
+  // Worker threads for scrypt and file encryption (0 = run on the main thread)
+  // Default leaves one core for the event loop
+  CRYPTO_WORKERS: process.env.CRYPTO_WORKERS !== undefined
+    ? parseInt(process.env.CRYPTO_WORKERS, 10) || 0
+    : Math.max(1, os.cpus().length - 1),
   
   // Database configuration
-  DB_PATH: process.env.DB_PATH || path.join(process.cwd(), 'data', 'pocketcloud.db')
+  DB_PATH: process.env.DB_PATH || path.join(process.cwd(), 'data', 'pocketcloud.db'),
+
+  // Database encryption at rest: passphrase | keyfile | credential, unset = unsealed (see systemKey.js)
+  DB_KEY_SOURCE: process.env.DB_KEY_SOURCE || null,
+  DB_KEYFILE: process.env.DB_KEYFILE || null,
+  DB_CREDENTIAL: process.env.DB_CREDENTIAL || 'pocketcloud-db-key'
 };
 
 module.exports = config;
@@ -2,9 +2,20 @@ const initSqlJs = require('sql.js');
 const fs = require('fs');
 const path = require('path');
 
+const { loadSystemSecret } = require('../services/core/systemKey');
+const {
+  isSealed,
+  createSealingKey,
+  unlockSealingKey,
+  sealDatabase,
+  unsealDatabase
+} = require('../services/core/databaseSealing');
+
 const DB_PATH = path.join(__dirname, '../../data/pocketcloud.db');
 
 let db = null;
+// Set when the database is sealed at rest with the system key (see databaseSealing.js)
+let sealingKey = null;
 
 // Initialize database
 async function initDatabase() {
@@ -16,18 +27,65 @@ async function initDatabase() {
     fs.mkdirSync(dataDir, { recursive: true });
   }
   
+  // System key, if database encryption is configured (DB_KEY_SOURCE)
+  const secret = await loadSystemSecret();
+  
   // Load existing database or create new one
-  if (fs.existsSync(DB_PATH)) {
-    const buffer = fs.readFileSync(DB_PATH);
-    db = new SQL.Database(buffer);
-    console.log('✓ Database loaded');
-  } else {
-    db = new SQL.Database();
-    console.log('✓ Database created');
+  try {
+    if (fs.existsSync(DB_PATH)) {
+      let buffer = fs.readFileSync(DB_PATH);
+      
+      if (isSealed(buffer)) {
+        if (!secret) {
+          throw new Error('Database is sealed - set DB_KEY_SOURCE to unlock it with the system key');
+        }
+        sealingKey = await unlockSealingKey(secret, buffer);
+        buffer = unsealDatabase(buffer, sealingKey);
+        console.log('✓ Database unsealed');
+      } else if (secret) {
+        // Existing unsealed database - sealed from the first save on
+        sealingKey = await createSealingKey(secret);
+        console.log('🔐 Sealing existing database with the system key');
+      }
+      
+      db = new SQL.Database(buffer);
+      console.log('✓ Database loaded');
+    } else {
+      if (secret) {
+        sealingKey = await createSealingKey(secret);
+      }
+      db = new SQL.Database();
+      console.log('✓ Database created');
+    }
+  } finally {
+    if (secret) {
+      secret.fill(0);
+    }
   }
   
+  createSchema(db);
+  
+  // Save database to disk
+  saveDatabase();
+  console.log('✓ Users table ready');
+  console.log('✓ Files table ready');
+  console.log('✓ Folders table ready');
+  console.log('✓ Shares table ready');
+  console.log('✓ Comments table ready');
+  console.log('✓ Activity log ready');
+  console.log('✓ Search index ready');
+  console.log('✓ Backup tables ready');
+  console.log('✓ Corrupted files table ready');
+  console.log('✓ Indexes created');
+  
+  return db;
+}
+
+// Create the tables and indexes, and add columns newer than a table
+// Safe to run on every start; tests build their in-memory databases with it
+function createSchema(database) {
   // Create system_config table for first-run detection
-  db.run(`
+  database.run(`
     CREATE TABLE IF NOT EXISTS system_config (
       key TEXT PRIMARY KEY,
       value TEXT,
@@ -36,7 +94,7 @@ async function initDatabase() {
   `);
   
   // Create users table with encryption salt and roles
-  db.run(`
+  database.run(`
     CREATE TABLE IF NOT EXISTS users (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       username TEXT UNIQUE NOT NULL,
@@ -44,6 +102,15 @@ async function initDatabase() {
       email TEXT UNIQUE,
       role TEXT DEFAULT 'viewer',
       encryption_salt TEXT,
+      wrapped_data_key TEXT,
+      kdf_params TEXT,
+      key_check TEXT,
+      recovery_salt TEXT,
+      recovery_wrapped_key TEXT,
+      recovery_created_at DATETIME,
+      keyfile_enrolled_at DATETIME,
+      version_retention TEXT,
+      trash_retention_days INTEGER,
       avatar TEXT,
       status TEXT DEFAULT 'active',
       last_login DATETIME,
@@ -53,7 +120,7 @@ async function initDatabase() {
   `);
   
   // Create files table with encryption metadata and new features
-  db.run(`
+  database.run(`
     CREATE TABLE IF NOT EXISTS files (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
@@ -75,6 +142,10 @@ async function initDatabase() {
       iv TEXT,
       auth_tag TEXT,
       encrypted BOOLEAN DEFAULT 0,
+      format_version INTEGER DEFAULT 1,
+      meta_encrypted BOOLEAN DEFAULT 0,
+      key_id TEXT,
+      version INTEGER DEFAULT 1,
       is_public BOOLEAN DEFAULT 0,
       download_count INTEGER DEFAULT 0,
       FOREIGN KEY (user_id) REFERENCES users(id),
@@ -83,7 +154,7 @@ async function initDatabase() {
   `);
   
   // Create folders table
-  db.run(`
+  database.run(`
     CREATE TABLE IF NOT EXISTS folders (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
@@ -92,6 +163,7 @@ async function initDatabase() {
       description TEXT,
       color TEXT,
       is_public BOOLEAN DEFAULT 0,
+      trashed_at DATETIME,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (user_id) REFERENCES users(id),
@@ -100,7 +172,7 @@ async function initDatabase() {
   `);
   
   // Create shares table for file/folder sharing
-  db.run(`
+  database.run(`
     CREATE TABLE IF NOT EXISTS shares (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
@@ -116,7 +188,7 @@ async function initDatabase() {
   `);
   
   // Create comments table
-  db.run(`
+  database.run(`
     CREATE TABLE IF NOT EXISTS comments (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
@@ -133,7 +205,7 @@ async function initDatabase() {
   `);
   
   // Create activity_log table
-  db.run(`
+  database.run(`
     CREATE TABLE IF NOT EXISTS activity_log (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
@@ -149,7 +221,7 @@ async function initDatabase() {
   `);
   
   // Create search_index table for full-text search
-  db.run(`
+  database.run(`
     CREATE TABLE IF NOT EXISTS search_index (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       resource_type TEXT NOT NULL,
@@ -165,7 +237,7 @@ async function initDatabase() {
   `);
   
   // Create backup_jobs table
-  db.run(`
+  database.run(`
     CREATE TABLE IF NOT EXISTS backup_jobs (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
@@ -184,7 +256,7 @@ async function initDatabase() {
   `);
   
   // Create backup_config table
-  db.run(`
+  database.run(`
     CREATE TABLE IF NOT EXISTS backup_config (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
@@ -200,7 +272,7 @@ async function initDatabase() {
   `);
   
   // Create corrupted_files table for file recovery tracking
-  db.run(`
+  database.run(`
     CREATE TABLE IF NOT EXISTS corrupted_files (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
@@ -217,43 +289,197 @@ async function initDatabase() {
     )
   `);
   
+  // Create upload_sessions table for resumable (tus) uploads
+  // The part file already holds ciphertext; filename and mimetype are sealed
+  database.run(`
+    CREATE TABLE IF NOT EXISTS upload_sessions (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      folder_id INTEGER,
+      key_id TEXT NOT NULL,
+      header TEXT NOT NULL,
+      filepath TEXT NOT NULL,
+      filename TEXT NOT NULL,
+      mimetype TEXT,
+      upload_length INTEGER NOT NULL,
+      upload_offset INTEGER DEFAULT 0,
+      tail TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+  
+  // Create file_versions table - older versions of a file (see versionService)
+  // Same blob columns as files; the files row is the current version
+  database.run(`
+    CREATE TABLE IF NOT EXISTS file_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      file_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      filepath TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      mimetype TEXT,
+      file_hash TEXT,
+      iv TEXT,
+      auth_tag TEXT,
+      encrypted BOOLEAN DEFAULT 0,
+      format_version INTEGER DEFAULT 1,
+      key_id TEXT,
+      created_at DATETIME,
+      replaced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (file_id) REFERENCES files(id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+  
+  // Create audit_logs table (written by auditLogService)
+  database.run(`
+    CREATE TABLE IF NOT EXISTS audit_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      action TEXT NOT NULL,
+      resource_type TEXT,
+      resource_id INTEGER,
+      details TEXT,
+      ip_address TEXT,
+      user_agent TEXT,
+      severity TEXT DEFAULT 'info',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+  
+  // Create api_tokens table (personal access tokens, see apiTokenService)
+  database.run(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL,
+      prefix TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      key_salt TEXT NOT NULL,
+      wrapped_data_key TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      last_used_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+  
+  // Columns added after the original schema (CREATE TABLE IF NOT EXISTS won't add them)
+  // format_version: 1 = legacy single-tag GCM, 2 = segmented (see cryptoService.js)
+  ensureColumn(database, 'files', 'format_version', 'INTEGER DEFAULT 1');
+  // meta_encrypted: filename/mimetype/description/tags are encrypted (0 until migrated at login)
+  ensureColumn(database, 'files', 'meta_encrypted', 'BOOLEAN DEFAULT 0');
+  // key_id: HKDF context of the file key (random UUID; see generateFileKeyId)
+  ensureColumn(database, 'files', 'key_id', 'TEXT');
+  backfillFileKeyIds(database);
+  // wrapped_data_key: per-user data key wrapped by the password-derived KEK (NULL until migrated at login)
+  ensureColumn(database, 'users', 'wrapped_data_key', 'TEXT');
+  // kdf_params: scrypt params (JSON) the data key is wrapped with (NULL = original defaults)
+  ensureColumn(database, 'users', 'kdf_params', 'TEXT');
+  // key_check: identifies the right data key, so a wrong key is not mistaken for corruption
+  ensureColumn(database, 'users', 'key_check', 'TEXT');
+  // recovery_*: second copy of the data key, wrapped by the user's recovery key (NULL if none)
+  ensureColumn(database, 'users', 'recovery_salt', 'TEXT');
+  ensureColumn(database, 'users', 'recovery_wrapped_key', 'TEXT');
+  ensureColumn(database, 'users', 'recovery_created_at', 'DATETIME');
+  // keyfile_enrolled_at: set when a keyfile digest is mixed into the KEK (the digest itself is never stored)
+  ensureColumn(database, 'users', 'keyfile_enrolled_at', 'DATETIME');
+  // trashed_at: set on a folder and everything below it when it is deleted (see trashService)
+  ensureColumn(database, 'folders', 'trashed_at', 'DATETIME');
+  // version: number of the current version (older ones are in file_versions)
+  ensureColumn(database, 'files', 'version', 'INTEGER DEFAULT 1');
+  // version_retention: JSON { keepVersions, keepDays } (NULL = versionService.DEFAULT_RETENTION)
+  ensureColumn(database, 'users', 'version_retention', 'TEXT');
+  // trash_retention_days: days files stay in trash before they are purged (NULL = trashService.DEFAULT_RETENTION_DAYS)
+  ensureColumn(database, 'users', 'trash_retention_days', 'INTEGER');
+  // upload_sessions.folder_id: folder the finished upload goes in (NULL = top level)
+  ensureColumn(database, 'upload_sessions', 'folder_id', 'INTEGER');
+  // upload_sessions.tail: received bytes short of a whole segment, sealed with the file key (hex; NULL = none)
+  ensureColumn(database, 'upload_sessions', 'tail', 'TEXT');
+  
   // Create indexes for better performance
-  db.run('CREATE INDEX IF NOT EXISTS idx_files_user_id ON files(user_id)');
-  db.run('CREATE INDEX IF NOT EXISTS idx_files_folder_id ON files(folder_id)');
-  db.run('CREATE INDEX IF NOT EXISTS idx_folders_user_id ON folders(user_id)');
-  db.run('CREATE INDEX IF NOT EXISTS idx_folders_parent_id ON folders(parent_id)');
-  db.run('CREATE INDEX IF NOT EXISTS idx_shares_user_id ON shares(user_id)');
-  db.run('CREATE INDEX IF NOT EXISTS idx_shares_shared_with ON shares(shared_with_user_id)');
-  db.run('CREATE INDEX IF NOT EXISTS idx_comments_resource ON comments(resource_type, resource_id)');
-  db.run('CREATE INDEX IF NOT EXISTS idx_activity_user_id ON activity_log(user_id)');
-  db.run('CREATE INDEX IF NOT EXISTS idx_search_user_id ON search_index(user_id)');
-  db.run('CREATE INDEX IF NOT EXISTS idx_search_resource ON search_index(resource_type, resource_id)');
+  database.run('CREATE INDEX IF NOT EXISTS idx_files_user_id ON files(user_id)');
+  database.run('CREATE INDEX IF NOT EXISTS idx_files_folder_id ON files(folder_id)');
+  database.run('CREATE INDEX IF NOT EXISTS idx_files_trashed_at ON files(trashed_at)');
+  // Keyset pages of the file list (fileListService)
+  database.run('CREATE INDEX IF NOT EXISTS idx_files_user_uploaded ON files(user_id, uploaded_at, id)');
+  database.run('CREATE INDEX IF NOT EXISTS idx_files_user_size ON files(user_id, size, id)');
+  database.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_files_key_id ON files(key_id)');
+  database.run('CREATE INDEX IF NOT EXISTS idx_folders_user_id ON folders(user_id)');
+  database.run('CREATE INDEX IF NOT EXISTS idx_folders_parent_id ON folders(parent_id)');
+  database.run('CREATE INDEX IF NOT EXISTS idx_shares_user_id ON shares(user_id)');
+  database.run('CREATE INDEX IF NOT EXISTS idx_shares_shared_with ON shares(shared_with_user_id)');
+  database.run('CREATE INDEX IF NOT EXISTS idx_comments_resource ON comments(resource_type, resource_id)');
+  database.run('CREATE INDEX IF NOT EXISTS idx_activity_user_id ON activity_log(user_id)');
+  database.run('CREATE INDEX IF NOT EXISTS idx_search_user_id ON search_index(user_id)');
+  database.run('CREATE INDEX IF NOT EXISTS idx_search_resource ON search_index(resource_type, resource_id)');
+  database.run('CREATE INDEX IF NOT EXISTS idx_upload_sessions_user_id ON upload_sessions(user_id)');
+  database.run('CREATE INDEX IF NOT EXISTS idx_audit_logs_user_id ON audit_logs(user_id)');
+  database.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_api_tokens_hash ON api_tokens(token_hash)');
+  database.run('CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id)');
+  database.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_file_versions_version ON file_versions(file_id, version)');
+  database.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_file_versions_key_id ON file_versions(key_id)');
+}
+
+// Add a column to an existing table if it is missing
+function ensureColumn(database, table, column, definition) {
+  const result = database.exec(`PRAGMA table_info(${table})`);
+  const columns = result.length > 0 ? result[0].values.map(row => row[1]) : [];
   
-  // Save database to disk
-  saveDatabase();
-  console.log('✓ Users table ready');
-  console.log('✓ Files table ready');
-  console.log('✓ Folders table ready');
-  console.log('✓ Shares table ready');
-  console.log('✓ Comments table ready');
-  console.log('✓ Activity log ready');
-  console.log('✓ Search index ready');
-  console.log('✓ Backup tables ready');
-  console.log('✓ Corrupted files table ready');
-  console.log('✓ Indexes created');
+  if (!columns.includes(column)) {
+    database.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`✓ Added ${table}.${column} column`);
+  }
+}
+
+// Record the file key ID of files uploaded before files.key_id existed
+// They were keyed by `${user_id}-${id}`, which stays their key ID for good
+function backfillFileKeyIds(database) {
+  const result = database.exec('SELECT COUNT(*) FROM files WHERE key_id IS NULL');
+  const missing = result.length > 0 ? result[0].values[0][0] : 0;
   
-  return db;
+  if (missing > 0) {
+    database.run("UPDATE files SET key_id = user_id || '-' || id WHERE key_id IS NULL");
+    console.log(`✓ Recorded file key IDs for ${missing} existing files`);
+  }
 }
 
 // Save database to disk
+// Written to a temp file and renamed, so a crash never leaves a torn (unopenable) file
 function saveDatabase() {
   if (db) {
     const data = db.export();
-    const buffer = Buffer.from(data);
-    fs.writeFileSync(DB_PATH, buffer);
+    const buffer = sealingKey ? sealDatabase(data, sealingKey) : Buffer.from(data);
+    const tempPath = `${DB_PATH}.tmp`;
+    fs.writeFileSync(tempPath, buffer, { mode: 0o600 });
+    fs.renameSync(tempPath, DB_PATH);
   }
 }
 
+// Read a database file (e.g. from a backup) into an SQLite image
+// Sealed files must be sealed with the same system key as the live database
+function readDatabaseFile(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  
+  if (!isSealed(buffer)) {
+    return buffer;
+  }
+  if (!sealingKey) {
+    throw new Error('Database file is sealed, but database encryption is not configured (DB_KEY_SOURCE)');
+  }
+  return unsealDatabase(buffer, sealingKey);
+}
+
+// Whether the live database is sealed at rest
+function isDatabaseSealed() {
+  return sealingKey !== null;
+}
+
 // Get database instance
 function getDatabase() {
   if (!db) {
@@ -264,7 +490,10 @@ function getDatabase() {
 
 module.exports = {
   initDatabase,
+  createSchema,
   getDatabase,
-  saveDatabase
+  saveDatabase,
+  readDatabaseFile,
+  isDatabaseSealed
 };
 
@@ -0,0 +1,982 @@
+/**
+ * OpenAPI 3 description of API v1
+ * Served at /api/openapi.json, with a readable version at /api/docs.
+ *
+ * Paths are relative to the server URL /api/v1. Limits, sort keys and
+ * scopes come from the modules that enforce them, so the document can't
+ * drift from them. Each operation names the scope an API token needs in
+ * x-token-scope (see middleware/apiToken); operations without one need a
+ * browser session. tests/integration/api/openapi.test.js checks that every
+ * route is described and validates requests and responses against it.
+ */
+
+const { CODES } = require('../middleware/apiErrors');
+const { scopeFor } = require('../middleware/apiToken');
+const { SORTS, DEFAULT_LIMIT, MAX_LIMIT } = require('../services/core/fileListService');
+const { MAX_KEEP_VERSIONS, MAX_KEEP_DAYS } = require('../services/core/versionService');
+const { MAX_RETENTION_DAYS } = require('../services/core/trashService');
+const apiTokenService = require('../services/core/apiTokenService');
+
+// Bump the minor version for additions, start /api/v2 for breaking changes
+const API_VERSION = '1.0.0';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+const nullable = schema => ({ ...schema, nullable: true });
+const arrayOf = schema => ({ type: 'array', items: schema });
+const integer = (extra = {}) => ({ type: 'integer', ...extra });
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', properties, required });
+
+// Named error responses, by status
+const ERROR_RESPONSES = {
+  400: ['BadRequest', 'The request is invalid'],
+  401: ['Unauthorized', 'Not logged in, the token is invalid, or the encryption key is locked'],
+  403: ['Forbidden', 'Your role or the token\'s scopes don\'t allow this'],
+  404: ['NotFound', 'No such resource'],
+  409: ['Conflict', 'Conflicts with the current state'],
+  413: ['PayloadTooLarge', 'File too large'],
+  422: ['Unprocessable', 'The stored file failed its integrity check'],
+  429: ['RateLimited', 'Too many requests'],
+  500: ['Internal', 'Something went wrong on the server'],
+  503: ['Unavailable', 'Storage is not ready'],
+  507: ['InsufficientStorage', 'Not enough free space']
+};
+
+function errors(...statuses) {
+  return Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/${ERROR_RESPONSES[status][0]}` }]));
+}
+
+const success = (description, schema, status = 200) => ({ [status]: { description, content: json(schema) } });
+const noContent = description => ({ 204: { description } });
+const binary = (description, mediaType = 'application/octet-stream') => ({
+  200: { description, content: { [mediaType]: { schema: string({ format: 'binary' }) } } }
+});
+
+const idParam = (name, description) => ({ name, in: 'path', required: true, description, schema: integer({ minimum: 1 }) });
+const FILE_ID = idParam('fileId', 'File ID');
+const FOLDER_ID = idParam('folderId', 'Folder ID');
+const VERSION = idParam('version', 'Version number');
+const TOKEN_ID = idParam('tokenId', 'Token ID');
+const query = (name, schema, description) => ({ name, in: 'query', required: false, description, schema });
+
+// Sorting, filters and paging of a file list (see fileListService.parseListOptions)
+const LIST_PARAMS = [
+  query('sort', string({ enum: Object.keys(SORTS), default: 'date' }), 'Sort key'),
+  query('order', string({ enum: ['asc', 'desc'] }), 'Defaults to desc for date and size, asc for name and type'),
+  query('mimetype', string({ pattern: '^[a-zA-Z0-9.+-]+(\\/[a-zA-Z0-9.+-]*)?$' }), 'A type ("image") or full MIME type ("image/png")'),
+  query('from', string(), 'Uploaded on or after this ISO 8601 date'),
+  query('to', string(), 'Uploaded on or before this ISO 8601 date (a plain date includes the whole day)'),
+  query('cursor', string(), 'nextCursor from the previous page, with the same sort and order'),
+  query('limit', integer({ minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT }), 'Files per page')
+];
+
+const PASSWORD_CHANGE = object({
+  currentPassword: string({ minLength: 1 }),
+  newPassword: string({ minLength: 6 }),
+  confirmPassword: string({ minLength: 6 })
+});
+
+const THUMBNAIL_SIZE = query('size', string({ enum: ['small', 'medium', 'large'], default: 'medium' }), 'Thumbnail size');
+
+/**
+ * One operation
+ *
+ * @param {string} method - HTTP method, for the token scope
+ * @param {string} path - OpenAPI path, for the token scope
+ * @param {Object} spec - { id, tag, summary, description?, parameters?, body?, responses,
+ *   session (browser session only), public (no login) }
+ */
+function operation(method, path, spec) {
+  const op = {
+    operationId: spec.id,
+    tags: [spec.tag],
+    summary: spec.summary
+  };
+  if (spec.description) {
+    op.description = spec.description;
+  }
+  if (spec.parameters) {
+    op.parameters = spec.parameters;
+  }
+  if (spec.body) {
+    op.requestBody = { required: true, content: spec.body };
+  }
+
+  op.responses = { ...spec.responses };
+  if (spec.public) {
+    op.security = [];
+  } else {
+    Object.assign(op.responses, errors(401, 403));
+    if (spec.session) {
+      op.security = [{ sessionCookie: [] }];
+    } else {
+      // Same table the middleware enforces, with sample IDs for the path parameters
+      op['x-token-scope'] = scopeFor(method.toUpperCase(), path.replace(/\{[^}]+\}/g, '1'));
+    }
+  }
+  Object.assign(op.responses, errors(500));
+  return op;
+}
+
+// path -> method -> operation spec
+const ROUTES = {
+  // ==========================================================================
+  // AUTH
+  // ==========================================================================
+  '/auth/register': {
+    post: {
+      id: 'register',
+      tag: 'Auth',
+      summary: 'Create an account',
+      description: 'Doesn\'t log in. recoveryWords are only in this response - they are not stored.',
+      public: true,
+      body: json(object({
+        username: string({ minLength: 1 }),
+        password: string({ minLength: 1 }),
+        confirmPassword: string({ minLength: 1 }),
+        createRecoveryKey: { type: 'boolean', description: 'Also create a recovery key' }
+      }, ['username', 'password', 'confirmPassword'])),
+      responses: {
+        ...success('Account created', object({
+          user: object({ id: integer(), username: string() }),
+          recoveryWords: arrayOf(string())
+        }, ['user']), 201),
+        ...errors(400, 409)
+      }
+    }
+  },
+  '/auth/login': {
+    post: {
+      id: 'login',
+      tag: 'Auth',
+      summary: 'Log in and start a session',
+      description: 'Sets the session cookie and unlocks the encryption key for the session.',
+      public: true,
+      body: json(object({
+        username: string({ minLength: 1 }),
+        password: string({ minLength: 1 })
+      })),
+      responses: {
+        ...success('Logged in', object({ user: ref('User') })),
+        ...errors(400, 401, 409)
+      }
+    }
+  },
+  '/auth/change-password': {
+    post: {
+      id: 'changePassword',
+      tag: 'Auth',
+      summary: 'Change your password',
+      description: 'Re-wraps the encryption key under the new password; files are not re-encrypted and ' +
+        'unlocked sessions and API tokens keep working. Send multipart with the keyfile if one is enrolled.',
+      session: true,
+      body: {
+        ...json(PASSWORD_CHANGE),
+        'multipart/form-data': {
+          schema: { ...PASSWORD_CHANGE, properties: { ...PASSWORD_CHANGE.properties, keyfile: string({ format: 'binary' }) } }
+        }
+      },
+      responses: {
+        ...success('Password changed', ref('Message')),
+        ...errors(400)
+      }
+    }
+  },
+  '/auth/logout': {
+    post: {
+      id: 'logout',
+      tag: 'Auth',
+      summary: 'End the session and lock its key',
+      public: true,
+      responses: noContent('Logged out')
+    }
+  },
+  '/auth/me': {
+    get: {
+      id: 'getCurrentUser',
+      tag: 'Auth',
+      summary: 'The logged-in user',
+      responses: success('Current user', object({ user: ref('User'), encryptionUnlocked: { type: 'boolean' } }))
+    }
+  },
+
+  // ==========================================================================
+  // FILES
+  // ==========================================================================
+  '/files': {
+    get: {
+      id: 'listFiles',
+      tag: 'Files',
+      summary: 'A page of all your files',
+      parameters: LIST_PARAMS,
+      responses: { ...success('A page of files', ref('FileList')), ...errors(400) }
+    }
+  },
+  '/files/dashboard': {
+    get: {
+      id: 'getDashboard',
+      tag: 'Files',
+      summary: 'Counts, storage and the five most recent files',
+      responses: success('Dashboard', object({
+        recentFiles: arrayOf({ allOf: [ref('FileSummary'), object({ formattedSize: string() })] }),
+        storageInfo: ref('StorageInfo'),
+        totalFiles: integer(),
+        securityStatus: ref('EncryptionStatus')
+      }))
+    }
+  },
+  '/files/upload': {
+    post: {
+      id: 'uploadFile',
+      tag: 'Files',
+      summary: 'Upload a file',
+      description: 'Encrypted on the server as it streams in. A file with the same name in the same folder ' +
+        'gets a new version (200) instead of a new file (201).',
+      body: {
+        'multipart/form-data': {
+          schema: object({
+            file: string({ format: 'binary' }),
+            folderId: integer({ minimum: 1, description: 'Folder to upload into (default: top level)' })
+          }, ['file'])
+        }
+      },
+      responses: {
+        ...success('New version of an existing file', object({ file: ref('UploadedFile') })),
+        ...success('New file', object({ file: ref('UploadedFile') }), 201),
+        ...errors(400, 404, 413, 429, 503, 507)
+      }
+    }
+  },
+  '/files/upload-folder': {
+    post: {
+      id: 'uploadFolder',
+      tag: 'Files',
+      summary: 'Upload a directory',
+      description: 'Each part\'s filename is its relative path; missing folders are created.',
+      body: {
+        'multipart/form-data': {
+          schema: object({
+            files: arrayOf(string({ format: 'binary' })),
+            folderId: integer({ minimum: 1, description: 'Folder to upload into (default: top level)' })
+          }, ['files'])
+        }
+      },
+      responses: {
+        ...success('At least one file was stored', object({
+          success: { type: 'boolean' },
+          uploaded: arrayOf(object({ id: integer(), path: string(), size: integer(), version: integer() })),
+          failed: arrayOf(object({ path: string(), error: string() })),
+          foldersCreated: integer()
+        })),
+        ...errors(400, 404, 413, 429, 503, 507)
+      }
+    }
+  },
+  '/files/download/{fileId}': {
+    get: {
+      id: 'downloadFile',
+      tag: 'Files',
+      summary: 'Download a file, decrypted',
+      parameters: [FILE_ID],
+      responses: { ...binary('File contents, with its own MIME type', '*/*'), ...errors(400, 404, 422, 429, 503) }
+    }
+  },
+  '/files/{fileId}': {
+    patch: {
+      id: 'updateFile',
+      tag: 'Files',
+      summary: 'Rename a file or move it to another folder',
+      parameters: [FILE_ID],
+      body: json({
+        type: 'object',
+        properties: {
+          filename: string({ minLength: 1 }),
+          folderId: nullable(integer({ minimum: 1, description: 'null: top level' }))
+        },
+        minProperties: 1
+      }),
+      responses: {
+        ...success('Updated', object({ file: ref('FileRef'), changes: arrayOf(string()) })),
+        ...errors(400, 404, 409)
+      }
+    },
+    delete: {
+      id: 'deleteFile',
+      tag: 'Files',
+      summary: 'Move a file to trash',
+      parameters: [FILE_ID],
+      responses: { ...success('Moved to trash', ref('TrashMove')), ...errors(400, 404) }
+    }
+  },
+  '/files/{fileId}/copy': {
+    post: {
+      id: 'copyFile',
+      tag: 'Files',
+      summary: 'Copy a file under a new file key',
+      parameters: [FILE_ID],
+      body: json(object({
+        filename: string({ minLength: 1 }),
+        folderId: nullable(integer({ minimum: 1, description: 'null: top level' }))
+      }, [])),
+      responses: {
+        ...success('Copied', object({ file: { allOf: [ref('FileRef'), object({ size: integer() })] } }), 201),
+        ...errors(400, 404, 409, 507)
+      }
+    }
+  },
+  '/files/client': {
+    post: {
+      id: 'uploadClientEncryptedFile',
+      tag: 'Files',
+      summary: 'Store a file encrypted in the browser',
+      description: 'The body is the segmented ciphertext. Filename and MIME type are sealed metadata values.',
+      parameters: [
+        { name: 'X-PocketCloud-Filename', in: 'header', required: true, schema: string() },
+        { name: 'X-PocketCloud-Mimetype', in: 'header', required: false, schema: string() },
+        { name: 'X-PocketCloud-Folder-Id', in: 'header', required: false, schema: integer({ minimum: 1 }) },
+        { name: 'X-PocketCloud-Version-Of', in: 'header', required: false, schema: integer({ minimum: 1 }) }
+      ],
+      body: { 'application/octet-stream': { schema: string({ format: 'binary' }) } },
+      responses: {
+        ...success('Stored', object({ id: integer(), size: integer(), version: integer() }), 201),
+        ...errors(400, 404, 409, 413, 429, 507)
+      }
+    }
+  },
+  '/files/{fileId}/encrypted': {
+    get: {
+      id: 'downloadEncryptedFile',
+      tag: 'Files',
+      summary: 'Stored ciphertext, for decrypting in the browser',
+      parameters: [FILE_ID],
+      responses: { ...binary('Ciphertext'), ...errors(400, 404, 409, 429) }
+    }
+  },
+
+  // ==========================================================================
+  // VERSIONS
+  // ==========================================================================
+  '/files/{fileId}/versions': {
+    get: {
+      id: 'listVersions',
+      tag: 'Versions',
+      summary: 'All versions of a file, newest first',
+      parameters: [FILE_ID],
+      responses: {
+        ...success('Versions', object({ versions: arrayOf(ref('FileVersion')), retention: ref('VersionRetention') })),
+        ...errors(400, 404)
+      }
+    }
+  },
+  '/files/{fileId}/versions/{version}': {
+    get: {
+      id: 'downloadVersion',
+      tag: 'Versions',
+      summary: 'Download one version, decrypted',
+      parameters: [FILE_ID, VERSION],
+      responses: { ...binary('Version contents, with its MIME type', '*/*'), ...errors(400, 404, 422, 429) }
+    },
+    delete: {
+      id: 'deleteVersion',
+      tag: 'Versions',
+      summary: 'Delete an older version',
+      parameters: [FILE_ID, VERSION],
+      responses: { ...success('Deleted', ref('Message')), ...errors(400, 404) }
+    }
+  },
+  '/files/{fileId}/versions/{version}/restore': {
+    post: {
+      id: 'restoreVersion',
+      tag: 'Versions',
+      summary: 'Make an older version current again',
+      description: 'The restored contents become a new version.',
+      parameters: [FILE_ID, VERSION],
+      responses: {
+        ...success('Restored', object({ message: string(), version: integer() })),
+        ...errors(400, 404, 507)
+      }
+    }
+  },
+  '/versions/retention': {
+    get: {
+      id: 'getVersionRetention',
+      tag: 'Versions',
+      summary: 'How long older versions are kept, and the space they take',
+      responses: success('Retention', object({ retention: ref('VersionRetention'), usage: ref('VersionUsage') }))
+    },
+    put: {
+      id: 'setVersionRetention',
+      tag: 'Versions',
+      summary: 'Change how long older versions are kept',
+      description: 'Either limit may be null (no limit), not both. Versions past the new limits are deleted.',
+      body: json(object({
+        keepVersions: nullable(integer({ minimum: 1, maximum: MAX_KEEP_VERSIONS })),
+        keepDays: nullable(integer({ minimum: 1, maximum: MAX_KEEP_DAYS }))
+      }, [])),
+      responses: {
+        ...success('Updated', object({ retention: ref('VersionRetention'), removed: integer(), usage: ref('VersionUsage') })),
+        ...errors(400)
+      }
+    }
+  },
+
+  // ==========================================================================
+  // FOLDERS
+  // ==========================================================================
+  '/folders': {
+    get: {
+      id: 'listTopLevel',
+      tag: 'Folders',
+      summary: 'Top-level folders and a page of top-level files',
+      parameters: LIST_PARAMS,
+      responses: { ...success('Contents', ref('FolderContents')), ...errors(400) }
+    },
+    post: {
+      id: 'createFolder',
+      tag: 'Folders',
+      summary: 'Create a folder',
+      body: json(object({
+        name: string({ minLength: 1 }),
+        parentId: nullable(integer({ minimum: 1 })),
+        description: nullable(string()),
+        color: nullable(string())
+      }, ['name'])),
+      responses: { ...success('Created', object({ folder: ref('Folder') }), 201), ...errors(400, 404, 409) }
+    }
+  },
+  '/folders/{folderId}': {
+    get: {
+      id: 'getFolder',
+      tag: 'Folders',
+      summary: 'A folder\'s subfolders, breadcrumbs and a page of its files',
+      parameters: [FOLDER_ID, ...LIST_PARAMS],
+      responses: { ...success('Contents', ref('FolderContents')), ...errors(400, 404) }
+    },
+    patch: {
+      id: 'updateFolder',
+      tag: 'Folders',
+      summary: 'Rename, move or describe a folder',
+      parameters: [FOLDER_ID],
+      body: json({
+        type: 'object',
+        properties: {
+          name: string({ minLength: 1 }),
+          parentId: nullable(integer({ minimum: 1, description: 'null: top level' })),
+          description: nullable(string()),
+          color: nullable(string())
+        },
+        minProperties: 1
+      }),
+      responses: {
+        ...success('Updated', object({ folder: ref('Folder'), changes: arrayOf(string()) })),
+        ...errors(400, 404, 409)
+      }
+    },
+    delete: {
+      id: 'deleteFolder',
+      tag: 'Folders',
+      summary: 'Move a folder and everything in it to trash',
+      parameters: [FOLDER_ID],
+      responses: {
+        ...success('Moved to trash', object({ message: string(), folders: integer(), files: integer(), parentId: nullable(integer()) })),
+        ...errors(400, 404)
+      }
+    }
+  },
+  '/folders/{folderId}/restore': {
+    post: {
+      id: 'restoreFolder',
+      tag: 'Folders',
+      summary: 'Restore a folder and its contents from trash',
+      parameters: [FOLDER_ID],
+      responses: {
+        ...success('Restored', object({ message: string(), folders: integer(), files: integer() })),
+        ...errors(400, 404)
+      }
+    }
+  },
+
+  // ==========================================================================
+  // TRASH
+  // ==========================================================================
+  '/trash': {
+    get: {
+      id: 'getTrash',
+      tag: 'Trash',
+      summary: 'What\'s in trash',
+      description: 'Folders come with everything deleted along with them; limit and offset page the files.',
+      parameters: [
+        query('limit', integer({ minimum: 1, maximum: 1000, default: 50 }), 'Files per page'),
+        query('offset', integer({ minimum: 0, default: 0 }), 'Files to skip')
+      ],
+      responses: {
+        ...success('Trash', object({
+          files: arrayOf(ref('TrashedFile')),
+          folders: arrayOf(ref('TrashedFolder')),
+          totalFiles: integer({ description: 'Files listed on every page together' }),
+          totalFolders: integer(),
+          retentionDays: integer()
+        })),
+        ...errors(400)
+      }
+    },
+    delete: {
+      id: 'emptyTrash',
+      tag: 'Trash',
+      summary: 'Empty trash',
+      responses: success('Emptied', object({ message: string(), count: integer(), folders: integer() }))
+    }
+  },
+  '/trash/stats': {
+    get: {
+      id: 'getTrashStats',
+      tag: 'Trash',
+      summary: 'Size of trash',
+      responses: success('Statistics', object({
+        stats: object({
+          files: integer(),
+          folders: integer(),
+          size: integer(),
+          oldest: nullable(string()),
+          retentionDays: integer()
+        })
+      }))
+    }
+  },
+  '/trash/retention': {
+    get: {
+      id: 'getTrashRetention',
+      tag: 'Trash',
+      summary: 'Days files stay in trash',
+      responses: success('Retention', object({ days: integer() }))
+    },
+    put: {
+      id: 'setTrashRetention',
+      tag: 'Trash',
+      summary: 'Change how long files stay in trash',
+      description: 'Files already older than that are deleted straight away.',
+      body: json(object({ days: integer({ minimum: 1, maximum: MAX_RETENTION_DAYS }) })),
+      responses: { ...success('Updated', object({ days: integer(), removed: integer() })), ...errors(400) }
+    }
+  },
+  '/trash/{fileId}': {
+    post: {
+      id: 'trashFile',
+      tag: 'Trash',
+      summary: 'Move a file to trash',
+      parameters: [FILE_ID],
+      responses: { ...success('Moved to trash', ref('TrashMove')), ...errors(400, 404) }
+    },
+    delete: {
+      id: 'purgeFile',
+      tag: 'Trash',
+      summary: 'Delete a file from trash for good',
+      parameters: [FILE_ID],
+      responses: { ...success('Deleted', ref('Message')), ...errors(400, 404) }
+    }
+  },
+  '/trash/{fileId}/restore': {
+    post: {
+      id: 'restoreFile',
+      tag: 'Trash',
+      summary: 'Restore a file from trash',
+      description: 'It goes back to its folder; folderId is null if that folder is gone.',
+      parameters: [FILE_ID],
+      responses: { ...success('Restored', ref('TrashMove')), ...errors(400, 404, 409) }
+    }
+  },
+
+  // ==========================================================================
+  // SEARCH
+  // ==========================================================================
+  '/search': {
+    get: {
+      id: 'search',
+      tag: 'Search',
+      summary: 'Search your files and folders',
+      parameters: [
+        query('q', string(), 'Search terms'),
+        query('type', string({ enum: ['file', 'folder'] }), 'Only files or only folders'),
+        query('tags', string(), 'Comma-separated tags'),
+        query('mimetype', string(), 'MIME type prefix'),
+        query('dateFrom', string(), 'ISO 8601 date'),
+        query('dateTo', string(), 'ISO 8601 date'),
+        query('sizeMin', integer({ minimum: 0 }), 'Bytes'),
+        query('sizeMax', integer({ minimum: 0 }), 'Bytes'),
+        query('limit', integer({ minimum: 1, default: 50 }), 'Results per page'),
+        query('offset', integer({ minimum: 0, default: 0 }), 'Results to skip')
+      ],
+      responses: success('Results', object({ results: arrayOf(ref('SearchResult')), count: integer() }))
+    }
+  },
+  '/search/suggestions': {
+    get: {
+      id: 'searchSuggestions',
+      tag: 'Search',
+      summary: 'Titles that match what has been typed so far',
+      parameters: [
+        query('q', string(), 'What has been typed'),
+        query('limit', integer({ minimum: 1, default: 10 }), 'Suggestions')
+      ],
+      responses: success('Suggestions', object({ suggestions: arrayOf(string()) }))
+    }
+  },
+  '/search/reindex': {
+    post: {
+      id: 'reindex',
+      tag: 'Search',
+      summary: 'Rebuild the search index',
+      responses: success('Reindexed', object({ message: string(), indexed: integer() }))
+    }
+  },
+
+  // ==========================================================================
+  // THUMBNAILS
+  // ==========================================================================
+  '/thumbnails/batch': {
+    post: {
+      id: 'generateThumbnails',
+      tag: 'Thumbnails',
+      summary: 'Generate thumbnails for several files',
+      parameters: [THUMBNAIL_SIZE],
+      body: json(object({ fileIds: { ...arrayOf(integer({ minimum: 1 })), minItems: 1, maxItems: 100 } })),
+      responses: { ...success('Results', object({ results: arrayOf({ type: 'object' }) })), ...errors(400) }
+    }
+  },
+  '/thumbnails/{fileId}': {
+    get: {
+      id: 'getThumbnail',
+      tag: 'Thumbnails',
+      summary: 'A file\'s thumbnail',
+      parameters: [FILE_ID, THUMBNAIL_SIZE],
+      responses: {
+        200: { description: 'Thumbnail image', content: { 'image/*': { schema: string({ format: 'binary' }) } } },
+        ...errors(400, 404)
+      }
+    },
+    post: {
+      id: 'generateThumbnail',
+      tag: 'Thumbnails',
+      summary: 'Generate a file\'s thumbnail',
+      parameters: [FILE_ID, THUMBNAIL_SIZE],
+      responses: { ...success('Generated', object({ thumbnailPath: string() })), ...errors(400) }
+    }
+  },
+  '/thumbnails/{fileId}/all': {
+    post: {
+      id: 'generateAllThumbnails',
+      tag: 'Thumbnails',
+      summary: 'Generate every thumbnail size for a file',
+      parameters: [FILE_ID],
+      responses: { ...success('Generated', object({ results: { type: 'object' } })), ...errors(400) }
+    }
+  },
+
+  // ==========================================================================
+  // STORAGE AND SECURITY
+  // ==========================================================================
+  '/storage': {
+    get: {
+      id: 'getStorage',
+      tag: 'System',
+      summary: 'Storage drive status and space',
+      responses: success('Storage', object({ storage: ref('StorageInfo') }))
+    }
+  },
+  '/security/status': {
+    get: {
+      id: 'getSecurityStatus',
+      tag: 'System',
+      summary: 'File encryption, recovery key, keyfile and last backup',
+      responses: success('Status', object({
+        encryption: ref('EncryptionStatus'),
+        recoveryKey: object({ enabled: { type: 'boolean' }, createdAt: nullable(string()) }),
+        keyfile: object({ enrolled: { type: 'boolean' }, enrolledAt: nullable(string()) }),
+        lastBackup: nullable(string())
+      }))
+    }
+  },
+  '/keys/wrapped': {
+    get: {
+      id: 'getWrappedKey',
+      tag: 'System',
+      summary: 'Wrapped data key, for unlocking in the browser',
+      session: true,
+      responses: {
+        ...success('Key material', object({
+          userId: integer(),
+          encryptionSalt: string(),
+          wrappedDataKey: string(),
+          kdfParams: { type: 'object' },
+          keyCheck: nullable(string()),
+          keyfileRequired: { type: 'boolean' }
+        })),
+        ...errors(409)
+      }
+    }
+  },
+
+  // ==========================================================================
+  // CLOUD BACKUP
+  // ==========================================================================
+  '/backup/config': {
+    post: {
+      id: 'saveBackupConfig',
+      tag: 'Backup',
+      summary: 'Save a cloud backup configuration',
+      body: json(object({ provider: string(), config: { type: 'object' }, schedule: string() }, ['provider', 'config'])),
+      responses: { ...success('Saved', ref('Message')), ...errors(400) }
+    }
+  },
+  '/backup/config/{provider}': {
+    get: {
+      id: 'getBackupConfig',
+      tag: 'Backup',
+      summary: 'A cloud backup configuration',
+      parameters: [{ name: 'provider', in: 'path', required: true, schema: string() }],
+      responses: { ...success('Configuration', object({ config: { type: 'object' } })), ...errors(404) }
+    }
+  },
+  '/backup/create': {
+    post: {
+      id: 'createCloudBackup',
+      tag: 'Backup',
+      summary: 'Start a cloud backup',
+      body: json(object({ provider: string(), options: { type: 'object' } }, ['provider'])),
+      responses: { ...success('Started', object({ message: string(), jobId: integer() })), ...errors(400) }
+    }
+  },
+  '/backup/restore': {
+    post: {
+      id: 'restoreCloudBackup',
+      tag: 'Backup',
+      summary: 'Start a restore from a cloud backup',
+      body: json(object({ provider: string(), options: { type: 'object' } }, ['provider'])),
+      responses: { ...success('Started', object({ message: string(), jobId: integer() })), ...errors(400) }
+    }
+  },
+  '/backup/jobs': {
+    get: {
+      id: 'listBackupJobs',
+      tag: 'Backup',
+      summary: 'Cloud backup and restore jobs',
+      parameters: [
+        query('limit', integer({ minimum: 1 }), 'Jobs per page'),
+        query('offset', integer({ minimum: 0 }), 'Jobs to skip'),
+        query('status', string(), 'Only jobs with this status')
+      ],
+      responses: success('Jobs', object({ jobs: arrayOf({ type: 'object' }) }))
+    }
+  },
+  '/backup/test': {
+    post: {
+      id: 'testBackupConnection',
+      tag: 'Backup',
+      summary: 'Test a cloud provider connection',
+      body: json(object({ provider: string(), config: { type: 'object' } })),
+      responses: { ...success('Connected', ref('Message')), ...errors(400) }
+    }
+  },
+
+  // ==========================================================================
+  // API TOKENS
+  // ==========================================================================
+  '/tokens': {
+    get: {
+      id: 'listTokens',
+      tag: 'Tokens',
+      summary: 'Your API tokens, and the scopes a new one can have',
+      session: true,
+      responses: success('Tokens', object({
+        tokens: arrayOf(ref('ApiToken')),
+        scopes: arrayOf(ref('Scope')),
+        presets: { type: 'object', additionalProperties: arrayOf(ref('Scope')) }
+      }))
+    },
+    post: {
+      id: 'createToken',
+      tag: 'Tokens',
+      summary: 'Create an API token',
+      description: 'The token is only in this response - only its hash is stored. Scopes are limited to your role\'s.',
+      session: true,
+      body: json(object({
+        name: string({ minLength: 1, maxLength: 100 }),
+        scopes: {
+          oneOf: [
+            { ...arrayOf(ref('Scope')), minItems: 1 },
+            string({ enum: Object.keys(apiTokenService.SCOPE_PRESETS), description: 'A preset' })
+          ]
+        },
+        expiresInDays: integer({ minimum: 1, maximum: apiTokenService.MAX_EXPIRY_DAYS, default: apiTokenService.DEFAULT_EXPIRY_DAYS })
+      }, ['name', 'scopes'])),
+      responses: {
+        ...success('Created', object({ token: string({ pattern: `^${apiTokenService.TOKEN_PREFIX}` }), apiToken: ref('ApiToken') }), 201),
+        ...errors(400)
+      }
+    }
+  },
+  '/tokens/{tokenId}': {
+    delete: {
+      id: 'revokeToken',
+      tag: 'Tokens',
+      summary: 'Revoke an API token',
+      session: true,
+      parameters: [TOKEN_ID],
+      responses: { ...noContent('Revoked'), ...errors(404) }
+    }
+  }
+};
+
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    description: 'Every error response',
+    properties: {
+      error: string({ description: 'Human-readable message' }),
+      code: string({ enum: [...new Set([...Object.values(CODES), 'invalid_token', 'insufficient_scope', 'error'])] }),
+      details: { description: 'More about the error, when there is more to say' }
+    },
+    required: ['error', 'code'],
+    additionalProperties: false
+  },
+  Message: object({ message: string() }),
+  User: object({ id: integer(), username: string(), role: string() }),
+  Scope: string({ enum: apiTokenService.SCOPES }),
+  FileSummary: object({
+    id: integer(),
+    folder_id: nullable(integer()),
+    filename: string(),
+    size: nullable(integer()),
+    mimetype: nullable(string()),
+    uploaded_at: string(),
+    encrypted: integer({ enum: [0, 1] }),
+    metadataUnreadable: { type: 'boolean', description: 'Sealed under someone else\'s key - filename is a placeholder' }
+  }, ['id', 'folder_id', 'filename', 'size', 'mimetype', 'uploaded_at', 'encrypted']),
+  FileList: object({
+    files: arrayOf(ref('FileSummary')),
+    nextCursor: nullable(string({ description: 'Pass as cursor for the next page; null on the last page' })),
+    total: integer()
+  }),
+  FileRef: object({ id: integer(), filename: string(), folder_id: nullable(integer()) }),
+  UploadedFile: object({ id: integer(), filename: string(), folderId: nullable(integer()), size: integer(), version: integer() }),
+  TrashMove: object({ message: string(), folderId: nullable(integer()) }),
+  FileVersion: object({
+    version: integer(),
+    size: nullable(integer()),
+    created_at: string(),
+    replaced_at: nullable(string()),
+    isCurrent: { type: 'boolean' }
+  }),
+  VersionRetention: object({ keepVersions: nullable(integer()), keepDays: nullable(integer()) }),
+  VersionUsage: object({ count: integer(), size: integer() }),
+  Folder: object({
+    id: integer(),
+    parent_id: nullable(integer()),
+    name: string(),
+    description: nullable(string()),
+    color: nullable(string()),
+    created_at: string(),
+    updated_at: string(),
+    metadataUnreadable: { type: 'boolean' }
+  }, ['id', 'parent_id', 'name']),
+  FolderContents: object({
+    folder: nullable(object({ id: integer(), name: string() })),
+    permission: string({ enum: ['owner', 'view', 'edit'] }),
+    breadcrumbs: arrayOf(object({ id: integer(), name: string() })),
+    folders: arrayOf(ref('Folder')),
+    files: arrayOf(ref('FileSummary')),
+    nextCursor: nullable(string()),
+    totalFiles: integer()
+  }),
+  TrashedFile: object({
+    id: integer(),
+    folder_id: nullable(integer()),
+    filename: string(),
+    size: nullable(integer()),
+    mimetype: nullable(string()),
+    uploaded_at: string(),
+    trashed_at: string(),
+    purgeAt: string({ format: 'date-time' })
+  }),
+  TrashedFolder: object({
+    id: integer(),
+    parent_id: nullable(integer()),
+    name: string(),
+    trashed_at: string(),
+    purgeAt: string({ format: 'date-time' })
+  }),
+  StorageInfo: {
+    ...object({ available: { type: 'boolean' }, state: string() }),
+    description: 'More fields describe the drive when it is available, or what to do when it isn\'t'
+  },
+  EncryptionStatus: object({
+    encryptionEnabled: { type: 'boolean' },
+    encryptedFileCount: integer(),
+    totalFileCount: integer(),
+    encryptionInProgress: { type: 'boolean', description: 'Older plaintext files are being encrypted in the background' }
+  }),
+  SearchResult: object({
+    type: string({ enum: ['file', 'folder'] }),
+    id: integer(),
+    title: string(),
+    content: string(),
+    tags: arrayOf(string()),
+    metadata: { type: 'object' },
+    createdAt: nullable(string()),
+    indexedAt: nullable(string()),
+    size: nullable(integer()),
+    mimetype: nullable(string())
+  }, ['type', 'id', 'title']),
+  ApiToken: object({
+    id: integer(),
+    name: string(),
+    prefix: string({ description: 'First characters of the token, to tell tokens apart' }),
+    scopes: arrayOf(ref('Scope')),
+    createdAt: string({ format: 'date-time' }),
+    expiresAt: string({ format: 'date-time' }),
+    lastUsedAt: nullable(string({ format: 'date-time' })),
+    expired: { type: 'boolean' }
+  })
+};
+
+function buildPaths() {
+  const paths = {};
+  for (const [path, methods] of Object.entries(ROUTES)) {
+    paths[path] = {};
+    for (const [method, spec] of Object.entries(methods)) {
+      paths[path][method] = operation(method, path, spec);
+    }
+  }
+  return paths;
+}
+
+const document = {
+  openapi: '3.0.3',
+  info: {
+    title: 'PocketCloud API',
+    version: API_VERSION,
+    description: 'JSON API of a PocketCloud device. Log in for a session cookie, or send a personal access ' +
+      'token from the Security page as "Authorization: Bearer pct_...". Tokens only reach the operations ' +
+      'their scopes allow (x-token-scope), and only while the user\'s role still has those scopes. ' +
+      'Errors are always { error, code, details? }.'
+  },
+  servers: [{ url: '/api/v1', description: 'API v1' }],
+  tags: ['Auth', 'Files', 'Versions', 'Folders', 'Trash', 'Search', 'Thumbnails', 'System', 'Backup', 'Tokens']
+    .map(name => ({ name })),
+  security: [{ sessionCookie: [] }, { apiToken: [] }],
+  paths: buildPaths(),
+  components: {
+    securitySchemes: {
+      sessionCookie: { type: 'apiKey', in: 'cookie', name: 'connect.sid', description: 'From POST /auth/login' },
+      apiToken: { type: 'http', scheme: 'bearer', bearerFormat: `${apiTokenService.TOKEN_PREFIX}...`, description: 'Personal access token' }
+    },
+    schemas: SCHEMAS,
+    responses: Object.fromEntries(Object.values(ERROR_RESPONSES).map(([name, description]) => [
+      name,
+      { description, content: json(ref('Error')) }
+    ]))
+  }
+};
+
+module.exports = { API_VERSION, document };
@@ -114,6 +114,22 @@ const ROLE_PERMISSIONS = {
   ]
 };
 
+// What every account may do with its own files and folders, whatever its
+// role - the web app lets anyone upload, edit and delete their own files.
+// Roles limit everything else, like access to other people's folders (see
+// folderService.checkFolderAccess).
+const OWNER_PERMISSIONS = [
+  PERMISSIONS.FILE_UPLOAD,
+  PERMISSIONS.FILE_READ,
+  PERMISSIONS.FILE_UPDATE,
+  PERMISSIONS.FILE_DELETE,
+  PERMISSIONS.FILE_DOWNLOAD,
+  PERMISSIONS.FOLDER_CREATE,
+  PERMISSIONS.FOLDER_READ,
+  PERMISSIONS.FOLDER_UPDATE,
+  PERMISSIONS.FOLDER_DELETE
+];
+
 /**
  * Check if a role has a specific permission
  */
@@ -124,6 +140,13 @@ function hasPermission(role, permission) {
   return ROLE_PERMISSIONS[role].includes(permission);
 }
 
+/**
+ * Check if a role may use a permission on the user's own files and folders
+ */
+function hasOwnerPermission(role, permission) {
+  return OWNER_PERMISSIONS.includes(permission) || hasPermission(role, permission);
+}
+
 /**
  * Check if a role has any of the specified permissions
  */
@@ -175,7 +198,9 @@ module.exports = {
   ROLES,
   PERMISSIONS,
   ROLE_PERMISSIONS,
+  OWNER_PERMISSIONS,
   hasPermission,
+  hasOwnerPermission,
   hasAnyPermission,
   hasAllPermissions,
   getRolePermissions,
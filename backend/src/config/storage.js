@@ -1,4 +1,5 @@
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const config = require('./config');
 
@@ -19,6 +20,11 @@ function getUserStoragePath(userId) {
   return userPath;
 }
 
+// Opaque on-disk name - the real filename is only stored encrypted
+function storageFilename() {
+  return `${Date.now()}-${crypto.randomBytes(8).toString('hex')}.enc`; // .enc extension for encrypted files
+}
+
 function getStorageStats(userPath) {
   let totalSize = 0;
   let fileCount = 0;
@@ -60,6 +66,7 @@ function formatFileSize(bytes) {
 module.exports = {
   STORAGE_BASE,
   getUserStoragePath,
+  storageFilename,
   getStorageStats,
   formatFileSize
 };
@@ -0,0 +1,119 @@
+/**
+ * JSON API Middleware
+ * Every error under /api/v1 has the same shape:
+ *
+ *   { "error": "Human-readable message", "code": "not_found", "details": { ... } }
+ *
+ * code follows the status unless a handler names its own; details only
+ * appears when there is more to say. Handlers shared with the web UI
+ * negotiate on the Accept header, so they answer in JSON here too - and
+ * error pages they or their middleware render become JSON errors.
+ */
+
+const http = require('http');
+
+const CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  422: 'unprocessable',
+  429: 'rate_limited',
+  500: 'internal',
+  503: 'unavailable',
+  507: 'insufficient_storage'
+};
+
+/**
+ * Body of an error response
+ * @param {number} status - HTTP status
+ * @param {Object} body - { error, code?, details?, ...anything else } as a handler sent it
+ */
+function errorBody(status, body = {}) {
+  const { error, message, success, code, details, ...extra } = body;
+  const shaped = {
+    error: typeof error === 'string' ? error : message || http.STATUS_CODES[status] || 'Error',
+    code: code || CODES[status] || 'error'
+  };
+  if (details !== undefined) {
+    shaped.details = details;
+  } else if (Object.keys(extra).length > 0) {
+    shaped.details = extra;
+  }
+  return shaped;
+}
+
+/**
+ * JSON for everything after it: content negotiation picks JSON, error
+ * bodies are reshaped and rendered error pages are sent as JSON errors
+ */
+function jsonApi(req, res, next) {
+  req.headers.accept = 'application/json';
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+      return json(errorBody(res.statusCode, body));
+    }
+    return json(body);
+  };
+
+  res.render = (view, locals = {}) => {
+    if (res.statusCode < 400) {
+      res.status(500);
+    }
+    const details = {};
+    if (locals.action) {
+      details.action = locals.action;
+    }
+    res.json({ error: locals.message || locals.title || http.STATUS_CODES[res.statusCode], details: Object.keys(details).length ? details : undefined });
+  };
+
+  next();
+}
+
+/**
+ * No such API route
+ */
+function apiNotFound(req, res) {
+  res.status(404).json(errorBody(404, { error: `No API route for ${req.method} ${req.baseUrl}${req.path}` }));
+}
+
+/**
+ * Errors thrown by routes, body parsing or uploads
+ */
+function apiErrorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  let status = err.status || err.statusCode || 500;
+  let error = 'Something went wrong. Please try again.';
+
+  if (err.type === 'entity.parse.failed') {
+    error = 'Request body is not valid JSON';
+  } else if (err.code === 'LIMIT_FILE_SIZE') {
+    status = 413;
+    error = 'File too large';
+  } else if (err.code === 'EIO' || /i\/o error/i.test(err.message || '')) {
+    status = 503;
+    error = 'Storage temporarily unavailable';
+  } else if (status < 500) {
+    error = err.expose === false ? http.STATUS_CODES[status] : err.message;
+  } else {
+    status = 500;
+    console.error('API error:', err.message);
+  }
+
+  res.status(status).json(errorBody(status, { error }));
+}
+
+module.exports = {
+  CODES,
+  errorBody,
+  jsonApi,
+  apiNotFound,
+  apiErrorHandler
+};
@@ -0,0 +1,140 @@
+/**
+ * API Token Middleware
+ * Lets scripts call API v1 with "Authorization: Bearer pct_..." instead of
+ * a session cookie (see services/core/apiTokenService)
+ *
+ * A token request gets a session of its own for just that request: the
+ * token's data key goes into the session keyring under a one-off ID and is
+ * removed as soon as the response ends, so the route handlers work the same
+ * for tokens and cookies. No cookie is ever set for a token request.
+ */
+
+const crypto = require('crypto');
+const { PERMISSIONS, hasOwnerPermission } = require('../config/roles');
+const apiTokenService = require('../services/core/apiTokenService');
+const sessionKeyring = require('../services/core/sessionKeyring');
+const { errorBody } = require('./apiErrors');
+
+// Scope each API v1 route needs from a token, matched on the path after /api/v1.
+// Routes not listed here - token management, login, registration, wrapped
+// keys - need a browser session.
+const ROUTE_SCOPES = [
+  ['GET', /^\/auth\/me$/, PERMISSIONS.USER_READ],
+  ['GET', /^\/security\/status$/, PERMISSIONS.USER_READ],
+  ['GET', /^\/storage$/, PERMISSIONS.FILE_READ],
+
+  ['GET', /^\/files\/?$/, PERMISSIONS.FILE_READ],
+  ['GET', /^\/files\/dashboard$/, PERMISSIONS.FILE_READ],
+  ['GET', /^\/files\/download\/[^/]+$/, PERMISSIONS.FILE_DOWNLOAD],
+  ['GET', /^\/files\/[^/]+\/encrypted$/, PERMISSIONS.FILE_DOWNLOAD],
+  ['GET', /^\/files\/[^/]+\/versions$/, PERMISSIONS.FILE_READ],
+  ['GET', /^\/files\/[^/]+\/versions\/[^/]+$/, PERMISSIONS.FILE_DOWNLOAD],
+  ['POST', /^\/files\/(upload|upload-folder|client)$/, PERMISSIONS.FILE_UPLOAD],
+  ['PATCH', /^\/files\/[^/]+$/, PERMISSIONS.FILE_UPDATE],
+  ['POST', /^\/files\/[^/]+\/copy$/, PERMISSIONS.FILE_UPDATE],
+  ['POST', /^\/files\/[^/]+\/versions\/[^/]+\/restore$/, PERMISSIONS.FILE_UPDATE],
+  ['DELETE', /^\/files\/[^/]+(\/versions\/[^/]+)?$/, PERMISSIONS.FILE_DELETE],
+
+  ['GET', /^\/folders(\/[^/]+)?$/, PERMISSIONS.FOLDER_READ],
+  ['POST', /^\/folders$/, PERMISSIONS.FOLDER_CREATE],
+  ['PATCH', /^\/folders\/[^/]+$/, PERMISSIONS.FOLDER_UPDATE],
+  ['POST', /^\/folders\/[^/]+\/restore$/, PERMISSIONS.FOLDER_UPDATE],
+  ['DELETE', /^\/folders\/[^/]+$/, PERMISSIONS.FOLDER_DELETE],
+
+  ['GET', /^\/versions\/retention$/, PERMISSIONS.FILE_READ],
+  ['PUT', /^\/versions\/retention$/, PERMISSIONS.FILE_DELETE],
+
+  ['GET', /^\/trash(\/stats|\/retention)?$/, PERMISSIONS.FILE_READ],
+  ['POST', /^\/trash\/[^/]+\/restore$/, PERMISSIONS.FILE_UPDATE],
+  ['POST', /^\/trash\/[^/]+$/, PERMISSIONS.FILE_DELETE],
+  ['DELETE', /^\/trash(\/[^/]+)?$/, PERMISSIONS.FILE_DELETE],
+  ['PUT', /^\/trash\/retention$/, PERMISSIONS.FILE_DELETE],
+
+  ['GET', /^\/search(\/suggestions)?$/, PERMISSIONS.SEARCH_OWN],
+  ['POST', /^\/search\/reindex$/, PERMISSIONS.SEARCH_OWN],
+
+  ['GET', /^\/thumbnails\/[^/]+$/, PERMISSIONS.FILE_READ],
+  ['POST', /^\/thumbnails\/(batch|[^/]+(\/all)?)$/, PERMISSIONS.FILE_UPDATE],
+
+  ['GET', /^\/backup\/(config\/[^/]+|jobs)$/, PERMISSIONS.SYSTEM_BACKUP],
+  ['POST', /^\/backup\/(config|create|restore|test)$/, PERMISSIONS.SYSTEM_BACKUP]
+];
+
+/**
+ * Scope a route needs from a token
+ * @returns {string|null} - Scope, or null if tokens can't use the route
+ */
+function scopeFor(method, path) {
+  const route = ROUTE_SCOPES.find(([routeMethod, pattern]) => routeMethod === method && pattern.test(path));
+  return route ? route[2] : null;
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Sign in a request that presents a token
+ * Mounted before express-session, which leaves a request alone once it has
+ * a session. Requests without a token go on to the cookie session.
+ */
+function authenticateToken(req, res, next) {
+  const token = bearerToken(req);
+  if (!token) {
+    return next();
+  }
+
+  const result = apiTokenService.authenticate(token);
+  if (!result.success) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(result.status).json(errorBody(result.status, { error: result.error, code: 'invalid_token' }));
+  }
+
+  const sessionId = `token-${result.tokenId}-${crypto.randomUUID()}`;
+  sessionKeyring.store(sessionId, result.userId, result.dataKey);
+  result.dataKey.fill(0);
+
+  const forgetKey = () => sessionKeyring.remove(sessionId);
+  res.on('finish', forgetKey);
+  res.on('close', forgetKey);
+
+  req.sessionID = sessionId;
+  req.session = {
+    userId: result.userId,
+    username: result.username,
+    destroy(callback) {
+      forgetKey();
+      if (callback) {
+        callback();
+      }
+    }
+  };
+  req.apiToken = { id: result.tokenId, scopes: result.scopes, role: result.role };
+  next();
+}
+
+/**
+ * Hold token requests to the token's scopes
+ * Routes that aren't in ROUTE_SCOPES are closed to tokens, and a scope only
+ * counts while the user's current role still allows it.
+ */
+function requireTokenScope(req, res, next) {
+  if (!req.apiToken) {
+    return next();
+  }
+
+  const scope = scopeFor(req.method === 'HEAD' ? 'GET' : req.method, req.path);
+  if (!scope) {
+    return res.status(403).json({ error: 'This route is not available to API tokens - use the web app' });
+  }
+  if (!req.apiToken.scopes.includes(scope)) {
+    return res.status(403).json({ error: `API token is missing the ${scope} scope`, code: 'insufficient_scope', details: { required: scope } });
+  }
+  if (!hasOwnerPermission(req.apiToken.role, scope)) {
+    return res.status(403).json({ error: `Your role no longer allows the ${scope} scope`, code: 'insufficient_scope', details: { required: scope } });
+  }
+  next();
+}
+
+module.exports = { authenticateToken, requireTokenScope, scopeFor };
@@ -1,7 +1,10 @@
 const { SessionFailureHandler } = require('../services/core/failureDetection');
+const sessionKeyring = require('../services/core/sessionKeyring');
+const { verifyDataKey } = require('../services/core/keyService');
 
 function requireAuth(req, res, next) {
   if (req.session && req.session.userId) {
+    sessionKeyring.touch(req.sessionID);
     return next();
   }
   
@@ -9,6 +12,81 @@ function requireAuth(req, res, next) {
   return SessionFailureHandler.handleSessionExpiry(req, res);
 }
 
+/**
+ * End the session and send the user back to log in
+ */
+function endLockedSession(req, res, message) {
+  req.session.destroy((err) => {
+    if (err) {
+      console.warn('Failed to destroy locked session:', err.message);
+    }
+
+    const action = 'Please log in again with your password to unlock your files.';
+
+    if (req.xhr || req.headers.accept?.includes('application/json')) {
+      return res.status(401).json({ error: message, action, redirectTo: '/auth/login' });
+    }
+
+    res.status(401).render('error', { message, action, showLoginButton: true });
+  });
+}
+
+/**
+ * Reject a session whose unlocked key no longer matches the account
+ * (e.g. the database was restored from another backup while logged in)
+ */
+function rejectMismatchedKey(req, res) {
+  sessionKeyring.remove(req.sessionID);
+  console.warn(`🔑 Unlocked key for ${req.session.username} does not match the account's key check`);
+  endLockedSession(req, res, 'Your encryption key no longer matches your account');
+}
+
+/**
+ * Require an unlocked data key for this session
+ * Keys are dropped after inactivity or a server restart; the password is
+ * needed to unlock them again, so the session is ended and the user logs in.
+ */
+function requireUnlockedKey(req, res, next) {
+  const dataKey = sessionKeyring.get(req.sessionID, req.session.userId);
+  
+  if (dataKey) {
+    const matches = verifyDataKey(req.session.userId, dataKey);
+    dataKey.fill(0);
+    return matches ? next() : rejectMismatchedKey(req, res);
+  }
+  
+  console.warn(`🔒 Encryption key locked for ${req.session.username} (idle timeout or restart)`);
+  endLockedSession(req, res, 'Your encryption key was locked after a period of inactivity');
+}
+
+/**
+ * Run fn with this session's data key, wiping the key once fn is done
+ * (fn may return a promise). A key that was dropped since
+ * requireUnlockedKey ran is handled by requireUnlockedKey again.
+ * Returns fn's result, or undefined when the request was handed off.
+ */
+function withDataKey(req, res, next, fn) {
+  const dataKey = sessionKeyring.get(req.sessionID, req.session.userId);
+  if (!dataKey) {
+    requireUnlockedKey(req, res, next);
+    return undefined;
+  }
+  
+  let result;
+  try {
+    result = fn(dataKey);
+  } catch (error) {
+    dataKey.fill(0);
+    throw error;
+  }
+  
+  if (result && typeof result.then === 'function') {
+    return result.finally(() => dataKey.fill(0));
+  }
+  dataKey.fill(0);
+  return result;
+}
+
 function redirectIfAuth(req, res, next) {
   if (req.session && req.session.userId) {
     return res.redirect('/files');
@@ -16,4 +94,4 @@ function redirectIfAuth(req, res, next) {
   next();
 }
 
-module.exports = { requireAuth, redirectIfAuth };
+module.exports = { requireAuth, requireUnlockedKey, withDataKey, rejectMismatchedKey, redirectIfAuth };
@@ -0,0 +1,108 @@
+/**
+ * Encrypted upload storage for PocketCloud
+ * A multer storage engine that encrypts each file part as it streams in, so
+ * plaintext never touches the drive. The ciphertext is written to
+ * "<name>.enc.tmp" and renamed into place only once the whole part has been
+ * encrypted; a crash leaves at most a partial .tmp, removed at startup.
+ *
+ * multer's fileFilter and fileSize limit still apply mid-stream: a rejected
+ * or oversized part is never renamed into place.
+ *
+ * multer's fileSize limit fails the whole request. Multi-file uploads that
+ * should carry on past an oversized file pass maxFileSize instead: the part
+ * is drained and discarded, and its entry in req.files gets `rejected`
+ * (the reason) and no path.
+ *
+ * req.file gets, on top of multer's fields:
+ *   filename / path  - final .enc name and path
+ *   size             - plaintext bytes
+ *   keyId            - file key ID (see generateFileKeyId)
+ *   iv, authTag, format - as returned by encryptFileStream
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { Transform } = require('stream');
+const { getUserStoragePath, storageFilename } = require('../config/storage');
+const { encryptFileStream, generateFileKeyId } = require('../services/core/cryptoService');
+const sessionKeyring = require('../services/core/sessionKeyring');
+const { getUserKeys } = require('../services/core/keyService');
+
+async function encryptPart(req, file, { maxFileSize } = {}) {
+  // Key may have idled out since requireUnlockedKey ran
+  const dataKey = sessionKeyring.get(req.sessionID, req.session.userId);
+  if (!dataKey) {
+    const error = new Error('Encryption not available. Please log out and log back in.');
+    error.status = 401;
+    throw error;
+  }
+
+  const filename = storageFilename();
+  const finalPath = path.join(getUserStoragePath(req.session.userId), filename);
+  const tempPath = `${finalPath}.tmp`;
+  const keyId = generateFileKeyId();
+
+  console.log(`🔐 Encrypting upload (streaming): ${file.originalname}`);
+
+  let size = 0;
+  let tooLarge = false;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (maxFileSize !== undefined && size > maxFileSize) {
+        tooLarge = true;
+        return callback(new Error('File too large'));
+      }
+      callback(null, chunk);
+    }
+  });
+  file.stream.on('error', error => counter.destroy(error));
+  file.stream.pipe(counter);
+
+  let encryption;
+  try {
+    // The owner's KDF params go into the file header for offline recovery
+    const { kdfParams } = getUserKeys(req.session.userId);
+    encryption = await encryptFileStream(counter, tempPath, dataKey, keyId, { kdf: kdfParams });
+  } catch (error) {
+    if (!tooLarge) {
+      throw error;
+    }
+    // encryptFileStream already removed the .tmp - skip the rest of the part
+    file.stream.unpipe(counter);
+    file.stream.resume();
+    return { rejected: `File too large. Maximum size is ${(maxFileSize / (1024 * 1024)).toFixed(0)}MB`, size };
+  } finally {
+    dataKey.fill(0);
+  }
+
+  // Over the size limit: busboy ends the stream early and multer reports LIMIT_FILE_SIZE
+  if (file.stream.truncated) {
+    await fs.remove(tempPath);
+    throw new Error('Upload exceeded the size limit');
+  }
+
+  await fs.rename(tempPath, finalPath);
+  return { filename, path: finalPath, size, keyId, ...encryption };
+}
+
+/**
+ * @param {Object} [options] - { maxFileSize } to reject oversized parts one by one
+ */
+function encryptedStorage(options = {}) {
+  return {
+    _handleFile(req, file, cb) {
+      encryptPart(req, file, options).then(info => cb(null, info), cb);
+    },
+
+    _removeFile(req, file, cb) {
+      // Parts that failed part-way have no path - their .tmp is already gone
+      if (!file.path) {
+        return cb(null);
+      }
+      fs.remove(file.path).then(() => cb(null), cb);
+    }
+  };
+}
+
+module.exports = { encryptedStorage };
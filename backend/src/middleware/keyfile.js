@@ -0,0 +1,52 @@
+/**
+ * Keyfile upload middleware for PocketCloud
+ * Parses a multipart form with an optional "keyfile" field. The file is held
+ * in memory only and replaced by its digest:
+ *   req.keyfileHash  - Buffer digest (see hashKeyfile) or null
+ *   req.keyfileError - message to show instead, or null
+ * The digest is zeroed once the response is sent.
+ */
+
+const multer = require('multer');
+const { hashKeyfile, KEYFILE_MAX_SIZE } = require('../services/core/cryptoService');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: KEYFILE_MAX_SIZE, files: 1 }
+}).single('keyfile');
+
+function keyfileUpload(req, res, next) {
+  upload(req, res, (err) => {
+    req.keyfileHash = null;
+    req.keyfileError = null;
+
+    if (err) {
+      req.keyfileError = err.code === 'LIMIT_FILE_SIZE'
+        ? 'Keyfile must be 1 MB or smaller'
+        : 'Keyfile could not be read';
+      return next();
+    }
+
+    // An empty file input still submits a part with no bytes
+    if (req.file && req.file.size > 0) {
+      try {
+        req.keyfileHash = hashKeyfile(req.file.buffer);
+      } catch (error) {
+        req.keyfileError = error.message;
+      }
+    }
+    if (req.file) {
+      req.file.buffer.fill(0);
+      req.file = undefined;
+    }
+
+    res.on('finish', () => {
+      if (req.keyfileHash) {
+        req.keyfileHash.fill(0);
+      }
+    });
+    next();
+  });
+}
+
+module.exports = { keyfileUpload };
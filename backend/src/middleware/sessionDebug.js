@@ -3,6 +3,8 @@
  * Helps diagnose cross-device access issues
  */
 
+const sessionKeyring = require('../services/core/sessionKeyring');
+
 /**
  * Enhanced authentication middleware with debugging
  */
@@ -23,11 +25,9 @@ function requireAuthWithDebug(req, res, next) {
   
   // Enhanced validation for encrypted file operations
   if (req.path.includes('/download/') || req.path.includes('/upload')) {
-    if (!req.session.password || !req.session.encryptionSalt) {
+    if (!sessionKeyring.has(req.sessionID, req.session.userId)) {
       console.warn(`❌ Encryption keys missing for user: ${req.session.username}`);
       console.warn(`   Session ID: ${req.sessionID}`);
-      console.warn(`   Has password: ${!!req.session.password}`);
-      console.warn(`   Has salt: ${!!req.session.encryptionSalt}`);
       console.warn(`   URL: ${req.originalUrl}`);
       console.warn(`   IP: ${req.ip}`);
       console.warn(`   User-Agent: ${req.get('User-Agent')?.substring(0, 100)}`);
@@ -45,7 +45,7 @@ function requireAuthWithDebug(req, res, next) {
   if (process.env.NODE_ENV === 'development' || process.env.DEBUG_SESSIONS) {
     console.log(`✓ Auth success: ${req.session.username} (${req.method} ${req.originalUrl})`);
     console.log(`   Session ID: ${req.sessionID}`);
-    console.log(`   Has encryption keys: ${!!(req.session.password && req.session.encryptionSalt)}`);
+    console.log(`   Has encryption keys: ${sessionKeyring.has(req.sessionID, req.session.userId)}`);
   }
   
   next();
@@ -61,8 +61,7 @@ function logSessionInfo(req, res, next) {
     console.log(`   Session ID: ${req.sessionID}`);
     console.log(`   User ID: ${req.session?.userId || 'none'}`);
     console.log(`   Username: ${req.session?.username || 'none'}`);
-    console.log(`   Has password: ${!!req.session?.password}`);
-    console.log(`   Has salt: ${!!req.session?.encryptionSalt}`);
+    console.log(`   Key unlocked: ${sessionKeyring.has(req.sessionID, req.session?.userId)}`);
     console.log(`   IP: ${req.ip}`);
     console.log(`   User-Agent: ${req.get('User-Agent')?.substring(0, 100)}`);
   }
@@ -73,7 +72,7 @@ function logSessionInfo(req, res, next) {
  * Middleware to validate encryption readiness
  */
 function requireEncryption(req, res, next) {
-  if (!req.session?.password || !req.session?.encryptionSalt) {
+  if (!sessionKeyring.has(req.sessionID, req.session?.userId)) {
     console.error(`❌ Encryption not ready for ${req.session?.username || 'unknown user'}`);
     
     return res.status(401).render('error', {
@@ -19,6 +19,23 @@ function validateFileId(req, res, next) {
   next();
 }
 
+/**
+ * Validate folder ID parameter
+ */
+function validateFolderId(req, res, next) {
+  const folderId = parseInt(req.params.folderId);
+  
+  if (isNaN(folderId) || folderId <= 0) {
+    return res.status(400).json({ 
+      error: 'Invalid folder ID',
+      details: 'Folder ID must be a positive integer'
+    });
+  }
+  
+  req.folderId = folderId;
+  next();
+}
+
 /**
  * Validate pagination parameters
  */
@@ -186,6 +203,7 @@ function sanitizeInput(req, res, next) {
 
 module.exports = {
   validateFileId,
+  validateFolderId,
   validatePagination,
   validateThumbnailSize,
   validateFileIds,
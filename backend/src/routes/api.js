@@ -1,20 +1,27 @@
 /**
  * API Routes for Single-User Advanced Features
+ * - Folders
  * - Advanced Search with Indexing
  * - Cloud Backup Integration
+ * - Client-side (browser) encryption
  */
 
 const express = require('express');
+const path = require('path');
+const fs = require('fs-extra');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const router = express.Router();
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireUnlockedKey, withDataKey } = require('../middleware/auth');
+const { uploadLimiter, downloadLimiter } = require('../middleware/rateLimiter');
 const { requirePermission, requireAnyPermission, requireAllPermissions } = require('../middleware/rbac');
 const { PERMISSIONS } = require('../config/roles');
 const {
   validateFileId,
+  validateFolderId,
   validatePagination,
   validateThumbnailSize,
   validateFileIds,
-  validateKeepStrategy,
   validateSearchQuery,
   validateBackupProvider,
   sanitizeInput
@@ -22,12 +29,417 @@ const {
 const searchService = require('../services/core/searchService');
 const cloudBackupService = require('../services/core/cloudBackupService');
 const trashService = require('../services/core/trashService');
+const folderService = require('../services/core/folderService');
+const fileService = require('../services/core/fileService');
+const fileListService = require('../services/core/fileListService');
+const versionService = require('../services/core/versionService');
+const realtimeSyncService = require('../services/automation/realtimeSyncService');
 const thumbnailService = require('../services/media/thumbnailService');
-const duplicateService = require('../services/core/duplicateService');
+const clientEncryptionService = require('../services/core/clientEncryptionService');
+const { canUpload } = require('../services/core/storageService');
+const { getUserStoragePath, storageFilename } = require('../config/storage');
+const { getDatabase } = require('../config/database');
+const { ensureInside } = require('../utils/security');
+const { decryptFileStream, fileKeyId, FORMAT_LEGACY, FORMAT_SEGMENTED } = require('../services/core/cryptoService');
+const config = require('../config/config');
 
 // Apply sanitization to all routes
 router.use(sanitizeInput);
 
+// ============================================================================
+// FOLDER ROUTES
+// ============================================================================
+
+/**
+ * Folder reference from a request body: undefined if absent, null for the
+ * top level, NaN if it isn't a folder ID
+ */
+function parseParentId(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === '') {
+    return null;
+  }
+  const id = parseInt(value);
+  return id > 0 ? id : NaN;
+}
+
+/**
+ * Folder contents for GET /api/folders and /api/folders/:folderId
+ * Query: sort, order, mimetype, from, to, cursor, limit (see fileListService)
+ */
+function sendFolderContents(req, res, next, folderId) {
+  const list = fileListService.parseListOptions(req.query);
+  if (!list.success) {
+    return res.status(list.status).json({ error: list.error });
+  }
+  
+  const result = withDataKey(req, res, next, dataKey =>
+    folderService.getFolderContents(req.session.userId, folderId, dataKey, list.options)
+  );
+  if (!result) {
+    return;
+  }
+  
+  if (result.success) {
+    const { folder, permission, breadcrumbs, folders, files, nextCursor, totalFiles } = result;
+    res.json({ folder, permission, breadcrumbs, folders, files, nextCursor, totalFiles });
+  } else {
+    res.status(result.status).json({ error: result.error });
+  }
+}
+
+/**
+ * GET /api/folders - Top-level folders and the first page of files
+ */
+router.get('/folders', requireAuth, requireUnlockedKey, requirePermission(PERMISSIONS.FOLDER_READ), (req, res, next) => {
+  sendFolderContents(req, res, next, null);
+});
+
+/**
+ * GET /api/folders/:folderId - A folder's subfolders, breadcrumbs and a page of its files
+ */
+router.get('/folders/:folderId', requireAuth, requireUnlockedKey, requirePermission(PERMISSIONS.FOLDER_READ), validateFolderId, (req, res, next) => {
+  sendFolderContents(req, res, next, req.folderId);
+});
+
+/**
+ * POST /api/folders - Create a folder
+ * Body: { name, parentId?, description?, color? }
+ */
+router.post('/folders', requireAuth, requireUnlockedKey, (req, res, next) => {
+  const { name, description, color } = req.body;
+  const parentId = parseParentId(req.body.parentId);
+  
+  if (Number.isNaN(parentId)) {
+    return res.status(400).json({ error: 'Invalid parent folder ID' });
+  }
+  
+  const result = withDataKey(req, res, next, dataKey =>
+    folderService.createFolder(req.session.userId, { name, parentId: parentId === undefined ? null : parentId, description, color }, dataKey)
+  );
+  if (!result) {
+    return;
+  }
+  
+  if (result.success) {
+    realtimeSyncService.folderCreated(result.folder, req.session.userId);
+    res.status(201).json({ folder: result.folder });
+  } else {
+    res.status(result.status).json({ error: result.error });
+  }
+});
+
+/**
+ * PATCH /api/folders/:folderId - Rename, move or describe a folder
+ * Body: any of { name, parentId (null: top level), description, color }
+ */
+router.patch('/folders/:folderId', requireAuth, requireUnlockedKey, validateFolderId, (req, res, next) => {
+  const changes = {};
+  for (const field of ['name', 'description', 'color']) {
+    if (req.body[field] !== undefined) {
+      changes[field] = req.body[field];
+    }
+  }
+  
+  const parentId = parseParentId(req.body.parentId);
+  if (Number.isNaN(parentId)) {
+    return res.status(400).json({ error: 'Invalid parent folder ID' });
+  }
+  if (parentId !== undefined) {
+    changes.parentId = parentId;
+  }
+  
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'Nothing to change' });
+  }
+  
+  const result = withDataKey(req, res, next, dataKey =>
+    folderService.updateFolder(req.session.userId, req.folderId, changes, dataKey)
+  );
+  if (!result) {
+    return;
+  }
+  
+  if (result.success) {
+    realtimeSyncService.folderUpdated(result.folder, req.session.userId, changes);
+    res.json({ folder: result.folder, changes: result.changes });
+  } else {
+    res.status(result.status).json({ error: result.error });
+  }
+});
+
+/**
+ * DELETE /api/folders/:folderId - Move a folder and everything in it to trash
+ */
+router.delete('/folders/:folderId', requireAuth, validateFolderId, async (req, res) => {
+  try {
+    const result = await folderService.trashFolder(req.session.userId, req.folderId);
+    
+    if (result.success) {
+      realtimeSyncService.folderDeleted(req.folderId, null, req.session.userId);
+      res.json({ message: result.message, folders: result.folders, files: result.files, parentId: result.folder.parent_id });
+    } else {
+      res.status(result.status).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Delete folder error:', error);
+    res.status(500).json({ error: 'Failed to delete folder' });
+  }
+});
+
+/**
+ * POST /api/folders/:folderId/restore - Restore a folder and its contents from trash
+ */
+router.post('/folders/:folderId/restore', requireAuth, validateFolderId, async (req, res) => {
+  try {
+    const result = await folderService.restoreFolder(req.session.userId, req.folderId);
+    
+    if (result.success) {
+      res.json({ message: result.message, folders: result.folders, files: result.files });
+    } else {
+      res.status(result.status).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Restore folder error:', error);
+    res.status(500).json({ error: 'Failed to restore folder' });
+  }
+});
+
+// ============================================================================
+// FILE ROUTES
+// ============================================================================
+
+/**
+ * PATCH /api/files/:fileId - Rename a file or move it to another folder
+ * Body: any of { filename, folderId (null: top level) }
+ */
+router.patch('/files/:fileId', requireAuth, requireUnlockedKey, validateFileId, async (req, res, next) => {
+  const changes = {};
+  if (req.body.filename !== undefined) {
+    changes.filename = req.body.filename;
+  }
+  
+  const folderId = parseParentId(req.body.folderId);
+  if (Number.isNaN(folderId)) {
+    return res.status(400).json({ error: 'Invalid folder ID' });
+  }
+  if (folderId !== undefined) {
+    changes.folderId = folderId;
+  }
+  
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'Nothing to change' });
+  }
+  
+  const result = await withDataKey(req, res, next, dataKey =>
+    fileService.updateFile(req.session.userId, req.fileId, changes, dataKey, req)
+  );
+  if (!result) {
+    return;
+  }
+  
+  if (result.success) {
+    res.json({ file: result.file, changes: result.changes });
+  } else {
+    res.status(result.status).json({ error: result.error });
+  }
+});
+
+/**
+ * POST /api/files/:fileId/copy - Duplicate a file under a new file key
+ * Body: any of { folderId (null: top level), filename }
+ */
+router.post('/files/:fileId/copy', requireAuth, requireUnlockedKey, validateFileId, async (req, res, next) => {
+  const uploadCheck = await canUpload();
+  if (!uploadCheck.allowed) {
+    return res.status(507).json({ error: `Copy blocked: ${uploadCheck.reason}` });
+  }
+  
+  const options = {};
+  if (req.body.filename !== undefined) {
+    options.filename = req.body.filename;
+  }
+  
+  const folderId = parseParentId(req.body.folderId);
+  if (Number.isNaN(folderId)) {
+    return res.status(400).json({ error: 'Invalid folder ID' });
+  }
+  if (folderId !== undefined) {
+    options.folderId = folderId;
+  }
+  
+  const result = await withDataKey(req, res, next, dataKey =>
+    fileService.copyFile(req.session.userId, req.fileId, options, dataKey, req)
+  );
+  if (!result) {
+    return;
+  }
+  
+  if (result.success) {
+    res.status(201).json({ file: result.file });
+  } else {
+    res.status(result.status).json({ error: result.error });
+  }
+});
+
+/**
+ * DELETE /api/files/:fileId - Move a file to trash (see the trash routes to restore or purge it)
+ */
+router.delete('/files/:fileId', requireAuth, validateFileId, async (req, res) => {
+  const result = await trashService.moveToTrash(req.fileId, req.session.userId, req);
+  
+  if (result.success) {
+    realtimeSyncService.fileDeleted(req.fileId, null, req.session.userId);
+    res.json({ message: result.message, folderId: result.folderId });
+  } else {
+    res.status(result.status).json({ error: result.error });
+  }
+});
+
+// ============================================================================
+// VERSION ROUTES
+// ============================================================================
+
+/**
+ * Version number from the URL (sets req.version)
+ */
+function validateVersion(req, res, next) {
+  const version = parseInt(req.params.version);
+  if (!(version > 0)) {
+    return res.status(400).json({ error: 'Invalid version' });
+  }
+  req.version = version;
+  next();
+}
+
+/**
+ * GET /api/files/:fileId/versions - All versions of a file, newest first
+ */
+router.get('/files/:fileId/versions', requireAuth, validateFileId, (req, res) => {
+  const result = versionService.listVersions(req.session.userId, req.fileId);
+  if (result.success) {
+    res.json({ versions: result.versions, retention: versionService.getRetention(req.session.userId) });
+  } else {
+    res.status(result.status).json({ error: result.error });
+  }
+});
+
+/**
+ * GET /api/files/:fileId/versions/:version - Download one version
+ */
+router.get('/files/:fileId/versions/:version', requireAuth, requireUnlockedKey, downloadLimiter, validateFileId, validateVersion, async (req, res, next) => {
+  try {
+    await withDataKey(req, res, next, async dataKey => {
+      const version = versionService.getVersion(req.session.userId, req.fileId, req.version, dataKey);
+      if (!version) {
+        return res.status(404).json({ error: 'Version not found' });
+      }
+      
+      const userPath = getUserStoragePath(req.session.userId);
+      const filePath = path.join(userPath, version.filepath);
+      ensureInside(userPath, filePath);
+      
+      if (!await fs.pathExists(filePath)) {
+        return res.status(404).json({ error: 'Version not found on storage' });
+      }
+      
+      const ext = path.extname(version.filename);
+      const filename = version.isCurrent ? version.filename : `${path.basename(version.filename, ext)} (v${version.version})${ext}`;
+      
+      if (!version.encrypted) {
+        return res.download(filePath, filename);
+      }
+      
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Type', version.mimetype || 'application/octet-stream');
+      res.setHeader('Content-Length', version.size);
+      
+      await decryptFileStream(
+        filePath,
+        res,
+        dataKey,
+        fileKeyId({ keyId: version.key_id, userId: req.session.userId, id: version.file_id }),
+        version.iv,
+        version.auth_tag,
+        { format: version.format_version || FORMAT_LEGACY }
+      );
+    });
+  } catch (error) {
+    console.error('Version download error:', error.message);
+    if (!res.headersSent) {
+      res.status(error.name === 'CryptoIntegrityError' ? 422 : 500).json({ error: 'Failed to download version' });
+    }
+  }
+});
+
+/**
+ * POST /api/files/:fileId/versions/:version/restore - Make an older version current again
+ */
+router.post('/files/:fileId/versions/:version/restore', requireAuth, validateFileId, validateVersion, async (req, res) => {
+  try {
+    const result = await versionService.restoreVersion(req.session.userId, req.fileId, req.version, req);
+    
+    if (result.success) {
+      res.json({ message: `Version ${req.version} restored as version ${result.version}`, version: result.version });
+    } else {
+      res.status(result.status).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Restore version error:', error);
+    res.status(500).json({ error: 'Failed to restore version' });
+  }
+});
+
+/**
+ * DELETE /api/files/:fileId/versions/:version - Delete an older version
+ */
+router.delete('/files/:fileId/versions/:version', requireAuth, validateFileId, validateVersion, async (req, res) => {
+  try {
+    const result = await versionService.deleteVersion(req.session.userId, req.fileId, req.version, req);
+    
+    if (result.success) {
+      res.json({ message: `Version ${req.version} deleted` });
+    } else {
+      res.status(result.status).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Delete version error:', error);
+    res.status(500).json({ error: 'Failed to delete version' });
+  }
+});
+
+/**
+ * GET /api/versions/retention - How long older versions are kept, and the space they take
+ */
+router.get('/versions/retention', requireAuth, (req, res) => {
+  res.json({
+    retention: versionService.getRetention(req.session.userId),
+    usage: versionService.getVersionUsage(req.session.userId)
+  });
+});
+
+/**
+ * PUT /api/versions/retention - Change how long older versions are kept
+ * Body: { keepVersions, keepDays } - either may be null (no limit), not both
+ */
+router.put('/versions/retention', requireAuth, async (req, res) => {
+  try {
+    const { keepVersions = null, keepDays = null } = req.body;
+    const result = await versionService.setRetention(req.session.userId, { keepVersions, keepDays });
+    
+    if (result.success) {
+      res.json({ retention: result.retention, removed: result.removed, usage: versionService.getVersionUsage(req.session.userId) });
+    } else {
+      res.status(result.status).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Version retention error:', error);
+    res.status(500).json({ error: 'Failed to update version retention' });
+  }
+});
+
 // ============================================================================
 // TRASH/RECYCLE BIN ROUTES
 // ============================================================================
@@ -37,12 +449,13 @@ router.use(sanitizeInput);
  */
 router.post('/trash/:fileId', requireAuth, validateFileId, async (req, res) => {
   try {
-    const result = await trashService.moveToTrash(req.fileId, req.session.userId);
+    const result = await trashService.moveToTrash(req.fileId, req.session.userId, req);
     
     if (result.success) {
-      res.json({ message: result.message });
+      realtimeSyncService.fileDeleted(req.fileId, null, req.session.userId);
+      res.json({ message: result.message, folderId: result.folderId });
     } else {
-      res.status(400).json({ error: result.error });
+      res.status(result.status).json({ error: result.error });
     }
   } catch (error) {
     console.error('Move to trash error:', error);
@@ -52,15 +465,16 @@ router.post('/trash/:fileId', requireAuth, validateFileId, async (req, res) => {
 
 /**
  * POST /api/trash/:fileId/restore - Restore file from trash
+ * It goes back to its folder; folderId in the response is null if that folder is gone.
  */
 router.post('/trash/:fileId/restore', requireAuth, validateFileId, async (req, res) => {
   try {
-    const result = await trashService.restoreFromTrash(req.fileId, req.session.userId);
+    const result = await trashService.restoreFromTrash(req.fileId, req.session.userId, req);
     
     if (result.success) {
-      res.json({ message: result.message });
+      res.json({ message: result.message, folderId: result.folderId });
     } else {
-      res.status(400).json({ error: result.error });
+      res.status(result.status).json({ error: result.error });
     }
   } catch (error) {
     console.error('Restore from trash error:', error);
@@ -73,12 +487,12 @@ router.post('/trash/:fileId/restore', requireAuth, validateFileId, async (req, r
  */
 router.delete('/trash/:fileId', requireAuth, validateFileId, async (req, res) => {
   try {
-    const result = await trashService.permanentlyDelete(req.fileId, req.session.userId);
+    const result = await trashService.permanentlyDelete(req.fileId, req.session.userId, req);
     
     if (result.success) {
       res.json({ message: result.message });
     } else {
-      res.status(400).json({ error: result.error });
+      res.status(result.status).json({ error: result.error });
     }
   } catch (error) {
     console.error('Permanent delete error:', error);
@@ -88,13 +502,20 @@ router.delete('/trash/:fileId', requireAuth, validateFileId, async (req, res) =>
 
 /**
  * GET /api/trash - Get trash contents
+ * Folders come with everything deleted along with them; ?limit/&offset page the files.
  */
-router.get('/trash', requireAuth, validatePagination, (req, res) => {
+router.get('/trash', requireAuth, requireUnlockedKey, validatePagination, (req, res, next) => {
   try {
-    const result = trashService.getTrash(req.session.userId, req.pagination);
+    const result = withDataKey(req, res, next, dataKey =>
+      trashService.getTrash(req.session.userId, dataKey, req.pagination)
+    );
+    if (!result) {
+      return;
+    }
     
     if (result.success) {
-      res.json({ files: result.files });
+      const { files, folders, totalFiles, totalFolders, retentionDays } = result;
+      res.json({ files, folders, totalFiles, totalFolders, retentionDays });
     } else {
       res.status(500).json({ error: result.error });
     }
@@ -109,10 +530,10 @@ router.get('/trash', requireAuth, validatePagination, (req, res) => {
  */
 router.delete('/trash', requireAuth, async (req, res) => {
   try {
-    const result = await trashService.emptyTrash(req.session.userId);
+    const result = await trashService.emptyTrash(req.session.userId, req);
     
     if (result.success) {
-      res.json({ message: result.message, count: result.count });
+      res.json({ message: result.message, count: result.count, folders: result.folders });
     } else {
       res.status(500).json({ error: result.error });
     }
@@ -140,6 +561,32 @@ router.get('/trash/stats', requireAuth, (req, res) => {
   }
 });
 
+/**
+ * GET /api/trash/retention - Days files stay in trash before they are deleted for good
+ */
+router.get('/trash/retention', requireAuth, (req, res) => {
+  res.json({ days: trashService.getRetentionDays(req.session.userId) });
+});
+
+/**
+ * PUT /api/trash/retention - Change how long files stay in trash
+ * Body: { days } - files already older than that are deleted straight away
+ */
+router.put('/trash/retention', requireAuth, async (req, res) => {
+  try {
+    const result = await trashService.setRetentionDays(req.session.userId, req.body.days);
+    
+    if (result.success) {
+      res.json({ days: result.days, removed: result.removed });
+    } else {
+      res.status(result.status).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Trash retention error:', error);
+    res.status(500).json({ error: 'Failed to update trash retention' });
+  }
+});
+
 // ============================================================================
 // THUMBNAIL ROUTES
 // ============================================================================
@@ -228,136 +675,6 @@ router.post('/thumbnails/batch', requireAuth, validateFileIds, validateThumbnail
   }
 });
 
-// ============================================================================
-// DUPLICATE DETECTION ROUTES
-// ============================================================================
-
-/**
- * GET /api/duplicates - Find duplicate files
- */
-router.get('/duplicates', requireAuth, (req, res) => {
-  try {
-    const result = duplicateService.findDuplicates(req.session.userId);
-    
-    if (result.success) {
-      res.json({
-        duplicates: result.duplicates,
-        totalWasted: result.totalWasted,
-        duplicateCount: result.duplicateCount
-      });
-    } else {
-      res.status(500).json({ error: result.error });
-    }
-  } catch (error) {
-    console.error('Find duplicates error:', error);
-    res.status(500).json({ error: 'Failed to find duplicates' });
-  }
-});
-
-/**
- * GET /api/duplicates/groups - Get duplicate groups
- */
-router.get('/duplicates/groups', requireAuth, (req, res) => {
-  try {
-    const result = duplicateService.getDuplicateGroups(req.session.userId);
-    
-    if (result.success) {
-      res.json({ groups: result.groups });
-    } else {
-      res.status(500).json({ error: result.error });
-    }
-  } catch (error) {
-    console.error('Get duplicate groups error:', error);
-    res.status(500).json({ error: 'Failed to get duplicate groups' });
-  }
-});
-
-/**
- * GET /api/duplicates/stats - Get duplicate statistics
- */
-router.get('/duplicates/stats', requireAuth, (req, res) => {
-  try {
-    const result = duplicateService.getDuplicateStats(req.session.userId);
-    
-    if (result.success) {
-      res.json({ stats: result.stats });
-    } else {
-      res.status(500).json({ error: result.error });
-    }
-  } catch (error) {
-    console.error('Get duplicate stats error:', error);
-    res.status(500).json({ error: 'Failed to get duplicate statistics' });
-  }
-});
-
-/**
- * DELETE /api/duplicates - Delete duplicate files
- */
-router.delete('/duplicates', requireAuth, validateKeepStrategy, async (req, res) => {
-  try {
-    const result = await duplicateService.deleteDuplicates(req.session.userId, req.keepStrategy);
-    
-    if (result.success) {
-      res.json({
-        message: result.message,
-        deletedCount: result.deletedCount,
-        freedSpace: result.freedSpace
-      });
-    } else {
-      res.status(500).json({ error: result.error });
-    }
-  } catch (error) {
-    console.error('Delete duplicates error:', error);
-    res.status(500).json({ error: 'Failed to delete duplicates' });
-  }
-});
-
-/**
- * POST /api/duplicates/scan - Scan all files for duplicates
- */
-router.post('/duplicates/scan', requireAuth, async (req, res) => {
-  try {
-    const result = await duplicateService.scanAllFiles(req.session.userId);
-    
-    if (result.success) {
-      res.json({ message: result.message, processed: result.processed });
-    } else {
-      res.status(500).json({ error: result.error });
-    }
-  } catch (error) {
-    console.error('Scan duplicates error:', error);
-    res.status(500).json({ error: 'Failed to scan for duplicates' });
-  }
-});
-
-/**
- * POST /api/duplicates/check - Check if file is duplicate
- */
-router.post('/duplicates/check', requireAuth, async (req, res) => {
-  try {
-    const { filepath } = req.body;
-    
-    if (!filepath) {
-      return res.status(400).json({ error: 'filepath required' });
-    }
-    
-    const result = await duplicateService.checkDuplicate(filepath, req.session.userId);
-    
-    if (result.success) {
-      res.json({
-        isDuplicate: result.isDuplicate,
-        existingFile: result.existingFile,
-        hash: result.hash
-      });
-    } else {
-      res.status(500).json({ error: result.error });
-    }
-  } catch (error) {
-    console.error('Check duplicate error:', error);
-    res.status(500).json({ error: 'Failed to check for duplicate' });
-  }
-});
-
 // ============================================================================
 // SEARCH ROUTES
 // ============================================================================
@@ -365,20 +682,26 @@ router.post('/duplicates/check', requireAuth, async (req, res) => {
 /**
  * GET /api/search - Search files and folders
  */
-router.get('/search', requireAuth, requirePermission(PERMISSIONS.SEARCH_OWN), (req, res) => {
+router.get('/search', requireAuth, requireUnlockedKey, requirePermission(PERMISSIONS.SEARCH_OWN), (req, res, next) => {
   const { q, type, tags, mimetype, dateFrom, dateTo, sizeMin, sizeMax, limit, offset } = req.query;
   
-  const result = searchService.search(req.session.userId, q, {
-    type,
-    tags: tags ? tags.split(',') : [],
-    mimetype,
-    dateFrom,
-    dateTo,
-    sizeMin: sizeMin ? parseInt(sizeMin) : null,
-    sizeMax: sizeMax ? parseInt(sizeMax) : null,
-    limit: limit ? parseInt(limit) : 50,
-    offset: offset ? parseInt(offset) : 0
-  });
+  // The index is encrypted - search needs the session key
+  const result = withDataKey(req, res, next, dataKey =>
+    searchService.search(req.session.userId, dataKey, q, {
+      type,
+      tags: tags ? tags.split(',') : [],
+      mimetype,
+      dateFrom,
+      dateTo,
+      sizeMin: sizeMin ? parseInt(sizeMin) : null,
+      sizeMax: sizeMax ? parseInt(sizeMax) : null,
+      limit: limit ? parseInt(limit) : 50,
+      offset: offset ? parseInt(offset) : 0
+    })
+  );
+  if (!result) {
+    return;
+  }
   
   if (result.success) {
     res.json({ results: result.results, count: result.count });
@@ -390,14 +713,19 @@ router.get('/search', requireAuth, requirePermission(PERMISSIONS.SEARCH_OWN), (r
 /**
  * GET /api/search/suggestions - Get search suggestions
  */
-router.get('/search/suggestions', requireAuth, (req, res) => {
+router.get('/search/suggestions', requireAuth, requireUnlockedKey, (req, res, next) => {
   const { q, limit } = req.query;
   
   if (!q) {
     return res.json({ suggestions: [] });
   }
   
-  const result = searchService.getSuggestions(req.session.userId, q, limit ? parseInt(limit) : 10);
+  const result = withDataKey(req, res, next, dataKey =>
+    searchService.getSuggestions(req.session.userId, dataKey, q, limit ? parseInt(limit) : 10)
+  );
+  if (!result) {
+    return;
+  }
   
   if (result.success) {
     res.json({ suggestions: result.suggestions });
@@ -409,8 +737,13 @@ router.get('/search/suggestions', requireAuth, (req, res) => {
 /**
  * POST /api/search/reindex - Reindex all content
  */
-router.post('/search/reindex', requireAuth, async (req, res) => {
-  const result = await searchService.reindexAll(req.session.userId);
+router.post('/search/reindex', requireAuth, requireUnlockedKey, async (req, res, next) => {
+  const result = await withDataKey(req, res, next, dataKey =>
+    searchService.reindexAll(req.session.userId, dataKey)
+  );
+  if (!result) {
+    return;
+  }
   
   if (result.success) {
     res.json({ message: 'Reindex completed', indexed: result.indexed });
@@ -529,4 +862,135 @@ router.post('/backup/test', requireAuth, requirePermission(PERMISSIONS.SYSTEM_BA
   }
 });
 
+// ============================================================================
+// CLIENT-SIDE ENCRYPTION ROUTES
+// ============================================================================
+
+/**
+ * GET /api/keys/wrapped - Wrapped data key for unlocking in the browser
+ */
+router.get('/keys/wrapped', requireAuth, (req, res) => {
+  const result = clientEncryptionService.getWrappedKeyMaterial(req.session.userId);
+  
+  if (result.success) {
+    res.set('Cache-Control', 'no-store');
+    res.json(result.material);
+  } else {
+    res.status(409).json({ error: result.error });
+  }
+});
+
+/**
+ * POST /api/files/client - Store a file encrypted in the browser
+ * Body: the segmented ciphertext (application/octet-stream)
+ * Headers: X-PocketCloud-Filename / X-PocketCloud-Mimetype, sealed metadata values;
+ *   X-PocketCloud-Folder-Id to upload into a folder;
+ *   X-PocketCloud-Version-Of to make it a new version of a file in that folder
+ */
+router.post('/files/client', requireAuth, uploadLimiter, async (req, res) => {
+  const uploadCheck = await canUpload();
+  if (!uploadCheck.allowed) {
+    return res.status(507).json({ error: `Upload blocked: ${uploadCheck.reason}` });
+  }
+  
+  const folderId = parseParentId(req.get('X-PocketCloud-Folder-Id'));
+  if (Number.isNaN(folderId)) {
+    return res.status(400).json({ error: 'Invalid folder ID' });
+  }
+  if (folderId && !folderService.getFolder(req.session.userId, folderId)) {
+    return res.status(404).json({ error: 'Folder not found' });
+  }
+  
+  const versionOf = parseParentId(req.get('X-PocketCloud-Version-Of'));
+  if (Number.isNaN(versionOf)) {
+    return res.status(400).json({ error: 'Invalid file ID' });
+  }
+  
+  const limit = clientEncryptionService.maxCiphertextSize(config.MAX_UPLOAD_SIZE);
+  const tooLarge = `File too large. Maximum size is ${(config.MAX_UPLOAD_SIZE / (1024 * 1024)).toFixed(0)}MB`;
+  if (Number(req.headers['content-length']) > limit) {
+    return res.status(413).json({ error: tooLarge });
+  }
+  
+  // Ciphertext goes straight to its final name - there is no plaintext to stage
+  const storageName = storageFilename();
+  const filePath = path.join(getUserStoragePath(req.session.userId), storageName);
+  let received = 0;
+  const sizeLimit = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      callback(received > limit ? new Error(tooLarge) : null, chunk);
+    }
+  });
+  
+  try {
+    await pipeline(req, sizeLimit, fs.createWriteStream(filePath));
+  } catch (error) {
+    await fs.remove(filePath);
+    return res.status(received > limit ? 413 : 400).json({ error: received > limit ? tooLarge : 'Upload was interrupted' });
+  }
+  
+  try {
+    const result = await clientEncryptionService.registerClientFile(req.session.userId, storageName, {
+      filename: req.get('X-PocketCloud-Filename'),
+      mimetype: req.get('X-PocketCloud-Mimetype'),
+      folderId: folderId || null,
+      versionOf: versionOf || null
+    });
+    
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    console.log(`✓ Client-encrypted file stored: #${result.id} (v${result.version}) by ${req.session.username}`);
+    res.status(201).json({ id: result.id, size: result.size, version: result.version });
+  } catch (error) {
+    console.error('Client upload error:', error);
+    await fs.remove(filePath);
+    res.status(500).json({ error: 'Failed to store encrypted file' });
+  }
+});
+
+/**
+ * GET /api/files/:fileId/encrypted - Stored ciphertext, for decrypting in the browser
+ */
+router.get('/files/:fileId/encrypted', requireAuth, validateFileId, downloadLimiter, (req, res) => {
+  try {
+    const db = getDatabase();
+    const result = db.exec(
+      'SELECT filepath, encrypted, format_version, key_id FROM files WHERE id = ? AND user_id = ? AND trashed_at IS NULL',
+      [req.fileId, req.session.userId]
+    );
+    
+    if (result.length === 0 || result[0].values.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    const [filepath, encrypted, format, keyId] = result[0].values[0];
+    
+    // Legacy single-tag files keep their IV and tag in the database
+    if (!encrypted || format !== FORMAT_SEGMENTED) {
+      return res.status(409).json({ error: 'This file can only be decrypted by the server' });
+    }
+    
+    const userPath = getUserStoragePath(req.session.userId);
+    const filePath = path.join(userPath, filepath);
+    ensureInside(userPath, filePath);
+    
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'File not found on storage' });
+    }
+    
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Cache-Control': 'no-store',
+      'X-PocketCloud-File-Id': fileKeyId({ keyId, userId: req.session.userId, id: req.fileId })
+    });
+    res.sendFile(filePath);
+  } catch (error) {
+    console.error('Encrypted download error:', error);
+    res.status(500).json({ error: 'Failed to read encrypted file' });
+  }
+});
+
 module.exports = router;
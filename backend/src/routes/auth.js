@@ -2,8 +2,12 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const { getDatabase, saveDatabase } = require('../config/database');
-const { redirectIfAuth } = require('../middleware/auth');
-const { generateSalt } = require('../services/core/cryptoService');
+const { redirectIfAuth, requireAuth } = require('../middleware/auth');
+const { keyfileUpload } = require('../middleware/keyfile');
+const { getUserKeys, provisionUserKeys, unlockDataKey, changePassword, recoverAccount } = require('../services/core/keyService');
+const sessionKeyring = require('../services/core/sessionKeyring');
+const { migrateUserMetadata } = require('../services/core/metadataService');
+const legacyEncryption = require('../services/core/legacyEncryption');
 
 // Login page
 router.get('/login', redirectIfAuth, (req, res) => {
@@ -11,47 +15,95 @@ router.get('/login', redirectIfAuth, (req, res) => {
 });
 
 // Login handler
-router.post('/login', async (req, res) => {
+// Multipart so an enrolled keyfile can be sent along with the password
+// JSON clients (the API) get the user back instead of a redirect
+router.post('/login', keyfileUpload, async (req, res) => {
   const { username, password } = req.body;
+  const json = req.xhr || req.headers.accept?.includes('application/json');
+  const fail = (status, error, extra = {}) => json
+    ? res.status(status).json({ error, ...extra })
+    : res.render('login', { title: 'Login', error, ...extra });
   
   if (!username || !password) {
-    return res.render('login', { title: 'Login', error: 'Please provide username and password' });
+    return fail(400, 'Please provide username and password');
+  }
+  
+  if (req.keyfileError) {
+    return fail(400, req.keyfileError, { keyfileRequired: true });
   }
   
   try {
     const db = getDatabase();
-    const result = db.exec('SELECT * FROM users WHERE username = ?', [username]);
+    const result = db.exec('SELECT id, username, password, role FROM users WHERE username = ?', [username]);
     
     if (result.length === 0 || result[0].values.length === 0) {
-      return res.render('login', { title: 'Login', error: 'Invalid credentials' });
+      return fail(401, 'Invalid credentials');
     }
     
     const user = {
       id: result[0].values[0][0],
       username: result[0].values[0][1],
       password: result[0].values[0][2],
-      encryptionSalt: result[0].values[0][3]
+      role: result[0].values[0][3]
     };
     
     const validPassword = await bcrypt.compare(password, user.password);
     
     if (!validPassword) {
-      return res.render('login', { title: 'Login', error: 'Invalid credentials' });
+      return fail(401, 'Invalid credentials');
     }
     
-    // Store session data including encryption salt and raw password
-    // WARNING: Storing password in session is necessary for zero-knowledge encryption
-    // Session is server-side only (not sent to client)
-    req.session.userId = user.id;
-    req.session.username = user.username;
-    req.session.encryptionSalt = user.encryptionSalt;
-    req.session.password = password; // Needed for file decryption
+    // Unlock the data key once (migrates pre-envelope accounts on first login)
+    let dataKey;
+    try {
+      dataKey = await unlockDataKey(user.id, password, req.keyfileHash);
+    } catch (error) {
+      if (error.name === 'KeyfileError') {
+        console.warn(`Login: keyfile ${req.keyfileHash ? 'rejected' : 'missing'} for ${username}`);
+        return fail(
+          401,
+          `${error.message}. If it is lost, reset your password with your recovery key - that also removes the keyfile.`,
+          { keyfileRequired: true }
+        );
+      }
+      if (error.name === 'KeyMismatchError') {
+        // Password hash and encryption key are out of sync - files are fine, the key is wrong
+        console.error(`Login: password for ${username} does not unlock the account's encryption key`);
+        return fail(409, 'Your password does not unlock the encryption key your files use. Use your recovery key to reset it.');
+      }
+      if (error.name !== 'KeyUnlockError') {
+        throw error;
+      }
+      console.error(`Login: encryption key could not be unlocked for ${username}`);
+      return fail(500, 'Your encryption key could not be unlocked. Contact your administrator.');
+    }
+    
+    // New session ID on login (session fixation would otherwise hand over the key)
+    try {
+      // Encrypt metadata rows from before metadata encryption (no-op once done)
+      migrateUserMetadata(user.id, dataKey);
+      
+      await new Promise((resolve, reject) => req.session.regenerate(err => err ? reject(err) : resolve()));
+      
+      // The password is not kept - only the unlocked key, in process memory
+      req.session.userId = user.id;
+      req.session.username = user.username;
+      sessionKeyring.store(req.sessionID, user.id, dataKey, req.session.cookie.expires);
+    } finally {
+      dataKey.fill(0);
+    }
+    
+    // Files from before encryption existed are encrypted in the background
+    legacyEncryption.queueUser(req.sessionID, user.id);
     
     console.log(`✓ User logged in: ${username} (encryption ready)`);
+    if (json) {
+      return res.json({ user: { id: user.id, username: user.username, role: user.role } });
+    }
     res.redirect('/files');
   } catch (error) {
     console.error('Login error:', error);
-    res.render('login', { title: 'Login', error: 'Login failed' });
+    fail(500, 'Login failed');
   }
 });
 
@@ -61,19 +113,24 @@ router.get('/register', redirectIfAuth, (req, res) => {
 });
 
 // Register handler
+// JSON clients get the new user (and recovery words, if asked for) instead of a page
 router.post('/register', async (req, res) => {
-  const { username, password, confirmPassword } = req.body;
+  const { username, password, confirmPassword, createRecoveryKey } = req.body;
+  const json = req.xhr || req.headers.accept?.includes('application/json');
+  const fail = (status, error) => json
+    ? res.status(status).json({ error })
+    : res.render('register', { title: 'Register', error });
   
   if (!username || !password || !confirmPassword) {
-    return res.render('register', { title: 'Register', error: 'All fields are required' });
+    return fail(400, 'All fields are required');
   }
   
   if (password !== confirmPassword) {
-    return res.render('register', { title: 'Register', error: 'Passwords do not match' });
+    return fail(400, 'Passwords do not match');
   }
   
   if (password.length < 6) {
-    return res.render('register', { title: 'Register', error: 'Password must be at least 6 characters' });
+    return fail(400, 'Password must be at least 6 characters');
   }
   
   try {
@@ -82,24 +139,168 @@ router.post('/register', async (req, res) => {
     // Check if username exists
     const existing = db.exec('SELECT id FROM users WHERE username = ?', [username]);
     if (existing.length > 0 && existing[0].values.length > 0) {
-      return res.render('register', { title: 'Register', error: 'Username already exists' });
+      return fail(409, 'Username already exists');
     }
     
     // Hash password for authentication
     const hashedPassword = await bcrypt.hash(password, 10);
     
-    // Generate encryption salt for file encryption
-    const encryptionSalt = generateSalt().toString('hex');
+    // Generate encryption salt and wrapped data key for file encryption
+    const withRecovery = createRecoveryKey === 'true' || createRecoveryKey === true;
+    const keys = await provisionUserKeys(password, { withRecovery });
     
-    db.run('INSERT INTO users (username, password, encryption_salt) VALUES (?, ?, ?)', 
-      [username, hashedPassword, encryptionSalt]);
+    db.run(
+      `INSERT INTO users (username, password, encryption_salt, wrapped_data_key, kdf_params, key_check, recovery_salt, recovery_wrapped_key, recovery_created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ${withRecovery ? 'CURRENT_TIMESTAMP' : 'NULL'})`,
+      [username, hashedPassword, keys.encryptionSalt, keys.wrappedDataKey, keys.kdfParams, keys.keyCheck,
+        keys.recoverySalt || null, keys.recoveryWrappedKey || null]
+    );
+    const userId = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
     saveDatabase();
     
-    console.log(`✓ User registered: ${username} (encryption enabled)`);
-    res.redirect('/auth/login');
+    console.log(`✓ User registered: ${username} (encryption enabled${withRecovery ? ', recovery key created' : ''})`);
+    
+    if (json) {
+      // Shown once - the words are not stored anywhere
+      res.set('Cache-Control', 'no-store');
+      return res.status(201).json({
+        user: { id: userId, username },
+        ...(withRecovery ? { recoveryWords: keys.recoveryWords } : {})
+      });
+    }
+    
+    if (!withRecovery) {
+      return res.redirect('/auth/login');
+    }
+    
+    // Shown once - the words are not stored anywhere
+    res.set('Cache-Control', 'no-store');
+    res.render('recovery-kit', {
+      title: 'Recovery Kit',
+      username,
+      words: keys.recoveryWords,
+      createdAt: new Date().toLocaleString(),
+      continueUrl: '/auth/login'
+    });
   } catch (error) {
     console.error('Registration error:', error);
-    res.render('register', { title: 'Register', error: 'Registration failed' });
+    fail(500, 'Registration failed');
+  }
+});
+
+// Account recovery page
+router.get('/recover', redirectIfAuth, (req, res) => {
+  res.render('recover', { title: 'Recover Account', error: null });
+});
+
+// Account recovery handler
+// Resets the password with the recovery key - files are untouched
+router.post('/recover', redirectIfAuth, async (req, res) => {
+  const { username, recoveryKey, newPassword, confirmPassword } = req.body;
+  const render = (status, error) =>
+    res.status(status).render('recover', { title: 'Recover Account', error, username });
+  
+  if (!username || !recoveryKey || !newPassword || !confirmPassword) {
+    return render(400, 'All fields are required');
+  }
+  
+  if (newPassword !== confirmPassword) {
+    return render(400, 'New passwords do not match');
+  }
+  
+  if (newPassword.length < 6) {
+    return render(400, 'Password must be at least 6 characters');
+  }
+  
+  try {
+    const result = await recoverAccount(username, recoveryKey, newPassword);
+    
+    if (!result.success) {
+      console.warn(`Account recovery failed for ${username}: ${result.error}`);
+      return render(400, result.error);
+    }
+    
+    // Whoever had the old password loses their unlocked sessions
+    sessionKeyring.removeUser(result.userId);
+    
+    res.render('login', {
+      title: 'Login',
+      error: null,
+      success: result.keyfileRemoved
+        ? 'Password reset and keyfile removed. Log in with your new password, then enroll a new keyfile under Security.'
+        : 'Password reset. Log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Account recovery error:', error);
+    render(500, 'Failed to recover account');
+  }
+});
+
+// Change password page
+router.get('/change-password', requireAuth, (req, res) => {
+  const keys = getUserKeys(req.session.userId);
+  res.render('change-password', {
+    title: 'Change Password',
+    error: null,
+    success: null,
+    keyfileRequired: Boolean(keys && keys.keyfileEnrolledAt)
+  });
+});
+
+// Change password handler
+// Only the wrapped data key is re-encrypted - files are untouched
+// JSON clients (the API) get { message } or { error } instead of the page
+router.post('/change-password', requireAuth, keyfileUpload, async (req, res) => {
+  const { currentPassword, newPassword, confirmPassword } = req.body;
+  const keys = getUserKeys(req.session.userId);
+  const json = req.xhr || req.headers.accept?.includes('application/json');
+  const render = (status, error, success = null) => {
+    if (json) {
+      return error ? res.status(status).json({ error }) : res.json({ message: success });
+    }
+    res.status(status).render('change-password', {
+      title: 'Change Password',
+      error,
+      success,
+      keyfileRequired: Boolean(keys && keys.keyfileEnrolledAt)
+    });
+  };
+  
+  if (!currentPassword || !newPassword || !confirmPassword) {
+    return render(400, 'All fields are required');
+  }
+  
+  if (req.keyfileError) {
+    return render(400, req.keyfileError);
+  }
+  
+  if (newPassword !== confirmPassword) {
+    return render(400, 'New passwords do not match');
+  }
+  
+  if (newPassword.length < 6) {
+    return render(400, 'Password must be at least 6 characters');
+  }
+  
+  if (newPassword === currentPassword) {
+    return render(400, 'New password must be different from the current password');
+  }
+  
+  try {
+    const result = await changePassword(req.session.userId, currentPassword, newPassword, req.keyfileHash);
+    
+    if (!result.success) {
+      return render(400, result.error);
+    }
+    
+    // The data key itself is unchanged, so this session stays unlocked;
+    // the user's other sessions log in again with the new password
+    sessionKeyring.removeUser(req.session.userId, req.sessionID);
+    console.log(`✓ Password changed: ${req.session.username} (data key re-wrapped)`);
+    render(200, null, 'Password changed. Your encryption key was re-wrapped under the new password - your files were not re-encrypted and open as before.');
+  } catch (error) {
+    console.error('Change password error:', error);
+    render(500, 'Failed to change password');
   }
 });
 
@@ -119,6 +320,7 @@ router.get('/dashboard', (req, res) => {
 // Logout
 router.get('/logout', (req, res) => {
   const username = req.session.username;
+  sessionKeyring.remove(req.sessionID);
   req.session.destroy((err) => {
     if (err) {
       console.error('Logout error:', err);
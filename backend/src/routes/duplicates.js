@@ -0,0 +1,139 @@
+/**
+ * Duplicate Detection Routes (/api/duplicates)
+ * Kept apart from api.js so they are not part of API v1 or its OpenAPI
+ * document: they call duplicateService functions that do not exist yet.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const { validateKeepStrategy } = require('../middleware/validation');
+const duplicateService = require('../services/core/duplicateService');
+
+/**
+ * GET /api/duplicates - Find duplicate files
+ */
+router.get('/duplicates', requireAuth, (req, res) => {
+  try {
+    const result = duplicateService.findDuplicates(req.session.userId);
+    
+    if (result.success) {
+      res.json({
+        duplicates: result.duplicates,
+        totalWasted: result.totalWasted,
+        duplicateCount: result.duplicateCount
+      });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Find duplicates error:', error);
+    res.status(500).json({ error: 'Failed to find duplicates' });
+  }
+});
+
+/**
+ * GET /api/duplicates/groups - Get duplicate groups
+ */
+router.get('/duplicates/groups', requireAuth, (req, res) => {
+  try {
+    const result = duplicateService.getDuplicateGroups(req.session.userId);
+    
+    if (result.success) {
+      res.json({ groups: result.groups });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Get duplicate groups error:', error);
+    res.status(500).json({ error: 'Failed to get duplicate groups' });
+  }
+});
+
+/**
+ * GET /api/duplicates/stats - Get duplicate statistics
+ */
+router.get('/duplicates/stats', requireAuth, (req, res) => {
+  try {
+    const result = duplicateService.getDuplicateStats(req.session.userId);
+    
+    if (result.success) {
+      res.json({ stats: result.stats });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Get duplicate stats error:', error);
+    res.status(500).json({ error: 'Failed to get duplicate statistics' });
+  }
+});
+
+/**
+ * DELETE /api/duplicates - Delete duplicate files
+ */
+router.delete('/duplicates', requireAuth, validateKeepStrategy, async (req, res) => {
+  try {
+    const result = await duplicateService.deleteDuplicates(req.session.userId, req.keepStrategy);
+    
+    if (result.success) {
+      res.json({
+        message: result.message,
+        deletedCount: result.deletedCount,
+        freedSpace: result.freedSpace
+      });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Delete duplicates error:', error);
+    res.status(500).json({ error: 'Failed to delete duplicates' });
+  }
+});
+
+/**
+ * POST /api/duplicates/scan - Scan all files for duplicates
+ */
+router.post('/duplicates/scan', requireAuth, async (req, res) => {
+  try {
+    const result = await duplicateService.scanAllFiles(req.session.userId);
+    
+    if (result.success) {
+      res.json({ message: result.message, processed: result.processed });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Scan duplicates error:', error);
+    res.status(500).json({ error: 'Failed to scan for duplicates' });
+  }
+});
+
+/**
+ * POST /api/duplicates/check - Check if file is duplicate
+ */
+router.post('/duplicates/check', requireAuth, async (req, res) => {
+  try {
+    const { filepath } = req.body;
+    
+    if (!filepath) {
+      return res.status(400).json({ error: 'filepath required' });
+    }
+    
+    const result = await duplicateService.checkDuplicate(filepath, req.session.userId);
+    
+    if (result.success) {
+      res.json({
+        isDuplicate: result.isDuplicate,
+        existingFile: result.existingFile,
+        hash: result.hash
+      });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Check duplicate error:', error);
+    res.status(500).json({ error: 'Failed to check for duplicate' });
+  }
+});
+
+module.exports = router;
@@ -3,45 +3,38 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireUnlockedKey, withDataKey, rejectMismatchedKey } = require('../middleware/auth');
 const { uploadLimiter, downloadLimiter } = require('../middleware/rateLimiter');
+const { encryptedStorage } = require('../middleware/encryptedUpload');
 const { requireReady } = require('../middleware/readiness');
 const { getUserStoragePath, getStorageStats, formatFileSize } = require('../config/storage');
 const { getDatabase, saveDatabase } = require('../config/database');
 const config = require('../config/config');
 const { ensureInside, isAllowedFileType } = require('../utils/security');
-const { encryptFile, decryptFile, encryptFileStream, decryptFileStream } = require('../services/core/cryptoService');
+const { encryptFile, decryptFile, decryptFileStream, fileKeyId, FORMAT_LEGACY, FORMAT_SEGMENTED } = require('../services/core/cryptoService');
 const { CryptoIntegrityError } = require('../services/core/cryptoErrors');
+const sessionKeyring = require('../services/core/sessionKeyring');
+const legacyEncryption = require('../services/core/legacyEncryption');
+const { verifyDataKey } = require('../services/core/keyService');
+const { rowsFromResult, sealFileMetadata, openFileRows } = require('../services/core/metadataService');
+const folderService = require('../services/core/folderService');
+const { splitRelativePath, getFolder, ensureFolderPaths, listFolders } = folderService;
+const fileService = require('../services/core/fileService');
+const fileListService = require('../services/core/fileListService');
+const versionService = require('../services/core/versionService');
+const trashService = require('../services/core/trashService');
 const { validateUploadedFile, handleCryptoIntegrityError, getCorruptedFiles, cleanupCorruptedFile } = require('../services/core/fileRecovery');
 const { getUserStatus } = require('../services/monitoring/healthService');
 const { getIdentity, markSetupCompleted, updateHealthCheck, getTimeSinceHealthCheck } = require('../services/core/identityService');
 const { getStorageInfo, canUpload } = require('../services/core/storageService');
 const { shouldShowBackupReminder } = require('../services/core/backupService');
+const realtimeSyncService = require('../services/automation/realtimeSyncService');
 const { UploadFailureHandler, DownloadFailureHandler, SessionFailureHandler } = require('../services/core/failureDetection');
 const { hasUploadedFiles, hasShownFirstSuccess, markFirstSuccessShown, hasBackupNudgeBeenDismissed, dismissBackupNudge } = require('../services/core/setupVerification');
 
-// Sanitize filename for cross-platform safety
-function safeFilename(originalName) {
-  const ext = path.extname(originalName);
-  const base = path.basename(originalName, ext)
-    .replace(/[^a-zA-Z0-9-_]/g, '_');
-  return `${Date.now()}-${base}${ext}.enc`; // .enc extension for encrypted files
-}
-
-// Configure multer for streaming uploads (no memory buffering)
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const userPath = getUserStoragePath(req.session.userId);
-    cb(null, userPath);
-  },
-  filename: (req, file, cb) => {
-    // Temporary filename - will be encrypted and renamed
-    cb(null, `temp-${Date.now()}-${file.originalname}`);
-  }
-});
-
+// Uploads are encrypted as they stream in - no plaintext temp file
 const upload = multer({ 
-  storage: storage,
+  storage: encryptedStorage(),
   limits: { fileSize: config.MAX_UPLOAD_SIZE },
   fileFilter: (req, file, cb) => {
     if (!isAllowedFileType(file.mimetype)) {
@@ -51,6 +44,21 @@ const upload = multer({
   }
 });
 
+// Folder uploads carry on past files that are rejected - they are listed in the summary
+const folderUpload = multer({
+  storage: encryptedStorage({ maxFileSize: config.MAX_UPLOAD_SIZE }),
+  preservePath: true, // originalname keeps the relative path ("Photos/2024/beach.jpg")
+  limits: { files: config.MAX_FOLDER_UPLOAD_FILES },
+  fileFilter: (req, file, cb) => {
+    if (!isAllowedFileType(file.mimetype)) {
+      req.rejectedFiles = req.rejectedFiles || [];
+      req.rejectedFiles.push({ path: file.originalname, error: 'File type not allowed' });
+      return cb(null, false);
+    }
+    cb(null, true);
+  }
+});
+
 // Error handler for multer
 function handleUploadError(err, req, res, next) {
   if (err instanceof multer.MulterError) {
@@ -62,49 +70,89 @@ function handleUploadError(err, req, res, next) {
     return res.status(400).json({ error: err.message });
   }
   if (err) {
-    return res.status(400).json({ error: err.message });
+    return res.status(err.status || 400).json({ error: err.message });
   }
   next();
 }
 
+function browsePath(folderId) {
+  return folderId ? `/files/browse/${folderId}` : '/files/browse';
+}
+
+// Folder or file ID from a URL or form: null if absent (the top level), NaN if invalid
+function parseId(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const id = parseInt(value);
+  return id > 0 ? id : NaN;
+}
+
+// Every folder of a user as "Parent/Child" paths, for the move menu
+function folderPaths(folders) {
+  const byId = new Map(folders.map(folder => [folder.id, folder]));
+  const pathOf = (folder) => {
+    const parent = byId.get(folder.parent_id);
+    return parent ? `${pathOf(parent)}/${folder.name}` : folder.name;
+  };
+  return folders
+    .map(folder => ({ id: folder.id, path: pathOf(folder) }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// A page of the user's files, metadata decrypted with the session key
+function listOwnFiles(req, res, next, scope, options) {
+  return withDataKey(req, res, next, dataKey =>
+    fileListService.listFiles({ userId: req.session.userId, ...scope }, options, rows => openFileRows(dataKey, rows))
+  );
+}
+
 // Dashboard - Main files view
-router.get('/', requireAuth, async (req, res, next) => {
+// JSON clients get a page of all their files instead:
+// ?sort=date|size|name|type&order=asc|desc&mimetype=image&from=2024-01-01&to=2024-12-31&cursor=...&limit=50
+router.get('/', requireAuth, requireUnlockedKey, async (req, res, next) => {
+  if (req.xhr || req.headers.accept?.includes('application/json')) {
+    const list = fileListService.parseListOptions(req.query);
+    if (!list.success) {
+      return res.status(list.status).json({ error: list.error });
+    }
+    const result = listOwnFiles(req, res, next, {}, list.options);
+    if (!result) {
+      return;
+    }
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { files, nextCursor, total } = result;
+    return res.json({ files, nextCursor, total });
+  }
+  
   try {
-    const db = getDatabase();
     const userPath = getUserStoragePath(req.session.userId);
     
     // Get real storage info from USB drive
     const storageInfo = await getStorageInfo();
     
-    // Get all files for this user
-    const result = db.exec('SELECT * FROM files WHERE user_id = ? ORDER BY uploaded_at DESC', [req.session.userId]);
-    
-    let files = [];
-    if (result.length > 0 && result[0].values.length > 0) {
-      files = result[0].values.map(row => ({
-        id: row[0],
-        user_id: row[1],
-        filename: row[2],
-        filepath: row[3],
-        size: row[4],
-        mimetype: row[5],
-        uploaded_at: row[6],
-        iv: row[7],
-        auth_tag: row[8],
-        encrypted: row[9],
-        formattedSize: formatFileSize(row[4])
-      }));
-    }
-    
-    // Get recent files (last 5)
-    const recentFiles = files.slice(0, 5);
+    // Counts come from SQL - only the five most recent files are decrypted
+    const counts = fileListService.countFiles(req.session.userId);
+    
+    const recent = listOwnFiles(req, res, next, {}, { ...fileListService.parseListOptions().options, limit: 5 });
+    if (!recent) {
+      return;
+    }
+    if (!recent.success) {
+      throw new Error(recent.error);
+    }
+    const recentFiles = recent.files.map(file => ({ ...file, formattedSize: formatFileSize(file.size) }));
+    const totalFiles = counts.total;
     
     // Security status
-    const encryptedFileCount = files.filter(f => f.encrypted === 1).length;
     const securityStatus = {
-      encryptionEnabled: req.session.encryptionSalt ? true : false,
-      encryptedFileCount: encryptedFileCount,
-      totalFileCount: files.length
+      encryptionEnabled: sessionKeyring.has(req.sessionID, req.session.userId),
+      encryptedFileCount: counts.encrypted,
+      totalFileCount: totalFiles,
+      // Legacy plaintext files still being encrypted in the background
+      encryptionInProgress: legacyEncryption.isEncrypting(req.session.userId)
     };
     
     // System status
@@ -123,13 +171,13 @@ router.get('/', requireAuth, async (req, res, next) => {
     }
     
     // Show setup completion if first time after setup
-    const showSetupComplete = !identity.setupCompleted && files.length === 0;
+    const showSetupComplete = !identity.setupCompleted && totalFiles === 0;
     
     // Check if backup reminder should be shown
     const backupReminder = await shouldShowBackupReminder();
     
     // Check if we should show first success screen
-    const showFirstSuccess = files.length > 0 && !await hasShownFirstSuccess(req.session.userId);
+    const showFirstSuccess = totalFiles > 0 && !await hasShownFirstSuccess(req.session.userId);
     
     // Check if we should show backup nudge (soft, dismissible)
     const hasFiles = await hasUploadedFiles(req.session.userId);
@@ -137,15 +185,14 @@ router.get('/', requireAuth, async (req, res, next) => {
     const showBackupNudge = hasFiles && !identity.lastBackup && !backupNudgeDismissed;
     
     // Determine if user is in "day-1" mode (hide advanced features)
-    const isDay1User = files.length === 0 || !await hasShownFirstSuccess(req.session.userId);
+    const isDay1User = totalFiles === 0 || !await hasShownFirstSuccess(req.session.userId);
     
     res.render('dashboard', { 
       title: 'Dashboard',
       username: req.session.username,
-      files,
       recentFiles,
       storageInfo,
-      totalFiles: files.length,
+      totalFiles,
       securityStatus,
       systemStatus,
       identity,
@@ -162,8 +209,227 @@ router.get('/', requireAuth, async (req, res, next) => {
   }
 });
 
+// Sorting, filters and page size of a file listing, as given - for the form and the page links
+const LIST_PARAMS = ['sort', 'order', 'mimetype', 'from', 'to', 'limit'];
+
+function listingLinks(basePath, query, nextCursor) {
+  const params = new URLSearchParams();
+  LIST_PARAMS.filter(name => typeof query[name] === 'string' && query[name] !== '')
+    .forEach(name => params.set(name, query[name]));
+  const href = (cursor) => {
+    const page = new URLSearchParams(params);
+    if (cursor) {
+      page.set('cursor', cursor);
+    }
+    const search = page.toString();
+    return search ? `${basePath}?${search}` : basePath;
+  };
+  return {
+    query: Object.fromEntries(LIST_PARAMS.map(name => [name, typeof query[name] === 'string' ? query[name] : ''])),
+    filtered: params.has('mimetype') || params.has('from') || params.has('to'),
+    firstPage: query.cursor ? href(null) : null,
+    nextPage: nextCursor ? href(nextCursor) : null
+  };
+}
+
+// Browse folders - the top level or one folder, with breadcrumbs
+// Files come a page at a time: ?sort=&order=&mimetype=&from=&to=&cursor= (see fileListService)
+router.get(['/browse', '/browse/:folderId'], requireAuth, requireUnlockedKey, async (req, res, next) => {
+  const folderId = parseId(req.params.folderId);
+  if (Number.isNaN(folderId)) {
+    return res.status(404).render('error', { message: 'Folder not found' });
+  }
+  
+  const list = fileListService.parseListOptions(req.query);
+  if (!list.success) {
+    return res.status(list.status).render('error', { message: list.error });
+  }
+  
+  try {
+    let moveTargets = [];
+    const contents = withDataKey(req, res, next, dataKey => {
+      const found = folderService.getFolderContents(req.session.userId, folderId, dataKey, list.options);
+      if (found.success && found.permission === 'owner') {
+        moveTargets = folderPaths(listFolders(req.session.userId, dataKey));
+      }
+      return found;
+    });
+    if (!contents) {
+      return;
+    }
+    
+    if (!contents.success) {
+      return res.status(contents.status).render('error', { message: contents.error });
+    }
+    
+    const { folder, permission, breadcrumbs, folders } = contents;
+    res.render('files', {
+      title: folder ? folder.name : 'My Files',
+      username: req.session.username,
+      storageInfo: await getStorageInfo(),
+      folder,
+      permission,
+      breadcrumbs,
+      folders,
+      moveTargets,
+      files: contents.files.map(file => ({ ...file, formattedSize: formatFileSize(file.size) })),
+      totalFiles: contents.totalFiles,
+      listing: listingLinks(browsePath(folderId), req.query, contents.nextCursor)
+    });
+  } catch (error) {
+    console.error('Browse error:', error.message);
+    next(error);
+  }
+});
+
+// Create a folder
+router.post('/folders', requireAuth, requireUnlockedKey, (req, res, next) => {
+  const parentId = parseId(req.body.parentId);
+  if (Number.isNaN(parentId)) {
+    return res.status(400).render('error', { message: 'Invalid parent folder' });
+  }
+  
+  const result = withDataKey(req, res, next, dataKey =>
+    folderService.createFolder(req.session.userId, { name: req.body.name, parentId }, dataKey)
+  );
+  if (!result) {
+    return;
+  }
+  
+  if (!result.success) {
+    return res.status(result.status).render('error', { message: result.error });
+  }
+  
+  realtimeSyncService.folderCreated(result.folder, req.session.userId);
+  console.log(`✓ Folder created: #${result.folder.id} by ${req.session.username}`);
+  res.redirect(browsePath(parentId));
+});
+
+// Rename a folder
+router.post('/folders/:folderId/rename', requireAuth, requireUnlockedKey, (req, res, next) => {
+  const folderId = parseId(req.params.folderId);
+  if (!folderId) {
+    return res.status(404).render('error', { message: 'Folder not found' });
+  }
+  
+  const result = withDataKey(req, res, next, dataKey =>
+    folderService.updateFolder(req.session.userId, folderId, { name: req.body.name }, dataKey)
+  );
+  if (!result) {
+    return;
+  }
+  
+  if (!result.success) {
+    return res.status(result.status).render('error', { message: result.error });
+  }
+  
+  realtimeSyncService.folderUpdated(result.folder, req.session.userId, { name: result.folder.name });
+  res.redirect(browsePath(result.folder.parent_id));
+});
+
+// Delete a folder - it goes to trash with everything in it
+router.post('/folders/:folderId/delete', requireAuth, async (req, res, next) => {
+  const folderId = parseId(req.params.folderId);
+  if (!folderId) {
+    return res.status(404).render('error', { message: 'Folder not found' });
+  }
+  
+  try {
+    const result = await folderService.trashFolder(req.session.userId, folderId);
+    if (!result.success) {
+      return res.status(result.status).render('error', { message: result.error });
+    }
+    
+    realtimeSyncService.folderDeleted(folderId, null, req.session.userId);
+    console.log(`🗑️  Folder #${folderId} moved to trash by ${req.session.username}: ${result.message}`);
+    res.redirect(browsePath(result.folder.parent_id));
+  } catch (error) {
+    console.error('Folder delete error:', error.message);
+    next(error);
+  }
+});
+
+// Rename a file
+router.post('/:id/rename', requireAuth, requireUnlockedKey, async (req, res, next) => {
+  const fileId = parseId(req.params.id);
+  if (!fileId) {
+    return res.status(404).render('error', { message: 'File not found' });
+  }
+  
+  const result = await withDataKey(req, res, next, dataKey =>
+    fileService.updateFile(req.session.userId, fileId, { filename: req.body.filename }, dataKey, req)
+  );
+  if (!result) {
+    return;
+  }
+  
+  if (!result.success) {
+    return res.status(result.status).render('error', { message: result.error });
+  }
+  
+  res.redirect(browsePath(result.file.folder_id));
+});
+
+// Move a file to another folder - back to the folder it was moved from
+router.post('/:id/move', requireAuth, requireUnlockedKey, async (req, res, next) => {
+  const fileId = parseId(req.params.id);
+  const folderId = parseId(req.body.folderId);
+  if (!fileId) {
+    return res.status(404).render('error', { message: 'File not found' });
+  }
+  if (Number.isNaN(folderId)) {
+    return res.status(400).render('error', { message: 'Invalid folder' });
+  }
+  
+  const from = getDatabase().exec('SELECT folder_id FROM files WHERE id = ? AND user_id = ?', [fileId, req.session.userId]);
+  const result = await withDataKey(req, res, next, dataKey =>
+    fileService.updateFile(req.session.userId, fileId, { folderId }, dataKey, req)
+  );
+  if (!result) {
+    return;
+  }
+  
+  if (!result.success) {
+    return res.status(result.status).render('error', { message: result.error });
+  }
+  
+  res.redirect(browsePath(from[0].values[0][0]));
+});
+
+// Duplicate a file in its folder
+router.post('/:id/copy', requireAuth, requireUnlockedKey, requireReady, async (req, res, next) => {
+  const fileId = parseId(req.params.id);
+  if (!fileId) {
+    return res.status(404).render('error', { message: 'File not found' });
+  }
+  
+  try {
+    const uploadCheck = await canUpload();
+    if (!uploadCheck.allowed) {
+      return res.status(507).render('error', { message: `Copy blocked: ${uploadCheck.reason}` });
+    }
+    
+    const result = await withDataKey(req, res, next, dataKey =>
+      fileService.copyFile(req.session.userId, fileId, {}, dataKey, req)
+    );
+    if (!result) {
+      return;
+    }
+    
+    if (!result.success) {
+      return res.status(result.status).render('error', { message: result.error });
+    }
+    
+    console.log(`✓ File #${fileId} copied to #${result.file.id} by ${req.session.username}`);
+    res.redirect(browsePath(result.file.folder_id));
+  } catch (error) {
+    console.error('Copy error:', error.message);
+    next(error);
+  }
+});
+
 // Upload file with streaming encryption
-router.post('/upload', requireAuth, requireReady, uploadLimiter, upload.single('file'), handleUploadError, async (req, res, next) => {
+router.post('/upload', requireAuth, requireUnlockedKey, requireReady, uploadLimiter, upload.single('file'), handleUploadError, async (req, res, next) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
@@ -171,58 +437,37 @@ router.post('/upload', requireAuth, requireReady, uploadLimiter, upload.single('
   // Check if storage allows uploads
   const uploadCheck = await canUpload();
   if (!uploadCheck.allowed) {
-    // Clean up temp file
+    // Clean up encrypted file
     await fs.remove(req.file.path);
     return res.status(507).render('error', {
       message: `Upload blocked: ${uploadCheck.reason}`
     });
   }
   
-  // Check if user has encryption enabled
-  if (!req.session.password || !req.session.encryptionSalt) {
-    // Clean up temp file
-    await fs.remove(req.file.path);
-    return res.status(500).json({ 
-      error: 'Encryption not available. Please log out and log back in.' 
-    });
-  }
+  // Already encrypted by encryptedStorage as it streamed in
+  const encryptedFilePath = req.file.path;
+  const { keyId, iv, authTag, format } = req.file;
   
-  const tempFilePath = req.file.path;
-  let encryptedFilePath = null;
+  // Optionally into one of the user's folders
+  const folderId = req.body.folderId ? Number(req.body.folderId) : null;
+  if (folderId !== null && !getFolder(req.session.userId, folderId)) {
+    await fs.remove(encryptedFilePath);
+    return res.status(404).render('error', { message: 'Folder not found' });
+  }
   
   try {
-    const db = getDatabase();
-    
-    // Generate unique file ID BEFORE encryption (needed for key derivation)
-    const fileIdResult = db.exec('SELECT MAX(id) as max_id FROM files');
-    const nextFileId = (fileIdResult[0].values[0][0] || 0) + 1;
-    const fileId = `${req.session.userId}-${nextFileId}`;
-    
-    console.log(`🔐 Encrypting file (streaming): ${req.file.originalname} (${formatFileSize(req.file.size)})`);
-    
-    // Generate safe filename for encrypted file
-    const encryptedFilename = safeFilename(req.file.originalname);
-    const userPath = getUserStoragePath(req.session.userId);
-    encryptedFilePath = path.join(userPath, encryptedFilename);
-    
-    // Encrypt file using streaming (constant memory usage)
-    const encryptionSalt = Buffer.from(req.session.encryptionSalt, 'hex');
-    const inputStream = fs.createReadStream(tempFilePath);
-    
-    const { iv, authTag } = await encryptFileStream(
-      inputStream,
-      encryptedFilePath,
-      req.session.password,
-      encryptionSalt,
-      fileId
-    );
-    
-    // Delete temp file after successful encryption
-    await fs.remove(tempFilePath);
+    // Key may have idled out while the upload was streaming in
+    const dataKey = sessionKeyring.get(req.sessionID, req.session.userId);
+    if (!dataKey) {
+      await fs.remove(encryptedFilePath);
+      return res.status(401).json({ 
+        error: 'Encryption not available. Please log out and log back in.' 
+      });
+    }
     
     // Validate encrypted file integrity
     try {
-      await validateUploadedFile(encryptedFilePath, req.file.size, true);
+      await validateUploadedFile(encryptedFilePath, req.file.size, true, format);
       console.log(`✓ File validation passed: ${req.file.originalname}`);
     } catch (validationError) {
       console.error(`❌ File validation failed: ${req.file.originalname} - ${validationError.message}`);
@@ -232,43 +477,46 @@ router.post('/upload', requireAuth, requireReady, uploadLimiter, upload.single('
         await fs.remove(encryptedFilePath);
       }
       
+      dataKey.fill(0);
       throw new Error(`Upload failed validation: ${validationError.message}`);
     }
     
-    // Store metadata in database
-    db.run(
-      `INSERT INTO files (user_id, filename, filepath, size, mimetype, iv, auth_tag, encrypted) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        req.session.userId,
-        req.file.originalname,
-        encryptedFilename,
-        req.file.size, // Store ORIGINAL size (before encryption)
-        req.file.mimetype,
+    // Store metadata in database - a file with the same name in the folder gets a new version
+    let recorded;
+    try {
+      recorded = versionService.recordUpload(req.session.userId, {
+        folderId,
+        filename: req.file.originalname,
+        mimetype: req.file.mimetype,
+        filepath: req.file.filename,
+        size: req.file.size, // Store ORIGINAL size (before encryption)
         iv,
         authTag,
-        1 // encrypted = true
-      ]
-    );
+        format,
+        keyId
+      }, dataKey);
+    } finally {
+      dataKey.fill(0);
+    }
     saveDatabase();
     
-    console.log(`✓ File encrypted and uploaded (streaming): ${req.file.originalname} by ${req.session.username}`);
-    res.redirect('/files');
+    if (recorded.version > 1) {
+      await versionService.applyRetention(req.session.userId, recorded.id);
+    }
+    
+    console.log(`✓ File encrypted and uploaded (streaming): ${req.file.originalname} (v${recorded.version}) by ${req.session.username}`);
+    if (req.xhr || req.headers.accept?.includes('application/json')) {
+      return res.status(recorded.version > 1 ? 200 : 201).json({
+        file: { id: recorded.id, filename: req.file.originalname, folderId, size: req.file.size, version: recorded.version }
+      });
+    }
+    res.redirect(folderId !== null ? browsePath(folderId) : '/files');
   } catch (error) {
     console.error('Upload error:', error.message);
     
     // Use failure handler for proper cleanup and user messaging
     const fileId = req.body.fileId; // If we got far enough to create a DB entry
-    await UploadFailureHandler.handleUploadFailure(tempFilePath, fileId, error);
-    
-    // Also clean encrypted file if it was created
-    if (encryptedFilePath && await fs.pathExists(encryptedFilePath)) {
-      try {
-        await fs.remove(encryptedFilePath);
-      } catch (cleanupError) {
-        console.warn('Failed to remove encrypted file after upload failure:', cleanupError.message);
-      }
-    }
+    await UploadFailureHandler.handleUploadFailure(encryptedFilePath, fileId, error);
     
     // Get user-friendly error message
     const failureMessage = UploadFailureHandler.getUploadErrorMessage(error);
@@ -288,11 +536,133 @@ router.post('/upload', requireAuth, requireReady, uploadLimiter, upload.single('
   }
 });
 
+// Upload a directory - files land in folders matching their relative paths
+router.post('/upload-folder', requireAuth, requireUnlockedKey, requireReady, uploadLimiter, folderUpload.array('files'), handleUploadError, async (req, res, next) => {
+  const parts = req.files || [];
+  const stored = parts.filter(file => !file.rejected);
+  const failed = [
+    ...(req.rejectedFiles || []),
+    ...parts.filter(file => file.rejected).map(file => ({ path: file.originalname, error: file.rejected }))
+  ];
+  const removeStored = () => Promise.all(stored.map(file => fs.remove(file.path)));
+  
+  if (stored.length === 0 && failed.length === 0) {
+    return res.status(400).json({ error: 'No files uploaded' });
+  }
+  
+  // Check if storage allows uploads
+  const uploadCheck = await canUpload();
+  if (!uploadCheck.allowed) {
+    await removeStored();
+    return res.status(507).json({ error: `Upload blocked: ${uploadCheck.reason}` });
+  }
+  
+  // Optionally into an existing folder instead of the top level
+  const parentId = req.body.folderId ? Number(req.body.folderId) : null;
+  if (parentId !== null && !getFolder(req.session.userId, parentId)) {
+    await removeStored();
+    return res.status(404).json({ error: 'Folder not found' });
+  }
+  
+  // Key may have idled out while the upload was streaming in
+  const dataKey = sessionKeyring.get(req.sessionID, req.session.userId);
+  if (!dataKey) {
+    await removeStored();
+    return res.status(401).json({ 
+      error: 'Encryption not available. Please log out and log back in.' 
+    });
+  }
+  
+  try {
+    const placed = [];
+    for (const file of stored) {
+      const location = splitRelativePath(file.originalname);
+      if (location) {
+        placed.push({ file, location });
+      } else {
+        await fs.remove(file.path);
+        failed.push({ path: file.originalname, error: 'Invalid file path' });
+      }
+    }
+    
+    const folders = ensureFolderPaths(req.session.userId, placed.map(({ location }) => location.folders), dataKey, parentId);
+    if (!folders.success) {
+      throw new Error(`Could not create folders: ${folders.error}`);
+    }
+    
+    const valid = [];
+    for (const entry of placed) {
+      try {
+        await validateUploadedFile(entry.file.path, entry.file.size, true, entry.file.format);
+        valid.push(entry);
+      } catch (validationError) {
+        console.error(`❌ File validation failed: ${entry.file.originalname} - ${validationError.message}`);
+        await fs.remove(entry.file.path);
+        failed.push({ path: entry.file.originalname, error: 'Upload failed validation' });
+      }
+    }
+    
+    // All rows or none - on failure every stored file is removed again
+    // A file that is already in its folder gets a new version
+    const db = getDatabase();
+    const uploaded = [];
+    const namesByFolder = new Map();
+    db.run('BEGIN TRANSACTION');
+    try {
+      for (const { file, location } of valid) {
+        const folderId = folders.folderIds.get(location.folders.join('/'));
+        if (!namesByFolder.has(folderId)) {
+          namesByFolder.set(folderId, versionService.currentFilesByName(req.session.userId, folderId, dataKey));
+        }
+        const recorded = versionService.recordUpload(req.session.userId, {
+          folderId,
+          filename: location.filename,
+          mimetype: file.mimetype,
+          filepath: file.filename,
+          size: file.size,
+          iv: file.iv,
+          authTag: file.authTag,
+          format: file.format,
+          keyId: file.keyId
+        }, dataKey, namesByFolder.get(folderId));
+        uploaded.push({ id: recorded.id, path: file.originalname, size: file.size, version: recorded.version });
+      }
+      db.run('COMMIT');
+    } catch (error) {
+      db.run('ROLLBACK');
+      throw error;
+    }
+    saveDatabase();
+    
+    for (const { id } of uploaded.filter(entry => entry.version > 1)) {
+      await versionService.applyRetention(req.session.userId, id);
+    }
+    
+    console.log(`✓ Folder upload by ${req.session.username}: ${uploaded.length} file(s), ${folders.created} new folder(s), ${failed.length} failed`);
+    res.status(uploaded.length > 0 ? 200 : 400).json({
+      success: uploaded.length > 0,
+      uploaded,
+      failed,
+      foldersCreated: folders.created
+    });
+  } catch (error) {
+    console.error('Folder upload error:', error.message);
+    await removeStored();
+    res.status(500).json({ error: 'Folder upload failed. Please try again.' });
+  } finally {
+    dataKey.fill(0);
+  }
+});
+
 // Download file with streaming decryption
 router.get('/download/:id', requireAuth, downloadLimiter, async (req, res, next) => {
   try {
     const db = getDatabase();
-    const result = db.exec('SELECT * FROM files WHERE id = ? AND user_id = ?', [req.params.id, req.session.userId]);
+    const result = db.exec(
+      `SELECT id, filename, filepath, size, mimetype, iv, auth_tag, encrypted, format_version, key_id
+       FROM files WHERE id = ? AND user_id = ? AND trashed_at IS NULL`,
+      [req.params.id, req.session.userId]
+    );
     
     if (result.length === 0 || result[0].values.length === 0) {
       return res.status(404).render('error', {
@@ -301,15 +671,23 @@ router.get('/download/:id', requireAuth, downloadLimiter, async (req, res, next)
       });
     }
     
+    // Filename and MIME type are encrypted - needed for the response headers
+    const [row] = withDataKey(req, res, next, metadataKey => openFileRows(metadataKey, rowsFromResult(result))) || [];
+    if (!row) {
+      return;
+    }
+    
     const file = {
-      id: result[0].values[0][0],
-      filename: result[0].values[0][2],
-      filepath: result[0].values[0][3],
-      size: result[0].values[0][4],
-      mimetype: result[0].values[0][5],
-      iv: result[0].values[0][7],
-      authTag: result[0].values[0][8],
-      encrypted: result[0].values[0][9]
+      id: row.id,
+      filename: row.filename,
+      filepath: row.filepath,
+      size: row.size,
+      mimetype: row.mimetype,
+      iv: row.iv,
+      authTag: row.auth_tag,
+      encrypted: row.encrypted,
+      format: row.format_version || FORMAT_LEGACY,
+      keyId: fileKeyId({ keyId: row.key_id, userId: req.session.userId, id: row.id })
     };
     
     const userPath = getUserStoragePath(req.session.userId);
@@ -327,69 +705,86 @@ router.get('/download/:id', requireAuth, downloadLimiter, async (req, res, next)
     
     // If file is encrypted, decrypt it using streaming
     if (file.encrypted) {
-      // Enhanced session validation with helpful error messages
-      if (!req.session.password || !req.session.encryptionSalt) {
-        console.warn(`❌ Decryption failed for ${file.filename}: Missing encryption keys in session`);
-        console.warn(`   User: ${req.session.username || 'unknown'}`);
-        console.warn(`   Session ID: ${req.sessionID}`);
-        console.warn(`   Has password: ${!!req.session.password}`);
-        console.warn(`   Has salt: ${!!req.session.encryptionSalt}`);
+      // Unlocked at login - no key derivation per download
+      await withDataKey(req, res, next, async dataKey => {
+        // A wrong key would make every file look corrupted - check it first
+        if (!verifyDataKey(req.session.userId, dataKey)) {
+          return rejectMismatchedKey(req, res);
+        }
         
-        return res.status(401).render('error', {
-          message: 'Cannot decrypt file - encryption keys not available',
-          action: 'Please log out and log back in with your password to restore encryption keys.',
-          technical: 'Session missing encryption credentials. This can happen if you logged in from a different device or your session expired.',
-          showLoginButton: true
-        });
-      }
-      
-      console.log(`🔓 Decrypting file (streaming): ${file.filename}`);
-      console.log(`   User: ${req.session.username}`);
-      console.log(`   Device: ${req.get('User-Agent')?.substring(0, 50)}...`);
-      
-      // Set response headers BEFORE streaming starts
-      res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
-      res.setHeader('Content-Type', file.mimetype || 'application/octet-stream');
-      res.setHeader('Content-Length', file.size); // Original size (before encryption)
-      
-      // Stream decrypt directly to response (constant memory usage)
-      const encryptionSalt = Buffer.from(req.session.encryptionSalt, 'hex');
-      const fileId = `${req.session.userId}-${file.id}`;
-      
-      try {
-        await decryptFileStream(
-          filePath,
-          res,
-          req.session.password,
-          encryptionSalt,
-          fileId,
-          file.iv,
-          file.authTag
-        );
+        console.log(`🔓 Decrypting file (streaming): ${file.filename}`);
+        console.log(`   User: ${req.session.username}`);
+        console.log(`   Device: ${req.get('User-Agent')?.substring(0, 50)}...`);
+        
+        // Segmented files can serve byte ranges (video seeking, resumed downloads)
+        let range = null;
+        if (file.format === FORMAT_SEGMENTED) {
+          res.setHeader('Accept-Ranges', 'bytes');
         
-        console.log(`✓ File decrypted and downloaded (streaming): ${file.filename} by ${req.session.username}`);
-      } catch (error) {
-        // Handle crypto integrity errors gracefully
-        if (error.name === 'CryptoIntegrityError') {
-          console.error(`✗ Integrity check failed: ${file.filename}`);
+          if (req.headers.range) {
+            const ranges = req.range(file.size, { combine: true });
           
-          // Handle the error and mark file as corrupted
-          const errorInfo = await handleCryptoIntegrityError(file.id, req.session.userId, error);
+            if (ranges === -1) {
+              res.setHeader('Content-Range', `bytes */${file.size}`);
+              return res.status(416).end();
+            }
           
-          if (!res.headersSent) {
-            return res.status(422).render('file-corrupted', {
-              message: errorInfo.userMessage,
-              action: errorInfo.action,
-              technical: errorInfo.technicalMessage,
-              filename: file.filename,
-              fileId: file.id
-            });
+            // Multipart ranges are not supported - fall back to the full file
+            if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+              range = ranges[0];
+            }
           }
-          // If headers already sent, client will see incomplete download
+        }
+        
+        // Set response headers BEFORE streaming starts
+        const disposition = req.query.inline === '1' ? 'inline' : 'attachment';
+        res.setHeader('Content-Disposition', `${disposition}; filename="${file.filename}"`);
+        res.setHeader('Content-Type', file.mimetype || 'application/octet-stream');
+        
+        if (range) {
+          res.status(206);
+          res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+          res.setHeader('Content-Length', range.end - range.start + 1);
         } else {
-          throw error;
+          res.setHeader('Content-Length', file.size); // Original size (before encryption)
         }
-      }
+        
+        // Stream decrypt directly to response (constant memory usage)
+        try {
+          await decryptFileStream(
+            filePath,
+            res,
+            dataKey,
+            file.keyId,
+            file.iv,
+            file.authTag,
+            { format: file.format, range }
+          );
+        
+          console.log(`✓ File decrypted and downloaded (streaming): ${file.filename} by ${req.session.username}`);
+        } catch (error) {
+          // Handle crypto integrity errors gracefully
+          if (error.name === 'CryptoIntegrityError') {
+            console.error(`✗ Integrity check failed: ${file.filename}`);
+          
+            // Handle the error and mark file as corrupted (unless the key is at fault)
+            const errorInfo = await handleCryptoIntegrityError(file.id, req.session.userId, error, dataKey);
+          
+            if (!res.headersSent) {
+              return res.status(422).render('file-corrupted', {
+                message: errorInfo.userMessage,
+                action: errorInfo.action,
+                technical: errorInfo.technicalMessage,
+                filename: file.filename,
+                fileId: file.id
+              });
+            }
+            // If headers already sent, client will see incomplete download
+          } else {
+            throw error;
+          }
+        }
+      });
     } else {
       // Legacy: Unencrypted file (for backward compatibility)
       console.log(`📁 Downloading unencrypted file: ${file.filename} by ${req.session.username}`);
@@ -441,9 +836,7 @@ router.get('/session-info', requireAuth, (req, res) => {
     userId: req.session.userId,
     username: req.session.username,
     sessionId: req.sessionID,
-    hasPassword: !!req.session.password,
-    hasEncryptionSalt: !!req.session.encryptionSalt,
-    encryptionReady: !!(req.session.password && req.session.encryptionSalt),
+    encryptionReady: sessionKeyring.has(req.sessionID, req.session.userId),
     userAgent: req.get('User-Agent'),
     ip: req.ip,
     timestamp: new Date().toISOString()
@@ -463,11 +856,11 @@ router.get('/test-access', requireAuth, async (req, res) => {
     const db = getDatabase();
     
     // Get user's file count
-    const result = db.exec('SELECT COUNT(*) as count FROM files WHERE user_id = ?', [req.session.userId]);
+    const result = db.exec('SELECT COUNT(*) as count FROM files WHERE user_id = ? AND trashed_at IS NULL', [req.session.userId]);
     const fileCount = result[0]?.values[0]?.[0] || 0;
     
     // Check encryption readiness
-    const encryptionReady = !!(req.session.password && req.session.encryptionSalt);
+    const encryptionReady = sessionKeyring.has(req.sessionID, req.session.userId);
     
     const testResult = {
       success: true,
@@ -504,9 +897,12 @@ router.get('/cross-device-test', requireAuth, (req, res) => {
 });
 
 // Get corrupted files for user
-router.get('/corrupted', requireAuth, async (req, res) => {
+router.get('/corrupted', requireAuth, requireUnlockedKey, async (req, res, next) => {
   try {
-    const corruptedFiles = getCorruptedFiles(req.session.userId);
+    const corruptedFiles = withDataKey(req, res, next, dataKey => openFileRows(dataKey, getCorruptedFiles(req.session.userId)));
+    if (!corruptedFiles) {
+      return;
+    }
     res.json({ corruptedFiles });
   } catch (error) {
     console.error('Error getting corrupted files:', error.message);
@@ -530,45 +926,115 @@ router.post('/cleanup-corrupted/:id', requireAuth, async (req, res) => {
   }
 });
 
-// Delete file
+// Delete file - it goes to trash
 router.post('/delete/:id', requireAuth, async (req, res, next) => {
+  const fileId = parseId(req.params.id);
+  if (!fileId) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  
   try {
-    const db = getDatabase();
-    const result = db.exec('SELECT * FROM files WHERE id = ? AND user_id = ?', [req.params.id, req.session.userId]);
-    
-    if (result.length === 0 || result[0].values.length === 0) {
-      return res.status(404).json({ error: 'File not found' });
+    const result = await trashService.moveToTrash(fileId, req.session.userId, req);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
     
-    const file = {
-      filename: result[0].values[0][2],
-      filepath: result[0].values[0][3]
-    };
-    
-    const userPath = getUserStoragePath(req.session.userId);
-    const filePath = path.join(userPath, file.filepath);
-    
-    // Path traversal protection
-    ensureInside(userPath, filePath);
-    
-    // Check if file exists on disk (filesystem = source of truth)
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ error: 'File not found on disk' });
+    // Filename is encrypted and not needed here - log the ID
+    console.log(`🗑️  File #${fileId} moved to trash by ${req.session.username}`);
+    res.redirect('/files');
+  } catch (error) {
+    console.error('Delete error:', error.message);
+    next(error);
+  }
+});
+
+// Trash - deleted files and folders until they are purged
+router.get('/trash', requireAuth, requireUnlockedKey, async (req, res, next) => {
+  try {
+    const trash = withDataKey(req, res, next, dataKey =>
+      trashService.getTrash(req.session.userId, dataKey, { limit: 1000, offset: 0 })
+    );
+    if (!trash) {
+      return;
     }
     
-    // Delete encrypted file from disk FIRST
-    await fs.remove(filePath);
-    
-    // Then delete from database (only if filesystem delete succeeded)
-    db.run('DELETE FROM files WHERE id = ?', [req.params.id]);
-    saveDatabase();
+    if (!trash.success) {
+      throw new Error(trash.error);
+    }
     
-    console.log(`✓ Encrypted file deleted: ${file.filename} by ${req.session.username}`);
-    res.redirect('/files');
+    res.render('trash', {
+      title: 'Trash',
+      username: req.session.username,
+      folders: trash.folders,
+      files: trash.files.map(file => ({ ...file, formattedSize: formatFileSize(file.size) })),
+      totalFiles: trash.totalFiles,
+      retentionDays: trash.retentionDays
+    });
   } catch (error) {
-    console.error('Delete error:', error.message);
+    console.error('Trash error:', error.message);
     next(error);
   }
 });
 
+// Restore a file to the folder it was deleted from
+router.post('/trash/:id/restore', requireAuth, async (req, res) => {
+  const fileId = parseId(req.params.id);
+  if (!fileId) {
+    return res.status(404).render('error', { message: 'File not found in trash' });
+  }
+  
+  const result = await trashService.restoreFromTrash(fileId, req.session.userId, req);
+  if (!result.success) {
+    return res.status(result.status).render('error', { message: result.error });
+  }
+  res.redirect(browsePath(result.folderId));
+});
+
+// Delete a file in trash for good
+router.post('/trash/:id/delete', requireAuth, async (req, res) => {
+  const fileId = parseId(req.params.id);
+  if (!fileId) {
+    return res.status(404).render('error', { message: 'File not found in trash' });
+  }
+  
+  const result = await trashService.permanentlyDelete(fileId, req.session.userId, req);
+  if (!result.success) {
+    return res.status(result.status).render('error', { message: result.error });
+  }
+  res.redirect('/files/trash');
+});
+
+// Restore a folder and what was deleted with it
+router.post('/trash/folders/:folderId/restore', requireAuth, async (req, res) => {
+  const folderId = parseId(req.params.folderId);
+  if (!folderId) {
+    return res.status(404).render('error', { message: 'Folder not found in trash' });
+  }
+  
+  const result = await folderService.restoreFolder(req.session.userId, folderId);
+  if (!result.success) {
+    return res.status(result.status).render('error', { message: result.error });
+  }
+  res.redirect(browsePath(folderId));
+});
+
+// Empty trash
+router.post('/trash/empty', requireAuth, async (req, res) => {
+  const result = await trashService.emptyTrash(req.session.userId, req);
+  if (!result.success) {
+    return res.status(result.status).render('error', { message: result.error });
+  }
+  console.log(`🗑️  Trash emptied by ${req.session.username}: ${result.message}`);
+  res.redirect('/files/trash');
+});
+
+// How long files stay in trash
+router.post('/trash/retention', requireAuth, async (req, res) => {
+  const result = await trashService.setRetentionDays(req.session.userId, Number(req.body.days));
+  if (!result.success) {
+    return res.status(result.status).render('error', { message: result.error });
+  }
+  res.redirect('/files/trash');
+});
+
 module.exports = router;
@@ -0,0 +1,27 @@
+/**
+ * API documentation
+ * The OpenAPI document for API v1 (config/openapi), as JSON for client
+ * generators and as a page for people. Neither needs a login - the document
+ * describes the API, not anyone's data.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { document } = require('../config/openapi');
+
+/**
+ * GET /api/openapi.json
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(document);
+});
+
+/**
+ * GET /api/docs
+ * Every operation by tag, with its parameters, body and responses
+ */
+router.get('/docs', (req, res) => {
+  res.render('api-docs', { title: 'API Documentation', spec: document });
+});
+
+module.exports = router;
@@ -7,11 +7,22 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
-const { requireAuth } = require('../middleware/auth');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { requireAuth, requireUnlockedKey, withDataKey } = require('../middleware/auth');
+const { keyfileUpload } = require('../middleware/keyfile');
 const backupService = require('../services/core/backupService');
 const restoreService = require('../services/core/restoreService');
 const { getStorageInfo } = require('../services/core/storageService');
 const { getIdentity } = require('../services/core/identityService');
+const {
+  getUserKeys,
+  hasRecoveryKey,
+  resetRecoveryKey,
+  enrollKeyfile,
+  removeKeyfile
+} = require('../services/core/keyService');
+const apiTokenService = require('../services/core/apiTokenService');
 
 const router = express.Router();
 
@@ -45,13 +56,26 @@ router.get('/', async (req, res) => {
       backupService.shouldShowBackupReminder()
     ]);
     
+    const keys = getUserKeys(req.session.userId);
+    
     res.render('security', {
       title: 'Security',
       username: req.session.username,
       storageInfo,
       identity,
       backupStats,
-      backupReminder
+      backupReminder,
+      recovery: hasRecoveryKey(req.session.userId),
+      recoveryError: req.query.recoveryError || null,
+      keyfile: { enrolledAt: keys ? keys.keyfileEnrolledAt : null },
+      keyfileError: req.query.keyfileError || null,
+      keyfileNotice: req.query.keyfile || null,
+      apiTokens: apiTokenService.listTokens(req.session.userId).tokens,
+      tokenScopes: apiTokenService.SCOPES,
+      tokenPresets: apiTokenService.SCOPE_PRESETS,
+      tokenExpiryDays: apiTokenService.DEFAULT_EXPIRY_DAYS,
+      tokenError: req.query.tokenError || null,
+      tokenNotice: req.query.token || null
     });
   } catch (error) {
     console.error('Security page error:', error);
@@ -61,6 +85,156 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * POST /security/recovery-key - Create a new recovery key and kit
+ * Replaces any existing recovery key; requires the current password
+ */
+router.post('/recovery-key', requireUnlockedKey, async (req, res, next) => {
+  const fail = (message) => res.redirect(`/security?recoveryError=${encodeURIComponent(message)}`);
+  
+  try {
+    const keys = getUserKeys(req.session.userId);
+    
+    if (!keys || !req.body.currentPassword || !await bcrypt.compare(req.body.currentPassword, keys.passwordHash)) {
+      return fail('Current password is incorrect');
+    }
+    
+    const words = withDataKey(req, res, next, dataKey => resetRecoveryKey(req.session.userId, dataKey));
+    if (!words) {
+      return;
+    }
+    
+    const identity = await getIdentity();
+    
+    // Shown once - the words are not stored anywhere
+    res.set('Cache-Control', 'no-store');
+    res.render('recovery-kit', {
+      title: 'Recovery Kit',
+      username: req.session.username,
+      deviceName: identity.name,
+      words,
+      createdAt: new Date().toLocaleString(),
+      continueUrl: '/security'
+    });
+  } catch (error) {
+    console.error('Recovery key error:', error);
+    fail('Failed to create recovery key');
+  }
+});
+
+/**
+ * GET /security/keyfile/generate - Download a new random keyfile
+ * Nothing is stored; enroll the downloaded file below
+ */
+router.get('/keyfile/generate', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.setHeader('Content-Type', 'application/octet-stream');
+  res.setHeader('Content-Disposition', `attachment; filename="pocketcloud-${req.session.username}.key"`);
+  res.send(crypto.randomBytes(64));
+});
+
+/**
+ * POST /security/keyfile - Require a keyfile alongside the password
+ * Requires the current password and an existing recovery key
+ */
+router.post('/keyfile', requireUnlockedKey, keyfileUpload, async (req, res, next) => {
+  const fail = (message) => res.redirect(`/security?keyfileError=${encodeURIComponent(message)}`);
+  
+  if (req.keyfileError) {
+    return fail(req.keyfileError);
+  }
+  if (!req.keyfileHash) {
+    return fail('Select a keyfile to enroll');
+  }
+  if (!req.body.currentPassword) {
+    return fail('Current password is incorrect');
+  }
+  
+  try {
+    const result = await withDataKey(req, res, next, dataKey =>
+      enrollKeyfile(req.session.userId, req.body.currentPassword, dataKey, req.keyfileHash)
+    );
+    if (!result) {
+      return;
+    }
+    if (!result.success) {
+      return fail(result.error);
+    }
+    res.redirect('/security?keyfile=enrolled');
+  } catch (error) {
+    console.error('Keyfile enrollment error:', error);
+    fail('Failed to enroll keyfile');
+  }
+});
+
+/**
+ * POST /security/keyfile/remove - Go back to password-only unlock
+ */
+router.post('/keyfile/remove', requireUnlockedKey, async (req, res, next) => {
+  const fail = (message) => res.redirect(`/security?keyfileError=${encodeURIComponent(message)}`);
+  
+  if (!req.body.currentPassword) {
+    return fail('Current password is incorrect');
+  }
+  
+  try {
+    const result = await withDataKey(req, res, next, dataKey =>
+      removeKeyfile(req.session.userId, req.body.currentPassword, dataKey)
+    );
+    if (!result) {
+      return;
+    }
+    if (!result.success) {
+      return fail(result.error);
+    }
+    res.redirect('/security?keyfile=removed');
+  } catch (error) {
+    console.error('Keyfile removal error:', error);
+    fail('Failed to remove keyfile');
+  }
+});
+
+/**
+ * POST /security/tokens - Create a personal access token
+ * Body: name, expiresInDays, preset (a SCOPE_PRESETS key or "custom"), scopes
+ */
+router.post('/tokens', requireUnlockedKey, (req, res, next) => {
+  const fail = (message) => res.redirect(`/security?tokenError=${encodeURIComponent(message)}`);
+  
+  const { name, expiresInDays, preset } = req.body;
+  const scopes = preset && preset !== 'custom' ? preset : [].concat(req.body.scopes || []);
+  
+  const result = withDataKey(req, res, next, dataKey =>
+    apiTokenService.createToken(req.session.userId, dataKey, { name, scopes, expiresInDays }, req)
+  );
+  if (!result) {
+    return;
+  }
+  if (!result.success) {
+    return fail(result.error);
+  }
+  
+  // Shown once - only the token's hash is stored
+  res.set('Cache-Control', 'no-store');
+  res.render('api-token', {
+    title: 'API Token',
+    token: result.token,
+    apiToken: result.apiToken,
+    continueUrl: '/security'
+  });
+});
+
+/**
+ * POST /security/tokens/:tokenId/revoke - Revoke a token
+ */
+router.post('/tokens/:tokenId/revoke', (req, res) => {
+  const result = apiTokenService.revokeToken(req.session.userId, parseInt(req.params.tokenId, 10), req);
+  if (!result.success) {
+    return res.redirect(`/security?tokenError=${encodeURIComponent(result.error)}`);
+  }
+  res.redirect('/security?token=revoked');
+});
+
 /**
  * POST /security/backup - Create backup
  */
@@ -2,9 +2,10 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const { getDatabase, saveDatabase } = require('../config/database');
-const { generateSalt } = require('../services/core/cryptoService');
+const { provisionUserKeys } = require('../services/core/keyService');
 const { redirectIfSetupComplete } = require('../middleware/setup');
 const { getSetupReadiness } = require('../services/core/setupVerification');
+const { getIdentity } = require('../services/core/identityService');
 
 // Password validation
 function validatePassword(password) {
@@ -43,7 +44,7 @@ router.get('/', redirectIfSetupComplete, async (req, res) => {
 
 // Process setup
 router.post('/', redirectIfSetupComplete, async (req, res) => {
-  const { username, password, confirmPassword, acknowledged } = req.body;
+  const { username, password, confirmPassword, acknowledged, createRecoveryKey } = req.body;
   
   try {
     // First, check system readiness
@@ -105,11 +106,14 @@ router.post('/', redirectIfSetupComplete, async (req, res) => {
     
     // Create admin user
     const hashedPassword = await bcrypt.hash(password, 10);
-    const encryptionSalt = generateSalt().toString('hex');
+    const withRecovery = createRecoveryKey === 'true';
+    const keys = await provisionUserKeys(password, { withRecovery });
     
     db.run(
-      'INSERT INTO users (username, password, encryption_salt) VALUES (?, ?, ?)',
-      [username, hashedPassword, encryptionSalt]
+      `INSERT INTO users (username, password, encryption_salt, wrapped_data_key, kdf_params, key_check, recovery_salt, recovery_wrapped_key, recovery_created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ${withRecovery ? 'CURRENT_TIMESTAMP' : 'NULL'})`,
+      [username, hashedPassword, keys.encryptionSalt, keys.wrappedDataKey, keys.kdfParams, keys.keyCheck,
+        keys.recoverySalt || null, keys.recoveryWrappedKey || null]
     );
     
     // Mark setup as complete
@@ -122,6 +126,20 @@ router.post('/', redirectIfSetupComplete, async (req, res) => {
     
     console.log(`✓ First-time setup complete: Admin user '${username}' created`);
     
+    if (withRecovery) {
+      // Shown once - the words are not stored anywhere
+      const identity = await getIdentity();
+      res.set('Cache-Control', 'no-store');
+      return res.render('recovery-kit', {
+        title: 'Recovery Kit',
+        username,
+        deviceName: identity.name,
+        words: keys.recoveryWords,
+        createdAt: new Date().toLocaleString(),
+        continueUrl: '/auth/login'
+      });
+    }
+    
     // Redirect to login
     res.redirect('/auth/login');
     
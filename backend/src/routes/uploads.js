@@ -0,0 +1,223 @@
+/**
+ * Resumable uploads (tus 1.0)
+ * Core protocol plus the creation, expiration and termination extensions,
+ * so tus-js-client, Uppy and other tus clients can upload here:
+ *
+ *   POST   /files/uploads       - create (Upload-Length, Upload-Metadata filename/filetype/folderId)
+ *   HEAD   /files/uploads/:id   - current offset, to resume after a dropped connection
+ *   PATCH  /files/uploads/:id   - append a chunk at Upload-Offset
+ *   DELETE /files/uploads/:id   - abandon
+ *
+ * Chunks are encrypted as they arrive (see resumableUploadService.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+const config = require('../config/config');
+const { requireAuth, requireUnlockedKey, withDataKey } = require('../middleware/auth');
+const { uploadLimiter } = require('../middleware/rateLimiter');
+const { requireReady } = require('../middleware/readiness');
+const { isAllowedFileType } = require('../utils/security');
+const { canUpload } = require('../services/core/storageService');
+const resumableUploadService = require('../services/core/resumableUploadService');
+const realtimeSyncService = require('../services/automation/realtimeSyncService');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,expiration,termination';
+
+/**
+ * Parse Upload-Metadata: "key base64value,key base64value"
+ */
+function parseMetadata(header = '') {
+  const metadata = {};
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  }
+  return metadata;
+}
+
+function parseOffset(value) {
+  return /^\d+$/.test(value || '') ? Number(value) : null;
+}
+
+/**
+ * The user's upload, or a 404/410 response
+ */
+async function findUpload(req, res) {
+  const upload = resumableUploadService.getUpload(req.session.userId, req.params.uploadId);
+
+  if (!upload) {
+    res.status(404).json({ error: 'Upload not found' });
+    return null;
+  }
+
+  if (upload.expiresAt <= new Date()) {
+    await resumableUploadService.terminateUpload(req.session.userId, upload.id);
+    res.status(410).json({ error: 'Upload expired - please start again' });
+    return null;
+  }
+
+  return upload;
+}
+
+// Every request but OPTIONS must speak our protocol version
+router.use((req, res, next) => {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+
+  if (req.method !== 'OPTIONS' && req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    return res.status(412).json({ error: `Unsupported tus version (supported: ${TUS_VERSION})` });
+  }
+  next();
+});
+
+// Server capabilities
+router.options('/', (req, res) => {
+  res.setHeader('Tus-Version', TUS_VERSION);
+  res.setHeader('Tus-Extension', TUS_EXTENSIONS);
+  res.setHeader('Tus-Max-Size', config.MAX_UPLOAD_SIZE);
+  res.status(204).end();
+});
+
+// Create an upload
+router.post('/', requireAuth, requireUnlockedKey, requireReady, uploadLimiter, async (req, res, next) => {
+  if (req.get('Upload-Defer-Length')) {
+    return res.status(400).json({ error: 'Upload-Defer-Length is not supported - send Upload-Length' });
+  }
+
+  const length = parseOffset(req.get('Upload-Length'));
+  if (length === null) {
+    return res.status(400).json({ error: 'Upload-Length header is required' });
+  }
+  if (length > config.MAX_UPLOAD_SIZE) {
+    return res.status(413).json({
+      error: `File too large. Maximum size is ${(config.MAX_UPLOAD_SIZE / (1024 * 1024)).toFixed(0)}MB`
+    });
+  }
+
+  const metadata = parseMetadata(req.get('Upload-Metadata'));
+  const filename = metadata.filename || metadata.name;
+  const mimetype = metadata.filetype || metadata.type || 'application/octet-stream';
+
+  if (!filename) {
+    return res.status(400).json({ error: 'Upload-Metadata must include the filename' });
+  }
+  const folderId = metadata.folderId ? parseOffset(metadata.folderId) : null;
+  if (folderId === 0 || (metadata.folderId && folderId === null)) {
+    return res.status(400).json({ error: 'Upload-Metadata folderId must be a folder ID' });
+  }
+  if (!isAllowedFileType(mimetype)) {
+    return res.status(400).json({ error: 'File type not allowed. Allowed types: images, PDFs, documents, and archives.' });
+  }
+
+  const uploadCheck = await canUpload();
+  if (!uploadCheck.allowed) {
+    return res.status(507).json({ error: `Upload blocked: ${uploadCheck.reason}` });
+  }
+
+  try {
+    const result = await withDataKey(req, res, next, dataKey =>
+      resumableUploadService.createUpload(req.session.userId, { length, filename, mimetype, folderId }, dataKey)
+    );
+    if (!result) {
+      return;
+    }
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { upload } = result;
+
+    console.log(`📤 Resumable upload started: ${filename} (${length} bytes) by ${req.session.username}`);
+    res.setHeader('Location', `${req.baseUrl}/${upload.id}`);
+    res.setHeader('Upload-Expires', upload.expiresAt.toUTCString());
+    res.status(201).end();
+  } catch (error) {
+    console.error('Resumable upload create error:', error.message);
+    res.status(500).json({ error: 'Could not start the upload' });
+  }
+});
+
+// Where to resume
+router.head('/:uploadId', requireAuth, async (req, res) => {
+  const upload = await findUpload(req, res);
+  if (!upload) {
+    return;
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Upload-Offset', upload.offset);
+  res.setHeader('Upload-Length', upload.length);
+  res.setHeader('Upload-Expires', upload.expiresAt.toUTCString());
+  res.status(200).end();
+});
+
+// Append a chunk
+router.patch('/:uploadId', requireAuth, requireUnlockedKey, requireReady, async (req, res, next) => {
+  if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+    return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+  }
+
+  const upload = await findUpload(req, res);
+  if (!upload) {
+    return;
+  }
+
+  if (parseOffset(req.get('Upload-Offset')) !== upload.offset) {
+    res.setHeader('Upload-Offset', upload.offset);
+    return res.status(409).json({ error: 'Upload-Offset does not match - send HEAD to resume' });
+  }
+
+  // One progress event per percent, not per segment
+  let reported = null;
+  const onProgress = (offset) => {
+    const progress = upload.length > 0 ? Math.floor((offset * 100) / upload.length) : 100;
+    if (progress !== reported) {
+      reported = progress;
+      realtimeSyncService.updateUploadProgress(upload.id, req.session.userId, progress);
+    }
+  };
+
+  let result;
+  try {
+    result = await withDataKey(req, res, next, dataKey =>
+      resumableUploadService.appendChunk(upload, req, dataKey, onProgress)
+    );
+  } catch (error) {
+    console.error('Resumable upload error:', error.message);
+    return res.status(500).json({ error: 'Upload failed - send HEAD to resume' });
+  }
+  if (!result) {
+    return;
+  }
+
+  res.setHeader('Upload-Offset', result.offset);
+  if (result.expiresAt) {
+    res.setHeader('Upload-Expires', result.expiresAt.toUTCString());
+  }
+
+  if (!result.success) {
+    console.warn(`Resumable upload ${upload.id} stopped at ${result.offset}/${upload.length}: ${result.error}`);
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  if (result.fileId) {
+    console.log(`✓ Resumable upload complete: file ${result.fileId} by ${req.session.username}`);
+  }
+  res.status(204).end();
+});
+
+// Abandon an upload
+router.delete('/:uploadId', requireAuth, async (req, res) => {
+  const upload = await findUpload(req, res);
+  if (!upload) {
+    return;
+  }
+
+  await resumableUploadService.terminateUpload(req.session.userId, upload.id);
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,216 @@
+/**
+ * API v1 - JSON for the web app (frontend/)
+ *
+ * Same session cookie as the server-rendered pages: POST /auth/login unlocks
+ * the data key for the session, and every other route needs that session.
+ * Scripts can send a personal access token instead (Authorization: Bearer),
+ * limited to the routes its scopes allow (see middleware/apiToken).
+ * Errors are { error, code, details? } throughout (see middleware/apiErrors).
+ *
+ * - Auth: login, register, password change, logout, the current user
+ * - Files: list, dashboard, upload, download (shared with the web UI's
+ *   handlers), rename/move/copy/delete, versions, trash (api.js)
+ * - Folders, search, thumbnails (api.js)
+ * - Storage info and security status
+ * - Personal access tokens (browser session only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireUnlockedKey, withDataKey } = require('../middleware/auth');
+const { jsonApi, apiNotFound } = require('../middleware/apiErrors');
+const { requireTokenScope } = require('../middleware/apiToken');
+const { getDatabase } = require('../config/database');
+const { formatFileSize } = require('../config/storage');
+const fileListService = require('../services/core/fileListService');
+const sessionKeyring = require('../services/core/sessionKeyring');
+const legacyEncryption = require('../services/core/legacyEncryption');
+const apiTokenService = require('../services/core/apiTokenService');
+const { openFileRows, rowsFromResult } = require('../services/core/metadataService');
+const { getStorageInfo } = require('../services/core/storageService');
+const { getIdentity } = require('../services/core/identityService');
+const { getUserKeys, hasRecoveryKey } = require('../services/core/keyService');
+const authRoutes = require('./auth');
+const filesRoutes = require('./files');
+const apiRoutes = require('./api');
+
+router.use(jsonApi);
+router.use(requireTokenScope);
+
+// Encryption counts for the dashboard and the security status
+function encryptionStatus(req) {
+  const counts = fileListService.countFiles(req.session.userId);
+  return {
+    encryptionEnabled: sessionKeyring.has(req.sessionID, req.session.userId),
+    encryptedFileCount: counts.encrypted,
+    totalFileCount: counts.total,
+    // Legacy plaintext files still being encrypted in the background
+    encryptionInProgress: legacyEncryption.isEncrypting(req.session.userId)
+  };
+}
+
+// ============================================================================
+// AUTH
+// ============================================================================
+
+// The web UI's login, registration and password change handlers - they
+// answer JSON clients in JSON
+const sharedAuth = express.Router();
+sharedAuth.post(['/login', '/register', '/change-password'], authRoutes);
+router.use('/auth', sharedAuth);
+
+/**
+ * POST /api/v1/auth/logout
+ * Ends the session and forgets its unlocked key
+ */
+router.post('/auth/logout', (req, res) => {
+  const username = req.session.username;
+  sessionKeyring.remove(req.sessionID);
+  req.session.destroy((err) => {
+    if (err) {
+      console.error('Logout error:', err);
+    } else if (username) {
+      console.log(`✓ User logged out: ${username}`);
+    }
+    res.status(204).end();
+  });
+});
+
+/**
+ * GET /api/v1/auth/me
+ * The logged-in user, and whether their key is still unlocked
+ */
+router.get('/auth/me', requireAuth, (req, res) => {
+  const [user] = rowsFromResult(getDatabase().exec('SELECT id, username, role FROM users WHERE id = ?', [req.session.userId]));
+  if (!user) {
+    return res.status(401).json({ error: 'User not found' });
+  }
+  res.json({ user, encryptionUnlocked: sessionKeyring.has(req.sessionID, req.session.userId) });
+});
+
+// ============================================================================
+// FILES
+// ============================================================================
+
+/**
+ * GET /api/v1/files/dashboard
+ * Counts, storage and the five most recent files
+ */
+router.get('/files/dashboard', requireAuth, requireUnlockedKey, async (req, res, next) => {
+  try {
+    const recent = withDataKey(req, res, next, dataKey =>
+      fileListService.listFiles(
+        { userId: req.session.userId },
+        { ...fileListService.parseListOptions().options, limit: 5 },
+        rows => openFileRows(dataKey, rows)
+      )
+    );
+    if (!recent) {
+      return;
+    }
+    if (!recent.success) {
+      return res.status(recent.status).json({ error: recent.error });
+    }
+
+    const securityStatus = encryptionStatus(req);
+    res.json({
+      recentFiles: recent.files.map(file => ({ ...file, formattedSize: formatFileSize(file.size) })),
+      storageInfo: await getStorageInfo(),
+      totalFiles: securityStatus.totalFileCount,
+      securityStatus
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The web UI's handlers: GET / lists a page of files (see fileListService),
+// uploads answer with the new file, downloads stream the decrypted file
+const sharedFiles = express.Router();
+sharedFiles.get(['/', '/download/:id'], filesRoutes);
+sharedFiles.post(['/upload', '/upload-folder'], filesRoutes);
+router.use('/files', sharedFiles);
+
+// ============================================================================
+// STORAGE AND SECURITY
+// ============================================================================
+
+/**
+ * GET /api/v1/storage
+ */
+router.get('/storage', requireAuth, async (req, res, next) => {
+  try {
+    res.json({ storage: await getStorageInfo() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/security/status
+ * File encryption, recovery key, keyfile and last backup
+ */
+router.get('/security/status', requireAuth, async (req, res, next) => {
+  try {
+    const keys = getUserKeys(req.session.userId);
+    const identity = await getIdentity();
+    res.json({
+      encryption: encryptionStatus(req),
+      recoveryKey: hasRecoveryKey(req.session.userId),
+      keyfile: { enrolled: Boolean(keys && keys.keyfileEnrolledAt), enrolledAt: keys ? keys.keyfileEnrolledAt : null },
+      lastBackup: identity.lastBackup || null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// API TOKENS
+// ============================================================================
+
+/**
+ * GET /api/v1/tokens
+ * The user's tokens, and the scopes a new one can have
+ */
+router.get('/tokens', requireAuth, (req, res) => {
+  const result = apiTokenService.listTokens(req.session.userId);
+  res.json({ tokens: result.tokens, scopes: apiTokenService.SCOPES, presets: apiTokenService.SCOPE_PRESETS });
+});
+
+/**
+ * POST /api/v1/tokens
+ * Body: { name, scopes (array or preset name), expiresInDays }
+ * The token is in this response only
+ */
+router.post('/tokens', requireAuth, requireUnlockedKey, (req, res, next) => {
+  const result = withDataKey(req, res, next, dataKey =>
+    apiTokenService.createToken(req.session.userId, dataKey, req.body || {}, req)
+  );
+  if (!result) {
+    return;
+  }
+  if (!result.success) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.set('Cache-Control', 'no-store');
+  res.status(201).json({ token: result.token, apiToken: result.apiToken });
+});
+
+/**
+ * DELETE /api/v1/tokens/:tokenId
+ */
+router.delete('/tokens/:tokenId', requireAuth, (req, res) => {
+  const result = apiTokenService.revokeToken(req.session.userId, parseInt(req.params.tokenId, 10), req);
+  if (!result.success) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.status(204).end();
+});
+
+// Folders, file operations, versions, trash, search and the rest
+router.use(apiRoutes);
+
+router.use(apiNotFound);
+
+module.exports = router;
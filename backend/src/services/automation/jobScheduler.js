@@ -6,6 +6,7 @@
 const trashService = require('../core/trashService');
 const thumbnailService = require('../media/thumbnailService');
 const duplicateService = require('../core/duplicateService');
+const resumableUploadService = require('../core/resumableUploadService');
 
 class JobScheduler {
   constructor() {
@@ -34,6 +35,14 @@ class JobScheduler {
       }
     });
     
+    // Remove abandoned resumable uploads every hour (also done at startup)
+    this.scheduleJob('upload-session-cleanup', 60 * 60 * 1000, async () => {
+      const result = await resumableUploadService.cleanupExpiredUploads();
+      if (result.success && result.removed > 0) {
+        console.log(`✓ Removed ${result.removed} expired upload(s)`);
+      }
+    });
+    
     // Initialize thumbnail service
     thumbnailService.init().catch(err => {
       console.error('Thumbnail service init error:', err);
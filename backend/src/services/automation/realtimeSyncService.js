@@ -203,10 +203,12 @@ class RealtimeSyncService {
 
   /**
    * Broadcast folder created
+   * Folder names are encrypted metadata - only the owner's sessions get them,
+   * watchers of the parent just learn that something changed.
    */
   async folderCreated(folder, userId) {
     try {
-      websocketService.broadcastToAll('folder:created', {
+      websocketService.emitToUser(userId, 'folder:created', {
         folder: {
           id: folder.id,
           name: folder.name,
@@ -218,7 +220,7 @@ class RealtimeSyncService {
       if (folder.parent_id) {
         websocketService.emitToFolderWatchers(folder.parent_id, 'folder:subfolder-added', {
           parentId: folder.parent_id,
-          folder
+          folderId: folder.id
         });
       }
     } catch (error) {
@@ -233,13 +235,14 @@ class RealtimeSyncService {
     try {
       websocketService.emitToFolderWatchers(folder.id, 'folder:updated', {
         folderId: folder.id,
-        changes,
+        changes: Object.keys(changes),
         updatedBy: userId
       });
 
-      websocketService.broadcastToAll('folder:changed', {
+      websocketService.emitToUser(userId, 'folder:changed', {
         folderId: folder.id,
         name: folder.name,
+        parentId: folder.parent_id,
         updatedBy: userId
       });
     } catch (error) {
@@ -254,11 +257,10 @@ class RealtimeSyncService {
     try {
       websocketService.emitToFolderWatchers(folderId, 'folder:deleted', {
         folderId,
-        folderName,
         deletedBy: userId
       });
 
-      websocketService.broadcastToAll('folder:removed', {
+      websocketService.emitToUser(userId, 'folder:removed', {
         folderId,
         folderName,
         deletedBy: userId
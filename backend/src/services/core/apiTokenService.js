@@ -0,0 +1,267 @@
+/**
+ * API Token Service for PocketCloud
+ * Personal access tokens, so scripts and other clients can use API v1
+ * without a browser session
+ *
+ * A token is "pct_" followed by 32 random bytes, shown once when it is
+ * created. Only its SHA-256 hash is stored. Files can't be read without the
+ * user's data key, so each token holds its own copy of the key, wrapped by a
+ * KEK derived from the token itself (see cryptoService.deriveTokenKek). The
+ * server can unwrap it only while a request presents the token, and
+ * revoking the token deletes that copy. Changing the password leaves tokens
+ * working: the data key they wrap stays the same.
+ *
+ * Scopes are PERMISSIONS from config/roles.js. A token can only be given
+ * scopes the user could use themselves: what their role has, plus what every
+ * account may do with its own files (OWNER_PERMISSIONS) - tokens only act on
+ * the user's own data. authenticate() reads the role afresh on every
+ * request and middleware/apiToken.js checks it along with the scope each
+ * route needs, so a token loses whatever its user's role loses.
+ */
+
+const crypto = require('crypto');
+const { getDatabase, saveDatabase } = require('../../config/database');
+const { PERMISSIONS, hasOwnerPermission } = require('../../config/roles');
+const { deriveTokenKek, wrapDataKey, unwrapDataKey, generateSalt } = require('./cryptoService');
+const { verifyDataKey } = require('./keyService');
+const { rowsFromResult } = require('./metadataService');
+const auditLogService = require('../security/auditLogService');
+
+const TOKEN_PREFIX = 'pct_';
+const TOKEN_BYTES = 32;
+
+const SCOPES = Object.values(PERMISSIONS);
+
+// Common scope sets offered when creating a token
+const SCOPE_PRESETS = {
+  'read-only': [
+    PERMISSIONS.FILE_READ,
+    PERMISSIONS.FILE_DOWNLOAD,
+    PERMISSIONS.FOLDER_READ,
+    PERMISSIONS.SEARCH_OWN,
+    PERMISSIONS.USER_READ
+  ],
+  'upload-only': [PERMISSIONS.FILE_UPLOAD]
+};
+
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+const MAX_NAME_LENGTH = 100;
+
+// last_used_at is saved at most once a minute per token
+const LAST_USED_PRECISION = 60 * 1000;
+
+const TOKEN_COLUMNS = 'id, name, prefix, scopes, created_at, expires_at, last_used_at';
+
+function statusError(status, error) {
+  return { success: false, status, error };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token, 'utf8').digest('hex');
+}
+
+// A token as listed - never its hash or key
+function describeToken(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: JSON.parse(row.scopes),
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    expired: Date.parse(row.expires_at) <= Date.now()
+  };
+}
+
+/**
+ * Check the scopes asked for a new token
+ * @param {string[]|string} scopes - Scope names, or the name of a preset
+ * @returns {string[]|null} - Unique scopes, or null if any is unknown
+ */
+function parseScopes(scopes) {
+  const list = typeof scopes === 'string' && SCOPE_PRESETS[scopes] ? SCOPE_PRESETS[scopes] : scopes;
+  if (!Array.isArray(list) || list.length === 0 || !list.every(scope => SCOPES.includes(scope))) {
+    return null;
+  }
+  return [...new Set(list)];
+}
+
+/**
+ * Create a token for a logged-in user
+ *
+ * @param {number} userId - Owner
+ * @param {Buffer} dataKey - The user's unlocked data key (from the session)
+ * @param {Object} options - { name, scopes (names or a SCOPE_PRESETS key), expiresInDays }
+ * @param {Object} [req] - Request, for the audit log
+ * @returns {Object} - { success, token, apiToken } - token is shown once - or { success: false, status, error }
+ */
+function createToken(userId, dataKey, { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS } = {}, req = null) {
+  const label = typeof name === 'string' ? name.trim() : '';
+  if (!label || label.length > MAX_NAME_LENGTH) {
+    return statusError(400, `Name is required (up to ${MAX_NAME_LENGTH} characters)`);
+  }
+
+  const granted = parseScopes(scopes);
+  if (!granted) {
+    return statusError(400, `Choose at least one scope from: ${SCOPES.join(', ')}`);
+  }
+
+  const [user] = rowsFromResult(getDatabase().exec('SELECT role FROM users WHERE id = ?', [userId]));
+  if (!user) {
+    return statusError(404, 'User not found');
+  }
+  const beyondRole = granted.filter(scope => !hasOwnerPermission(user.role || 'viewer', scope));
+  if (beyondRole.length > 0) {
+    return statusError(403, `Your role does not allow: ${beyondRole.join(', ')}`);
+  }
+
+  const days = Number(expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+    return statusError(400, `Expiry must be a whole number of days from 1 to ${MAX_EXPIRY_DAYS}`);
+  }
+
+  const secret = crypto.randomBytes(TOKEN_BYTES);
+  const token = TOKEN_PREFIX + secret.toString('base64url');
+  const salt = generateSalt();
+  const kek = deriveTokenKek(secret, salt);
+  let wrapped;
+  try {
+    wrapped = wrapDataKey(dataKey, kek);
+  } finally {
+    kek.fill(0);
+    secret.fill(0);
+  }
+
+  try {
+    const db = getDatabase();
+    const now = Date.now();
+    const expiresAt = new Date(now + days * 86400000).toISOString();
+    db.run(
+      `INSERT INTO api_tokens (user_id, name, token_hash, prefix, scopes, key_salt, wrapped_data_key, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, label, hashToken(token), token.slice(0, TOKEN_PREFIX.length + 6), JSON.stringify(granted),
+        salt.toString('hex'), wrapped, new Date(now).toISOString(), expiresAt]
+    );
+    const id = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+    saveDatabase();
+
+    auditLogService.log(userId, 'token.create', 'api_token', id, { name: label, scopes: granted, expiresAt }, req);
+    console.log(`✓ API token created for user ${userId}: ${label} (${granted.join(', ')})`);
+
+    const [row] = rowsFromResult(db.exec(`SELECT ${TOKEN_COLUMNS} FROM api_tokens WHERE id = ?`, [id]));
+    return { success: true, token, apiToken: describeToken(row) };
+  } catch (error) {
+    console.error('Create API token error:', error.message);
+    return statusError(500, 'Failed to create token');
+  }
+}
+
+/**
+ * A user's tokens, newest first - expired ones included until revoked
+ * @returns {Object} - { success, tokens }
+ */
+function listTokens(userId) {
+  const rows = rowsFromResult(getDatabase().exec(
+    `SELECT ${TOKEN_COLUMNS} FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC, id DESC`,
+    [userId]
+  ));
+  return { success: true, tokens: rows.map(describeToken) };
+}
+
+/**
+ * Revoke a token: it stops working at once and its copy of the data key is deleted
+ * @returns {Object} - { success } or { success: false, status: 404, error }
+ */
+function revokeToken(userId, tokenId, req = null) {
+  const db = getDatabase();
+  const [row] = rowsFromResult(db.exec('SELECT id, name FROM api_tokens WHERE id = ? AND user_id = ?', [tokenId, userId]));
+  if (!row) {
+    return statusError(404, 'Token not found');
+  }
+
+  db.run('DELETE FROM api_tokens WHERE id = ?', [tokenId]);
+  saveDatabase();
+
+  auditLogService.log(userId, 'token.revoke', 'api_token', tokenId, { name: row.name }, req);
+  console.log(`✓ API token revoked for user ${userId}: ${row.name}`);
+  return { success: true };
+}
+
+/**
+ * Check a token from an Authorization header and unlock its data key
+ *
+ * @param {string} token - "pct_..."
+ * @returns {Object} - { success, tokenId, userId, username, role, scopes, dataKey } (caller must zero dataKey)
+ *   or { success: false, status: 401, error }
+ */
+function authenticate(token) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+    return statusError(401, 'Invalid API token');
+  }
+  const secret = Buffer.from(token.slice(TOKEN_PREFIX.length), 'base64url');
+  if (secret.length !== TOKEN_BYTES) {
+    return statusError(401, 'Invalid API token');
+  }
+
+  const db = getDatabase();
+  const [row] = rowsFromResult(db.exec(
+    `SELECT t.id, t.user_id, t.scopes, t.key_salt, t.wrapped_data_key, t.expires_at, t.last_used_at, u.username, u.role
+     FROM api_tokens t JOIN users u ON u.id = t.user_id WHERE t.token_hash = ?`,
+    [hashToken(token)]
+  ));
+  if (!row) {
+    secret.fill(0);
+    return statusError(401, 'Invalid API token');
+  }
+  if (Date.parse(row.expires_at) <= Date.now()) {
+    secret.fill(0);
+    return statusError(401, 'API token has expired');
+  }
+
+  const kek = deriveTokenKek(secret, Buffer.from(row.key_salt, 'hex'));
+  secret.fill(0);
+  let dataKey;
+  try {
+    dataKey = unwrapDataKey(row.wrapped_data_key, kek);
+  } catch (error) {
+    console.error(`API token ${row.id}: data key could not be unwrapped`);
+    return statusError(401, 'Invalid API token');
+  } finally {
+    kek.fill(0);
+  }
+
+  // Keys from before a key change (e.g. a restored backup) no longer open the files
+  if (!verifyDataKey(row.user_id, dataKey)) {
+    dataKey.fill(0);
+    return statusError(401, 'API token no longer matches your encryption key - create a new one');
+  }
+
+  if (!row.last_used_at || Date.now() - Date.parse(row.last_used_at) >= LAST_USED_PRECISION) {
+    db.run('UPDATE api_tokens SET last_used_at = ? WHERE id = ?', [new Date().toISOString(), row.id]);
+    saveDatabase();
+  }
+
+  return {
+    success: true,
+    tokenId: row.id,
+    userId: row.user_id,
+    username: row.username,
+    role: row.role || 'viewer',
+    scopes: JSON.parse(row.scopes),
+    dataKey
+  };
+}
+
+module.exports = {
+  TOKEN_PREFIX,
+  SCOPES,
+  SCOPE_PRESETS,
+  DEFAULT_EXPIRY_DAYS,
+  MAX_EXPIRY_DAYS,
+  createToken,
+  listTokens,
+  revokeToken,
+  authenticate
+};
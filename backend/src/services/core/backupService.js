@@ -15,6 +15,7 @@ const config = require('../../config/config');
 const { STORAGE_ROOT } = require('./storageService');
 const { BackupRestoreFailureHandler } = require('./failureDetection');
 const { PRODUCT_VERSION, BACKUP_FORMAT_VERSION } = require('./productBoundaries');
+const { getVersionUsage } = require('./versionService');
 
 // Backup format version
 const BACKUP_VERSION = BACKUP_FORMAT_VERSION;
@@ -50,6 +51,9 @@ async function getBackupManifest() {
     const dbStat = await fs.stat(config.DB_PATH);
     totalSize += dbStat.size;
     
+    // Older file versions are .enc files too - already counted above
+    const versions = getVersionUsage();
+    
     // Get identity file size if exists
     const identityPath = path.join(process.cwd(), 'data', '.pocketcloud-identity');
     if (await fs.pathExists(identityPath)) {
@@ -62,6 +66,8 @@ async function getBackupManifest() {
       pocketcloudVersion: PRODUCT_VERSION,
       timestamp: new Date().toISOString(),
       fileCount,
+      versionCount: versions.count,
+      versionSize: versions.size,
       totalEncryptedSize: totalSize,
       estimatedBackupSize: Math.ceil(totalSize * 1.1) // Add 10% overhead for TAR
     };
@@ -0,0 +1,141 @@
+/**
+ * Client-side Encryption Service for PocketCloud
+ * Server half of browser encryption (frontend/src/lib/clientCrypto.ts)
+ *
+ * In client mode the browser unwraps the data key itself and uploads files
+ * already in the segmented format, with filename and MIME type sealed as
+ * metadata. The server never sees either in plaintext; it only checks that
+ * an upload is well-formed and records the file key ID from its header.
+ *
+ * Both modes write the same bytes, so one account can mix them: server
+ * downloads decrypt client uploads and the browser can decrypt files the
+ * server encrypted.
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { getDatabase, saveDatabase } = require('../../config/database');
+const { getUserStoragePath } = require('../../config/storage');
+const { inspectEncryptedFile, isEncryptedMetadata, FORMAT_SEGMENTED } = require('./cryptoService');
+const { encryptedSize, SEGMENT_SIZE, MAX_HEADER_LENGTH } = require('./segmentedCrypto');
+const { getUserKeys } = require('./keyService');
+const versionService = require('./versionService');
+
+// Browsers key new files with crypto.randomUUID(), like generateFileKeyId
+const KEY_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Wrapped key material the browser needs to unlock the data key
+ * Useless without the password (and keyfile), so it is safe to hand out
+ *
+ * @returns {Object} - { success, material } or { success: false, error }
+ */
+function getWrappedKeyMaterial(userId) {
+  const keys = getUserKeys(userId);
+
+  if (!keys || !keys.encryptionSalt) {
+    return { success: false, error: 'Encryption is not set up for this account' };
+  }
+  if (!keys.wrappedDataKey) {
+    return { success: false, error: 'Log in once with your password to upgrade this account first' };
+  }
+
+  return {
+    success: true,
+    material: {
+      userId,
+      encryptionSalt: keys.encryptionSalt,
+      wrappedDataKey: keys.wrappedDataKey,
+      kdfParams: keys.kdfParams,
+      keyCheck: keys.keyCheck || null,
+      keyfileRequired: Boolean(keys.keyfileEnrolledAt)
+    }
+  };
+}
+
+/**
+ * Largest ciphertext accepted for the configured upload limit
+ */
+function maxCiphertextSize(maxPlainSize) {
+  return encryptedSize(maxPlainSize, SEGMENT_SIZE, MAX_HEADER_LENGTH);
+}
+
+/**
+ * Register an uploaded client-encrypted file
+ * The stored file is removed if it is rejected.
+ *
+ * @param {number} userId - Owner
+ * @param {string} storageName - Name of the ciphertext in the user's directory
+ * @param {Object} metadata - { filename, mimetype } sealed in the browser ("pcm1:" values),
+ *   the folderId to file it in (checked by the caller), and versionOf: the ID of a file in that
+ *   folder this upload is a new version of - the browser matches names, the server can't
+ * @returns {Promise<Object>} - { success, id, size, version } or { success: false, status, error }
+ */
+async function registerClientFile(userId, storageName, { filename, mimetype, folderId = null, versionOf = null }) {
+  const filePath = path.join(getUserStoragePath(userId), storageName);
+  const reject = async (status, error) => {
+    await fs.remove(filePath);
+    return { success: false, status, error };
+  };
+
+  if (!isEncryptedMetadata(filename) || (mimetype && !isEncryptedMetadata(mimetype))) {
+    return reject(400, 'Filename and type must be encrypted in the browser');
+  }
+
+  const info = await inspectEncryptedFile(filePath);
+  if (!info.segmented || !info.valid || !info.fileId) {
+    return reject(400, 'Upload is not a PocketCloud encrypted file');
+  }
+
+  // The file key ID must be fresh - reusing one would reuse a file key
+  if (!KEY_ID_PATTERN.test(info.fileId)) {
+    return reject(400, 'Encrypted file must be keyed with a random file key ID');
+  }
+
+  const db = getDatabase();
+  const taken = db.exec(
+    'SELECT id FROM files WHERE key_id = ? UNION ALL SELECT id FROM file_versions WHERE key_id = ?',
+    [info.fileId, info.fileId]
+  );
+  if (taken.length > 0 && taken[0].values.length > 0) {
+    return reject(409, 'File key ID is already in use - encrypt the file again');
+  }
+  
+  if (versionOf !== null) {
+    const current = db.exec(
+      'SELECT id FROM files WHERE id = ? AND user_id = ? AND folder_id IS ? AND trashed_at IS NULL',
+      [versionOf, userId, folderId]
+    );
+    if (current.length === 0) {
+      return reject(404, 'File to add a version to not found in this folder');
+    }
+    
+    const version = versionService.addVersion(userId, versionOf, {
+      filepath: storageName,
+      size: info.plainSize,
+      mimetype,
+      format: FORMAT_SEGMENTED,
+      keyId: info.fileId
+    });
+    saveDatabase();
+    await versionService.applyRetention(userId, versionOf);
+    
+    return { success: true, id: versionOf, size: info.plainSize, version };
+  }
+
+  db.run(
+    `INSERT INTO files (user_id, folder_id, filename, filepath, size, mimetype, iv, auth_tag, encrypted, format_version, meta_encrypted, key_id)
+     VALUES (?, ?, ?, ?, ?, ?, NULL, NULL, 1, ?, 1, ?)`,
+    [userId, folderId, filename, storageName, info.plainSize, mimetype || null, FORMAT_SEGMENTED, info.fileId]
+  );
+  const id = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+  saveDatabase();
+
+  return { success: true, id, size: info.plainSize, version: 1 };
+}
+
+module.exports = {
+  getWrappedKeyMaterial,
+  maxCiphertextSize,
+  registerClientFile
+};
@@ -4,6 +4,7 @@
  */
 
 const { getDatabase, saveDatabase } = require('../../config/database');
+const { getFolderAccess } = require('./folderService');
 
 class CollaborationService {
   /**
@@ -200,21 +201,23 @@ class CollaborationService {
       
       // Check ownership
       const table = resourceType === 'file' ? 'files' : 'folders';
-      const ownerStmt = db.prepare(`SELECT user_id FROM ${table} WHERE id = ?`);
+      const ownerStmt = db.prepare(`SELECT user_id${resourceType === 'file' ? ', folder_id' : ''} FROM ${table} WHERE id = ?`);
       ownerStmt.bind([resourceId]);
       
-      if (ownerStmt.step()) {
-        const owner = ownerStmt.getAsObject();
-        ownerStmt.free();
-        
-        if (owner.user_id === userId) {
-          return { hasAccess: true, permission: 'owner' };
-        }
-      } else {
+      if (!ownerStmt.step()) {
         ownerStmt.free();
         return { hasAccess: false };
       }
       
+      const owner = ownerStmt.getAsObject();
+      ownerStmt.free();
+      
+      if (owner.user_id === userId) {
+        return { hasAccess: true, permission: 'owner' };
+      }
+      
+      const permissionLevel = { view: 1, edit: 2, admin: 3 };
+      
       // Check shares
       const shareStmt = db.prepare(`
         SELECT permission FROM shares 
@@ -227,13 +230,21 @@ class CollaborationService {
         const share = shareStmt.getAsObject();
         shareStmt.free();
         
-        const permissionLevel = { view: 1, edit: 2, admin: 3 };
         const hasPermission = permissionLevel[share.permission] >= permissionLevel[requiredPermission];
         
         return { hasAccess: hasPermission, permission: share.permission };
       }
       shareStmt.free();
       
+      // A share on a folder covers everything below it
+      const folderId = resourceType === 'file' ? owner.folder_id : resourceId;
+      const inherited = folderId ? getFolderAccess(userId, folderId) : null;
+      if (inherited) {
+        const hasPermission = permissionLevel[inherited.permission] >= permissionLevel[requiredPermission];
+        
+        return { hasAccess: hasPermission, permission: inherited.permission };
+      }
+      
       return { hasAccess: false };
     } catch (error) {
       console.error('Check access error:', error);
@@ -408,8 +419,8 @@ class CollaborationService {
         resourceType,
         resourceId,
         JSON.stringify(details),
-        req ? req.ip : null,
-        req ? req.get('user-agent') : null
+        req ? req.ip || null : null,
+        req ? req.get('user-agent') || null : null
       ]);
       stmt.step();
       stmt.free();
@@ -5,4 +5,25 @@ class CryptoIntegrityError extends Error {
   }
 }
 
-module.exports = { CryptoIntegrityError };
+class KeyUnlockError extends Error {
+  constructor(message = "Encryption key could not be unlocked") {
+    super(message);
+    this.name = "KeyUnlockError";
+  }
+}
+
+class KeyMismatchError extends Error {
+  constructor(message = "Encryption key does not match this account") {
+    super(message);
+    this.name = "KeyMismatchError";
+  }
+}
+
+class KeyfileError extends KeyUnlockError {
+  constructor(message = "This account requires its keyfile") {
+    super(message);
+    this.name = "KeyfileError";
+  }
+}
+
+module.exports = { CryptoIntegrityError, KeyUnlockError, KeyMismatchError, KeyfileError };
@@ -3,20 +3,57 @@ const path = require('path');
 const { promisify } = require('util');
 const stream = require('stream');
 const pipeline = promisify(stream.pipeline);
-const { CryptoIntegrityError } = require('./cryptoErrors');
+const { CryptoIntegrityError, KeyUnlockError } = require('./cryptoErrors');
+const cryptoWorkerPool = require('./cryptoWorkerPool');
+const {
+  SegmentEncryptStream,
+  SegmentDecryptStream,
+  parseHeader,
+  isSegmentedHeader,
+  headerLength,
+  planRange,
+  encryptedSize,
+  describeLayout,
+  SEGMENT_SIZE,
+  SEGMENT_TAG_LENGTH,
+  MAX_HEADER_LENGTH
+} = require('./segmentedCrypto');
+
+// Segments read ahead per download, so they can be opened on several workers at once
+const PARALLEL_SEGMENTS = 4;
 
 /**
  * Production-grade encryption service for PocketCloud
  * 
- * Security Model:
- * - User password → scrypt → Master Key (never stored)
- * - Master Key + file-specific context → HKDF → Per-file Key
- * - Per-file Key + random IV → AES-256-GCM → Encrypted file
+ * Security Model (envelope encryption):
+ * - User password → scrypt → Master Key → HKDF → Key Encryption Key (never stored)
+ * - Random per-user Data Key, stored only wrapped by the KEK (users.wrapped_data_key)
+ * - Data Key + file-specific context → HKDF → Per-file Key
+ * - Per-file Key → segmented AES-256-GCM (64 KiB segments) → Encrypted file
+ * 
+ * File formats (files.format_version):
+ * - 1 (legacy): one GCM stream, IV and auth tag stored in the files table
+ * - 2 (segmented): self-contained, each segment has its own nonce/tag (see segmentedCrypto.js)
+ *   The file header records the cipher, KDF params and file ID, so a file can be
+ *   interpreted without the database.
+ * 
+ * scrypt params are stored per user (users.kdf_params) and raised to the
+ * configured target the next time the user unlocks their key.
+ * 
+ * A key-check value (users.key_check) identifies the right Data Key, so a key
+ * mismatch is reported as such instead of as file corruption.
+ * 
+ * Changing a password re-wraps the Data Key; no file is re-encrypted.
+ * An optional recovery key wraps a second copy of the Data Key
+ * (users.recovery_wrapped_key) so a forgotten password loses no files.
+ * Accounts created before envelope encryption use their old Master Key as
+ * the Data Key, so their existing files keep decrypting after migration.
  * 
  * Zero-knowledge design: Server never stores raw keys
  */
 
 // Crypto constants (production-grade)
+// Accounts without users.kdf_params were created with these
 const SCRYPT_PARAMS = {
   N: 32768,        // CPU/memory cost (2^15)
   r: 8,            // Block size
@@ -29,51 +66,290 @@ const AES_ALGORITHM = 'aes-256-gcm';
 const IV_LENGTH = 16;        // 128-bit IV for GCM
 const AUTH_TAG_LENGTH = 16;  // 128-bit auth tag
 const SALT_LENGTH = 32;      // 256-bit salt
+const DATA_KEY_LENGTH = 32;  // 256-bit data key
+const WRAP_IV_LENGTH = 12;   // 96-bit IV for key wrapping
+const KEY_WRAP_VERSION = 1;
+const KEY_WRAP_AAD = Buffer.from('pocketcloud-data-key-v1', 'utf8');
+const KEY_CHECK_LENGTH = 16; // 128-bit key-check value
+const METADATA_IV_LENGTH = 12; // 96-bit IV for metadata values
+const METADATA_PREFIX = 'pcm1:'; // Marks an encrypted metadata value in the DB
+const KEYFILE_MAX_SIZE = 1024 * 1024; // Keyfiles are read whole, so keep them small
+
+// On-disk file formats
+const FORMAT_LEGACY = 1;     // Single GCM stream, tag in DB
+const FORMAT_SEGMENTED = 2;  // Per-segment tags, supports random access
+
+/**
+ * Target scrypt params for new and upgraded keys
+ * N comes from config (SCRYPT_N), r and p are fixed
+ * 
+ * @returns {Object} - { N, r, p }
+ */
+function currentKdfParams() {
+  const config = require('../../config/config');
+  return { N: config.SCRYPT_N, r: SCRYPT_PARAMS.r, p: SCRYPT_PARAMS.p };
+}
+
+/**
+ * Parse stored scrypt params (users.kdf_params)
+ * 
+ * @param {string|null} json - Stored JSON, NULL for accounts created before per-user params
+ * @returns {Object} - { N, r, p }
+ */
+function parseKdfParams(json) {
+  if (!json) {
+    return { N: SCRYPT_PARAMS.N, r: SCRYPT_PARAMS.r, p: SCRYPT_PARAMS.p };
+  }
+  const { N, r, p } = JSON.parse(json);
+  return { N, r, p };
+}
+
+/**
+ * Check whether stored params are below the target in any dimension
+ * 
+ * @param {Object} params - Stored params
+ * @param {Object} target - Target params (see currentKdfParams)
+ * @returns {boolean}
+ */
+function isKdfOutdated(params, target = currentKdfParams()) {
+  return params.N < target.N || params.r < target.r || params.p < target.p;
+}
+
+/**
+ * Hash a keyfile for use as a second factor
+ * Any file works; only this digest ever reaches the KDF and it is never stored
+ * 
+ * @param {Buffer} contents - Keyfile contents
+ * @returns {Buffer} - 256-bit keyfile digest (caller must zero it)
+ */
+function hashKeyfile(contents) {
+  if (!contents || contents.length === 0) {
+    throw new Error('Keyfile is empty');
+  }
+  if (contents.length > KEYFILE_MAX_SIZE) {
+    throw new Error('Keyfile must be 1 MB or smaller');
+  }
+  return crypto.createHash('sha256')
+    .update('pocketcloud-keyfile-v1')
+    .update(contents)
+    .digest();
+}
 
 /**
  * Derive master key from password using scrypt
  * This is the ONLY place where password → key happens
  * 
- * @param {string} password - User password
+ * With a keyfile the scrypt input is digest (32) | password, so the
+ * password alone is useless and the digest is stretched with it.
+ * 
+ * @param {string|Buffer} password - User password
  * @param {Buffer} salt - Unique salt (stored in DB)
+ * @param {Object} [params] - { N, r, p } scrypt params (stored per user)
+ * @param {Buffer} [keyfileHash] - Keyfile digest (see hashKeyfile) for enrolled users
  * @returns {Promise<Buffer>} - 256-bit master key
  */
-async function deriveMasterKey(password, salt) {
-  return new Promise((resolve, reject) => {
-    crypto.scrypt(
-      password,
-      salt,
-      SCRYPT_PARAMS.keyLen,
-      {
-        N: SCRYPT_PARAMS.N,
-        r: SCRYPT_PARAMS.r,
-        p: SCRYPT_PARAMS.p,
-        maxmem: SCRYPT_PARAMS.maxmem
-      },
-      (err, derivedKey) => {
-        if (err) reject(err);
-        else resolve(derivedKey);
-      }
-    );
-  });
+async function deriveMasterKey(password, salt, params = SCRYPT_PARAMS, keyfileHash = null) {
+  // scrypt needs ~128 * N * r bytes; leave headroom over the default limit
+  const maxmem = Math.max(SCRYPT_PARAMS.maxmem, 256 * params.N * params.r);
+  const secret = keyfileHash
+    ? Buffer.concat([keyfileHash, Buffer.from(password, 'utf8')])
+    : password;
+  
+  // On a worker thread - scrypt is deliberately slow
+  try {
+    return await cryptoWorkerPool.scrypt(secret, salt, SCRYPT_PARAMS.keyLen, {
+      N: params.N,
+      r: params.r,
+      p: params.p,
+      maxmem
+    });
+  } finally {
+    if (keyfileHash) secret.fill(0);
+  }
 }
 
 /**
- * Derive per-file encryption key from master key
+ * Derive per-file encryption key from the user's data key
  * Uses HKDF to create unique keys for each file
  * 
- * @param {Buffer} masterKey - Master key from password
+ * @param {Buffer} dataKey - User's unlocked data key
  * @param {string} fileId - Unique file identifier (prevents key reuse)
  * @returns {Buffer} - 256-bit file encryption key
  */
-function deriveFileKey(masterKey, fileId) {
-  // HKDF-SHA256: masterKey + context → fileKey
+function deriveFileKey(dataKey, fileId) {
+  // HKDF-SHA256: dataKey + context → fileKey
   const info = Buffer.from(`pocketcloud-file-${fileId}`, 'utf8');
-  const derivedKey = crypto.hkdfSync('sha256', masterKey, Buffer.alloc(0), info, 32);
+  const derivedKey = crypto.hkdfSync('sha256', dataKey, Buffer.alloc(0), info, 32);
   // hkdfSync returns ArrayBuffer in newer Node versions, convert to Buffer
   return Buffer.from(derivedKey);
 }
 
+/**
+ * Generate a file key ID for a new file
+ * Random rather than taken from the row ID, so no two uploads - however
+ * concurrent - can derive the same file key. Stored in files.key_id.
+ *
+ * @returns {string} - UUID, used as the fileId for deriveFileKey
+ */
+function generateFileKeyId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * File key ID a stored file was encrypted under
+ * Files from before files.key_id existed were keyed by owner and row ID.
+ *
+ * @param {Object} file - { keyId, userId, id } (keyId may be null)
+ * @returns {string}
+ */
+function fileKeyId({ keyId, userId, id }) {
+  return keyId || `${userId}-${id}`;
+}
+
+/**
+ * Derive key encryption key (KEK) from password
+ * Domain-separated from the raw scrypt output, which legacy accounts use as their data key
+ * 
+ * @param {string} password - User password
+ * @param {Buffer} salt - User's salt (stored in DB)
+ * @param {Object} [params] - { N, r, p } scrypt params
+ * @param {Buffer} [keyfileHash] - Keyfile digest for enrolled users
+ * @returns {Promise<Buffer>} - 256-bit KEK
+ */
+async function deriveKeyEncryptionKey(password, salt, params, keyfileHash = null) {
+  const masterKey = await deriveMasterKey(password, salt, params, keyfileHash);
+  const info = Buffer.from('pocketcloud-kek', 'utf8');
+  const kek = Buffer.from(crypto.hkdfSync('sha256', masterKey, Buffer.alloc(0), info, 32));
+  masterKey.fill(0);
+  return kek;
+}
+
+/**
+ * Derive key encryption key (KEK) from a recovery key
+ * Recovery keys are 128 random bits, so HKDF is enough - no password stretching
+ * 
+ * @param {Buffer} recoveryKey - Recovery key bytes (see recoveryKey.js)
+ * @param {Buffer} salt - Recovery salt (users.recovery_salt)
+ * @returns {Buffer} - 256-bit KEK
+ */
+function deriveRecoveryKek(recoveryKey, salt) {
+  const info = Buffer.from('pocketcloud-recovery-kek', 'utf8');
+  return Buffer.from(crypto.hkdfSync('sha256', recoveryKey, salt, info, 32));
+}
+
+/**
+ * Derive key encryption key (KEK) from an API token secret
+ * Like recovery keys, token secrets are random (256 bits) - HKDF is enough
+ * 
+ * @param {Buffer} tokenSecret - Random part of the token (see apiTokenService.js)
+ * @param {Buffer} salt - Per-token salt (api_tokens.key_salt)
+ * @returns {Buffer} - 256-bit KEK
+ */
+function deriveTokenKek(tokenSecret, salt) {
+  const info = Buffer.from('pocketcloud-api-token-kek', 'utf8');
+  return Buffer.from(crypto.hkdfSync('sha256', tokenSecret, salt, info, 32));
+}
+
+/**
+ * Generate a random per-user data key
+ * @returns {Buffer} - 256-bit data key
+ */
+function generateDataKey() {
+  return crypto.randomBytes(DATA_KEY_LENGTH);
+}
+
+/**
+ * Wrap (encrypt) a data key with a KEK
+ * Format: version (1) | IV (12) | auth tag (16) | wrapped key (32), hex encoded
+ * 
+ * @param {Buffer} dataKey - Data key to wrap
+ * @param {Buffer} kek - Key encryption key
+ * @returns {string} - Wrapped key as hex string (stored in DB)
+ */
+function wrapDataKey(dataKey, kek) {
+  const iv = crypto.randomBytes(WRAP_IV_LENGTH);
+  const cipher = crypto.createCipheriv(AES_ALGORITHM, kek, iv);
+  cipher.setAAD(KEY_WRAP_AAD);
+  
+  const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  
+  return Buffer.concat([
+    Buffer.from([KEY_WRAP_VERSION]),
+    iv,
+    cipher.getAuthTag(),
+    wrapped
+  ]).toString('hex');
+}
+
+/**
+ * Unwrap (decrypt) a data key with a KEK
+ * 
+ * @param {string} wrappedHex - Wrapped key as hex string (from DB)
+ * @param {Buffer} kek - Key encryption key
+ * @returns {Buffer} - Data key
+ * @throws {KeyUnlockError} - If the KEK is wrong or the blob is damaged
+ */
+function unwrapDataKey(wrappedHex, kek) {
+  const blob = Buffer.from(wrappedHex || '', 'hex');
+  
+  if (blob.length !== 1 + WRAP_IV_LENGTH + AUTH_TAG_LENGTH + DATA_KEY_LENGTH || blob[0] !== KEY_WRAP_VERSION) {
+    throw new KeyUnlockError('Wrapped data key is malformed');
+  }
+  
+  const iv = blob.subarray(1, 1 + WRAP_IV_LENGTH);
+  const authTag = blob.subarray(1 + WRAP_IV_LENGTH, 1 + WRAP_IV_LENGTH + AUTH_TAG_LENGTH);
+  const wrapped = blob.subarray(1 + WRAP_IV_LENGTH + AUTH_TAG_LENGTH);
+  
+  try {
+    const decipher = crypto.createDecipheriv(AES_ALGORITHM, kek, iv);
+    decipher.setAAD(KEY_WRAP_AAD);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(wrapped), decipher.final()]);
+  } catch (error) {
+    // Never leak crypto internals
+    throw new KeyUnlockError();
+  }
+}
+
+/**
+ * High-level: Wrap a data key under a password
+ * 
+ * @param {string} password - User password
+ * @param {Buffer} salt - User's salt
+ * @param {Buffer} dataKey - Data key to protect
+ * @param {Object} [params] - { N, r, p } scrypt params
+ * @param {Buffer} [keyfileHash] - Keyfile digest to require alongside the password
+ * @returns {Promise<string>} - Wrapped key as hex string
+ */
+async function protectDataKey(password, salt, dataKey, params, keyfileHash = null) {
+  const kek = await deriveKeyEncryptionKey(password, salt, params, keyfileHash);
+  try {
+    return wrapDataKey(dataKey, kek);
+  } finally {
+    kek.fill(0);
+  }
+}
+
+/**
+ * High-level: Unlock a user's data key with their password
+ * 
+ * @param {string} password - User password
+ * @param {Buffer} salt - User's salt
+ * @param {string} wrappedHex - Wrapped key as hex string (from DB)
+ * @param {Object} [params] - { N, r, p } scrypt params the key was wrapped with
+ * @param {Buffer} [keyfileHash] - Keyfile digest, if the key was wrapped with one
+ * @returns {Promise<Buffer>} - Data key (caller must zero it)
+ * @throws {KeyUnlockError} - If the password (or keyfile) does not unlock the key
+ */
+async function unlockDataKey(password, salt, wrappedHex, params, keyfileHash = null) {
+  const kek = await deriveKeyEncryptionKey(password, salt, params, keyfileHash);
+  try {
+    return unwrapDataKey(wrappedHex, kek);
+  } finally {
+    kek.fill(0);
+  }
+}
+
 /**
  * Generate cryptographically secure random salt
  * @returns {Buffer} - 256-bit random salt
@@ -174,48 +450,41 @@ function createDecryptStream(fileKey, iv, authTag) {
 /**
  * High-level: Encrypt file using streaming
  * This is what upload routes call
+ * Always writes the segmented format (FORMAT_SEGMENTED)
  * 
  * @param {Stream|Buffer} input - Input stream or buffer
  * @param {string} outputPath - Path to write encrypted file
- * @param {string} password - User password
- * @param {Buffer} userSalt - User's salt (from DB)
+ * @param {Buffer} dataKey - User's unlocked data key
  * @param {string} fileId - Unique file identifier
- * @returns {Promise<Object>} - { iv, authTag }
+ * @param {Object} [options]
+ * @param {Object} [options.kdf] - { N, r, p } owner's scrypt params, recorded in the header
+ * @returns {Promise<Object>} - { iv, authTag, format } (iv/authTag are null: they live in the file)
  */
-async function encryptFileStream(input, outputPath, password, userSalt, fileId) {
+async function encryptFileStream(input, outputPath, dataKey, fileId, options = {}) {
   const fs = require('fs');
   const { Readable } = require('stream');
   
-  // Step 1: Derive master key from password
-  const masterKey = await deriveMasterKey(password, userSalt);
+  // Step 1: Derive file-specific key
+  const fileKey = deriveFileKey(dataKey, fileId);
   
-  // Step 2: Derive file-specific key
-  const fileKey = deriveFileKey(masterKey, fileId);
-  
-  // Step 3: Generate random IV
-  const iv = generateIV();
-  
-  // Step 4: Create cipher stream
-  const cipher = crypto.createCipheriv(AES_ALGORITHM, fileKey, iv);
+  // Step 2: Create segmenting cipher stream (header carries file ID, KDF params and nonce prefix)
+  const cipher = new SegmentEncryptStream(fileKey, { fileId, kdf: options.kdf, cipher: cryptoWorkerPool });
   
-  // Step 5: Create streams
+  // Step 3: Create streams
   const inputStream = Buffer.isBuffer(input) ? Readable.from(input) : input;
   const outputStream = fs.createWriteStream(outputPath);
   
   try {
-    // Step 6: Pipe through encryption
+    // Step 4: Pipe through encryption
     await pipeline(inputStream, cipher, outputStream);
     
-    // Step 7: Get auth tag (only available after stream completes)
-    const authTag = cipher.getAuthTag();
-    
     // Clear sensitive data from memory
-    masterKey.fill(0);
     fileKey.fill(0);
     
     return {
-      iv: iv.toString('hex'),
-      authTag: authTag.toString('hex')
+      iv: null,
+      authTag: null,
+      format: FORMAT_SEGMENTED
     };
   } catch (error) {
     // Clean up partial file on error
@@ -229,7 +498,6 @@ async function encryptFileStream(input, outputPath, password, userSalt, fileId)
     }
     
     // Clear sensitive data even on error
-    masterKey.fill(0);
     fileKey.fill(0);
     
     throw error;
@@ -241,26 +509,21 @@ async function encryptFileStream(input, outputPath, password, userSalt, fileId)
  * Kept for backward compatibility with small files
  * 
  * @param {Buffer} fileBuffer - Original file data
- * @param {string} password - User password
- * @param {Buffer} userSalt - User's salt (from DB)
+ * @param {Buffer} dataKey - User's unlocked data key
  * @param {string} fileId - Unique file identifier
  * @returns {Promise<Object>} - { encryptedBuffer, iv, authTag }
  */
-async function encryptFile(fileBuffer, password, userSalt, fileId) {
-  // Step 1: Derive master key from password
-  const masterKey = await deriveMasterKey(password, userSalt);
+async function encryptFile(fileBuffer, dataKey, fileId) {
+  // Step 1: Derive file-specific key
+  const fileKey = deriveFileKey(dataKey, fileId);
   
-  // Step 2: Derive file-specific key
-  const fileKey = deriveFileKey(masterKey, fileId);
-  
-  // Step 3: Generate random IV
+  // Step 2: Generate random IV
   const iv = generateIV();
   
-  // Step 4: Encrypt
+  // Step 3: Encrypt
   const { encryptedBuffer, authTag } = encryptBuffer(fileBuffer, fileKey, iv);
   
   // Clear sensitive data from memory
-  masterKey.fill(0);
   fileKey.fill(0);
   
   return {
@@ -276,34 +539,165 @@ async function encryptFile(fileBuffer, password, userSalt, fileId) {
  * 
  * @param {string} inputPath - Path to encrypted file
  * @param {Stream} outputStream - Output stream (e.g., HTTP response)
- * @param {string} password - User password
- * @param {Buffer} userSalt - User's salt (from DB)
+ * @param {Buffer} dataKey - User's unlocked data key
  * @param {string} fileId - Unique file identifier
- * @param {string} ivHex - IV as hex string (from DB)
- * @param {string} authTagHex - Auth tag as hex string (from DB)
+ * @param {string} ivHex - IV as hex string (from DB, legacy format only)
+ * @param {string} authTagHex - Auth tag as hex string (from DB, legacy format only)
+ * @param {Object} [options]
+ * @param {number} [options.format=FORMAT_LEGACY] - files.format_version
+ * @param {Object} [options.range] - { start, end } inclusive plaintext byte range (segmented only)
+ * @returns {Promise<void>}
+ */
+async function decryptFileStream(inputPath, outputStream, dataKey, fileId, ivHex, authTagHex, options = {}) {
+  // Derive file-specific key
+  const fileKey = deriveFileKey(dataKey, fileId);
+  
+  try {
+    if (options.format === FORMAT_SEGMENTED) {
+      await decryptSegmentedStream(inputPath, outputStream, fileKey, fileId, options.range);
+    } else {
+      if (options.range) {
+        throw new Error('Range requests are not supported for legacy encrypted files');
+      }
+      await decryptLegacyStream(inputPath, outputStream, fileKey, fileId, ivHex, authTagHex);
+    }
+  } finally {
+    // Clear sensitive data from memory
+    fileKey.fill(0);
+  }
+}
+
+/**
+ * Decrypt a segmented file (or a byte range of it) to a stream
+ * Only the segments covering the range are read and verified
+ * 
+ * @param {string} inputPath - Path to encrypted file
+ * @param {Stream} outputStream - Output stream
+ * @param {Buffer} fileKey - Per-file encryption key
+ * @param {string} fileId - Unique file identifier (checked against the header)
+ * @param {Object} [range] - { start, end } inclusive plaintext byte range
  * @returns {Promise<void>}
  */
-async function decryptFileStream(inputPath, outputStream, password, userSalt, fileId, ivHex, authTagHex) {
+async function decryptSegmentedStream(inputPath, outputStream, fileKey, fileId, range) {
   const fs = require('fs');
   
-  // Step 1: Derive master key from password
-  const masterKey = await deriveMasterKey(password, userSalt);
+  const { size } = await fs.promises.stat(inputPath);
+  const parsed = parseHeader(await readFileHeader(inputPath));
   
-  // Step 2: Derive file-specific key
-  const fileKey = deriveFileKey(masterKey, fileId);
+  if (!describeLayout(size, parsed).valid) {
+    throw new CryptoIntegrityError('Encrypted file is truncated');
+  }
+  
+  // v1 headers carry no file ID
+  if (parsed.fileId !== null && parsed.fileId !== fileId) {
+    throw new CryptoIntegrityError(`Encrypted file belongs to file ${parsed.fileId}, not ${fileId}`);
+  }
+  
+  const plan = planRange(size, parsed.segmentSize, range, parsed.headerLength);
+  
+  const decipher = new SegmentDecryptStream(fileKey, {
+    header: parsed.header,
+    totalSegments: plan.totalSegments,
+    firstSegment: plan.firstSegment,
+    skip: plan.skip,
+    length: plan.length,
+    cipher: cryptoWorkerPool
+  });
+  
+  const inputStream = fs.createReadStream(inputPath, {
+    start: plan.readStart,
+    end: plan.readEnd,
+    highWaterMark: PARALLEL_SEGMENTS * (parsed.segmentSize + SEGMENT_TAG_LENGTH)
+  });
+  
+  try {
+    await pipeline(inputStream, decipher, outputStream);
+  } catch (error) {
+    if (error instanceof CryptoIntegrityError) {
+      console.error(`🔓 Decryption failed for file: ${path.basename(inputPath)}`);
+      console.error(`   Error: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read the leading header bytes of an encrypted file
+ * Reads enough for the longest header; parseHeader ignores the rest
+ * 
+ * @param {string} inputPath - Path to encrypted file
+ * @returns {Promise<Buffer>}
+ */
+async function readFileHeader(inputPath) {
+  const fs = require('fs');
+  const handle = await fs.promises.open(inputPath, 'r');
+  
+  try {
+    const header = Buffer.alloc(MAX_HEADER_LENGTH);
+    const { bytesRead } = await handle.read(header, 0, MAX_HEADER_LENGTH, 0);
+    return header.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Describe an encrypted file from its header and size alone (no key needed)
+ * Used by integrity checks, restore and maintenance scripts
+ * 
+ * @param {string} inputPath - Path to encrypted file
+ * @returns {Promise<Object>} - { segmented: false, size } for files without a segmented
+ *   header, otherwise { segmented: true, size, valid, reason?, version, cipher, segmentSize,
+ *   kdf, fileId, headerLength, segments, plainSize }
+ */
+async function inspectEncryptedFile(inputPath) {
+  const fs = require('fs');
   
-  // Step 3: Convert hex strings to buffers
+  const { size } = await fs.promises.stat(inputPath);
+  const leading = await readFileHeader(inputPath);
+  
+  if (!isSegmentedHeader(leading)) {
+    return { segmented: false, size };
+  }
+  
+  let parsed;
+  try {
+    parsed = parseHeader(leading);
+  } catch (error) {
+    return { segmented: true, size, valid: false, reason: error.message };
+  }
+  
+  const { header, noncePrefix, ...info } = parsed;
+  return { segmented: true, size, ...info, ...describeLayout(size, parsed) };
+}
+
+/**
+ * Decrypt a legacy single-tag file to a stream
+ * The tag is only checked at the very end, so the whole file is always read
+ * 
+ * @param {string} inputPath - Path to encrypted file
+ * @param {Stream} outputStream - Output stream
+ * @param {Buffer} fileKey - Per-file encryption key
+ * @param {string} fileId - Unique file identifier (for logging)
+ * @param {string} ivHex - IV as hex string (from DB)
+ * @param {string} authTagHex - Auth tag as hex string (from DB)
+ * @returns {Promise<void>}
+ */
+async function decryptLegacyStream(inputPath, outputStream, fileKey, fileId, ivHex, authTagHex) {
+  const fs = require('fs');
+  
+  // Step 1: Convert hex strings to buffers
   const iv = Buffer.from(ivHex, 'hex');
   const authTag = Buffer.from(authTagHex, 'hex');
   
-  // Step 4: Create decipher stream
+  // Step 2: Create decipher stream
   const decipher = crypto.createDecipheriv(AES_ALGORITHM, fileKey, iv);
   decipher.setAuthTag(authTag); // MUST set before any data flows
   
-  // Step 5: Create input stream
+  // Step 3: Create input stream
   const inputStream = fs.createReadStream(inputPath);
   
-  // Step 6: Handle auth failures gracefully
+  // Step 4: Handle auth failures gracefully
   let authError = null;
   decipher.on('error', (error) => {
     console.error(`🔓 Decryption failed for file: ${path.basename(inputPath)}`);
@@ -325,22 +719,14 @@ async function decryptFileStream(inputPath, outputStream, password, userSalt, fi
   });
   
   try {
-    // Step 7: Pipe through decryption
+    // Step 5: Pipe through decryption
     await pipeline(inputStream, decipher, outputStream);
     
     // Check if there was an auth error
     if (authError) {
       throw authError;
     }
-    
-    // Clear sensitive data from memory
-    masterKey.fill(0);
-    fileKey.fill(0);
   } catch (error) {
-    // Clear sensitive data even on error
-    masterKey.fill(0);
-    fileKey.fill(0);
-    
     // Check if we have a stored auth error
     if (authError) {
       throw authError;
@@ -361,109 +747,245 @@ async function decryptFileStream(inputPath, outputStream, password, userSalt, fi
  * Kept for backward compatibility with small files
  * 
  * @param {Buffer} encryptedBuffer - Encrypted file data
- * @param {string} password - User password
- * @param {Buffer} userSalt - User's salt (from DB)
+ * @param {Buffer} dataKey - User's unlocked data key
  * @param {string} fileId - Unique file identifier
  * @param {string} ivHex - IV as hex string (from DB)
  * @param {string} authTagHex - Auth tag as hex string (from DB)
  * @returns {Promise<Buffer>} - Decrypted file data
  */
-async function decryptFile(encryptedBuffer, password, userSalt, fileId, ivHex, authTagHex) {
-  // Step 1: Derive master key from password
-  const masterKey = await deriveMasterKey(password, userSalt);
+async function decryptFile(encryptedBuffer, dataKey, fileId, ivHex, authTagHex) {
+  // Step 1: Derive file-specific key
+  const fileKey = deriveFileKey(dataKey, fileId);
   
-  // Step 2: Derive file-specific key
-  const fileKey = deriveFileKey(masterKey, fileId);
-  
-  // Step 3: Convert hex strings to buffers
+  // Step 2: Convert hex strings to buffers
   const iv = Buffer.from(ivHex, 'hex');
   const authTag = Buffer.from(authTagHex, 'hex');
   
-  // Step 4: Decrypt
-  const decryptedBuffer = decryptBuffer(encryptedBuffer, fileKey, iv, authTag);
-  
-  // Clear sensitive data from memory
-  masterKey.fill(0);
-  fileKey.fill(0);
+  // Step 3: Decrypt
+  let decryptedBuffer;
+  try {
+    decryptedBuffer = decryptBuffer(encryptedBuffer, fileKey, iv, authTag);
+  } finally {
+    // Clear sensitive data from memory
+    fileKey.fill(0);
+  }
   
   return decryptedBuffer;
 }
 
+/**
+ * Compute the key-check value of a data key
+ * One-way and domain-separated from file keys, so it reveals nothing about them
+ * 
+ * @param {Buffer} dataKey - User's data key
+ * @returns {string} - Key-check value as hex (users.key_check)
+ */
+function computeKeyCheck(dataKey) {
+  const info = Buffer.from('pocketcloud-key-check', 'utf8');
+  return Buffer.from(crypto.hkdfSync('sha256', dataKey, Buffer.alloc(0), info, KEY_CHECK_LENGTH)).toString('hex');
+}
+
+/**
+ * Check a data key against a stored key-check value
+ * 
+ * @param {Buffer} dataKey - Data key to check
+ * @param {string} keyCheckHex - Stored key-check value (users.key_check)
+ * @returns {boolean} - True if the data key is the one the value was computed from
+ */
+function verifyKeyCheck(dataKey, keyCheckHex) {
+  const expected = Buffer.from(keyCheckHex || '', 'hex');
+  const actual = Buffer.from(computeKeyCheck(dataKey), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Derive the metadata key (filenames, MIME types, tags, search index) from the data key
+ *
+ * @param {Buffer} dataKey - User's data key
+ * @returns {Buffer} - 256-bit metadata key
+ */
+function deriveMetadataKey(dataKey) {
+  const info = Buffer.from('pocketcloud-metadata', 'utf8');
+  return Buffer.from(crypto.hkdfSync('sha256', dataKey, Buffer.alloc(0), info, 32));
+}
+
+/**
+ * Check whether a stored metadata value is encrypted
+ * @param {*} value - Value from the DB
+ * @returns {boolean}
+ */
+function isEncryptedMetadata(value) {
+  return typeof value === 'string' && value.startsWith(METADATA_PREFIX);
+}
+
+/**
+ * Encrypt one metadata value
+ * Format: "pcm1:" + base64(IV (12) | auth tag (16) | ciphertext)
+ * The field name is the AAD, so values can't be moved between columns.
+ *
+ * @param {Buffer} metadataKey - Key from deriveMetadataKey
+ * @param {string|null} value - Plaintext value (NULL stays NULL)
+ * @param {string} field - Column the value is stored in, e.g. 'files.filename'
+ * @returns {string|null} - Encrypted value
+ */
+function encryptMetadata(metadataKey, value, field) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const iv = crypto.randomBytes(METADATA_IV_LENGTH);
+  const cipher = crypto.createCipheriv(AES_ALGORITHM, metadataKey, iv);
+  cipher.setAAD(Buffer.from(field, 'utf8'));
+
+  const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return METADATA_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+}
+
+/**
+ * Decrypt one metadata value
+ * Values without the "pcm1:" prefix are returned as-is (not migrated yet).
+ *
+ * @param {Buffer} metadataKey - Key from deriveMetadataKey
+ * @param {string|null} stored - Value from the DB
+ * @param {string} field - Column the value was encrypted for
+ * @returns {string|null} - Plaintext value
+ * @throws {CryptoIntegrityError} - If the key is wrong or the value was tampered with
+ */
+function decryptMetadata(metadataKey, stored, field) {
+  if (!isEncryptedMetadata(stored)) {
+    return stored;
+  }
+
+  const blob = Buffer.from(stored.slice(METADATA_PREFIX.length), 'base64');
+  if (blob.length < METADATA_IV_LENGTH + AUTH_TAG_LENGTH) {
+    throw new CryptoIntegrityError(`Encrypted ${field} is malformed`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(AES_ALGORITHM, metadataKey, blob.subarray(0, METADATA_IV_LENGTH));
+    decipher.setAAD(Buffer.from(field, 'utf8'));
+    decipher.setAuthTag(blob.subarray(METADATA_IV_LENGTH, METADATA_IV_LENGTH + AUTH_TAG_LENGTH));
+    return Buffer.concat([
+      decipher.update(blob.subarray(METADATA_IV_LENGTH + AUTH_TAG_LENGTH)),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    throw new CryptoIntegrityError(`Encrypted ${field} could not be decrypted`);
+  }
+}
+
 /**
  * Verify password without decrypting files
- * Used for login validation
+ * Unlocks (or, for legacy accounts, derives) the data key and compares it
+ * with the stored key-check value
  * 
  * @param {string} password - Password to verify
  * @param {Buffer} userSalt - User's salt
- * @param {string} testVector - Known encrypted value (from DB)
- * @returns {Promise<boolean>} - True if password is correct
+ * @param {string} testVector - Key-check value (users.key_check)
+ * @param {string} [wrappedHex] - Wrapped data key (NULL for legacy accounts)
+ * @param {Object} [params] - { N, r, p } scrypt params
+ * @param {Buffer} [keyfileHash] - Keyfile digest for enrolled users
+ * @returns {Promise<boolean>} - True if password gives the right data key
  */
-async function verifyPassword(password, userSalt, testVector) {
+async function verifyPassword(password, userSalt, testVector, wrappedHex = null, params = SCRYPT_PARAMS, keyfileHash = null) {
+  let dataKey;
   try {
-    const masterKey = await deriveMasterKey(password, userSalt);
-    // In production, compare against stored test vector
-    // For now, just verify key derivation succeeds
-    masterKey.fill(0);
-    return true;
+    dataKey = wrappedHex
+      ? await unlockDataKey(password, userSalt, wrappedHex, params, keyfileHash)
+      : await deriveMasterKey(password, userSalt, params);
+    return verifyKeyCheck(dataKey, testVector);
   } catch (error) {
-    return false;
+    if (error instanceof KeyUnlockError) {
+      return false;
+    }
+    throw error;
+  } finally {
+    if (dataKey) {
+      dataKey.fill(0);
+    }
   }
 }
 
 /**
- * Re-encrypt all user files with new password
- * Called when user changes password
+ * Re-wrap a data key under a new password
+ * Called when user changes password - files are untouched
  * 
  * @param {string} oldPassword - Current password
- * @param {string} newPassword - New password
  * @param {Buffer} oldSalt - Current salt
- * @param {Buffer} newSalt - New salt
- * @param {Array} files - Array of file metadata objects
- * @returns {Promise<Array>} - Updated file metadata
- */
-async function rotateKeys(oldPassword, newPassword, oldSalt, newSalt, files) {
-  const results = [];
-  
-  for (const file of files) {
-    // Decrypt with old key
-    const decrypted = await decryptFile(
-      file.encryptedBuffer,
-      oldPassword,
-      oldSalt,
-      file.id,
-      file.iv,
-      file.authTag
-    );
-    
-    // Re-encrypt with new key
-    const reencrypted = await encryptFile(
-      decrypted,
-      newPassword,
-      newSalt,
-      file.id
-    );
-    
-    results.push({
-      id: file.id,
-      iv: reencrypted.iv,
-      authTag: reencrypted.authTag,
-      encryptedBuffer: reencrypted.encryptedBuffer
-    });
+ * @param {string} wrappedHex - Current wrapped data key
+ * @param {string} newPassword - New password
+ * @param {Object} [oldParams] - scrypt params the key is wrapped with now
+ * @param {Object} [newParams] - scrypt params to wrap it with
+ * @param {Object} [keyfiles] - { oldKeyfileHash, newKeyfileHash } digests, NULL for none
+ * @returns {Promise<Object>} - { salt, wrappedDataKey } (salt as hex)
+ * @throws {KeyUnlockError} - If the current password does not unlock the key
+ */
+async function rewrapDataKey(oldPassword, oldSalt, wrappedHex, newPassword, oldParams, newParams, keyfiles = {}) {
+  const { oldKeyfileHash = null, newKeyfileHash = null } = keyfiles;
+  const dataKey = await unlockDataKey(oldPassword, oldSalt, wrappedHex, oldParams, oldKeyfileHash);
+  
+  try {
+    const newSalt = generateSalt();
+    const wrappedDataKey = await protectDataKey(newPassword, newSalt, dataKey, newParams, newKeyfileHash);
     
-    // Clear decrypted data
-    decrypted.fill(0);
+    return {
+      salt: newSalt.toString('hex'),
+      wrappedDataKey
+    };
+  } finally {
+    dataKey.fill(0);
   }
-  
-  return results;
+}
+
+/**
+ * Expected on-disk size of a newly encrypted file
+ * Existing segmented files may have older headers; use inspectEncryptedFile for those
+ * 
+ * @param {number} plainSize - Original file size (files.size)
+ * @param {number} format - files.format_version
+ * @param {string} [fileId] - File ID recorded in the header
+ * @returns {number} - Encrypted size in bytes
+ */
+function encryptedFileSize(plainSize, format = FORMAT_LEGACY, fileId = '') {
+  if (format === FORMAT_SEGMENTED) {
+    return encryptedSize(plainSize, SEGMENT_SIZE, headerLength(fileId));
+  }
+  // Legacy GCM stream: ciphertext is the same length as the plaintext
+  return plainSize;
 }
 
 module.exports = {
   // Key derivation
   deriveMasterKey,
   deriveFileKey,
+  generateFileKeyId,
+  fileKeyId,
+  deriveKeyEncryptionKey,
+  deriveRecoveryKek,
+  deriveTokenKek,
+  hashKeyfile,
+  currentKdfParams,
+  parseKdfParams,
+  isKdfOutdated,
   generateSalt,
   generateIV,
   
+  // Envelope encryption (per-user data key)
+  generateDataKey,
+  wrapDataKey,
+  unwrapDataKey,
+  protectDataKey,
+  unlockDataKey,
+  rewrapDataKey,
+  computeKeyCheck,
+  verifyKeyCheck,
+
+  // Metadata (filenames, MIME types, tags, search index)
+  deriveMetadataKey,
+  encryptMetadata,
+  decryptMetadata,
+  isEncryptedMetadata,
+
   // Buffer operations (small files)
   encryptBuffer,
   decryptBuffer,
@@ -475,13 +997,19 @@ module.exports = {
   // High-level API
   encryptFile,          // Legacy buffer-based
   decryptFile,          // Legacy buffer-based
-  encryptFileStream,    // NEW: Streaming encryption
-  decryptFileStream,    // NEW: Streaming decryption
+  encryptFileStream,    // Streaming encryption (segmented format)
+  decryptFileStream,    // Streaming decryption (legacy or segmented, optional range)
   verifyPassword,
-  rotateKeys,
+  
+  // Format helpers
+  encryptedFileSize,
+  inspectEncryptedFile,
   
   // Constants
   SALT_LENGTH,
   IV_LENGTH,
-  AUTH_TAG_LENGTH
+  AUTH_TAG_LENGTH,
+  KEYFILE_MAX_SIZE,
+  FORMAT_LEGACY,
+  FORMAT_SEGMENTED
 };
@@ -0,0 +1,66 @@
+/**
+ * Crypto worker for PocketCloud
+ * Runs one CPU-heavy task at a time for cryptoWorkerPool.js:
+ *   scrypt - password → master key
+ *   seal   - encrypt one file segment
+ *   open   - decrypt one file segment
+ *
+ * Also required on the main thread, where runTask does the same work inline
+ * (CRYPTO_WORKERS=0).
+ */
+
+const crypto = require('crypto');
+const { isMainThread, parentPort } = require('worker_threads');
+const { sealSegment, openSegment } = require('./segmentedCrypto');
+
+// Buffers arrive as Uint8Arrays after crossing the thread boundary
+function asBuffer(value) {
+  return Buffer.isBuffer(value) ? value : Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+}
+
+const tasks = {
+  scrypt({ secret, salt, keyLen, options }) {
+    return crypto.scryptSync(typeof secret === 'string' ? secret : asBuffer(secret), asBuffer(salt), keyLen, options);
+  },
+
+  seal({ fileKey, header, noncePrefix, index, final, data }) {
+    return sealSegment(asBuffer(fileKey), asBuffer(header), asBuffer(noncePrefix), index, final, asBuffer(data));
+  },
+
+  open({ fileKey, header, noncePrefix, index, final, data }) {
+    return openSegment(asBuffer(fileKey), asBuffer(header), asBuffer(noncePrefix), index, final, asBuffer(data));
+  }
+};
+
+/**
+ * Run a task on the current thread
+ * @returns {Buffer}
+ */
+function runTask(type, payload) {
+  const task = tasks[type];
+  if (!task) {
+    throw new Error(`Unknown crypto task: ${type}`);
+  }
+  return task(payload);
+}
+
+if (!isMainThread) {
+  parentPort.on('message', ({ id, type, payload }) => {
+    try {
+      const result = runTask(type, payload);
+      parentPort.postMessage({ id, result });
+    } catch (error) {
+      // Error classes don't survive postMessage - the pool rebuilds them by name
+      parentPort.postMessage({ id, error: { name: error.name, message: error.message } });
+    } finally {
+      // This thread's copies of keys and secrets
+      for (const value of [payload.fileKey, payload.secret]) {
+        if (value && typeof value !== 'string') {
+          value.fill(0);
+        }
+      }
+    }
+  });
+}
+
+module.exports = { runTask };
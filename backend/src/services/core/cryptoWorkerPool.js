@@ -0,0 +1,183 @@
+/**
+ * Crypto Worker Pool for PocketCloud
+ * Keeps scrypt and AES off the event loop, so one large upload can't stall
+ * every other request (including /health) on the Pi.
+ *
+ * Tasks queue FIFO and run on up to CRYPTO_WORKERS threads (see cryptoWorker.js),
+ * started on first use. Idle workers don't keep the process alive.
+ * With CRYPTO_WORKERS=0 tasks run inline on the main thread.
+ *
+ * Queue depth, wait and run time of every task go to performanceMonitorService.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { CryptoIntegrityError, KeyUnlockError, KeyMismatchError } = require('./cryptoErrors');
+const { runTask } = require('./cryptoWorker');
+
+const WORKER_SCRIPT = path.join(__dirname, 'cryptoWorker.js');
+const ERROR_CLASSES = { CryptoIntegrityError, KeyUnlockError, KeyMismatchError };
+
+function rebuildError({ name, message }) {
+  const ErrorClass = ERROR_CLASSES[name] || Error;
+  return new ErrorClass(message);
+}
+
+function asBuffer(value) {
+  return Buffer.isBuffer(value) ? value : Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+}
+
+class CryptoWorkerPool {
+  constructor() {
+    this.size = null;
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.nextId = 1;
+  }
+
+  _poolSize() {
+    if (this.size === null) {
+      // Required lazily: config is not needed until the first task
+      this.size = require('../../config/config').CRYPTO_WORKERS;
+    }
+    return this.size;
+  }
+
+  /**
+   * Run a task ('scrypt' | 'seal' | 'open') on a worker
+   * @returns {Promise<Buffer>}
+   */
+  run(type, payload) {
+    const queuedAt = Date.now();
+
+    if (this._poolSize() <= 0) {
+      return new Promise((resolve) => {
+        const startedAt = Date.now();
+        const result = runTask(type, payload);
+        this._track(type, queuedAt, startedAt);
+        resolve(result);
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, type, payload, queuedAt, resolve, reject });
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Encrypt one file segment (same arguments as segmentedCrypto.sealSegment)
+   */
+  sealSegment(fileKey, header, noncePrefix, index, final, data) {
+    return this.run('seal', { fileKey, header, noncePrefix, index, final, data: this._exact(data) });
+  }
+
+  /**
+   * Decrypt one file segment (same arguments as segmentedCrypto.openSegment)
+   */
+  openSegment(fileKey, header, noncePrefix, index, final, data) {
+    return this.run('open', { fileKey, header, noncePrefix, index, final, data: this._exact(data) });
+  }
+
+  /**
+   * scrypt, as crypto.scrypt
+   */
+  scrypt(secret, salt, keyLen, options) {
+    return this.run('scrypt', { secret, salt, keyLen, options });
+  }
+
+  /**
+   * Current load, for monitoring
+   */
+  stats() {
+    return {
+      size: this._poolSize(),
+      running: this.workers.length - this.idle.length,
+      queued: this.queue.length
+    };
+  }
+
+  /**
+   * Stop all workers; queued tasks are rejected
+   */
+  async shutdown() {
+    const pending = this.queue.splice(0);
+    pending.forEach(task => task.reject(new Error('Crypto worker pool shut down')));
+
+    const workers = this.workers.splice(0);
+    this.idle = [];
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+
+  // Segments are often views into a larger read buffer, which postMessage would copy whole
+  _exact(data) {
+    return this._poolSize() > 0 ? new Uint8Array(data) : data;
+  }
+
+  _dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker && this.workers.length < this._poolSize()) {
+        worker = this._spawn();
+      }
+      if (!worker) {
+        return;
+      }
+
+      const task = this.queue.shift();
+      task.startedAt = Date.now();
+      worker.task = task;
+      worker.ref();
+      worker.postMessage({ id: task.id, type: task.type, payload: task.payload });
+    }
+  }
+
+  _spawn() {
+    const worker = new Worker(WORKER_SCRIPT);
+    worker.task = null;
+
+    worker.on('message', ({ id, result, error }) => {
+      const task = worker.task;
+      if (!task || task.id !== id) {
+        return;
+      }
+
+      worker.task = null;
+      worker.unref();
+      this.idle.push(worker);
+      this._track(task.type, task.queuedAt, task.startedAt);
+
+      if (error) {
+        task.reject(rebuildError(error));
+      } else {
+        task.resolve(asBuffer(result));
+      }
+      this._dispatch();
+    });
+
+    // A crashed worker fails its task and is replaced on demand
+    const retire = (error) => {
+      this.workers = this.workers.filter(w => w !== worker);
+      this.idle = this.idle.filter(w => w !== worker);
+      if (worker.task) {
+        worker.task.reject(error);
+        worker.task = null;
+      }
+      this._dispatch();
+    };
+    worker.on('error', retire);
+    worker.on('exit', (code) => retire(new Error(`Crypto worker exited with code ${code}`)));
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  _track(type, queuedAt, startedAt) {
+    // Required lazily: the monitor pulls in the database, which needs cryptoService
+    const performanceMonitorService = require('../monitoring/performanceMonitorService');
+    performanceMonitorService.trackCryptoTask(type, startedAt - queuedAt, Date.now() - startedAt, this.queue.length);
+  }
+}
+
+module.exports = new CryptoWorkerPool();
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { deriveMasterKey, currentKdfParams } = require('./cryptoService');
+const { KeyUnlockError } = require('./cryptoErrors');
+
+/**
+ * Sealed database format for PocketCloud
+ * Encrypts the whole sql.js export (data/pocketcloud.db) with the system key
+ *
+ * Layout on disk:
+ *   magic "PCDB" (4) | version u8 (1)
+ *   KDF log2(N) u8 | KDF r u8 | KDF p u8 | salt (16)
+ *   IV (12) | auth tag (16) | AES-256-GCM ciphertext of the SQLite image
+ *
+ * Sealing key = HKDF(scrypt(system secret, salt), 'pocketcloud-database').
+ * The system secret is the same bytes whether it comes from a passphrase,
+ * a keyfile or a systemd credential (see systemKey.js), so the sources are
+ * interchangeable.
+ *
+ * The key is derived once at boot; every save uses a fresh IV with the
+ * same salt. Everything before the auth tag is authenticated as AAD.
+ */
+
+const SEALED_MAGIC = Buffer.from('PCDB', 'ascii');
+const SEALED_FORMAT_VERSION = 1;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+const AAD_LENGTH = 4 + 1 + 3 + SALT_LENGTH + IV_LENGTH;
+const HEADER_LENGTH = AAD_LENGTH + AUTH_TAG_LENGTH;
+const AES_ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Check whether a database file is sealed
+ * @param {Buffer} buffer - File contents (or at least its first bytes)
+ * @returns {boolean}
+ */
+function isSealed(buffer) {
+  return buffer.length >= SEALED_MAGIC.length && buffer.subarray(0, SEALED_MAGIC.length).equals(SEALED_MAGIC);
+}
+
+/**
+ * Derive the sealing key from the system secret
+ *
+ * @param {Buffer} secret - System secret
+ * @param {Buffer} salt - Salt from the sealed file (or a new one)
+ * @param {Object} params - { N, r, p } scrypt params
+ * @returns {Promise<Object>} - Sealing key: { key, salt, params }
+ */
+async function deriveSealingKey(secret, salt, params) {
+  const stretched = await deriveMasterKey(secret, salt, params);
+  const info = Buffer.from('pocketcloud-database', 'utf8');
+  const key = Buffer.from(crypto.hkdfSync('sha256', stretched, Buffer.alloc(0), info, 32));
+  stretched.fill(0);
+  return { key, salt, params };
+}
+
+/**
+ * Create a sealing key for a database that isn't sealed yet
+ * @param {Buffer} secret - System secret
+ * @returns {Promise<Object>} - Sealing key: { key, salt, params }
+ */
+function createSealingKey(secret) {
+  return deriveSealingKey(secret, crypto.randomBytes(SALT_LENGTH), currentKdfParams());
+}
+
+/**
+ * Parse the header of a sealed database
+ * @param {Buffer} buffer - Sealed file contents
+ * @returns {Object} - { salt, params }
+ */
+function parseSealedHeader(buffer) {
+  if (!isSealed(buffer) || buffer.length < HEADER_LENGTH) {
+    throw new Error('Not a sealed PocketCloud database');
+  }
+  if (buffer[4] !== SEALED_FORMAT_VERSION) {
+    throw new Error(`Unsupported sealed database version: ${buffer[4]}`);
+  }
+
+  return {
+    params: { N: 2 ** buffer[5], r: buffer[6], p: buffer[7] },
+    salt: Buffer.from(buffer.subarray(8, 8 + SALT_LENGTH))
+  };
+}
+
+/**
+ * Derive the sealing key of an existing sealed database
+ * @param {Buffer} secret - System secret
+ * @param {Buffer} buffer - Sealed file contents
+ * @returns {Promise<Object>} - Sealing key: { key, salt, params }
+ */
+function unlockSealingKey(secret, buffer) {
+  const { salt, params } = parseSealedHeader(buffer);
+  return deriveSealingKey(secret, salt, params);
+}
+
+/**
+ * Seal a database export
+ * @param {Uint8Array} data - db.export() output
+ * @param {Object} sealingKey - { key, salt, params }
+ * @returns {Buffer} - Sealed file contents
+ */
+function sealDatabase(data, sealingKey) {
+  const { key, salt, params } = sealingKey;
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const aad = Buffer.concat([
+    SEALED_MAGIC,
+    Buffer.from([SEALED_FORMAT_VERSION, Math.log2(params.N), params.r, params.p]),
+    salt,
+    iv
+  ]);
+
+  const cipher = crypto.createCipheriv(AES_ALGORITHM, key, iv);
+  cipher.setAAD(aad);
+  const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+
+  return Buffer.concat([aad, cipher.getAuthTag(), encrypted]);
+}
+
+/**
+ * Unseal a database file
+ * @param {Buffer} buffer - Sealed file contents
+ * @param {Object} sealingKey - { key } from unlockSealingKey
+ * @returns {Buffer} - SQLite image for new SQL.Database()
+ * @throws {KeyUnlockError} - If the key is wrong or the file was modified
+ */
+function unsealDatabase(buffer, sealingKey) {
+  parseSealedHeader(buffer);
+
+  try {
+    const decipher = crypto.createDecipheriv(AES_ALGORITHM, sealingKey.key, buffer.subarray(AAD_LENGTH - IV_LENGTH, AAD_LENGTH));
+    decipher.setAAD(buffer.subarray(0, AAD_LENGTH));
+    decipher.setAuthTag(buffer.subarray(AAD_LENGTH, HEADER_LENGTH));
+    return Buffer.concat([decipher.update(buffer.subarray(HEADER_LENGTH)), decipher.final()]);
+  } catch (error) {
+    throw new KeyUnlockError('Database could not be unsealed - wrong system key or damaged file');
+  }
+}
+
+module.exports = {
+  isSealed,
+  createSealingKey,
+  unlockSealingKey,
+  sealDatabase,
+  unsealDatabase
+};
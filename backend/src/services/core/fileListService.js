@@ -0,0 +1,255 @@
+/**
+ * File List Service for PocketCloud
+ * One page of files at a time, sorted and filtered
+ *
+ * Upload dates and sizes are plain columns: sorting by them and the date
+ * filters run in SQL, paged with a keyset (ORDER BY column, id). Names and
+ * MIME types are encrypted metadata (see metadataService), so sorting by them
+ * or filtering on the MIME type decrypts the matching rows in memory and
+ * pages the sorted list the same way.
+ *
+ * A cursor names the last file of the previous page, not its values - no
+ * filename ends up in a URL or a request log.
+ */
+
+const { getDatabase } = require('../../config/database');
+const { rowsFromResult } = require('./metadataService');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Sort keys: a column SQL can order by, or a metadata field decrypted first
+const SORTS = {
+  date: { column: 'uploaded_at', order: 'desc' },
+  size: { column: 'size', order: 'desc' },
+  name: { field: 'filename', order: 'asc' },
+  type: { field: 'mimetype', order: 'asc' }
+};
+
+const LIST_COLUMNS = 'id, folder_id, filename, size, mimetype, uploaded_at, encrypted';
+
+// "photo 2.jpg" before "photo 10.jpg", case ignored
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+function statusError(status, error) {
+  return { success: false, status, error };
+}
+
+/**
+ * A date from a query as a files.uploaded_at value (UTC "YYYY-MM-DD HH:MM:SS")
+ * A plain date as the upper bound includes that whole day.
+ * @returns {string|null|undefined} - null if absent, undefined if invalid
+ */
+function parseDate(value, endOfDay) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const dateOnly = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = typeof value === 'string' ? Date.parse(dateOnly ? `${value}T00:00:00Z` : value) : NaN;
+  if (Number.isNaN(time)) {
+    return undefined;
+  }
+  const bound = dateOnly && endOfDay ? time + 86400000 : time;
+  return new Date(bound).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function encodeCursor(sort, order, id) {
+  return Buffer.from(JSON.stringify([sort, order, id])).toString('base64url');
+}
+
+/**
+ * @returns {number|null} - ID of the file the cursor names, null if it isn't one of ours
+ */
+function decodeCursor(cursor, sort, order) {
+  try {
+    const [cursorSort, cursorOrder, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return cursorSort === sort && cursorOrder === order && Number.isInteger(id) && id > 0 ? id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check list options from a query string
+ *
+ * @param {Object} query - Any of { sort (date|size|name|type), order (asc|desc), mimetype ("image",
+ *   "image/" or "image/png"), from, to (ISO dates), cursor, limit }
+ * @returns {Object} - { success, options } or { success: false, status: 400, error }
+ */
+function parseListOptions(query = {}) {
+  const sort = query.sort || 'date';
+  if (!Object.prototype.hasOwnProperty.call(SORTS, sort)) {
+    return statusError(400, `Sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+  }
+
+  const order = query.order || SORTS[sort].order;
+  if (order !== 'asc' && order !== 'desc') {
+    return statusError(400, 'Order must be asc or desc');
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return statusError(400, `Limit must be between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  let mimetype = null;
+  if (query.mimetype !== undefined && query.mimetype !== '') {
+    if (typeof query.mimetype !== 'string' || !/^[a-z0-9.+-]+(\/[a-z0-9.+-]*)?$/i.test(query.mimetype)) {
+      return statusError(400, 'Invalid MIME type filter');
+    }
+    const type = query.mimetype.toLowerCase();
+    mimetype = type.includes('/') ? type : `${type}/`;
+  }
+
+  const from = parseDate(query.from, false);
+  const to = parseDate(query.to, true);
+  if (from === undefined || to === undefined) {
+    return statusError(400, 'Dates must be ISO 8601, e.g. 2024-06-30');
+  }
+
+  let after = null;
+  if (query.cursor !== undefined && query.cursor !== '') {
+    after = typeof query.cursor === 'string' ? decodeCursor(query.cursor, sort, order) : null;
+    if (after === null) {
+      return statusError(400, 'Invalid cursor');
+    }
+  }
+
+  return { success: true, options: { sort, order, limit, mimetype, from, to, after } };
+}
+
+/**
+ * Order of two rows under a sort, ties broken by ID like the SQL keyset
+ */
+function compareBy(sort, order) {
+  const sign = order === 'desc' ? -1 : 1;
+  const { column, field } = SORTS[sort];
+  const compareValues = field
+    ? (a, b) => collator.compare(a[field] || '', b[field] || '')
+    : (a, b) => (a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0);
+  return (a, b) => sign * (compareValues(a, b) || a.id - b.id);
+}
+
+/**
+ * One page of files
+ *
+ * @param {Object} scope - { userId } for all of a user's files, { userId, folderId } for one of
+ *   their folders (null: the top level), or { folderId } for a folder the caller has checked access to
+ * @param {Object} options - From parseListOptions
+ * @param {Function} open - Decrypts the metadata of rows, e.g. rows => openFileRows(dataKey, rows)
+ * @returns {Object} - { success, files, nextCursor, total } or { success: false, status, error }
+ */
+function listFiles(scope, options, open) {
+  try {
+    const db = getDatabase();
+    const { sort, order, limit, mimetype, from, to, after } = options;
+
+    const scopeWhere = [];
+    const scopeParams = [];
+    if (scope.userId !== undefined) {
+      scopeWhere.push('user_id = ?');
+      scopeParams.push(scope.userId);
+    }
+    if ('folderId' in scope) {
+      scopeWhere.push(scope.folderId === null ? 'folder_id IS NULL' : 'folder_id = ?');
+      if (scope.folderId !== null) {
+        scopeParams.push(scope.folderId);
+      }
+    }
+
+    const where = [...scopeWhere, 'trashed_at IS NULL'];
+    const params = [...scopeParams];
+    if (from) {
+      where.push('uploaded_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      where.push('uploaded_at < ?');
+      params.push(to);
+    }
+
+    // The previous page's last file - it may have been trashed since, so only the scope applies
+    let last = null;
+    if (after !== null) {
+      [last] = rowsFromResult(db.exec(
+        `SELECT ${LIST_COLUMNS} FROM files WHERE ${['id = ?', ...scopeWhere].join(' AND ')}`,
+        [after, ...scopeParams]
+      ));
+      if (!last) {
+        return statusError(400, 'Cursor is no longer valid - start from the first page');
+      }
+    }
+
+    const { column, field } = SORTS[sort];
+    let page;
+    let hasMore;
+    let total;
+
+    if (!field && !mimetype) {
+      const direction = order === 'desc' ? 'DESC' : 'ASC';
+      const beyond = order === 'desc' ? '<' : '>';
+      const keyset = last ? [`(${column} ${beyond} ? OR (${column} = ? AND id ${beyond} ?))`] : [];
+      const keysetParams = last ? [last[column], last[column], last.id] : [];
+
+      const rows = rowsFromResult(db.exec(
+        `SELECT ${LIST_COLUMNS} FROM files WHERE ${[...where, ...keyset].join(' AND ')}
+         ORDER BY ${column} ${direction}, id ${direction} LIMIT ?`,
+        [...params, ...keysetParams, limit + 1]
+      ));
+      total = db.exec(`SELECT COUNT(*) FROM files WHERE ${where.join(' AND ')}`, params)[0].values[0][0];
+      hasMore = rows.length > limit;
+      page = open(rows.slice(0, limit));
+    } else {
+      let rows = open(rowsFromResult(db.exec(`SELECT ${LIST_COLUMNS} FROM files WHERE ${where.join(' AND ')}`, params)));
+      if (mimetype) {
+        rows = rows.filter(row => String(row.mimetype || '').toLowerCase().startsWith(mimetype));
+      }
+
+      const compare = compareBy(sort, order);
+      rows.sort(compare);
+
+      let start = 0;
+      if (last) {
+        const [lastOpened] = open([last]);
+        start = rows.findIndex(row => compare(row, lastOpened) > 0);
+        if (start === -1) {
+          start = rows.length;
+        }
+      }
+      total = rows.length;
+      hasMore = start + limit < rows.length;
+      page = rows.slice(start, start + limit);
+    }
+
+    const nextCursor = hasMore ? encodeCursor(sort, order, page[page.length - 1].id) : null;
+    return { success: true, files: page, nextCursor, total };
+  } catch (error) {
+    console.error('List files error:', error.message);
+    return statusError(500, error.message);
+  }
+}
+
+/**
+ * How many files a user has, and how many of them are encrypted - trash not included
+ * @returns {Object} - { total, encrypted }
+ */
+function countFiles(userId) {
+  const [counts] = rowsFromResult(getDatabase().exec(
+    `SELECT COUNT(*) AS total, COALESCE(SUM(CASE WHEN encrypted = 1 THEN 1 ELSE 0 END), 0) AS encrypted
+     FROM files WHERE user_id = ? AND trashed_at IS NULL`,
+    [userId]
+  ));
+  return counts;
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SORTS,
+  parseListOptions,
+  listFiles,
+  countFiles
+};
@@ -6,13 +6,16 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { getDatabase, saveDatabase } = require('../../config/database');
-const { getUserStoragePath } = require('../../config/storage');
+const { STORAGE_BASE, getUserStoragePath } = require('../../config/storage');
 const { CryptoIntegrityError } = require('./cryptoErrors');
+const { inspectEncryptedFile, FORMAT_LEGACY, FORMAT_SEGMENTED } = require('./cryptoService');
+const { verifyDataKey } = require('./keyService');
+const versionService = require('./versionService');
 
 /**
  * Check if a file is corrupted
  */
-async function isFileCorrupted(filePath, expectedSize, encrypted = true) {
+async function isFileCorrupted(filePath, expectedSize, encrypted = true, format = FORMAT_LEGACY) {
   try {
     if (!await fs.pathExists(filePath)) {
       return { corrupted: true, reason: 'File missing from disk' };
@@ -20,7 +23,22 @@ async function isFileCorrupted(filePath, expectedSize, encrypted = true) {
     
     const stats = await fs.stat(filePath);
     
-    if (encrypted) {
+    if (encrypted && format === FORMAT_SEGMENTED) {
+      // The header and file size alone give the plaintext size: header + data + one tag per segment
+      const info = await inspectEncryptedFile(filePath);
+      
+      if (!info.segmented) {
+        return { corrupted: true, reason: 'Encrypted file header is missing' };
+      }
+      
+      if (!info.valid) {
+        return { corrupted: true, reason: info.reason };
+      }
+      
+      if (info.plainSize !== expectedSize) {
+        return { corrupted: true, reason: `Size mismatch (${info.plainSize} != ${expectedSize} bytes of data)` };
+      }
+    } else if (encrypted) {
       // For encrypted files, allow some overhead but check for reasonable bounds
       const minSize = expectedSize; // At least original size
       const maxSize = expectedSize + 1024; // Original + reasonable encryption overhead
@@ -48,28 +66,20 @@ async function isFileCorrupted(filePath, expectedSize, encrypted = true) {
 /**
  * Mark a file as corrupted in the database
  */
-async function markFileCorrupted(fileId, reason) {
+async function markFileCorrupted(fileId, reason, errorType = 'integrity') {
   try {
     const db = getDatabase();
     
-    // Add a corrupted flag to the files table (we'll need to alter table structure)
-    // For now, we'll use a separate corrupted_files table
-    
-    // Create corrupted_files table if it doesn't exist
-    db.run(`
-      CREATE TABLE IF NOT EXISTS corrupted_files (
-        id INTEGER PRIMARY KEY,
-        file_id INTEGER,
-        reason TEXT,
-        detected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (file_id) REFERENCES files (id)
-      )
-    `);
+    const result = db.exec('SELECT user_id, filepath FROM files WHERE id = ?', [fileId]);
+    if (result.length === 0 || result[0].values.length === 0) {
+      return;
+    }
+    const [userId, filepath] = result[0].values[0];
     
     // Insert corruption record
     db.run(
-      'INSERT INTO corrupted_files (file_id, reason) VALUES (?, ?)',
-      [fileId, reason]
+      'INSERT INTO corrupted_files (user_id, file_id, filepath, error_type, error_message) VALUES (?, ?, ?, ?, ?)',
+      [userId, fileId, filepath, errorType, reason]
     );
     
     saveDatabase();
@@ -88,7 +98,7 @@ function getCorruptedFiles(userId) {
     const db = getDatabase();
     
     const result = db.exec(`
-      SELECT f.id, f.filename, f.filepath, f.size, c.reason, c.detected_at
+      SELECT f.id, f.filename, f.filepath, f.size, c.error_message, c.detected_at
       FROM files f
       JOIN corrupted_files c ON f.id = c.file_id
       WHERE f.user_id = ?
@@ -136,6 +146,9 @@ async function cleanupCorruptedFile(fileId, userId) {
       await fs.remove(fullPath);
     }
     
+    // Older versions would otherwise be left without a file to reach them through
+    await versionService.deleteAllVersions(userId, fileId);
+    
     // Remove from database
     db.run('DELETE FROM files WHERE id = ?', [fileId]);
     db.run('DELETE FROM corrupted_files WHERE file_id = ?', [fileId]);
@@ -153,8 +166,8 @@ async function cleanupCorruptedFile(fileId, userId) {
 /**
  * Validate file integrity after upload
  */
-async function validateUploadedFile(filePath, expectedSize, encrypted = true) {
-  const corruption = await isFileCorrupted(filePath, expectedSize, encrypted);
+async function validateUploadedFile(filePath, expectedSize, encrypted = true, format = FORMAT_LEGACY) {
+  const corruption = await isFileCorrupted(filePath, expectedSize, encrypted, format);
   
   if (corruption.corrupted) {
     // Clean up corrupted file immediately
@@ -172,10 +185,23 @@ async function validateUploadedFile(filePath, expectedSize, encrypted = true) {
 
 /**
  * Handle crypto integrity error gracefully
+ * With the data key that failed, a key mismatch is told apart from real
+ * corruption and the file is left alone.
  */
-async function handleCryptoIntegrityError(fileId, userId, error) {
+async function handleCryptoIntegrityError(fileId, userId, error, dataKey = null) {
   console.error(`🔐 Crypto integrity error for file ${fileId}:`, error.message);
   
+  if (dataKey && !verifyDataKey(userId, dataKey)) {
+    console.warn(`🔑 File ${fileId} not quarantined: the key used does not match user ${userId}`);
+    return {
+      userMessage: 'This file could not be decrypted because your encryption key does not match your account.',
+      technicalMessage: 'Data key failed the account key check; the file was not checked.',
+      action: 'Log out and log in again. Your file has not been changed.',
+      canRecover: true,
+      keyMismatch: true
+    };
+  }
+  
   // Mark file as corrupted
   await markFileCorrupted(fileId, 'Decryption integrity check failed');
   
@@ -194,7 +220,7 @@ async function scanForCorruption(userId = null) {
   try {
     const db = getDatabase();
     
-    let query = 'SELECT * FROM files';
+    let query = 'SELECT id, user_id, filename, filepath, size, encrypted, format_version FROM files';
     let params = [];
     
     if (userId) {
@@ -214,7 +240,8 @@ async function scanForCorruption(userId = null) {
       filename: row[2],
       filepath: row[3],
       size: row[4],
-      encrypted: row[9]
+      encrypted: row[5],
+      format: row[6] || FORMAT_LEGACY
     }));
     
     let corrupted = 0;
@@ -224,12 +251,13 @@ async function scanForCorruption(userId = null) {
       const userPath = getUserStoragePath(file.user_id);
       const fullPath = path.join(userPath, file.filepath);
       
-      const corruption = await isFileCorrupted(fullPath, file.size, file.encrypted === 1);
+      const corruption = await isFileCorrupted(fullPath, file.size, file.encrypted === 1, file.format);
       
       if (corruption.corrupted) {
-        await markFileCorrupted(file.id, corruption.reason);
+        await markFileCorrupted(file.id, corruption.reason, 'scan');
         corrupted++;
-        console.warn(`⚠️  Corrupted: ${file.filename} - ${corruption.reason}`);
+        // filename may be encrypted - identify the file by ID and storage path
+        console.warn(`⚠️  Corrupted: #${file.id} (${file.filepath}) - ${corruption.reason}`);
       } else {
         healthy++;
       }
@@ -242,6 +270,65 @@ async function scanForCorruption(userId = null) {
   }
 }
 
+/**
+ * Scan encrypted files on disk using their headers only
+ * Finds damaged headers/layouts and files the database does not know about,
+ * so it also works when the database is lost or out of date.
+ */
+async function scanStorageHeaders() {
+  const report = { scanned: 0, segmented: 0, legacy: 0, damaged: [], orphans: [] };
+  
+  if (!await fs.pathExists(STORAGE_BASE)) {
+    return report;
+  }
+  
+  // Files the database knows about - current blobs and older versions - keyed by user directory
+  let known = new Set();
+  try {
+    const db = getDatabase();
+    for (const table of ['files', 'file_versions']) {
+      const result = db.exec(`SELECT user_id, filepath FROM ${table}`);
+      if (result.length > 0) {
+        result[0].values.forEach(([userId, filepath]) => known.add(`user_${userId}/${filepath}`));
+      }
+    }
+  } catch (error) {
+    console.warn('Database unavailable, orphan check skipped:', error.message);
+    known = null;
+  }
+  
+  const userDirs = (await fs.readdir(STORAGE_BASE)).filter(name => /^user_\d+$/.test(name));
+  
+  for (const userDir of userDirs) {
+    const entries = await fs.readdir(path.join(STORAGE_BASE, userDir));
+    
+    for (const name of entries.filter(entry => entry.endsWith('.enc'))) {
+      const relativePath = `${userDir}/${name}`;
+      report.scanned++;
+      
+      try {
+        const info = await inspectEncryptedFile(path.join(STORAGE_BASE, userDir, name));
+        
+        if (!info.segmented) {
+          report.legacy++;
+        } else if (!info.valid) {
+          report.damaged.push({ path: relativePath, reason: info.reason });
+        } else {
+          report.segmented++;
+        }
+        
+        if (known && !known.has(relativePath)) {
+          report.orphans.push({ path: relativePath, fileId: info.fileId || null, size: info.size });
+        }
+      } catch (error) {
+        report.damaged.push({ path: relativePath, reason: `Cannot read file: ${error.message}` });
+      }
+    }
+  }
+  
+  return report;
+}
+
 module.exports = {
   isFileCorrupted,
   markFileCorrupted,
@@ -249,5 +336,6 @@ module.exports = {
   cleanupCorruptedFile,
   validateUploadedFile,
   handleCryptoIntegrityError,
-  scanForCorruption
+  scanForCorruption,
+  scanStorageHeaders
 };
\ No newline at end of file
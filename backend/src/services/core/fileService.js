@@ -0,0 +1,291 @@
+/**
+ * File Service for PocketCloud
+ * Renaming, moving and copying stored files.
+ *
+ * Renames and moves only change the files row - the ciphertext on the drive
+ * stays where it is. A copy is a file of its own: file keys are derived from
+ * the owner's data key and the row's key ID (see cryptoService), so the copy
+ * is decrypted and encrypted again under a new key ID instead of sharing the
+ * source's ciphertext. Copies are always written in the segmented format.
+ *
+ * Every change goes to the activity log and the audit log (IDs only - names
+ * are encrypted metadata) and the search index is updated with it.
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { getDatabase, saveDatabase } = require('../../config/database');
+const { getUserStoragePath, storageFilename } = require('../../config/storage');
+const { ensureInside } = require('../../utils/security');
+const { encryptFileStream, decryptFileStream, generateFileKeyId, fileKeyId, FORMAT_SEGMENTED } = require('./cryptoService');
+const { rowsFromResult, sealFileMetadata, openFileRows } = require('./metadataService');
+const { getUserKeys } = require('./keyService');
+const { getFolder } = require('./folderService');
+const searchService = require('./searchService');
+const collaborationService = require('./collaborationService');
+const thumbnailService = require('../media/thumbnailService');
+const auditLogService = require('../security/auditLogService');
+
+const MAX_NAME_LENGTH = 255;
+
+function statusError(status, error) {
+  return { success: false, status, error };
+}
+
+/**
+ * Check a filename typed by a user
+ * @returns {string|null} - Error message, or null if the name is fine
+ */
+function validateFilename(filename) {
+  if (typeof filename !== 'string' || filename.trim() === '') {
+    return 'Filename is required';
+  }
+  if (filename.trim().length > MAX_NAME_LENGTH) {
+    return `Filename must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (/[\\/\x00-\x1f]/.test(filename) || ['.', '..'].includes(filename.trim())) {
+    return 'Filename cannot contain slashes or control characters';
+  }
+  return null;
+}
+
+/**
+ * "report.pdf" → "report (copy).pdf"
+ */
+function copyName(filename) {
+  const ext = path.extname(filename);
+  const base = ext ? filename.slice(0, -ext.length) : filename;
+  return `${base} (copy)${ext}`;
+}
+
+/**
+ * A user's file outside trash, metadata decrypted
+ */
+function getOwnFile(userId, fileId, dataKey) {
+  const [file] = rowsFromResult(getDatabase().exec(
+    'SELECT * FROM files WHERE id = ? AND user_id = ? AND trashed_at IS NULL',
+    [fileId, userId]
+  ));
+  return file ? openFileRows(dataKey, [file])[0] : null;
+}
+
+/**
+ * Check a destination folder (null: top level)
+ * @returns {Object|null} - Error result, or null if the folder is fine
+ */
+function checkDestination(userId, folderId) {
+  if (folderId !== null && !getFolder(userId, folderId)) {
+    return statusError(404, 'Destination folder not found');
+  }
+  return null;
+}
+
+/**
+ * Record a change in the activity and audit logs
+ */
+function recordChange(userId, action, fileId, details, req) {
+  collaborationService.logActivity(userId, action, 'file', fileId, details, req);
+  auditLogService.log(userId, `file.${action}`, 'file', fileId, details, req);
+}
+
+/**
+ * Rename and/or move a file
+ *
+ * @param {number} userId - Owner
+ * @param {number} fileId - File ID
+ * @param {Object} changes - Any of { filename, folderId (null: top level) }
+ * @param {Buffer} dataKey - Owner's unlocked data key
+ * @param {Object} [req] - Request, for the audit log
+ * @returns {Promise<Object>} - { success, file, changes } or { success: false, status, error }
+ */
+async function updateFile(userId, fileId, changes, dataKey, req = null) {
+  try {
+    const file = getOwnFile(userId, fileId, dataKey);
+    if (!file) {
+      return statusError(404, 'File not found');
+    }
+
+    const renamed = 'filename' in changes && changes.filename !== file.filename;
+    const moved = 'folderId' in changes && changes.folderId !== file.folder_id;
+
+    if (renamed) {
+      const invalid = validateFilename(changes.filename);
+      if (invalid) {
+        return statusError(400, invalid);
+      }
+    }
+    if (moved) {
+      const invalid = checkDestination(userId, changes.folderId);
+      if (invalid) {
+        return invalid;
+      }
+    }
+
+    const updated = {
+      ...file,
+      filename: renamed ? changes.filename.trim() : file.filename,
+      folder_id: moved ? changes.folderId : file.folder_id
+    };
+
+    if (renamed || moved) {
+      const sealed = sealFileMetadata(dataKey, { filename: updated.filename });
+      getDatabase().run(
+        'UPDATE files SET filename = ?, folder_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [sealed.filename, updated.folder_id, fileId]
+      );
+      saveDatabase();
+    }
+
+    if (renamed) {
+      await searchService.indexFile(fileId, userId, dataKey);
+      recordChange(userId, 'rename', fileId, {}, req);
+    }
+    if (moved) {
+      recordChange(userId, 'move', fileId, { from: file.folder_id, to: updated.folder_id }, req);
+    }
+
+    const changed = [...(renamed ? ['filename'] : []), ...(moved ? ['folderId'] : [])];
+    return { success: true, file: { id: fileId, filename: updated.filename, folder_id: updated.folder_id }, changes: changed };
+  } catch (error) {
+    console.error('Update file error:', error.message);
+    return statusError(500, error.message);
+  }
+}
+
+/**
+ * Duplicate a file under a new file key
+ *
+ * @param {number} userId - Owner
+ * @param {number} fileId - File to copy
+ * @param {Object} options - { folderId (default: the source's folder), filename (default: "name (copy)" in
+ *   the same folder, the same name elsewhere) }
+ * @param {Buffer} dataKey - Owner's unlocked data key
+ * @param {Object} [req] - Request, for the audit log
+ * @returns {Promise<Object>} - { success, file } or { success: false, status, error }
+ */
+async function copyFile(userId, fileId, options, dataKey, req = null) {
+  const source = getOwnFile(userId, fileId, dataKey);
+  if (!source) {
+    return statusError(404, 'File not found');
+  }
+
+  const folderId = 'folderId' in options ? options.folderId : source.folder_id;
+  const invalidFolder = checkDestination(userId, folderId);
+  if (invalidFolder) {
+    return invalidFolder;
+  }
+
+  const filename = options.filename !== undefined
+    ? options.filename
+    : (folderId === source.folder_id ? copyName(source.filename) : source.filename);
+  const invalidName = validateFilename(filename);
+  if (invalidName) {
+    return statusError(400, invalidName);
+  }
+
+  const userPath = getUserStoragePath(userId);
+  const sourcePath = path.join(userPath, source.filepath);
+  ensureInside(userPath, sourcePath);
+
+  const storageName = storageFilename();
+  const finalPath = path.join(userPath, storageName);
+  const tempPath = `${finalPath}.tmp`;
+  const keyId = generateFileKeyId();
+
+  try {
+    // Plaintext only ever passes through memory, from one cipher to the other
+    let bytes = 0;
+    const plain = new Transform({
+      transform(chunk, encoding, callback) {
+        bytes += chunk.length;
+        callback(null, chunk);
+      }
+    });
+
+    const reading = (source.encrypted
+      ? decryptFileStream(
+        sourcePath,
+        plain,
+        dataKey,
+        fileKeyId({ keyId: source.key_id, userId, id: source.id }),
+        source.iv,
+        source.auth_tag,
+        { format: source.format_version }
+      )
+      : pipeline(fs.createReadStream(sourcePath), plain)
+    ).catch(error => {
+      plain.destroy(error);
+      throw error;
+    });
+
+    const { kdfParams } = getUserKeys(userId);
+    await Promise.all([
+      reading,
+      encryptFileStream(plain, tempPath, dataKey, keyId, { kdf: kdfParams })
+    ]);
+
+    if (bytes !== source.size) {
+      throw new Error(`Copied ${bytes} bytes, expected ${source.size}`);
+    }
+
+    await fs.rename(tempPath, finalPath);
+
+    const sealed = sealFileMetadata(dataKey, {
+      filename: filename.trim(),
+      mimetype: source.mimetype,
+      description: source.description,
+      tags: source.tags
+    });
+
+    const db = getDatabase();
+    db.run(
+      `INSERT INTO files (user_id, folder_id, filename, filepath, size, mimetype, description, tags, file_hash,
+       iv, auth_tag, encrypted, format_version, meta_encrypted, key_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, NULL, 1, ?, 1, ?)`,
+      [userId, folderId, sealed.filename, storageName, bytes, sealed.mimetype, sealed.description, sealed.tags,
+        source.file_hash || null, FORMAT_SEGMENTED, keyId]
+    );
+    const id = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+    saveDatabase();
+
+    await copyThumbnails(fileId, id);
+    await searchService.indexFile(id, userId, dataKey);
+    recordChange(userId, 'copy', id, { source: fileId, folderId }, req);
+
+    return { success: true, file: { id, filename: filename.trim(), folder_id: folderId, size: bytes } };
+  } catch (error) {
+    console.error(`Copy of file ${fileId} failed:`, error.message);
+    await fs.remove(tempPath).catch(() => {});
+    await fs.remove(finalPath).catch(() => {});
+    return statusError(error.name === 'CryptoIntegrityError' ? 422 : 500, 'Could not copy the file');
+  }
+}
+
+/**
+ * Give a copy the thumbnails of its source
+ * Thumbnails can be generated again, so a failure here doesn't fail the copy.
+ */
+async function copyThumbnails(fromFileId, toFileId) {
+  try {
+    const copied = await thumbnailService.copyThumbnails(fromFileId, toFileId);
+    const sizes = Object.keys(copied);
+    if (sizes.length > 0) {
+      getDatabase().run(
+        `UPDATE files SET ${sizes.map(size => `thumbnail_${size} = ?`).join(', ')} WHERE id = ?`,
+        [...sizes.map(size => copied[size]), toFileId]
+      );
+      saveDatabase();
+    }
+  } catch (error) {
+    console.warn(`⚠️  Thumbnails of file ${fromFileId} were not copied: ${error.message}`);
+  }
+}
+
+module.exports = {
+  validateFilename,
+  copyName,
+  updateFile,
+  copyFile
+};
@@ -0,0 +1,501 @@
+/**
+ * Folder Service for PocketCloud
+ * Folders are rows in the folders table (parent_id NULL at the top level);
+ * files point at theirs through files.folder_id. Nothing changes on the
+ * drive - every file stays a flat .enc under the user's directory.
+ *
+ * Folder names are encrypted like file metadata (see metadataService), so
+ * finding a folder by name means decrypting the owner's folder list.
+ *
+ * Access: owners may do anything with their own folders. Anyone else needs
+ * a share on the folder or on a folder above it (the nearest one counts),
+ * plus a role with the matching folder permission. Names are sealed under
+ * the owner's key, so creating, renaming and moving stay with the owner and
+ * other users see placeholder names.
+ */
+
+const { getDatabase, saveDatabase } = require('../../config/database');
+const { PERMISSIONS, hasPermission } = require('../../config/roles');
+const { rowsFromResult, sealFolderMetadata, openFolderRows, openFileRows } = require('./metadataService');
+const trashService = require('./trashService');
+const { parseListOptions, listFiles } = require('./fileListService');
+
+const MAX_NAME_LENGTH = 255;
+const MAX_DEPTH = 64;
+const ACCESS_LEVELS = { view: 1, edit: 2, admin: 3, owner: 4 };
+
+/**
+ * Split an uploaded file's relative path into folder names and filename
+ * "Photos/2024/beach.jpg" → { folders: ['Photos', '2024'], filename: 'beach.jpg' }
+ * Backslashes count as separators (Windows clients); empty and "." segments are dropped.
+ *
+ * @param {string} relativePath - As sent by the browser
+ * @returns {Object|null} - { folders, filename }, or null for a path that
+ *   climbs out (..), has control characters or overlong names, or no filename
+ */
+function splitRelativePath(relativePath) {
+  const segments = String(relativePath || '')
+    .split(/[\\/]+/)
+    .map(segment => segment.trim())
+    .filter(segment => segment && segment !== '.');
+
+  const invalid = segment => segment === '..' || segment.length > MAX_NAME_LENGTH || /[\x00-\x1f]/.test(segment);
+  if (segments.length === 0 || segments.some(invalid)) {
+    return null;
+  }
+
+  return { folders: segments.slice(0, -1), filename: segments[segments.length - 1] };
+}
+
+/**
+ * Check a folder name typed by a user
+ * @returns {string|null} - Error message, or null if the name is fine
+ */
+function validateFolderName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return 'Folder name is required';
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return `Folder name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (/[\\/\x00-\x1f]/.test(name) || ['.', '..'].includes(name.trim())) {
+    return 'Folder name cannot contain slashes or control characters';
+  }
+  return null;
+}
+
+function statusError(status, error) {
+  return { success: false, status, error };
+}
+
+/**
+ * A user's folder, if it isn't in trash (metadata still encrypted)
+ * @returns {Object|null} - { id, parent_id } or null if it isn't theirs
+ */
+function getFolder(userId, folderId) {
+  const [folder] = rowsFromResult(getDatabase().exec(
+    'SELECT id, parent_id FROM folders WHERE id = ? AND user_id = ? AND trashed_at IS NULL',
+    [folderId, userId]
+  ));
+  return folder || null;
+}
+
+/**
+ * All of a user's folders outside trash, decrypted
+ *
+ * @param {number} userId - Owner
+ * @param {Buffer} dataKey - Owner's unlocked data key
+ * @returns {Array<Object>} - Folder rows with plaintext name and description
+ */
+function listFolders(userId, dataKey) {
+  return openFolderRows(dataKey, rowsFromResult(getDatabase().exec(
+    'SELECT * FROM folders WHERE user_id = ? AND trashed_at IS NULL ORDER BY id',
+    [userId]
+  )));
+}
+
+/**
+ * A folder and the folders above it, nearest first
+ */
+function folderChain(folderId) {
+  return rowsFromResult(getDatabase().exec(
+    `WITH RECURSIVE chain(id, user_id, parent_id, name, trashed_at, depth) AS (
+       SELECT id, user_id, parent_id, name, trashed_at, 0 FROM folders WHERE id = ?
+       UNION ALL
+       SELECT f.id, f.user_id, f.parent_id, f.name, f.trashed_at, chain.depth + 1
+       FROM folders f JOIN chain ON f.id = chain.parent_id
+       WHERE chain.depth < ${MAX_DEPTH}
+     )
+     SELECT * FROM chain ORDER BY depth`,
+    [folderId]
+  ));
+}
+
+/**
+ * How a user reaches a folder
+ *
+ * @param {number} userId - User ID
+ * @param {number} folderId - Folder ID
+ * @returns {Object|null} - { folder, permission, chain } where permission is
+ *   'owner' or the nearest share's permission and chain holds the folders the
+ *   user can see, from the folder up; null without access or if it's in trash
+ */
+function getFolderAccess(userId, folderId) {
+  const chain = folderChain(folderId);
+  if (chain.length === 0 || chain[0].trashed_at) {
+    return null;
+  }
+
+  const folder = chain[0];
+  if (folder.user_id === userId) {
+    return { folder, permission: 'owner', chain };
+  }
+
+  const db = getDatabase();
+  for (let i = 0; i < chain.length; i++) {
+    const result = db.exec(
+      `SELECT permission FROM shares
+       WHERE resource_type = 'folder' AND resource_id = ? AND shared_with_user_id = ?
+       AND (expires_at IS NULL OR expires_at > datetime('now'))`,
+      [chain[i].id, userId]
+    );
+    if (result.length > 0) {
+      // Folders above the shared one stay hidden
+      return { folder, permission: result[0].values[0][0], chain: chain.slice(0, i + 1) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Access check for a folder operation
+ *
+ * @param {number} userId - User ID
+ * @param {number} folderId - Folder ID
+ * @param {string} required - Least access needed: 'view', 'edit', 'admin' or 'owner'
+ * @param {string} permission - Role permission non-owners need (PERMISSIONS.FOLDER_*)
+ * @returns {Object} - { success, access } or { success: false, status, error }
+ */
+function checkFolderAccess(userId, folderId, required, permission) {
+  const access = getFolderAccess(userId, folderId);
+  if (!access) {
+    return statusError(404, 'Folder not found');
+  }
+  if (access.permission === 'owner') {
+    return { success: true, access };
+  }
+
+  const [user] = rowsFromResult(getDatabase().exec('SELECT role FROM users WHERE id = ?', [userId]));
+  const role = (user && user.role) || 'viewer';
+  if ((ACCESS_LEVELS[access.permission] || 0) < ACCESS_LEVELS[required] || !hasPermission(role, permission)) {
+    return statusError(403, 'You do not have permission to do that in this folder');
+  }
+  return { success: true, access };
+}
+
+/**
+ * Placeholder names for rows sealed under someone else's key
+ */
+function sealedRows(rows, nameField, noun) {
+  return rows.map(row => ({
+    ...row,
+    [nameField]: `${noun}-${row.id}`,
+    ...('mimetype' in row ? { mimetype: null } : {}),
+    ...('description' in row ? { description: null } : {}),
+    metadataUnreadable: true
+  }));
+}
+
+/**
+ * What's in a folder, for browsing
+ * Subfolders come all at once, files one page at a time (see fileListService).
+ *
+ * @param {number} userId - User ID
+ * @param {number|null} folderId - Folder, or null for the user's top level
+ * @param {Buffer} dataKey - User's unlocked data key
+ * @param {Object} [listOptions] - Sorting, filters and page of the files (from parseListOptions)
+ * @returns {Object} - { success, folder, permission, breadcrumbs, folders, files, nextCursor, totalFiles }
+ *   or { success: false, status, error }
+ */
+function getFolderContents(userId, folderId, dataKey, listOptions = parseListOptions().options) {
+  try {
+    const db = getDatabase();
+    let folder = null;
+    let permission = 'owner';
+    let breadcrumbs = [];
+    let folderRows;
+
+    if (folderId === null) {
+      folderRows = rowsFromResult(db.exec(
+        `SELECT id, parent_id, name, description, color, created_at, updated_at FROM folders
+         WHERE user_id = ? AND parent_id IS NULL AND trashed_at IS NULL`,
+        [userId]
+      ));
+    } else {
+      const check = checkFolderAccess(userId, folderId, 'view', PERMISSIONS.FOLDER_READ);
+      if (!check.success) {
+        return check;
+      }
+      permission = check.access.permission;
+
+      const chain = check.access.chain.map(({ id, parent_id, name }) => ({ id, parent_id, name }));
+      folderRows = rowsFromResult(db.exec(
+        `SELECT id, parent_id, name, description, color, created_at, updated_at FROM folders
+         WHERE parent_id = ? AND trashed_at IS NULL`,
+        [folderId]
+      ));
+
+      const crumbs = permission === 'owner' ? openFolderRows(dataKey, chain) : sealedRows(chain, 'name', 'folder');
+      breadcrumbs = crumbs.reverse().map(({ id, name }) => ({ id, name }));
+      folder = breadcrumbs[breadcrumbs.length - 1];
+    }
+
+    const owner = permission === 'owner';
+    const folders = (owner ? openFolderRows(dataKey, folderRows) : sealedRows(folderRows, 'name', 'folder'))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    const files = listFiles(
+      folderId === null ? { userId, folderId } : { folderId },
+      listOptions,
+      rows => (owner ? openFileRows(dataKey, rows) : sealedRows(rows, 'filename', 'file'))
+    );
+    if (!files.success) {
+      return files;
+    }
+
+    return {
+      success: true,
+      folder,
+      permission,
+      breadcrumbs,
+      folders,
+      files: files.files,
+      nextCursor: files.nextCursor,
+      totalFiles: files.total
+    };
+  } catch (error) {
+    console.error('Get folder contents error:', error.message);
+    return statusError(500, error.message);
+  }
+}
+
+/**
+ * Whether a folder already has a subfolder with this name
+ */
+function nameTaken(userId, parentId, name, dataKey, exceptId = null) {
+  const siblings = rowsFromResult(getDatabase().exec(
+    `SELECT id, name FROM folders
+     WHERE user_id = ? AND ${parentId === null ? 'parent_id IS NULL' : 'parent_id = ?'} AND trashed_at IS NULL`,
+    parentId === null ? [userId] : [userId, parentId]
+  ));
+  return openFolderRows(dataKey, siblings).some(folder => folder.id !== exceptId && folder.name === name);
+}
+
+/**
+ * Create a folder
+ *
+ * @param {number} userId - Owner
+ * @param {Object} values - { name, parentId?, description?, color? }
+ * @param {Buffer} dataKey - Owner's unlocked data key
+ * @returns {Object} - { success, folder } or { success: false, status, error }
+ */
+function createFolder(userId, { name, parentId = null, description = null, color = null }, dataKey) {
+  const invalid = validateFolderName(name);
+  if (invalid) {
+    return statusError(400, invalid);
+  }
+  name = name.trim();
+
+  try {
+    if (parentId !== null) {
+      const check = checkFolderAccess(userId, parentId, 'owner', PERMISSIONS.FOLDER_CREATE);
+      if (!check.success) {
+        return check;
+      }
+    }
+    if (nameTaken(userId, parentId, name, dataKey)) {
+      return statusError(409, 'A folder with that name already exists here');
+    }
+
+    const db = getDatabase();
+    const sealed = sealFolderMetadata(dataKey, { name, description });
+    db.run(
+      'INSERT INTO folders (user_id, parent_id, name, description, color) VALUES (?, ?, ?, ?, ?)',
+      [userId, parentId, sealed.name, sealed.description, color]
+    );
+    const id = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+    saveDatabase();
+
+    return { success: true, folder: { id, parent_id: parentId, name, description, color } };
+  } catch (error) {
+    console.error('Create folder error:', error.message);
+    return statusError(500, error.message);
+  }
+}
+
+/**
+ * Rename, move or describe a folder
+ *
+ * @param {number} userId - Owner
+ * @param {number} folderId - Folder ID
+ * @param {Object} changes - Any of { name, parentId (null: top level), description, color }
+ * @param {Buffer} dataKey - Owner's unlocked data key
+ * @returns {Object} - { success, folder, changes } or { success: false, status, error }
+ */
+function updateFolder(userId, folderId, changes, dataKey) {
+  try {
+    const check = checkFolderAccess(userId, folderId, 'owner', PERMISSIONS.FOLDER_UPDATE);
+    if (!check.success) {
+      return check;
+    }
+
+    const [current] = openFolderRows(dataKey, rowsFromResult(getDatabase().exec(
+      'SELECT id, parent_id, name, description, color FROM folders WHERE id = ?',
+      [folderId]
+    )));
+    const updated = { ...current };
+
+    if ('name' in changes) {
+      const invalid = validateFolderName(changes.name);
+      if (invalid) {
+        return statusError(400, invalid);
+      }
+      updated.name = changes.name.trim();
+    }
+
+    if ('parentId' in changes && changes.parentId !== current.parent_id) {
+      const parentId = changes.parentId;
+      if (parentId !== null) {
+        if (!getFolder(userId, parentId)) {
+          return statusError(404, 'Destination folder not found');
+        }
+        // Not into itself or one of its own subfolders
+        if (folderChain(parentId).some(folder => folder.id === folderId)) {
+          return statusError(400, 'A folder cannot be moved into itself');
+        }
+      }
+      updated.parent_id = parentId;
+    }
+
+    if ('description' in changes) {
+      updated.description = changes.description || null;
+    }
+    if ('color' in changes) {
+      updated.color = changes.color || null;
+    }
+
+    if ((updated.name !== current.name || updated.parent_id !== current.parent_id) &&
+        nameTaken(userId, updated.parent_id, updated.name, dataKey, folderId)) {
+      return statusError(409, 'A folder with that name already exists here');
+    }
+
+    const sealed = sealFolderMetadata(dataKey, { name: updated.name, description: updated.description });
+    const db = getDatabase();
+    db.run(
+      `UPDATE folders SET name = ?, parent_id = ?, description = ?, color = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [sealed.name, updated.parent_id, sealed.description, updated.color, folderId]
+    );
+    saveDatabase();
+
+    const changed = Object.keys(changes).filter(field => ['name', 'parentId', 'description', 'color'].includes(field));
+    return { success: true, folder: updated, changes: changed };
+  } catch (error) {
+    console.error('Update folder error:', error.message);
+    return statusError(500, error.message);
+  }
+}
+
+/**
+ * Delete a folder: it goes to trash with all its subfolders and files
+ *
+ * @returns {Promise<Object>} - { success, folder, folders, files, message } or { success: false, status, error }
+ */
+async function trashFolder(userId, folderId) {
+  const check = checkFolderAccess(userId, folderId, 'edit', PERMISSIONS.FOLDER_DELETE);
+  if (!check.success) {
+    return check;
+  }
+
+  const result = await trashService.moveFolderToTrash(folderId);
+  if (!result.success) {
+    return statusError(500, result.error);
+  }
+  const { id, parent_id } = check.access.folder;
+  return { ...result, folder: { id, parent_id } };
+}
+
+/**
+ * Bring a folder back from trash (owner only - trash is the owner's)
+ *
+ * @returns {Promise<Object>} - { success, folders, files, message } or { success: false, status, error }
+ */
+async function restoreFolder(userId, folderId) {
+  const [folder] = rowsFromResult(getDatabase().exec(
+    'SELECT id FROM folders WHERE id = ? AND user_id = ? AND trashed_at IS NOT NULL',
+    [folderId, userId]
+  ));
+  if (!folder) {
+    return statusError(404, 'Folder not found in trash');
+  }
+
+  const result = await trashService.restoreFolderFromTrash(folderId);
+  return result.success ? result : statusError(500, result.error);
+}
+
+/**
+ * Find or create the folders along some paths
+ * Existing folders with the same name are reused, so uploading a directory
+ * twice merges into the same tree.
+ *
+ * @param {number} userId - Owner
+ * @param {Array<Array<string>>} paths - Folder names from the top down, e.g. [['Photos', '2024']]
+ * @param {Buffer} dataKey - Owner's unlocked data key
+ * @param {number|null} [parentId] - Folder the paths start in (null: top level)
+ * @returns {Object} - { success, folderIds, created, error? } where folderIds maps
+ *   "Photos/2024" to its folder ID ('' maps to parentId)
+ */
+function ensureFolderPaths(userId, paths, dataKey, parentId = null) {
+  const folderIds = new Map([['', parentId]]);
+  const childKey = (parent, name) => `${parent === null ? '' : parent}/${name}`;
+
+  try {
+    const db = getDatabase();
+    const existing = new Map(listFolders(userId, dataKey)
+      .map(folder => [childKey(folder.parent_id, folder.name), folder.id]));
+    let created = 0;
+
+    db.run('BEGIN TRANSACTION');
+    try {
+      for (const names of paths) {
+        let current = parentId;
+        let pathKey = '';
+
+        for (const name of names) {
+          pathKey = pathKey ? `${pathKey}/${name}` : name;
+
+          if (!folderIds.has(pathKey)) {
+            let id = existing.get(childKey(current, name));
+            if (id === undefined) {
+              const sealed = sealFolderMetadata(dataKey, { name });
+              db.run('INSERT INTO folders (user_id, parent_id, name) VALUES (?, ?, ?)', [userId, current, sealed.name]);
+              id = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+              existing.set(childKey(current, name), id);
+              created++;
+            }
+            folderIds.set(pathKey, id);
+          }
+
+          current = folderIds.get(pathKey);
+        }
+      }
+      db.run('COMMIT');
+    } catch (error) {
+      db.run('ROLLBACK');
+      throw error;
+    }
+
+    if (created > 0) {
+      saveDatabase();
+    }
+    return { success: true, folderIds, created };
+  } catch (error) {
+    console.error(`Could not create folders for user ${userId}:`, error.message);
+    return { success: false, folderIds, created: 0, error: error.message };
+  }
+}
+
+module.exports = {
+  splitRelativePath,
+  validateFolderName,
+  getFolder,
+  listFolders,
+  getFolderAccess,
+  checkFolderAccess,
+  getFolderContents,
+  createFolder,
+  updateFolder,
+  trashFolder,
+  restoreFolder,
+  ensureFolderPaths
+};
@@ -0,0 +1,528 @@
+/**
+ * Key Service for PocketCloud
+ * Manages per-user data keys (envelope encryption)
+ *
+ * users.encryption_salt + password → KEK → unwraps users.wrapped_data_key
+ * File keys derive from the data key, so changing a password only
+ * re-wraps one small blob instead of re-encrypting every file.
+ *
+ * An optional recovery key wraps a second copy of the data key
+ * (users.recovery_wrapped_key) and can reset a forgotten password.
+ *
+ * users.kdf_params records the scrypt params of the wrap; weaker params are
+ * replaced by the configured target whenever the password is available.
+ *
+ * users.key_check identifies the right data key. Every unlock is checked
+ * against it, so a wrong key fails at login instead of as "corrupted" files.
+ *
+ * An enrolled keyfile (users.keyfile_enrolled_at) is a second factor: its
+ * digest is mixed into scrypt, so the password alone no longer unwraps the
+ * data key. Only the enrollment date is stored. A lost keyfile is recovered
+ * with the recovery key, which resets the account to password only.
+ */
+
+const bcrypt = require('bcryptjs');
+const { getDatabase, saveDatabase } = require('../../config/database');
+const {
+  deriveMasterKey,
+  generateSalt,
+  generateDataKey,
+  deriveRecoveryKek,
+  wrapDataKey,
+  unwrapDataKey,
+  protectDataKey,
+  unlockDataKey: unlockWrappedKey,
+  rewrapDataKey,
+  currentKdfParams,
+  parseKdfParams,
+  isKdfOutdated,
+  computeKeyCheck,
+  verifyKeyCheck
+} = require('./cryptoService');
+const { KeyUnlockError, KeyMismatchError, KeyfileError } = require('./cryptoErrors');
+const { generateRecoveryKey, encodeRecoveryKey, decodeRecoveryKey } = require('./recoveryKey');
+
+/**
+ * Get a user's stored key material
+ */
+function getUserKeys(userId) {
+  const db = getDatabase();
+  const result = db.exec(
+    `SELECT password, encryption_salt, wrapped_data_key, kdf_params, key_check, keyfile_enrolled_at
+     FROM users WHERE id = ?`,
+    [userId]
+  );
+
+  if (result.length === 0 || result[0].values.length === 0) {
+    return null;
+  }
+
+  const row = result[0].values[0];
+  return {
+    passwordHash: row[0],
+    encryptionSalt: row[1],
+    wrappedDataKey: row[2],
+    kdfParams: parseKdfParams(row[3]),
+    keyCheck: row[4],
+    keyfileEnrolledAt: row[5] || null
+  };
+}
+
+/**
+ * Wrap a data key under a fresh recovery key
+ * The words are returned once and never stored.
+ *
+ * @returns {Object} - { recoveryWords, recoverySalt, recoveryWrappedKey }
+ */
+function createRecoveryMaterial(dataKey) {
+  const recoveryKey = generateRecoveryKey();
+  const salt = generateSalt();
+  const kek = deriveRecoveryKek(recoveryKey, salt);
+
+  try {
+    return {
+      recoveryWords: encodeRecoveryKey(recoveryKey),
+      recoverySalt: salt.toString('hex'),
+      recoveryWrappedKey: wrapDataKey(dataKey, kek)
+    };
+  } finally {
+    recoveryKey.fill(0);
+    kek.fill(0);
+  }
+}
+
+/**
+ * Create key material for a new account
+ * Returns values to store in users.encryption_salt / users.wrapped_data_key /
+ * users.kdf_params / users.key_check, plus users.recovery_salt / users.recovery_wrapped_key and
+ * the recovery words when a recovery key is requested
+ */
+async function provisionUserKeys(password, { withRecovery = false } = {}) {
+  const salt = generateSalt();
+  const dataKey = generateDataKey();
+  const params = currentKdfParams();
+
+  try {
+    const wrappedDataKey = await protectDataKey(password, salt, dataKey, params);
+    return {
+      encryptionSalt: salt.toString('hex'),
+      wrappedDataKey,
+      kdfParams: JSON.stringify(params),
+      keyCheck: computeKeyCheck(dataKey),
+      ...(withRecovery ? createRecoveryMaterial(dataKey) : {})
+    };
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+/**
+ * Migrate an account created before envelope encryption
+ * Its files were keyed off scrypt(password, salt) directly, so that value
+ * becomes the data key and is wrapped like any other.
+ */
+async function migrateLegacyAccount(userId, password, keys) {
+  const salt = Buffer.from(keys.encryptionSalt, 'hex');
+  const dataKey = await deriveMasterKey(password, salt, parseKdfParams(null));
+
+  // Any password derives some key - make sure it is the one the files use
+  checkDataKey(userId, dataKey, keys.keyCheck);
+
+  const params = currentKdfParams();
+  const wrappedDataKey = await protectDataKey(password, salt, dataKey, params);
+
+  const db = getDatabase();
+  db.run(
+    `UPDATE users SET wrapped_data_key = ?, kdf_params = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND wrapped_data_key IS NULL`,
+    [wrappedDataKey, JSON.stringify(params), userId]
+  );
+  saveDatabase();
+
+  console.log(`✓ Migrated user ${userId} to envelope encryption`);
+  return dataKey;
+}
+
+/**
+ * Check an unlocked data key against the account's key-check value
+ * Accounts created before key checks record one on their first unlock.
+ *
+ * @throws {KeyMismatchError} - If the key is not this account's data key (the key is zeroed)
+ */
+function checkDataKey(userId, dataKey, keyCheck) {
+  if (!keyCheck) {
+    const db = getDatabase();
+    db.run('UPDATE users SET key_check = ? WHERE id = ? AND key_check IS NULL', [computeKeyCheck(dataKey), userId]);
+    saveDatabase();
+    console.log(`✓ Recorded key check for user ${userId}`);
+    return;
+  }
+
+  if (!verifyKeyCheck(dataKey, keyCheck)) {
+    dataKey.fill(0);
+    throw new KeyMismatchError();
+  }
+}
+
+/**
+ * Check whether a data key (e.g. from the session keyring) belongs to a user
+ * Called before decrypting, so a stale or foreign key is never blamed on the files
+ *
+ * @returns {boolean} - False if the key does not match; true if it does or no check is recorded
+ */
+function verifyDataKey(userId, dataKey) {
+  const keys = getUserKeys(userId);
+  if (!keys || !keys.keyCheck) {
+    return Boolean(keys);
+  }
+  return verifyKeyCheck(dataKey, keys.keyCheck);
+}
+
+/**
+ * Re-wrap a data key with the target scrypt params
+ * Best effort: a failure leaves the old wrap in place and the login goes on.
+ */
+async function upgradeKdfParams(userId, password, dataKey, keys, keyfileHash = null) {
+  try {
+    const params = currentKdfParams();
+    const salt = generateSalt();
+    const wrappedDataKey = await protectDataKey(password, salt, dataKey, params, keyfileHash);
+
+    const db = getDatabase();
+    db.run(
+      `UPDATE users SET encryption_salt = ?, wrapped_data_key = ?, kdf_params = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND wrapped_data_key = ?`,
+      [salt.toString('hex'), wrappedDataKey, JSON.stringify(params), userId, keys.wrappedDataKey]
+    );
+    saveDatabase();
+
+    console.log(`✓ Upgraded key derivation for user ${userId} (scrypt N=${keys.kdfParams.N} → ${params.N})`);
+  } catch (error) {
+    console.warn(`Key derivation upgrade failed for user ${userId}:`, error.message);
+  }
+}
+
+/**
+ * Unwrap the data key with the password and, if enrolled, the keyfile
+ * Callers have checked the password, so a failed unwrap on a keyfile
+ * account means the keyfile is wrong.
+ *
+ * @throws {KeyfileError} - If the keyfile is missing or wrong
+ */
+async function unwrapWithFactors(keys, password, keyfileHash) {
+  if (keys.keyfileEnrolledAt && !keyfileHash) {
+    throw new KeyfileError();
+  }
+
+  try {
+    return await unlockWrappedKey(
+      password,
+      Buffer.from(keys.encryptionSalt, 'hex'),
+      keys.wrappedDataKey,
+      keys.kdfParams,
+      keys.keyfileEnrolledAt ? keyfileHash : null
+    );
+  } catch (error) {
+    if (error instanceof KeyUnlockError && keys.keyfileEnrolledAt) {
+      throw new KeyfileError('This keyfile does not match the one enrolled for this account');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Unlock a user's data key with their password
+ * Legacy accounts are migrated on first unlock, outdated KDF params are upgraded.
+ *
+ * @param {number} userId - User ID
+ * @param {string} password - User password
+ * @param {Buffer} [keyfileHash] - Keyfile digest (see hashKeyfile), ignored unless enrolled
+ * @returns {Promise<Buffer>} - Data key (caller must zero it)
+ * @throws {KeyUnlockError} - If the password does not unlock the key
+ * @throws {KeyfileError} - If the account needs a keyfile and it is missing or wrong
+ * @throws {KeyMismatchError} - If it unlocks a key other than the account's data key
+ */
+async function unlockDataKey(userId, password, keyfileHash = null) {
+  const keys = getUserKeys(userId);
+
+  if (!keys || !keys.encryptionSalt) {
+    throw new KeyUnlockError('Encryption is not set up for this account');
+  }
+
+  if (!keys.wrappedDataKey) {
+    return migrateLegacyAccount(userId, password, keys);
+  }
+
+  const dataKey = await unwrapWithFactors(keys, password, keyfileHash);
+  checkDataKey(userId, dataKey, keys.keyCheck);
+
+  if (isKdfOutdated(keys.kdfParams)) {
+    await upgradeKdfParams(userId, password, dataKey, keys, keys.keyfileEnrolledAt ? keyfileHash : null);
+  }
+
+  return dataKey;
+}
+
+/**
+ * Change a user's password
+ * Re-wraps the data key under a fresh salt and updates the login hash.
+ * An enrolled keyfile stays enrolled and must be supplied.
+ *
+ * @returns {Promise<Object>} - { success, encryptionSalt } or { success: false, error }
+ */
+async function changePassword(userId, currentPassword, newPassword, keyfileHash = null) {
+  let keys;
+  try {
+    keys = getUserKeys(userId);
+
+    if (!keys) {
+      return { success: false, error: 'User not found' };
+    }
+
+    if (!await bcrypt.compare(currentPassword, keys.passwordHash)) {
+      return { success: false, error: 'Current password is incorrect' };
+    }
+
+    // Make sure legacy accounts have a wrapped key before re-wrapping it
+    if (!keys.wrappedDataKey) {
+      const dataKey = await unlockDataKey(userId, currentPassword);
+      dataKey.fill(0);
+      keys = getUserKeys(userId);
+    }
+
+    if (keys.keyfileEnrolledAt && !keyfileHash) {
+      return { success: false, error: 'Select your keyfile to change the password' };
+    }
+
+    const params = currentKdfParams();
+    const keyfile = keys.keyfileEnrolledAt ? keyfileHash : null;
+    const { salt, wrappedDataKey } = await rewrapDataKey(
+      currentPassword,
+      Buffer.from(keys.encryptionSalt, 'hex'),
+      keys.wrappedDataKey,
+      newPassword,
+      keys.kdfParams,
+      params,
+      { oldKeyfileHash: keyfile, newKeyfileHash: keyfile }
+    );
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+    const db = getDatabase();
+    db.run(
+      `UPDATE users SET password = ?, encryption_salt = ?, wrapped_data_key = ?, kdf_params = ?,
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [hashedPassword, salt, wrappedDataKey, JSON.stringify(params), userId]
+    );
+    saveDatabase();
+
+    return { success: true, encryptionSalt: salt };
+  } catch (error) {
+    if (error instanceof KeyUnlockError && keys && keys.keyfileEnrolledAt) {
+      return { success: false, error: 'This keyfile does not match the one enrolled for this account' };
+    }
+    if (error instanceof KeyUnlockError || error instanceof KeyMismatchError) {
+      return { success: false, error: 'Your encryption key could not be unlocked with the current password' };
+    }
+    console.error('Change password error:', error.message);
+    return { success: false, error: 'Failed to change password' };
+  }
+}
+
+/**
+ * Check whether a user has a recovery key
+ */
+function hasRecoveryKey(userId) {
+  const db = getDatabase();
+  const result = db.exec(
+    'SELECT recovery_wrapped_key, recovery_created_at FROM users WHERE id = ?',
+    [userId]
+  );
+
+  if (result.length === 0 || result[0].values.length === 0 || !result[0].values[0][0]) {
+    return { enabled: false, createdAt: null };
+  }
+
+  return { enabled: true, createdAt: result[0].values[0][1] };
+}
+
+/**
+ * Replace a user's recovery key (any previously printed kit stops working)
+ *
+ * @param {number} userId - User ID
+ * @param {Buffer} dataKey - Unlocked data key (from the session keyring)
+ * @returns {string[]} - New recovery words, shown once
+ */
+function resetRecoveryKey(userId, dataKey) {
+  const { recoveryWords, recoverySalt, recoveryWrappedKey } = createRecoveryMaterial(dataKey);
+
+  const db = getDatabase();
+  db.run(
+    `UPDATE users SET recovery_salt = ?, recovery_wrapped_key = ?, recovery_created_at = CURRENT_TIMESTAMP,
+     updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [recoverySalt, recoveryWrappedKey, userId]
+  );
+  saveDatabase();
+
+  console.log(`✓ Recovery key created for user ${userId}`);
+  return recoveryWords;
+}
+
+/**
+ * Re-wrap the session's data key under the password, with or without a keyfile
+ * The password is checked first; the data key must be this account's.
+ */
+async function rewrapForKeyfile(userId, password, dataKey, keyfileHash) {
+  const keys = getUserKeys(userId);
+
+  if (!keys || !keys.wrappedDataKey) {
+    return { success: false, error: 'Log in again before changing the keyfile' };
+  }
+  if (!await bcrypt.compare(password, keys.passwordHash)) {
+    return { success: false, error: 'Password is incorrect' };
+  }
+  if (keys.keyCheck && !verifyKeyCheck(dataKey, keys.keyCheck)) {
+    return { success: false, error: 'Your encryption key is out of date - log in again' };
+  }
+
+  const salt = generateSalt();
+  const params = currentKdfParams();
+  const wrappedDataKey = await protectDataKey(password, salt, dataKey, params, keyfileHash);
+
+  const db = getDatabase();
+  db.run(
+    `UPDATE users SET encryption_salt = ?, wrapped_data_key = ?, kdf_params = ?,
+     keyfile_enrolled_at = ${keyfileHash ? 'CURRENT_TIMESTAMP' : 'NULL'}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [salt.toString('hex'), wrappedDataKey, JSON.stringify(params), userId]
+  );
+  saveDatabase();
+
+  return { success: true };
+}
+
+/**
+ * Require a keyfile, in addition to the password, to unlock the data key
+ * Needs a recovery key, which is the only way back in if the keyfile is lost.
+ *
+ * @param {number} userId - User ID
+ * @param {string} password - Current password
+ * @param {Buffer} dataKey - Unlocked data key (from the session keyring)
+ * @param {Buffer} keyfileHash - Digest of the new keyfile (see hashKeyfile)
+ * @returns {Promise<Object>} - { success } or { success: false, error }
+ */
+async function enrollKeyfile(userId, password, dataKey, keyfileHash) {
+  if (!hasRecoveryKey(userId).enabled) {
+    return { success: false, error: 'Create a recovery key first - it is the only way in if the keyfile is lost' };
+  }
+  if (getUserKeys(userId).keyfileEnrolledAt) {
+    return { success: false, error: 'A keyfile is already enrolled - remove it first to use a different one' };
+  }
+
+  const result = await rewrapForKeyfile(userId, password, dataKey, keyfileHash);
+  if (result.success) {
+    console.log(`✓ Keyfile enrolled for user ${userId}`);
+  }
+  return result;
+}
+
+/**
+ * Go back to unlocking with the password alone
+ *
+ * @param {number} userId - User ID
+ * @param {string} password - Current password
+ * @param {Buffer} dataKey - Unlocked data key (from the session keyring)
+ * @returns {Promise<Object>} - { success } or { success: false, error }
+ */
+async function removeKeyfile(userId, password, dataKey) {
+  if (!getUserKeys(userId).keyfileEnrolledAt) {
+    return { success: false, error: 'No keyfile is enrolled' };
+  }
+
+  const result = await rewrapForKeyfile(userId, password, dataKey, null);
+  if (result.success) {
+    console.log(`✓ Keyfile removed for user ${userId}`);
+  }
+  return result;
+}
+
+/**
+ * Reset a forgotten password with the recovery key
+ * The data key is re-wrapped under the new password; files are untouched and
+ * the recovery key keeps working. An enrolled keyfile is dropped, so this is
+ * also the way back in after losing it.
+ *
+ * @returns {Promise<Object>} - { success, userId, keyfileRemoved } or { success: false, error }
+ */
+async function recoverAccount(username, recoveryWords, newPassword) {
+  let recoveryKey;
+  try {
+    recoveryKey = decodeRecoveryKey(recoveryWords);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  let dataKey;
+  try {
+    const db = getDatabase();
+    const result = db.exec(
+      'SELECT id, recovery_salt, recovery_wrapped_key, key_check, keyfile_enrolled_at FROM users WHERE username = ?',
+      [username]
+    );
+
+    // Same answer for unknown users and users without a recovery key
+    if (result.length === 0 || result[0].values.length === 0 || !result[0].values[0][2]) {
+      return { success: false, error: 'Recovery key does not match this account' };
+    }
+
+    const [userId, recoverySalt, recoveryWrappedKey, keyCheck, keyfileEnrolledAt] = result[0].values[0];
+    const kek = deriveRecoveryKek(recoveryKey, Buffer.from(recoverySalt, 'hex'));
+    try {
+      dataKey = unwrapDataKey(recoveryWrappedKey, kek);
+    } finally {
+      kek.fill(0);
+    }
+    checkDataKey(userId, dataKey, keyCheck);
+
+    const salt = generateSalt();
+    const params = currentKdfParams();
+    const wrappedDataKey = await protectDataKey(newPassword, salt, dataKey, params);
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+    db.run(
+      `UPDATE users SET password = ?, encryption_salt = ?, wrapped_data_key = ?, kdf_params = ?,
+       keyfile_enrolled_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [hashedPassword, salt.toString('hex'), wrappedDataKey, JSON.stringify(params), userId]
+    );
+    saveDatabase();
+
+    console.log(`✓ Password reset with recovery key for ${username}${keyfileEnrolledAt ? ' (keyfile removed)' : ''}`);
+    return { success: true, userId, keyfileRemoved: Boolean(keyfileEnrolledAt) };
+  } catch (error) {
+    if (error instanceof KeyUnlockError) {
+      return { success: false, error: 'Recovery key does not match this account' };
+    }
+    if (error instanceof KeyMismatchError) {
+      return { success: false, error: 'This recovery kit is for an older encryption key of this account' };
+    }
+    console.error('Account recovery error:', error.message);
+    return { success: false, error: 'Failed to recover account' };
+  } finally {
+    recoveryKey.fill(0);
+    if (dataKey) {
+      dataKey.fill(0);
+    }
+  }
+}
+
+module.exports = {
+  getUserKeys,
+  provisionUserKeys,
+  unlockDataKey,
+  verifyDataKey,
+  changePassword,
+  hasRecoveryKey,
+  resetRecoveryKey,
+  enrollKeyfile,
+  removeKeyfile,
+  recoverAccount
+};
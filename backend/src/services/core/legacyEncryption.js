@@ -0,0 +1,224 @@
+/**
+ * Legacy File Encryption for PocketCloud
+ * Encrypts files from before encryption existed (files.encrypted = 0, see
+ * migrate-encryption.js) in the background, the next time their owner logs in.
+ *
+ * Keys are taken from the owner's session keyring entry file by file (without
+ * keeping the session alive); when the session locks, the job stops and picks
+ * up again at the next login. Users are worked through one at a time, one file
+ * at a time, so the Pi stays responsive.
+ *
+ * Each file is swapped crash-safely:
+ * 1. Encrypt the plaintext → <new>.enc.tmp, hashing it on the way
+ * 2. Decrypt the .tmp and compare hash and size with the plaintext
+ * 3. Rename the .tmp into place, point the DB row at it (encrypted = 1), save
+ * 4. Remove the plaintext
+ * A crash before step 3 leaves the plaintext row untouched; leftover .tmp
+ * files are removed by startup cleanup.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const { Writable } = require('stream');
+const { getDatabase, saveDatabase } = require('../../config/database');
+const { getUserStoragePath, storageFilename } = require('../../config/storage');
+const { ensureInside } = require('../../utils/security');
+const { encryptFileStream, decryptFileStream, generateFileKeyId } = require('./cryptoService');
+const { rowsFromResult } = require('./metadataService');
+const { getUserKeys } = require('./keyService');
+const sessionKeyring = require('./sessionKeyring');
+
+/**
+ * SHA-256 and length of everything written to it
+ */
+function hashingSink() {
+  const hash = crypto.createHash('sha256');
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      hash.update(chunk);
+      sink.bytes += chunk.length;
+      callback();
+    }
+  });
+  sink.bytes = 0;
+  sink.digest = () => hash.digest('hex');
+  return sink;
+}
+
+/**
+ * Encrypt one plaintext file and swap it in
+ *
+ * @param {number} userId - Owner
+ * @param {Object} file - files row (id, filepath)
+ * @param {Buffer} dataKey - Owner's unlocked data key
+ * @returns {Promise<boolean>} - false if the row changed meanwhile (nothing swapped)
+ */
+async function encryptLegacyFile(userId, file, dataKey) {
+  const userPath = getUserStoragePath(userId);
+  const plainPath = path.join(userPath, file.filepath);
+  ensureInside(userPath, plainPath);
+
+  const filename = storageFilename();
+  const finalPath = path.join(userPath, filename);
+  const tempPath = `${finalPath}.tmp`;
+  const keyId = generateFileKeyId();
+  const before = await fs.stat(plainPath);
+
+  try {
+    // Step 1: encrypt, hashing the plaintext as it is read
+    const plain = hashingSink();
+    const input = fs.createReadStream(plainPath);
+    input.on('data', chunk => plain.write(chunk));
+
+    const { kdfParams } = getUserKeys(userId);
+    const { iv, authTag, format } = await encryptFileStream(input, tempPath, dataKey, keyId, { kdf: kdfParams });
+
+    // Step 2: the ciphertext must decrypt to exactly what was read
+    const decrypted = hashingSink();
+    await decryptFileStream(tempPath, decrypted, dataKey, keyId, iv, authTag, { format });
+
+    const after = await fs.stat(plainPath);
+    if (after.size !== before.size || after.mtimeMs !== before.mtimeMs) {
+      throw new Error('File changed while it was being encrypted');
+    }
+    if (plain.bytes !== before.size || decrypted.bytes !== plain.bytes || decrypted.digest() !== plain.digest()) {
+      throw new Error('Encrypted copy does not match the original');
+    }
+
+    // Step 3: swap - the row only moves if it is still the same plaintext file
+    await fs.rename(tempPath, finalPath);
+
+    const db = getDatabase();
+    db.run(
+      `UPDATE files SET filepath = ?, size = ?, iv = ?, auth_tag = ?, encrypted = 1, format_version = ?, key_id = ?,
+       updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND user_id = ? AND filepath = ? AND (encrypted IS NULL OR encrypted = 0)`,
+      [filename, plain.bytes, iv, authTag, format, keyId, file.id, userId, file.filepath]
+    );
+    if (db.getRowsModified() === 0) {
+      await fs.remove(finalPath);
+      return false;
+    }
+    saveDatabase();
+
+    // Step 4: only now is the plaintext redundant
+    await fs.remove(plainPath);
+    return true;
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+class LegacyEncryptionQueue {
+  constructor() {
+    this.queue = [];
+    this.running = null;
+  }
+
+  /**
+   * Queue a user's plaintext files for encryption (run at login)
+   * A user who is already queued just switches to the newer session.
+   *
+   * @param {string} sessionId - Session whose keyring entry supplies the key
+   * @param {number} userId - User ID
+   */
+  queueUser(sessionId, userId) {
+    const queued = this.queue.find(job => job.userId === userId);
+    if (queued) {
+      // Latest login - the earlier session may already be gone
+      queued.sessionId = sessionId;
+    } else {
+      this.queue.push({ sessionId, userId });
+    }
+
+    if (!this.running) {
+      this.running = new Promise(resolve => setImmediate(resolve))
+        .then(() => this._drain())
+        .finally(() => {
+          this.running = null;
+        });
+    }
+  }
+
+  /**
+   * Whether a user's files are queued or being encrypted
+   */
+  isEncrypting(userId) {
+    return this.queue.some(job => job.userId === userId);
+  }
+
+  /**
+   * Resolves once the queue is empty
+   */
+  async idle() {
+    while (this.running) {
+      await this.running;
+    }
+  }
+
+  async _drain() {
+    while (this.queue.length > 0) {
+      // Stays queued while it runs, so isEncrypting covers the current user
+      const job = this.queue[0];
+      await this.encryptUser(job);
+      this.queue.shift();
+    }
+  }
+
+  /**
+   * Encrypt all of a user's plaintext files while their session is unlocked
+   *
+   * @param {Object} job - { sessionId, userId }
+   * @returns {Promise<Object>} - { success, encrypted, failed, remaining, error? }
+   */
+  async encryptUser(job) {
+    const { userId } = job;
+    let encrypted = 0;
+    let failed = 0;
+
+    try {
+      const files = rowsFromResult(getDatabase().exec(
+        'SELECT id, filepath FROM files WHERE user_id = ? AND (encrypted IS NULL OR encrypted = 0) ORDER BY id',
+        [userId]
+      ));
+
+      if (files.length === 0) {
+        return { success: true, encrypted, failed, remaining: 0 };
+      }
+
+      console.log(`🔐 Encrypting ${files.length} legacy file(s) for user ${userId} in the background`);
+
+      for (const file of files) {
+        // Read job.sessionId each time - a newer login may have replaced it
+        const dataKey = sessionKeyring.peek(job.sessionId, userId);
+        if (!dataKey) {
+          console.log(`⏸️  Session locked - legacy encryption for user ${userId} resumes at next login`);
+          break;
+        }
+
+        try {
+          if (await encryptLegacyFile(userId, file, dataKey)) {
+            encrypted++;
+          }
+        } catch (error) {
+          // Left as it was - retried at the next login
+          console.error(`❌ Legacy encryption failed for file ${file.id}: ${error.message}`);
+          failed++;
+        } finally {
+          dataKey.fill(0);
+        }
+      }
+
+      const remaining = files.length - encrypted;
+      console.log(`✓ Legacy encryption for user ${userId}: ${encrypted} encrypted, ${failed} failed, ${remaining} left`);
+      return { success: true, encrypted, failed, remaining };
+    } catch (error) {
+      console.error(`Legacy encryption failed for user ${userId}:`, error.message);
+      return { success: false, encrypted, failed, remaining: null, error: error.message };
+    }
+  }
+}
+
+module.exports = new LegacyEncryptionQueue();
@@ -0,0 +1,254 @@
+/**
+ * Metadata Service for PocketCloud
+ * Encrypts file metadata under the owner's data key
+ *
+ * files.filename, mimetype, description and tags, folders.name and
+ * description and every search_index entry are stored as "pcm1:..." values (see cryptoService.encryptMetadata),
+ * so the drive or a .pcbackup reveals nothing about what users store.
+ * Listing, sorting and search decrypt in memory while a session is unlocked.
+ *
+ * Rows written before this existed are plaintext; they are encrypted the
+ * next time their owner logs in (migrateUserMetadata). files.meta_encrypted
+ * marks the rows that are done.
+ */
+
+const { getDatabase, saveDatabase } = require('../../config/database');
+const {
+  deriveMetadataKey,
+  encryptMetadata,
+  decryptMetadata,
+  isEncryptedMetadata
+} = require('./cryptoService');
+
+const FILE_FIELDS = ['filename', 'mimetype', 'description', 'tags'];
+const FOLDER_FIELDS = ['name', 'description'];
+const SEARCH_FIELDS = ['title', 'content', 'tags', 'metadata'];
+
+/**
+ * Run fn with the metadata key of a data key, then wipe it
+ */
+function withMetadataKey(dataKey, fn) {
+  const metadataKey = deriveMetadataKey(dataKey);
+  try {
+    return fn(metadataKey);
+  } finally {
+    metadataKey.fill(0);
+  }
+}
+
+/**
+ * Convert a db.exec() result into row objects
+ */
+function rowsFromResult(result) {
+  if (result.length === 0) {
+    return [];
+  }
+
+  const { columns, values } = result[0];
+  return values.map(row => Object.fromEntries(columns.map((column, i) => [column, row[i]])));
+}
+
+/**
+ * Encrypt the given fields of one row
+ * Only fields present in values are returned.
+ */
+function sealFields(metadataKey, values, table, fields) {
+  const sealed = {};
+  for (const field of fields) {
+    if (field in values) {
+      sealed[field] = encryptMetadata(metadataKey, values[field], `${table}.${field}`);
+    }
+  }
+  return sealed;
+}
+
+/**
+ * Decrypt the given fields of one row (plaintext values pass through)
+ */
+function openFields(metadataKey, row, table, fields) {
+  const opened = { ...row };
+  for (const field of fields) {
+    if (field in row) {
+      opened[field] = decryptMetadata(metadataKey, row[field], `${table}.${field}`);
+    }
+  }
+  return opened;
+}
+
+/**
+ * Encrypt file metadata for an INSERT or UPDATE
+ *
+ * @param {Buffer} dataKey - Owner's unlocked data key
+ * @param {Object} values - Any of { filename, mimetype, description, tags }
+ * @returns {Object} - Same fields, encrypted
+ */
+function sealFileMetadata(dataKey, values) {
+  return withMetadataKey(dataKey, key => sealFields(key, values, 'files', FILE_FIELDS));
+}
+
+/**
+ * Decrypt the given fields of rows
+ * A row that fails to decrypt keeps its other columns and gets a
+ * placeholder name, so one damaged row doesn't hide the whole listing.
+ */
+function openRows(dataKey, rows, table, fields, nameField) {
+  const noun = table === 'files' ? 'file' : 'folder';
+  return withMetadataKey(dataKey, key => rows.map(row => {
+    try {
+      return openFields(key, row, table, fields);
+    } catch (error) {
+      console.warn(`⚠️  Metadata of ${noun} ${row.id} could not be decrypted: ${error.message}`);
+      const fallback = { ...row, metadataUnreadable: true };
+      fields.filter(field => field in row).forEach(field => { fallback[field] = null; });
+      if (nameField in row) {
+        fallback[nameField] = `${noun}-${row.id}`;
+      }
+      return fallback;
+    }
+  }));
+}
+
+/**
+ * Decrypt the metadata of file rows
+ *
+ * @param {Buffer} dataKey - Owner's unlocked data key
+ * @param {Array<Object>} rows - Rows from the files table (any columns)
+ * @returns {Array<Object>} - Rows with plaintext metadata
+ */
+function openFileRows(dataKey, rows) {
+  return openRows(dataKey, rows, 'files', FILE_FIELDS, 'filename');
+}
+
+/**
+ * Encrypt folder metadata for an INSERT or UPDATE
+ *
+ * @param {Buffer} dataKey - Owner's unlocked data key
+ * @param {Object} values - Any of { name, description }
+ * @returns {Object} - Same fields, encrypted
+ */
+function sealFolderMetadata(dataKey, values) {
+  return withMetadataKey(dataKey, key => sealFields(key, values, 'folders', FOLDER_FIELDS));
+}
+
+/**
+ * Decrypt the metadata of folder rows (same fallback as openFileRows)
+ *
+ * @param {Buffer} dataKey - Owner's unlocked data key
+ * @param {Array<Object>} rows - Rows from the folders table (any columns)
+ * @returns {Array<Object>} - Rows with plaintext name and description
+ */
+function openFolderRows(dataKey, rows) {
+  return openRows(dataKey, rows, 'folders', FOLDER_FIELDS, 'name');
+}
+
+/**
+ * Encrypt a search index entry
+ *
+ * @param {Buffer} dataKey - Owner's unlocked data key
+ * @param {Object} entry - Any of { title, content, tags, metadata }
+ * @returns {Object} - Same fields, encrypted
+ */
+function sealSearchEntry(dataKey, entry) {
+  return withMetadataKey(dataKey, key => sealFields(key, entry, 'search_index', SEARCH_FIELDS));
+}
+
+/**
+ * Decrypt search index rows, skipping rows that fail to decrypt
+ *
+ * @param {Buffer} dataKey - Owner's unlocked data key
+ * @param {Array<Object>} rows - Rows from search_index (joined columns allowed)
+ * @returns {Array<Object>} - Rows with plaintext title, content, tags and metadata
+ */
+function openSearchEntries(dataKey, rows) {
+  return withMetadataKey(dataKey, key => rows.flatMap(row => {
+    try {
+      const opened = openFields(key, row, 'search_index', SEARCH_FIELDS);
+      // Joined from files
+      if ('mimetype' in row) {
+        opened.mimetype = decryptMetadata(key, row.mimetype, 'files.mimetype');
+      }
+      return [opened];
+    } catch (error) {
+      console.warn(`⚠️  Search entry ${row.resource_type} ${row.resource_id} could not be decrypted`);
+      return [];
+    }
+  }));
+}
+
+/**
+ * Encrypt a user's plaintext metadata rows (run at login)
+ * Idempotent: rows already encrypted are skipped.
+ *
+ * @param {number} userId - User ID
+ * @param {Buffer} dataKey - User's unlocked data key
+ * @returns {Object} - { success, files, searchEntries, error? }
+ */
+function migrateUserMetadata(userId, dataKey) {
+  try {
+    const db = getDatabase();
+
+    const files = rowsFromResult(db.exec(
+      `SELECT id, ${FILE_FIELDS.join(', ')} FROM files
+       WHERE user_id = ? AND (meta_encrypted IS NULL OR meta_encrypted = 0)`,
+      [userId]
+    ));
+
+    const entries = rowsFromResult(db.exec(
+      `SELECT id, ${SEARCH_FIELDS.join(', ')} FROM search_index WHERE user_id = ?`,
+      [userId]
+    )).filter(entry => SEARCH_FIELDS.some(field => entry[field] !== null && !isEncryptedMetadata(entry[field])));
+
+    if (files.length === 0 && entries.length === 0) {
+      return { success: true, files: 0, searchEntries: 0 };
+    }
+
+    withMetadataKey(dataKey, key => {
+      db.run('BEGIN TRANSACTION');
+      try {
+        for (const file of files) {
+          // Values that are already encrypted are kept
+          const plain = Object.fromEntries(FILE_FIELDS.map(field => [field, decryptMetadata(key, file[field], `files.${field}`)]));
+          const sealed = sealFields(key, plain, 'files', FILE_FIELDS);
+          db.run(
+            `UPDATE files SET filename = ?, mimetype = ?, description = ?, tags = ?, meta_encrypted = 1
+             WHERE id = ?`,
+            [sealed.filename, sealed.mimetype, sealed.description, sealed.tags, file.id]
+          );
+        }
+
+        for (const entry of entries) {
+          const plain = Object.fromEntries(SEARCH_FIELDS.map(field => [field, decryptMetadata(key, entry[field], `search_index.${field}`)]));
+          const sealed = sealFields(key, plain, 'search_index', SEARCH_FIELDS);
+          db.run(
+            'UPDATE search_index SET title = ?, content = ?, tags = ?, metadata = ? WHERE id = ?',
+            [sealed.title, sealed.content, sealed.tags, sealed.metadata, entry.id]
+          );
+        }
+
+        db.run('COMMIT');
+      } catch (error) {
+        db.run('ROLLBACK');
+        throw error;
+      }
+    });
+
+    saveDatabase();
+    console.log(`🔐 Encrypted metadata for user ${userId}: ${files.length} files, ${entries.length} search entries`);
+    return { success: true, files: files.length, searchEntries: entries.length };
+  } catch (error) {
+    console.error(`Metadata migration failed for user ${userId}:`, error.message);
+    return { success: false, files: 0, searchEntries: 0, error: error.message };
+  }
+}
+
+module.exports = {
+  FILE_FIELDS,
+  rowsFromResult,
+  sealFileMetadata,
+  openFileRows,
+  sealFolderMetadata,
+  openFolderRows,
+  sealSearchEntry,
+  openSearchEntries,
+  migrateUserMetadata
+};
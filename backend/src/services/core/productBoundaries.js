@@ -12,7 +12,8 @@ const usbMountService = require('./usbMountService');
 
 // PocketCloud Product Version - FINAL
 const PRODUCT_VERSION = '1.0.0';
-const BACKUP_FORMAT_VERSION = '1.0.0';
+// 1.1.0: manifest counts older file versions (versionCount/versionSize)
+const BACKUP_FORMAT_VERSION = '1.1.0';
 
 // PRODUCT IS COMPLETE - NO NEW FEATURES WILL BE ADDED TO 1.x SERIES
 
@@ -0,0 +1,113 @@
+/**
+ * Recovery Key encoding for PocketCloud
+ * A recovery key is 16 random bytes shown to the user once as words.
+ *
+ * One word per byte from a fixed 256-word list, followed by two checksum
+ * words (first bytes of SHA-256 over the key) so typos are caught before
+ * any decryption is attempted.
+ *
+ * Changing WORDLIST invalidates every printed recovery kit - never edit it.
+ */
+
+const crypto = require('crypto');
+
+const RECOVERY_KEY_LENGTH = 16;  // 128-bit recovery key
+const CHECKSUM_LENGTH = 2;
+
+const WORDLIST = [
+  'acid', 'acorn', 'actor', 'adult', 'agent', 'alarm', 'album', 'alert',
+  'alley', 'alpha', 'amber', 'anchor', 'angle', 'ankle', 'apple', 'apron',
+  'arena', 'armor', 'arrow', 'atlas', 'attic', 'audio', 'autumn', 'award',
+  'bacon', 'badge', 'bagel', 'baker', 'bamboo', 'banjo', 'barn', 'basil',
+  'basket', 'beach', 'beard', 'beaver', 'bench', 'berry', 'bison', 'blade',
+  'blanket', 'blossom', 'board', 'bonus', 'boot', 'bottle', 'boxer', 'brain',
+  'branch', 'bread', 'brick', 'bridge', 'broom', 'bubble', 'bucket', 'buffalo',
+  'butter', 'button', 'cabin', 'cactus', 'camel', 'camera', 'canal', 'candle',
+  'canoe', 'canyon', 'carbon', 'carpet', 'carrot', 'castle', 'cattle', 'cave',
+  'cedar', 'cellar', 'chalk', 'cherry', 'chess', 'chicken', 'cider', 'cinema',
+  'circle', 'citrus', 'clock', 'cloud', 'clover', 'coast', 'cobra', 'coconut',
+  'comet', 'copper', 'coral', 'cotton', 'cougar', 'crane', 'crater', 'crayon',
+  'cricket', 'crown', 'crystal', 'cube', 'daisy', 'dancer', 'delta', 'desert',
+  'diamond', 'dinner', 'dolphin', 'donkey', 'dragon', 'drawer', 'dream', 'drum',
+  'eagle', 'earth', 'easel', 'echo', 'eclipse', 'elbow', 'elder', 'ember',
+  'engine', 'falcon', 'feather', 'fence', 'ferry', 'fiddle', 'finger', 'flame',
+  'flute', 'forest', 'fossil', 'fountain', 'fox', 'frost', 'garden', 'garlic',
+  'gecko', 'giant', 'ginger', 'glacier', 'globe', 'glove', 'goat', 'gold',
+  'gorilla', 'granite', 'grape', 'gravel', 'guitar', 'hammer', 'harbor', 'harvest',
+  'hazel', 'helmet', 'hermit', 'hill', 'honey', 'hornet', 'horse', 'hotel',
+  'island', 'ivory', 'jacket', 'jaguar', 'jelly', 'jewel', 'jigsaw', 'jungle',
+  'kayak', 'kernel', 'kettle', 'kitten', 'koala', 'ladder', 'lagoon', 'lantern',
+  'laptop', 'lemon', 'leopard', 'lettuce', 'lily', 'lizard', 'lobster', 'locket',
+  'lotus', 'lumber', 'magnet', 'mango', 'maple', 'marble', 'meadow', 'melon',
+  'mirror', 'mitten', 'monkey', 'moose', 'mosaic', 'motor', 'muffin', 'mushroom',
+  'napkin', 'nectar', 'needle', 'nest', 'noodle', 'oasis', 'ocean', 'olive',
+  'onion', 'orange', 'orbit', 'orchid', 'otter', 'owl', 'oyster', 'paddle',
+  'palace', 'panda', 'panther', 'paper', 'parrot', 'peach', 'peanut', 'pebble',
+  'pelican', 'pencil', 'pepper', 'piano', 'pigeon', 'pillow', 'pilot', 'pine',
+  'planet', 'plum', 'pocket', 'pony', 'potato', 'pretzel', 'puffin', 'pumpkin',
+  'puzzle', 'quartz', 'quill', 'rabbit', 'raccoon', 'radar', 'radio', 'raft',
+  'rain', 'raven', 'ribbon', 'river', 'robin', 'rocket', 'saddle', 'salmon'
+];
+
+const WORD_INDEX = new Map(WORDLIST.map((word, index) => [word, index]));
+
+/**
+ * Generate a new random recovery key
+ * @returns {Buffer} - 128-bit recovery key
+ */
+function generateRecoveryKey() {
+  return crypto.randomBytes(RECOVERY_KEY_LENGTH);
+}
+
+function checksum(recoveryKey) {
+  return crypto.createHash('sha256').update(recoveryKey).digest().subarray(0, CHECKSUM_LENGTH);
+}
+
+/**
+ * Encode a recovery key as words
+ * @param {Buffer} recoveryKey - Recovery key bytes
+ * @returns {string[]} - Key words followed by checksum words
+ */
+function encodeRecoveryKey(recoveryKey) {
+  return Array.from(Buffer.concat([recoveryKey, checksum(recoveryKey)]), byte => WORDLIST[byte]);
+}
+
+/**
+ * Decode words typed by the user back into a recovery key
+ * Case, extra whitespace, commas and list numbering are ignored.
+ *
+ * @param {string|string[]} input - Recovery words
+ * @returns {Buffer} - Recovery key bytes
+ * @throws {Error} - If a word is unknown, words are missing, or the checksum fails
+ */
+function decodeRecoveryKey(input) {
+  const words = (Array.isArray(input) ? input.join(' ') : String(input || ''))
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+
+  if (words.length !== RECOVERY_KEY_LENGTH + CHECKSUM_LENGTH) {
+    throw new Error(`Recovery key must be ${RECOVERY_KEY_LENGTH + CHECKSUM_LENGTH} words (got ${words.length})`);
+  }
+
+  const unknown = words.filter(word => !WORD_INDEX.has(word));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown recovery word: ${unknown[0]}`);
+  }
+
+  const bytes = Buffer.from(words.map(word => WORD_INDEX.get(word)));
+  const recoveryKey = bytes.subarray(0, RECOVERY_KEY_LENGTH);
+
+  if (!crypto.timingSafeEqual(checksum(recoveryKey), bytes.subarray(RECOVERY_KEY_LENGTH))) {
+    throw new Error('Recovery key checksum does not match - check the words for typos');
+  }
+
+  return Buffer.from(recoveryKey);
+}
+
+module.exports = {
+  generateRecoveryKey,
+  encodeRecoveryKey,
+  decodeRecoveryKey,
+  RECOVERY_WORD_COUNT: RECOVERY_KEY_LENGTH + CHECKSUM_LENGTH
+};
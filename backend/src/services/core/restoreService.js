@@ -12,9 +12,55 @@ const { promisify } = require('util');
 const pipelineAsync = promisify(pipeline);
 
 const config = require('../../config/config');
+const { readDatabaseFile } = require('../../config/database');
 const { STORAGE_ROOT } = require('./storageService');
 const { BACKUP_FORMAT_VERSION, checkBackupCompatibility } = require('./productBoundaries');
 const { BackupRestoreFailureHandler } = require('./failureDetection');
+const { inspectEncryptedFile } = require('./cryptoService');
+
+/**
+ * Check the encrypted files in an extracted backup using their headers
+ * Segmented files describe themselves, so damage is found without the database
+ */
+async function inspectBackupFiles(filesDir) {
+  const summary = {
+    encryptedFileCount: 0,
+    segmentedFileCount: 0,
+    legacyFileCount: 0,
+    damagedFiles: []
+  };
+  
+  const userDirs = await fs.readdir(filesDir);
+  
+  for (const userDir of userDirs) {
+    const userPath = path.join(filesDir, userDir);
+    const stat = await fs.stat(userPath);
+    
+    if (!stat.isDirectory()) {
+      continue;
+    }
+    
+    const files = await fs.readdir(userPath);
+    for (const file of files) {
+      if (!file.endsWith('.enc')) {
+        continue;
+      }
+      
+      summary.encryptedFileCount++;
+      const info = await inspectEncryptedFile(path.join(userPath, file));
+      
+      if (!info.segmented) {
+        summary.legacyFileCount++;
+      } else if (info.valid) {
+        summary.segmentedFileCount++;
+      } else {
+        summary.damagedFiles.push({ path: `${userDir}/${file}`, reason: info.reason });
+      }
+    }
+  }
+  
+  return summary;
+}
 
 /**
  * Validate backup file format and integrity
@@ -82,22 +128,18 @@ async function validateBackup(backupPath) {
       throw new Error('Invalid backup: database file is empty');
     }
     
-    // Count encrypted files
-    let encryptedFileCount = 0;
-    const userDirs = await fs.readdir(filesDir);
+    // A sealed database must open with this system's key, or the restored server won't boot
+    try {
+      readDatabaseFile(dbPath);
+    } catch (error) {
+      throw new Error(`Backup database cannot be opened: ${error.message}`);
+    }
     
-    for (const userDir of userDirs) {
-      const userPath = path.join(filesDir, userDir);
-      const stat = await fs.stat(userPath);
-      
-      if (stat.isDirectory()) {
-        const files = await fs.readdir(userPath);
-        for (const file of files) {
-          if (file.endsWith('.enc')) {
-            encryptedFileCount++;
-          }
-        }
-      }
+    // Count encrypted files and check their headers
+    const files = await inspectBackupFiles(filesDir);
+    
+    if (files.damagedFiles.length > 0) {
+      console.warn(`Backup contains ${files.damagedFiles.length} damaged encrypted file(s)`);
     }
     
     await fs.remove(tempDir);
@@ -105,7 +147,7 @@ async function validateBackup(backupPath) {
     return {
       valid: true,
       manifest,
-      encryptedFileCount
+      ...files
     };
     
   } catch (error) {
@@ -280,7 +322,11 @@ async function getRestorePreview(backupPath) {
       pocketcloudVersion: manifest.pocketcloudVersion,
       timestamp: manifest.timestamp,
       fileCount: manifest.fileCount,
+      versionCount: manifest.versionCount || 0,
       encryptedFileCount: validation.encryptedFileCount,
+      segmentedFileCount: validation.segmentedFileCount,
+      legacyFileCount: validation.legacyFileCount,
+      damagedFiles: validation.damagedFiles,
       totalSize: manifest.totalEncryptedSize,
       formattedSize: formatBytes(manifest.totalEncryptedSize),
       age: getBackupAge(manifest.timestamp)
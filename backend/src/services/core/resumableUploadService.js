@@ -0,0 +1,353 @@
+/**
+ * Resumable Upload Service for PocketCloud
+ * Server side of tus 1.0 uploads (see routes/uploads.js)
+ *
+ * An upload session fixes the file's length, key ID and segmented header up
+ * front, so every chunk can be encrypted the moment it arrives - the part
+ * file under <user>/.uploads/ only ever holds header + sealed segments.
+ *
+ * Every byte a chunk delivers is acknowledged. Bytes short of a whole
+ * segment can't be sealed yet (the segment's nonce would be reused once it
+ * is filled), so they wait in the session's tail, encrypted with the file
+ * key under a random IV, until the next chunk completes the segment.
+ *
+ * Completed uploads become normal segmented files - in the folder named at
+ * creation, or at the top level; sessions without progress for
+ * UPLOAD_SESSION_TTL expire and are removed at startup.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const config = require('../../config/config');
+const { getDatabase, saveDatabase } = require('../../config/database');
+const { getUserStoragePath, storageFilename } = require('../../config/storage');
+const {
+  deriveFileKey, generateFileKeyId, generateIV, encryptBuffer, decryptBuffer, inspectEncryptedFile,
+  IV_LENGTH, AUTH_TAG_LENGTH, FORMAT_SEGMENTED
+} = require('./cryptoService');
+const { createHeader, parseHeader, segmentCount, SEGMENT_TAG_LENGTH } = require('./segmentedCrypto');
+const { rowsFromResult, sealFileMetadata, openFileRows } = require('./metadataService');
+const versionService = require('./versionService');
+const { getUserKeys } = require('./keyService');
+const { getFolder } = require('./folderService');
+const cryptoWorkerPool = require('./cryptoWorkerPool');
+
+const UPLOADS_DIR = '.uploads';
+
+// Uploads with a PATCH in progress - a second one would interleave segments
+const activeUploads = new Set();
+
+function uploadsPath(userId) {
+  return path.join(getUserStoragePath(userId), UPLOADS_DIR);
+}
+
+function partFilePath(userId, uploadId) {
+  return path.join(uploadsPath(userId), `${uploadId}.part`);
+}
+
+function nextExpiry() {
+  return new Date(Date.now() + config.UPLOAD_SESSION_TTL).toISOString();
+}
+
+function toUpload(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    keyId: row.key_id,
+    header: Buffer.from(row.header, 'hex'),
+    filepath: row.filepath,
+    folderId: row.folder_id,
+    filename: row.filename,
+    mimetype: row.mimetype,
+    length: row.upload_length,
+    offset: row.upload_offset,
+    tail: row.tail,
+    expiresAt: new Date(row.expires_at)
+  };
+}
+
+function statusError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Seal the bytes of an unfinished segment for the session row
+ * @returns {string|null} - Hex iv | auth tag | ciphertext, or null if there are none
+ */
+function sealTail(fileKey, plaintext) {
+  if (plaintext.length === 0) {
+    return null;
+  }
+  const iv = generateIV();
+  const { encryptedBuffer, authTag } = encryptBuffer(plaintext, fileKey, iv);
+  return Buffer.concat([iv, authTag, encryptedBuffer]).toString('hex');
+}
+
+function openTail(fileKey, stored) {
+  if (!stored) {
+    return Buffer.alloc(0);
+  }
+  const sealed = Buffer.from(stored, 'hex');
+  return decryptBuffer(
+    sealed.subarray(IV_LENGTH + AUTH_TAG_LENGTH),
+    fileKey,
+    sealed.subarray(0, IV_LENGTH),
+    sealed.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH)
+  );
+}
+
+/**
+ * Start a resumable upload
+ *
+ * @param {number} userId - Owner
+ * @param {Object} file - { length, filename, mimetype, folderId } (plaintext length; folderId null = top level)
+ * @param {Buffer} dataKey - Owner's unlocked data key (seals the metadata)
+ * @returns {Promise<Object>} - { success, upload } or { success: false, status, error }
+ */
+async function createUpload(userId, { length, filename, mimetype, folderId = null }, dataKey) {
+  if (folderId !== null && !getFolder(userId, folderId)) {
+    return { success: false, status: 404, error: 'Folder not found' };
+  }
+
+  const id = crypto.randomBytes(16).toString('hex');
+  const keyId = generateFileKeyId();
+  const { kdfParams } = getUserKeys(userId);
+  const header = createHeader({ fileId: keyId, kdf: kdfParams });
+  const metadata = sealFileMetadata(dataKey, { filename, mimetype });
+
+  // Session first, so cleanup never sees a part file without one
+  const db = getDatabase();
+  db.run(
+    `INSERT INTO upload_sessions (id, user_id, key_id, header, filepath, folder_id, filename, mimetype, upload_length, upload_offset, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?)`,
+    [id, userId, keyId, header.toString('hex'), storageFilename(), folderId, metadata.filename, metadata.mimetype, length, nextExpiry()]
+  );
+  saveDatabase();
+
+  try {
+    await fs.ensureDir(uploadsPath(userId));
+    await fs.writeFile(partFilePath(userId, id), header);
+  } catch (error) {
+    await terminateUpload(userId, id);
+    throw error;
+  }
+
+  return { success: true, upload: getUpload(userId, id) };
+}
+
+/**
+ * A user's upload session
+ * @returns {Object|null} - Upload (check expiresAt) or null if there is none
+ */
+function getUpload(userId, uploadId) {
+  const [row] = rowsFromResult(getDatabase().exec(
+    'SELECT * FROM upload_sessions WHERE id = ? AND user_id = ?',
+    [uploadId, userId]
+  ));
+  return row ? toUpload(row) : null;
+}
+
+/**
+ * Encrypt a chunk onto the end of an upload
+ * What arrived before an error (e.g. the client disconnecting) is kept -
+ * whole segments in the part file, the rest in the tail; the returned offset
+ * says where the client has to resume.
+ *
+ * @param {Object} upload - From getUpload; its offset must match the client's
+ * @param {AsyncIterable<Buffer>} input - Chunk body (the request)
+ * @param {Buffer} dataKey - Owner's unlocked data key
+ * @param {Function} [onProgress] - Called with the sealed offset after each segment
+ * @returns {Promise<Object>} - { success, offset, expiresAt } once complete { success, offset, fileId },
+ *   or { success: false, offset, expiresAt?, status, error }
+ */
+async function appendChunk(upload, input, dataKey, onProgress = () => {}) {
+  if (activeUploads.has(upload.id)) {
+    return { success: false, offset: upload.offset, status: 409, error: 'Another request is writing to this upload' };
+  }
+  activeUploads.add(upload.id);
+
+  const { header, length } = upload;
+  const { noncePrefix, segmentSize } = parseHeader(header);
+  const totalSegments = segmentCount(length, segmentSize);
+  const fileKey = deriveFileKey(dataKey, upload.keyId);
+
+  let index = Math.floor(upload.offset / segmentSize);
+  let offset = index * segmentSize;
+  let position = header.length + index * (segmentSize + SEGMENT_TAG_LENGTH);
+  let buffered = Buffer.alloc(0);
+  let tail = null;
+  let failure = null;
+
+  let handle;
+  try {
+    handle = await fs.promises.open(partFilePath(upload.userId, upload.id), 'r+');
+
+    // Anything past the last sealed segment is from an interrupted request
+    await handle.truncate(position);
+
+    const seal = async (plaintext) => {
+      const sealed = await cryptoWorkerPool.sealSegment(fileKey, header, noncePrefix, index, index === totalSegments - 1, plaintext);
+      await handle.write(sealed, 0, sealed.length, position);
+      position += sealed.length;
+      offset += plaintext.length;
+      index++;
+      onProgress(offset);
+    };
+
+    try {
+      buffered = openTail(fileKey, upload.tail);
+      for await (const chunk of input) {
+        if (offset + buffered.length + chunk.length > length) {
+          throw statusError(413, 'Chunk goes past Upload-Length');
+        }
+        buffered = buffered.length > 0 ? Buffer.concat([buffered, chunk]) : chunk;
+        while (buffered.length >= segmentSize) {
+          await seal(buffered.subarray(0, segmentSize));
+          buffered = buffered.subarray(segmentSize);
+        }
+      }
+
+      // The last segment may be short (or empty, for an empty file)
+      if (offset + buffered.length === length && index < totalSegments) {
+        await seal(buffered);
+      }
+    } catch (error) {
+      failure = error;
+    }
+
+    // The tail is short of a segment and of the end of the file - bytes that
+    // failed to seal as one of those are sent again
+    if (buffered.length >= segmentSize || offset + buffered.length >= length) {
+      buffered = Buffer.alloc(0);
+    }
+    tail = sealTail(fileKey, buffered);
+  } finally {
+    fileKey.fill(0);
+    if (handle) {
+      await handle.close();
+    }
+    activeUploads.delete(upload.id);
+  }
+
+  // Offset and tail change together, so a restart can't pair one with the other's bytes
+  offset += buffered.length;
+  const expiresAt = nextExpiry();
+  const db = getDatabase();
+  db.run(
+    'UPDATE upload_sessions SET upload_offset = ?, tail = ?, expires_at = ? WHERE id = ?',
+    [offset, tail, expiresAt, upload.id]
+  );
+  saveDatabase();
+
+  if (failure) {
+    return { success: false, offset, expiresAt: new Date(expiresAt), status: failure.status || 500, error: failure.message };
+  }
+
+  if (index === totalSegments) {
+    return completeUpload({ ...upload, offset }, dataKey);
+  }
+
+  return { success: true, offset, expiresAt: new Date(expiresAt) };
+}
+
+/**
+ * Turn a fully received upload into a file - or a new version of the file
+ * with the same name in its folder. If the folder went to trash meanwhile,
+ * the file goes to the top level instead.
+ * @returns {Promise<Object>} - { success, offset, fileId, version } or { success: false, offset, status, error }
+ */
+async function completeUpload(upload, dataKey) {
+  const partPath = partFilePath(upload.userId, upload.id);
+  const info = await inspectEncryptedFile(partPath);
+
+  if (!info.segmented || !info.valid || info.plainSize !== upload.length || info.fileId !== upload.keyId) {
+    await terminateUpload(upload.userId, upload.id);
+    return { success: false, offset: upload.offset, status: 500, error: 'Upload failed validation - please upload the file again' };
+  }
+
+  await fs.rename(partPath, path.join(getUserStoragePath(upload.userId), upload.filepath));
+
+  const db = getDatabase();
+  const [metadata] = openFileRows(dataKey, [{ filename: upload.filename, mimetype: upload.mimetype }]);
+  const recorded = versionService.recordUpload(upload.userId, {
+    folderId: upload.folderId !== null && getFolder(upload.userId, upload.folderId) ? upload.folderId : null,
+    filename: metadata.filename,
+    mimetype: metadata.mimetype,
+    filepath: upload.filepath,
+    size: upload.length,
+    format: FORMAT_SEGMENTED,
+    keyId: upload.keyId
+  }, dataKey);
+  db.run('DELETE FROM upload_sessions WHERE id = ?', [upload.id]);
+  saveDatabase();
+
+  if (recorded.version > 1) {
+    await versionService.applyRetention(upload.userId, recorded.id);
+  }
+
+  return { success: true, offset: upload.offset, fileId: recorded.id, version: recorded.version };
+}
+
+/**
+ * Abandon an upload and remove what was received
+ * @returns {Promise<Object>} - { success }
+ */
+async function terminateUpload(userId, uploadId) {
+  const db = getDatabase();
+  db.run('DELETE FROM upload_sessions WHERE id = ? AND user_id = ?', [uploadId, userId]);
+  saveDatabase();
+
+  await fs.remove(partFilePath(userId, uploadId));
+  return { success: true };
+}
+
+/**
+ * Remove expired upload sessions and part files without a session (run at startup)
+ * @returns {Promise<Object>} - { success, removed, error? }
+ */
+async function cleanupExpiredUploads() {
+  try {
+    const db = getDatabase();
+    const now = new Date().toISOString();
+
+    const expired = rowsFromResult(db.exec('SELECT id, user_id FROM upload_sessions WHERE expires_at <= ?', [now]));
+    if (expired.length > 0) {
+      db.run('DELETE FROM upload_sessions WHERE expires_at <= ?', [now]);
+      saveDatabase();
+    }
+
+    const live = new Set(rowsFromResult(db.exec('SELECT id FROM upload_sessions')).map(row => row.id));
+    const users = rowsFromResult(db.exec('SELECT id FROM users'));
+    let removed = 0;
+
+    for (const { id: userId } of users) {
+      const dir = uploadsPath(userId);
+      if (!await fs.pathExists(dir)) {
+        continue;
+      }
+
+      for (const name of await fs.readdir(dir)) {
+        if (!live.has(path.basename(name, '.part'))) {
+          await fs.remove(path.join(dir, name));
+          removed++;
+        }
+      }
+    }
+
+    return { success: true, removed };
+  } catch (error) {
+    console.error('Upload session cleanup failed:', error.message);
+    return { success: false, removed: 0, error: error.message };
+  }
+}
+
+module.exports = {
+  createUpload,
+  getUpload,
+  appendChunk,
+  terminateUpload,
+  cleanupExpiredUploads
+};
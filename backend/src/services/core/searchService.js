@@ -1,16 +1,21 @@
 /**
  * Advanced Search Service with Full-Text Indexing
+ *
+ * Index entries are encrypted under the owner's data key (see metadataService),
+ * so matching happens in memory after decryption rather than in SQL.
  */
 
 const { getDatabase, saveDatabase } = require('../../config/database');
+const { openFileRows, openFolderRows, sealSearchEntry, openSearchEntries } = require('./metadataService');
 const path = require('path');
 const fs = require('fs').promises;
 
 class SearchService {
   /**
    * Index a file for search
+   * @param {Buffer} dataKey - Owner's unlocked data key
    */
-  async indexFile(fileId, userId) {
+  async indexFile(fileId, userId, dataKey) {
     try {
       const db = getDatabase();
       
@@ -23,7 +28,7 @@ class SearchService {
         return { success: false, error: 'File not found' };
       }
       
-      const file = fileStmt.getAsObject();
+      const [file] = openFileRows(dataKey, [fileStmt.getAsObject()]);
       fileStmt.free();
       
       // Extract searchable content
@@ -44,18 +49,17 @@ class SearchService {
           SET title = ?, content = ?, tags = ?, metadata = ?, indexed_at = CURRENT_TIMESTAMP
           WHERE resource_type = ? AND resource_id = ?
         `);
-        updateStmt.bind([
-          file.filename,
+        const entry = sealSearchEntry(dataKey, {
+          title: file.filename,
           content,
-          file.tags || '',
-          JSON.stringify({
+          tags: file.tags || '',
+          metadata: JSON.stringify({
             mimetype: file.mimetype,
             size: file.size,
             description: file.description
-          }),
-          'file',
-          fileId
-        ]);
+          })
+        });
+        updateStmt.bind([entry.title, entry.content, entry.tags, entry.metadata, 'file', fileId]);
         updateStmt.step();
         updateStmt.free();
       } else {
@@ -64,19 +68,17 @@ class SearchService {
           INSERT INTO search_index (resource_type, resource_id, user_id, title, content, tags, metadata)
           VALUES (?, ?, ?, ?, ?, ?, ?)
         `);
-        insertStmt.bind([
-          'file',
-          fileId,
-          userId,
-          file.filename,
+        const entry = sealSearchEntry(dataKey, {
+          title: file.filename,
           content,
-          file.tags || '',
-          JSON.stringify({
+          tags: file.tags || '',
+          metadata: JSON.stringify({
             mimetype: file.mimetype,
             size: file.size,
             description: file.description
           })
-        ]);
+        });
+        insertStmt.bind(['file', fileId, userId, entry.title, entry.content, entry.tags, entry.metadata]);
         insertStmt.step();
         insertStmt.free();
       }
@@ -91,8 +93,9 @@ class SearchService {
   
   /**
    * Index a folder for search
+   * @param {Buffer} dataKey - Owner's unlocked data key
    */
-  async indexFolder(folderId, userId) {
+  async indexFolder(folderId, userId, dataKey) {
     try {
       const db = getDatabase();
       
@@ -104,7 +107,7 @@ class SearchService {
         return { success: false, error: 'Folder not found' };
       }
       
-      const folder = folderStmt.getAsObject();
+      const [folder] = openFolderRows(dataKey, [folderStmt.getAsObject()]);
       folderStmt.free();
       
       // Check if already indexed
@@ -121,13 +124,12 @@ class SearchService {
           SET title = ?, content = ?, metadata = ?, indexed_at = CURRENT_TIMESTAMP
           WHERE resource_type = ? AND resource_id = ?
         `);
-        updateStmt.bind([
-          folder.name,
-          folder.description || '',
-          JSON.stringify({ color: folder.color }),
-          'folder',
-          folderId
-        ]);
+        const entry = sealSearchEntry(dataKey, {
+          title: folder.name,
+          content: folder.description || '',
+          metadata: JSON.stringify({ color: folder.color })
+        });
+        updateStmt.bind([entry.title, entry.content, entry.metadata, 'folder', folderId]);
         updateStmt.step();
         updateStmt.free();
       } else {
@@ -135,14 +137,12 @@ class SearchService {
           INSERT INTO search_index (resource_type, resource_id, user_id, title, content, metadata)
           VALUES (?, ?, ?, ?, ?, ?)
         `);
-        insertStmt.bind([
-          'folder',
-          folderId,
-          userId,
-          folder.name,
-          folder.description || '',
-          JSON.stringify({ color: folder.color })
-        ]);
+        const entry = sealSearchEntry(dataKey, {
+          title: folder.name,
+          content: folder.description || '',
+          metadata: JSON.stringify({ color: folder.color })
+        });
+        insertStmt.bind(['folder', folderId, userId, entry.title, entry.content, entry.metadata]);
         insertStmt.step();
         insertStmt.free();
       }
@@ -159,8 +159,8 @@ class SearchService {
    * Extract searchable content from file
    */
   async extractContent(file) {
-    // For text files, extract content
-    if (file.mimetype && file.mimetype.startsWith('text/')) {
+    // For unencrypted text files, extract content (encrypted files would index ciphertext)
+    if (!file.encrypted && file.mimetype && file.mimetype.startsWith('text/')) {
       try {
         const content = await fs.readFile(file.filepath, 'utf-8');
         // Limit to first 10KB for indexing
@@ -176,8 +176,10 @@ class SearchService {
   
   /**
    * Search files and folders
+   * Text, tag and MIME type filters run on the decrypted entries.
+   * @param {Buffer} dataKey - Owner's unlocked data key
    */
-  search(userId, query, options = {}) {
+  search(userId, dataKey, query, options = {}) {
     try {
       const db = getDatabase();
       const {
@@ -192,7 +194,7 @@ class SearchService {
         offset = 0
       } = options;
       
-      // Build search query
+      // Only unencrypted columns can be filtered in SQL
       let sql = `
         SELECT 
           si.resource_type,
@@ -218,6 +220,7 @@ class SearchService {
         LEFT JOIN files f ON si.resource_type = 'file' AND si.resource_id = f.id
         LEFT JOIN folders fo ON si.resource_type = 'folder' AND si.resource_id = fo.id
         WHERE si.user_id = ?
+        AND f.trashed_at IS NULL AND fo.trashed_at IS NULL
       `;
       
       const params = [userId];
@@ -228,33 +231,6 @@ class SearchService {
         params.push(type === 'files' ? 'file' : 'folder');
       }
       
-      // Add search query
-      if (query && query.trim()) {
-        const searchTerms = query.trim().toLowerCase().split(/\s+/);
-        const searchConditions = searchTerms.map(() => 
-          '(LOWER(si.title) LIKE ? OR LOWER(si.content) LIKE ? OR LOWER(si.tags) LIKE ?)'
-        ).join(' AND ');
-        
-        sql += ` AND (${searchConditions})`;
-        searchTerms.forEach(term => {
-          const pattern = `%${term}%`;
-          params.push(pattern, pattern, pattern);
-        });
-      }
-      
-      // Add tag filter
-      if (tags.length > 0) {
-        const tagConditions = tags.map(() => 'si.tags LIKE ?').join(' OR ');
-        sql += ` AND (${tagConditions})`;
-        tags.forEach(tag => params.push(`%${tag}%`));
-      }
-      
-      // Add mimetype filter
-      if (mimetype) {
-        sql += ' AND f.mimetype LIKE ?';
-        params.push(`${mimetype}%`);
-      }
-      
       // Add date range filter
       if (dateFrom) {
         sql += ' AND created_at >= ?';
@@ -275,31 +251,51 @@ class SearchService {
         params.push(sizeMax);
       }
       
-      // Add ordering and pagination
-      sql += ' ORDER BY indexed_at DESC LIMIT ? OFFSET ?';
-      params.push(limit, offset);
+      sql += ' ORDER BY indexed_at DESC';
       
       const stmt = db.prepare(sql);
       stmt.bind(params);
       
-      const results = [];
+      const rows = [];
       while (stmt.step()) {
-        const row = stmt.getAsObject();
-        results.push({
-          type: row.resource_type,
-          id: row.resource_id,
-          title: row.title,
-          content: row.content ? row.content.substring(0, 200) : '',
-          tags: row.tags ? row.tags.split(',').filter(t => t) : [],
-          metadata: row.metadata ? JSON.parse(row.metadata) : {},
-          createdAt: row.created_at,
-          indexedAt: row.indexed_at,
-          size: row.size,
-          mimetype: row.mimetype
-        });
+        rows.push(stmt.getAsObject());
       }
       stmt.free();
       
+      let matches = openSearchEntries(dataKey, rows);
+      
+      // Add search query
+      if (query && query.trim()) {
+        const searchTerms = query.trim().toLowerCase().split(/\s+/);
+        matches = matches.filter(row => searchTerms.every(term =>
+          [row.title, row.content, row.tags].some(value => (value || '').toLowerCase().includes(term))
+        ));
+      }
+      
+      // Add tag filter
+      if (tags.length > 0) {
+        matches = matches.filter(row => tags.some(tag => (row.tags || '').includes(tag)));
+      }
+      
+      // Add mimetype filter
+      if (mimetype) {
+        matches = matches.filter(row => (row.mimetype || '').startsWith(mimetype));
+      }
+      
+      // Pagination
+      const results = matches.slice(offset, offset + limit).map(row => ({
+        type: row.resource_type,
+        id: row.resource_id,
+        title: row.title,
+        content: row.content ? row.content.substring(0, 200) : '',
+        tags: row.tags ? row.tags.split(',').filter(t => t) : [],
+        metadata: row.metadata ? JSON.parse(row.metadata) : {},
+        createdAt: row.created_at,
+        indexedAt: row.indexed_at,
+        size: row.size,
+        mimetype: row.mimetype
+      }));
+      
       return { success: true, results, count: results.length };
     } catch (error) {
       console.error('Search error:', error);
@@ -309,28 +305,37 @@ class SearchService {
   
   /**
    * Get search suggestions
+   * @param {Buffer} dataKey - Owner's unlocked data key
    */
-  getSuggestions(userId, query, limit = 10) {
+  getSuggestions(userId, dataKey, query, limit = 10) {
     try {
       const db = getDatabase();
       
       const stmt = db.prepare(`
-        SELECT DISTINCT title
-        FROM search_index
-        WHERE user_id = ? AND LOWER(title) LIKE ?
-        ORDER BY indexed_at DESC
-        LIMIT ?
+        SELECT si.resource_type, si.resource_id, si.title
+        FROM search_index si
+        LEFT JOIN files f ON si.resource_type = 'file' AND si.resource_id = f.id
+        LEFT JOIN folders fo ON si.resource_type = 'folder' AND si.resource_id = fo.id
+        WHERE si.user_id = ?
+        AND f.trashed_at IS NULL AND fo.trashed_at IS NULL
+        ORDER BY si.indexed_at DESC
       `);
       
-      stmt.bind([userId, `%${query.toLowerCase()}%`, limit]);
+      stmt.bind([userId]);
       
-      const suggestions = [];
+      const rows = [];
       while (stmt.step()) {
-        const row = stmt.getAsObject();
-        suggestions.push(row.title);
+        rows.push(stmt.getAsObject());
       }
       stmt.free();
       
+      const term = query.toLowerCase();
+      const suggestions = [...new Set(
+        openSearchEntries(dataKey, rows)
+          .map(row => row.title)
+          .filter(title => title && title.toLowerCase().includes(term))
+      )].slice(0, limit);
+      
       return { success: true, suggestions };
     } catch (error) {
       console.error('Suggestions error:', error);
@@ -358,8 +363,9 @@ class SearchService {
   
   /**
    * Reindex all user content
+   * @param {Buffer} dataKey - Owner's unlocked data key
    */
-  async reindexAll(userId) {
+  async reindexAll(userId, dataKey) {
     try {
       const db = getDatabase();
       
@@ -381,7 +387,7 @@ class SearchService {
       filesStmt.free();
       
       for (const fileId of fileIds) {
-        await this.indexFile(fileId, userId);
+        await this.indexFile(fileId, userId, dataKey);
       }
       
       // Index all folders
@@ -396,7 +402,7 @@ class SearchService {
       foldersStmt.free();
       
       for (const folderId of folderIds) {
-        await this.indexFolder(folderId, userId);
+        await this.indexFolder(folderId, userId, dataKey);
       }
       
       return { 
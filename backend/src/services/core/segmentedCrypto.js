@@ -0,0 +1,508 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { CryptoIntegrityError } = require('./cryptoErrors');
+
+/**
+ * Segmented AEAD file format for PocketCloud
+ *
+ * Layout on disk:
+ *   header   (variable): describes how the file was encrypted (see below)
+ *   segments (repeated): AES-256-GCM ciphertext of one plaintext segment | 16-byte auth tag
+ *
+ * Header v2 (self-describing, written by current code):
+ *   magic "PCSG" (4) | version u8 (2) | header length u16 BE
+ *   cipher id u8 | segment size u32 BE
+ *   KDF id u8 | KDF log2(N) u8 | KDF r u8 | KDF p u8
+ *   file key derivation id u8 | file ID length u8 | file ID (utf8)
+ *   nonce prefix (7)
+ *
+ * Header v1 (16 bytes, first segmented files):
+ *   magic "PCSG" (4) | version u8 (1) | segment size u32 BE | nonce prefix (7)
+ *
+ * The KDF fields record the password KDF protecting the owner's data key
+ * when the file was written; the file key is HKDF(data key, file ID).
+ * Together they let restore and offline tools interpret a file without the DB.
+ *
+ * Every segment except the last holds exactly `segment size` plaintext bytes.
+ * Nonce for segment i: nonce prefix (7) | i as u32 BE (4) | final flag (1)
+ *
+ * - The whole header is authenticated as AAD of every segment
+ * - The final flag makes truncation at a segment boundary detectable
+ * - Each segment verifies on its own, so ranges can be decrypted without
+ *   reading the whole file and corruption is confined to one segment
+ *
+ * The streams seal/open segments through a `cipher` ({ sealSegment, openSegment },
+ * may return promises) - by default inline, or cryptoWorkerPool to run on
+ * worker threads. Segments within one chunk are processed in parallel.
+ */
+
+const SEGMENT_MAGIC = Buffer.from('PCSG', 'ascii');
+const SEGMENT_FORMAT_VERSION = 2;
+const SEGMENT_SIZE = 64 * 1024;       // 64 KiB plaintext per segment
+const SEGMENT_TAG_LENGTH = 16;        // 128-bit auth tag per segment
+const NONCE_PREFIX_LENGTH = 7;
+const HEADER_LENGTH_V1 = 16;
+const HEADER_FIXED_LENGTH = 18 + NONCE_PREFIX_LENGTH;  // v2 header without the file ID
+const MAX_HEADER_LENGTH = HEADER_FIXED_LENGTH + 255;
+
+// Registered identifiers - never renumber, files on disk depend on them
+const CIPHERS = { 1: 'aes-256-gcm' };
+const KDFS = { 0: null, 1: 'scrypt' };
+const FILE_KEY_DERIVATIONS = { 1: 'hkdf-sha256' };
+const CIPHER_AES_256_GCM = 1;
+const KDF_SCRYPT = 1;
+const FILE_KEY_HKDF_SHA256 = 1;
+const AES_ALGORITHM = CIPHERS[CIPHER_AES_256_GCM];
+
+/**
+ * Header length for a given file ID
+ * @param {string} fileId - File ID stored in the header
+ * @returns {number} - Header length in bytes
+ */
+function headerLength(fileId = '') {
+  return HEADER_FIXED_LENGTH + Buffer.byteLength(fileId, 'utf8');
+}
+
+/**
+ * Build a new random header
+ * @param {Object} [options]
+ * @param {number} [options.segmentSize] - Plaintext bytes per segment
+ * @param {string} [options.fileId] - HKDF context of the file key
+ * @param {Object} [options.kdf] - { N, r, p } scrypt params of the owner's data key
+ * @returns {Buffer} - Header
+ */
+function createHeader({ segmentSize = SEGMENT_SIZE, fileId = '', kdf = null } = {}) {
+  const fileIdBytes = Buffer.from(fileId, 'utf8');
+  if (fileIdBytes.length > 255) {
+    throw new Error('File ID too long for file header');
+  }
+
+  const header = Buffer.alloc(HEADER_FIXED_LENGTH + fileIdBytes.length);
+  SEGMENT_MAGIC.copy(header, 0);
+  header.writeUInt8(SEGMENT_FORMAT_VERSION, 4);
+  header.writeUInt16BE(header.length, 5);
+  header.writeUInt8(CIPHER_AES_256_GCM, 7);
+  header.writeUInt32BE(segmentSize, 8);
+
+  if (kdf) {
+    header.writeUInt8(KDF_SCRYPT, 12);
+    header.writeUInt8(Math.log2(kdf.N), 13);
+    header.writeUInt8(kdf.r, 14);
+    header.writeUInt8(kdf.p, 15);
+  }
+
+  header.writeUInt8(FILE_KEY_HKDF_SHA256, 16);
+  header.writeUInt8(fileIdBytes.length, 17);
+  fileIdBytes.copy(header, 18);
+  crypto.randomBytes(NONCE_PREFIX_LENGTH).copy(header, 18 + fileIdBytes.length);
+  return header;
+}
+
+/**
+ * Parse and validate a header read from disk
+ * Extra trailing bytes (the start of the first segment) are ignored.
+ *
+ * @param {Buffer} buffer - Leading bytes of the file (at least the whole header)
+ * @returns {Object} - { version, headerLength, header, cipher, segmentSize, kdf, fileKeyDerivation, fileId, noncePrefix }
+ * @throws {CryptoIntegrityError} - If the header is not a valid segmented header
+ */
+function parseHeader(buffer) {
+  if (!isSegmentedHeader(buffer) || buffer.length < HEADER_LENGTH_V1) {
+    throw new CryptoIntegrityError('Unrecognized encrypted file header');
+  }
+
+  const version = buffer.readUInt8(4);
+
+  if (version === 1) {
+    const segmentSize = buffer.readUInt32BE(5);
+    if (segmentSize === 0) {
+      throw new CryptoIntegrityError('Invalid segment size in file header');
+    }
+
+    return {
+      version,
+      headerLength: HEADER_LENGTH_V1,
+      header: buffer.subarray(0, HEADER_LENGTH_V1),
+      cipher: AES_ALGORITHM,
+      segmentSize,
+      kdf: null,
+      fileKeyDerivation: FILE_KEY_DERIVATIONS[FILE_KEY_HKDF_SHA256],
+      fileId: null,
+      noncePrefix: buffer.subarray(9, HEADER_LENGTH_V1)
+    };
+  }
+
+  if (version !== SEGMENT_FORMAT_VERSION) {
+    throw new CryptoIntegrityError(`Unsupported segmented format version: ${version}`);
+  }
+
+  const length = buffer.readUInt16BE(5);
+  if (length < HEADER_FIXED_LENGTH || length > MAX_HEADER_LENGTH || buffer.length < length) {
+    throw new CryptoIntegrityError('Encrypted file header is truncated');
+  }
+
+  const cipher = CIPHERS[buffer.readUInt8(7)];
+  if (!cipher) {
+    throw new CryptoIntegrityError(`Unsupported cipher in file header: ${buffer.readUInt8(7)}`);
+  }
+
+  const segmentSize = buffer.readUInt32BE(8);
+  if (segmentSize === 0) {
+    throw new CryptoIntegrityError('Invalid segment size in file header');
+  }
+
+  const kdfId = buffer.readUInt8(12);
+  if (!(kdfId in KDFS)) {
+    throw new CryptoIntegrityError(`Unsupported KDF in file header: ${kdfId}`);
+  }
+
+  const fileKeyDerivation = FILE_KEY_DERIVATIONS[buffer.readUInt8(16)];
+  if (!fileKeyDerivation) {
+    throw new CryptoIntegrityError(`Unsupported key derivation in file header: ${buffer.readUInt8(16)}`);
+  }
+
+  const fileIdLength = buffer.readUInt8(17);
+  if (length !== HEADER_FIXED_LENGTH + fileIdLength) {
+    throw new CryptoIntegrityError('Encrypted file header length is inconsistent');
+  }
+
+  return {
+    version,
+    headerLength: length,
+    header: buffer.subarray(0, length),
+    cipher,
+    segmentSize,
+    kdf: kdfId === KDF_SCRYPT ? {
+      algorithm: KDFS[kdfId],
+      N: 2 ** buffer.readUInt8(13),
+      r: buffer.readUInt8(14),
+      p: buffer.readUInt8(15)
+    } : null,
+    fileKeyDerivation,
+    fileId: buffer.toString('utf8', 18, 18 + fileIdLength),
+    noncePrefix: buffer.subarray(18 + fileIdLength, length)
+  };
+}
+
+/**
+ * Check whether a buffer starts with the segmented format magic
+ * @param {Buffer} buffer - Leading bytes of a file
+ * @returns {boolean}
+ */
+function isSegmentedHeader(buffer) {
+  return Buffer.isBuffer(buffer) &&
+    buffer.length >= SEGMENT_MAGIC.length &&
+    buffer.subarray(0, SEGMENT_MAGIC.length).equals(SEGMENT_MAGIC);
+}
+
+/**
+ * Nonce for a given segment
+ */
+function segmentNonce(noncePrefix, index, final) {
+  const nonce = Buffer.alloc(12);
+  noncePrefix.copy(nonce, 0);
+  nonce.writeUInt32BE(index, NONCE_PREFIX_LENGTH);
+  nonce.writeUInt8(final ? 1 : 0, 11);
+  return nonce;
+}
+
+/**
+ * Number of segments a plaintext of the given size is split into
+ * An empty file still has one (empty) final segment
+ */
+function segmentCount(plainSize, segmentSize = SEGMENT_SIZE) {
+  return plainSize === 0 ? 1 : Math.ceil(plainSize / segmentSize);
+}
+
+/**
+ * Exact size on disk of a segmented file
+ * @param {number} plainSize - Original file size
+ * @param {number} segmentSize - Plaintext bytes per segment
+ * @param {number} headerBytes - Header length (see headerLength)
+ * @returns {number} - Encrypted file size in bytes
+ */
+function encryptedSize(plainSize, segmentSize = SEGMENT_SIZE, headerBytes = headerLength()) {
+  return headerBytes + plainSize + segmentCount(plainSize, segmentSize) * SEGMENT_TAG_LENGTH;
+}
+
+/**
+ * Work out the plaintext size from the file size and header alone
+ * A well-formed file has whole sealed segments plus a final segment that
+ * holds at least its tag; anything else was truncated or padded.
+ *
+ * @param {number} fileSize - Encrypted file size on disk
+ * @param {Object} parsed - Result of parseHeader
+ * @returns {Object} - { valid, segments, plainSize } or { valid: false, reason }
+ */
+function describeLayout(fileSize, parsed) {
+  const sealedSize = parsed.segmentSize + SEGMENT_TAG_LENGTH;
+  const body = fileSize - parsed.headerLength;
+
+  if (body < SEGMENT_TAG_LENGTH) {
+    return { valid: false, reason: 'No complete segment after the header' };
+  }
+
+  const remainder = body % sealedSize;
+  if (remainder !== 0 && remainder < SEGMENT_TAG_LENGTH) {
+    return { valid: false, reason: `Final segment is truncated (${remainder} bytes)` };
+  }
+
+  const segments = Math.ceil(body / sealedSize);
+  return { valid: true, segments, plainSize: body - segments * SEGMENT_TAG_LENGTH };
+}
+
+/**
+ * Encrypt one segment
+ * @returns {Buffer} - ciphertext | tag
+ */
+function sealSegment(fileKey, header, noncePrefix, index, final, plaintext) {
+  const cipher = crypto.createCipheriv(AES_ALGORITHM, fileKey, segmentNonce(noncePrefix, index, final));
+  cipher.setAAD(header);
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+/**
+ * Decrypt one segment
+ * @returns {Buffer} - plaintext
+ * @throws {CryptoIntegrityError} - If the segment fails authentication
+ */
+function openSegment(fileKey, header, noncePrefix, index, final, sealed) {
+  if (sealed.length < SEGMENT_TAG_LENGTH) {
+    throw new CryptoIntegrityError(`Segment ${index} is truncated`);
+  }
+
+  const ciphertext = sealed.subarray(0, sealed.length - SEGMENT_TAG_LENGTH);
+  const tag = sealed.subarray(sealed.length - SEGMENT_TAG_LENGTH);
+
+  try {
+    const decipher = crypto.createDecipheriv(AES_ALGORITHM, fileKey, segmentNonce(noncePrefix, index, final));
+    decipher.setAAD(header);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  } catch (error) {
+    // Never leak crypto internals
+    throw new CryptoIntegrityError(`Segment ${index} failed integrity verification`);
+  }
+}
+
+// Seal/open on the calling thread
+const INLINE_CIPHER = { sealSegment, openSegment };
+
+/**
+ * Transform stream: plaintext in, segmented file (header + segments) out
+ */
+class SegmentEncryptStream extends Transform {
+  /**
+   * @param {Buffer} fileKey - Per-file encryption key
+   * @param {Object} [options] - Header fields (see createHeader)
+   * @param {Object} [options.cipher] - Segment cipher (default: inline)
+   */
+  constructor(fileKey, { cipher = INLINE_CIPHER, ...options } = {}) {
+    super();
+    this.fileKey = fileKey;
+    this.cipher = cipher;
+    this.segmentSize = options.segmentSize || SEGMENT_SIZE;
+    this.header = createHeader({ ...options, segmentSize: this.segmentSize });
+    this.noncePrefix = this.header.subarray(this.header.length - NONCE_PREFIX_LENGTH);
+    this.index = 0;
+    this.buffered = Buffer.alloc(0);
+    this.headerWritten = false;
+  }
+
+  _writeHeader() {
+    if (!this.headerWritten) {
+      this.push(this.header);
+      this.headerWritten = true;
+    }
+  }
+
+  _seal(final, plaintext) {
+    return this.cipher.sealSegment(this.fileKey, this.header, this.noncePrefix, this.index++, final, plaintext);
+  }
+
+  _transform(chunk, encoding, callback) {
+    this._writeHeader();
+    this.buffered = this.buffered.length > 0 ? Buffer.concat([this.buffered, chunk]) : chunk;
+
+    // Hold back at least one byte so the final segment is always sealed in _flush
+    const pending = [];
+    while (this.buffered.length > this.segmentSize) {
+      pending.push(this._seal(false, this.buffered.subarray(0, this.segmentSize)));
+      this.buffered = this.buffered.subarray(this.segmentSize);
+    }
+
+    Promise.all(pending).then((sealed) => {
+      sealed.forEach(segment => this.push(segment));
+      callback();
+    }, callback);
+  }
+
+  _flush(callback) {
+    this._writeHeader();
+    Promise.resolve(this._seal(true, this.buffered)).then((segment) => {
+      this.buffered = Buffer.alloc(0);
+      this.push(segment);
+      callback();
+    }, callback);
+  }
+}
+
+/**
+ * Transform stream: encrypted segments in, plaintext out
+ *
+ * Input starts at the first requested segment (the header is read separately
+ * and passed in). `skip` and `length` trim the plaintext to an exact byte range.
+ */
+class SegmentDecryptStream extends Transform {
+  /**
+   * @param {Buffer} fileKey - Per-file encryption key
+   * @param {Object} options
+   * @param {Buffer} options.header - File header
+   * @param {number} options.totalSegments - Segments in the whole file (identifies the final one)
+   * @param {number} [options.firstSegment=0] - Index of the first segment in the input
+   * @param {number} [options.skip=0] - Plaintext bytes to drop from the first segment
+   * @param {number} [options.length=Infinity] - Plaintext bytes to emit in total
+   * @param {Object} [options.cipher] - Segment cipher (default: inline)
+   */
+  constructor(fileKey, { header, totalSegments, firstSegment = 0, skip = 0, length = Infinity, cipher = INLINE_CIPHER }) {
+    super();
+    const parsed = parseHeader(header);
+    this.fileKey = fileKey;
+    this.cipher = cipher;
+    this.header = parsed.header;
+    this.noncePrefix = parsed.noncePrefix;
+    this.sealedSize = parsed.segmentSize + SEGMENT_TAG_LENGTH;
+    this.totalSegments = totalSegments;
+    this.index = firstSegment;
+    this.skip = skip;
+    this.remaining = length;
+    this.buffered = Buffer.alloc(0);
+  }
+
+  _open(sealed) {
+    const final = this.index === this.totalSegments - 1;
+    return this.cipher.openSegment(this.fileKey, this.header, this.noncePrefix, this.index++, final, sealed);
+  }
+
+  // Trim opened segments to the requested range, in order
+  _emit(plaintexts) {
+    for (let plaintext of plaintexts) {
+      if (this.skip > 0) {
+        plaintext = plaintext.subarray(Math.min(this.skip, plaintext.length));
+        this.skip = 0;
+      }
+
+      if (plaintext.length > this.remaining) {
+        plaintext = plaintext.subarray(0, this.remaining);
+      }
+
+      this.remaining -= plaintext.length;
+      if (plaintext.length > 0) {
+        this.push(plaintext);
+      }
+    }
+  }
+
+  // Segments needed to cover what is still requested (remaining is in plaintext bytes)
+  _wanted(pendingSegments) {
+    return this.remaining - pendingSegments * (this.sealedSize - SEGMENT_TAG_LENGTH) + this.skip > 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.buffered = this.buffered.length > 0 ? Buffer.concat([this.buffered, chunk]) : chunk;
+
+    const pending = [];
+    try {
+      while (this.buffered.length >= this.sealedSize && this._wanted(pending.length)) {
+        pending.push(this._open(this.buffered.subarray(0, this.sealedSize)));
+        this.buffered = this.buffered.subarray(this.sealedSize);
+      }
+    } catch (error) {
+      return callback(error);
+    }
+
+    Promise.all(pending).then((plaintexts) => {
+      this._emit(plaintexts);
+      callback();
+    }, callback);
+  }
+
+  _flush(callback) {
+    let pending;
+    try {
+      pending = this.buffered.length > 0 && this.remaining > 0 ? [this._open(this.buffered)] : [];
+    } catch (error) {
+      return callback(error);
+    }
+
+    Promise.all(pending).then((plaintexts) => {
+      this._emit(plaintexts);
+      this.buffered = Buffer.alloc(0);
+
+      // Input ended before the requested range (or the final segment) was reached
+      if (this.remaining > 0 && this.index < this.totalSegments) {
+        throw new CryptoIntegrityError(`Segment ${this.index} is missing`);
+      }
+      callback();
+    }).catch(callback);
+  }
+}
+
+/**
+ * Work out which bytes of a segmented file cover a plaintext range
+ *
+ * @param {number} fileSize - Encrypted file size on disk
+ * @param {number} segmentSize - Plaintext bytes per segment (from header)
+ * @param {Object} [range] - { start, end } inclusive plaintext offsets
+ * @param {number} [headerBytes] - Header length (from header)
+ * @returns {Object} - { readStart, readEnd, firstSegment, totalSegments, skip, length }
+ */
+function planRange(fileSize, segmentSize, range, headerBytes = HEADER_LENGTH_V1) {
+  const sealedSize = segmentSize + SEGMENT_TAG_LENGTH;
+  const totalSegments = Math.max(1, Math.ceil((fileSize - headerBytes) / sealedSize));
+
+  if (!range) {
+    return {
+      readStart: headerBytes,
+      readEnd: fileSize - 1,
+      firstSegment: 0,
+      totalSegments,
+      skip: 0,
+      length: Infinity
+    };
+  }
+
+  const firstSegment = Math.floor(range.start / segmentSize);
+  const lastSegment = Math.floor(range.end / segmentSize);
+
+  return {
+    readStart: headerBytes + firstSegment * sealedSize,
+    readEnd: Math.min(headerBytes + (lastSegment + 1) * sealedSize, fileSize) - 1,
+    firstSegment,
+    totalSegments,
+    skip: range.start - firstSegment * segmentSize,
+    length: range.end - range.start + 1
+  };
+}
+
+module.exports = {
+  SegmentEncryptStream,
+  SegmentDecryptStream,
+  sealSegment,
+  openSegment,
+  createHeader,
+  parseHeader,
+  isSegmentedHeader,
+  headerLength,
+  planRange,
+  segmentCount,
+  encryptedSize,
+  describeLayout,
+
+  // Constants
+  SEGMENT_SIZE,
+  SEGMENT_TAG_LENGTH,
+  SEGMENT_FORMAT_VERSION,
+  HEADER_LENGTH_V1,
+  MAX_HEADER_LENGTH
+};
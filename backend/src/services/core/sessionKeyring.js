@@ -0,0 +1,165 @@
+/**
+ * Session Keyring for PocketCloud
+ * Holds unlocked data keys in process memory, keyed by session ID
+ *
+ * The password never leaves the login handler: login unlocks the data key
+ * once and parks it here. Keys are never written to the session store, so
+ * a leaked session file or cookie secret does not expose them.
+ *
+ * Keys are zeroized on logout, after KEY_IDLE_TIMEOUT without use, when
+ * the session cookie expires, and for all of a user's other sessions when
+ * their password changes. A server restart forgets every key.
+ */
+
+const config = require('../../config/config');
+
+const SWEEP_INTERVAL = 60 * 1000; // 1 minute
+
+class SessionKeyring {
+  constructor() {
+    this.entries = new Map();
+
+    // Zeroize idle and expired keys even if their sessions are never seen again
+    this.sweepInterval = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+    this.sweepInterval.unref();
+  }
+
+  /**
+   * Store a session's data key
+   * The keyring keeps its own copy - the caller should zero theirs
+   *
+   * @param {string} sessionId - express-session ID
+   * @param {number} userId - Owner of the key
+   * @param {Buffer} dataKey - Unlocked data key
+   * @param {Date|number} [expiresAt] - Session expiry (cookie.expires)
+   */
+  store(sessionId, userId, dataKey, expiresAt) {
+    this.remove(sessionId);
+
+    this.entries.set(sessionId, {
+      userId,
+      dataKey: Buffer.from(dataKey),
+      lastUsed: Date.now(),
+      expiresAt: expiresAt ? new Date(expiresAt).getTime() : Date.now() + config.SESSION_MAX_AGE
+    });
+  }
+
+  /**
+   * Get a copy of a session's data key
+   * @returns {Buffer|null} - Data key (caller must zero it) or null if locked
+   */
+  get(sessionId, userId) {
+    const entry = this._liveEntry(sessionId);
+
+    if (!entry || entry.userId !== userId) {
+      return null;
+    }
+
+    entry.lastUsed = Date.now();
+    return Buffer.from(entry.dataKey);
+  }
+
+  /**
+   * Get a copy of a session's data key without counting it as activity
+   * For background work, which must not keep an idle session unlocked.
+   * @returns {Buffer|null} - Data key (caller must zero it) or null if locked
+   */
+  peek(sessionId, userId) {
+    const entry = this._liveEntry(sessionId);
+    return entry && entry.userId === userId ? Buffer.from(entry.dataKey) : null;
+  }
+
+  /**
+   * Check whether a session has an unlocked key
+   */
+  has(sessionId, userId) {
+    const entry = this._liveEntry(sessionId);
+    return !!entry && (userId === undefined || entry.userId === userId);
+  }
+
+  /**
+   * Record activity so an active session's key does not idle out
+   */
+  touch(sessionId) {
+    const entry = this._liveEntry(sessionId);
+    if (entry) {
+      entry.lastUsed = Date.now();
+    }
+  }
+
+  /**
+   * Zeroize and forget a session's key
+   */
+  remove(sessionId) {
+    const entry = this.entries.get(sessionId);
+    if (entry) {
+      entry.dataKey.fill(0);
+      this.entries.delete(sessionId);
+    }
+  }
+
+  /**
+   * Zeroize and forget every key of a user
+   * After a password change or reset their other sessions have to log in again.
+   *
+   * @param {number} userId - Owner of the keys
+   * @param {string} [exceptSessionId] - Session to keep (the one that made the change)
+   * @returns {number} - Number of keys removed
+   */
+  removeUser(userId, exceptSessionId = null) {
+    let removed = 0;
+    for (const [sessionId, entry] of Array.from(this.entries)) {
+      if (entry.userId === userId && sessionId !== exceptSessionId) {
+        this.remove(sessionId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Zeroize keys that have idled out or whose session expired
+   * @returns {number} - Number of keys removed
+   */
+  sweep() {
+    let removed = 0;
+    for (const sessionId of Array.from(this.entries.keys())) {
+      if (!this._liveEntry(sessionId)) {
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Number of unlocked sessions
+   */
+  size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Entry for a session, removing it first if it is no longer valid
+   */
+  _liveEntry(sessionId) {
+    const entry = this.entries.get(sessionId);
+    if (!entry) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (now >= entry.expiresAt || now - entry.lastUsed >= config.KEY_IDLE_TIMEOUT) {
+      this.remove(sessionId);
+      return null;
+    }
+
+    return entry;
+  }
+
+  // Keys must never end up in logs, JSON responses or a session store
+  toJSON() {
+    return { unlockedSessions: this.entries.size };
+  }
+}
+
+module.exports = new SessionKeyring();
@@ -0,0 +1,83 @@
+/**
+ * System Key for PocketCloud
+ * Loads the secret that seals data/pocketcloud.db (see databaseSealing.js)
+ *
+ * DB_KEY_SOURCE selects where it comes from:
+ * - passphrase: POCKETCLOUD_DB_PASSPHRASE, or typed at a boot prompt
+ * - keyfile:    the file at DB_KEYFILE (keep it on separate media)
+ * - credential: systemd credential DB_CREDENTIAL, e.g.
+ *               LoadCredential=pocketcloud-db-key:/media/key/pocketcloud.key
+ * Unset means the database is stored unsealed.
+ *
+ * All sources yield the same bytes for the same secret, so a database sealed
+ * with a typed passphrase opens with a credential holding that passphrase.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promptHidden } = require('../../utils/terminal');
+
+const SOURCES = ['passphrase', 'keyfile', 'credential'];
+
+/**
+ * Read a keyfile or credential, dropping a trailing newline from text editors
+ */
+function readSecretFile(filePath, description) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`${description} not found: ${filePath}`);
+  }
+
+  const contents = fs.readFileSync(filePath);
+  let end = contents.length;
+  while (end > 0 && (contents[end - 1] === 0x0a || contents[end - 1] === 0x0d)) {
+    end--;
+  }
+  return contents.subarray(0, end);
+}
+
+/**
+ * Load the system secret
+ *
+ * @param {Object} [options] - Overrides for config: { source, keyfile, credential, passphrase }
+ * @returns {Promise<Buffer|null>} - Secret bytes (wipe after use), NULL if no source is configured
+ */
+async function loadSystemSecret(options = {}) {
+  // config is only loaded for settings not passed in (loading it creates the session secret)
+  const setting = (name, key) => options[name] !== undefined ? options[name] : require('../../config/config')[key];
+  const source = setting('source', 'DB_KEY_SOURCE');
+
+  if (!source) {
+    return null;
+  }
+  if (!SOURCES.includes(source)) {
+    throw new Error(`Unknown DB_KEY_SOURCE "${source}" (expected ${SOURCES.join(', ')})`);
+  }
+
+  let secret;
+  if (source === 'passphrase') {
+    const passphrase = options.passphrase || process.env.POCKETCLOUD_DB_PASSPHRASE || await promptHidden(
+      '🔐 Database passphrase: ',
+      'No terminal for the database passphrase - set POCKETCLOUD_DB_PASSPHRASE or use DB_KEY_SOURCE=keyfile/credential'
+    );
+    secret = Buffer.from(passphrase, 'utf8');
+  } else if (source === 'keyfile') {
+    const keyfile = setting('keyfile', 'DB_KEYFILE');
+    if (!keyfile) {
+      throw new Error('DB_KEY_SOURCE=keyfile needs DB_KEYFILE');
+    }
+    secret = readSecretFile(keyfile, 'Database keyfile');
+  } else {
+    const directory = process.env.CREDENTIALS_DIRECTORY;
+    if (!directory) {
+      throw new Error('DB_KEY_SOURCE=credential needs systemd LoadCredential= (CREDENTIALS_DIRECTORY is not set)');
+    }
+    secret = readSecretFile(path.join(directory, setting('credential', 'DB_CREDENTIAL')), 'Database credential');
+  }
+
+  if (secret.length === 0) {
+    throw new Error(`Database ${source} is empty`);
+  }
+  return secret;
+}
+
+module.exports = { loadSystemSecret, SOURCES };
@@ -1,54 +1,136 @@
 /**
  * Trash Service - File deletion and recovery
+ *
+ * Deleting a file or folder only sets trashed_at. Files stay in trash for the
+ * owner's retention period (users.trash_retention_days) and are then purged:
+ * the encrypted blob, older versions, thumbnails and search entry all go.
  */
 
 const fs = require('fs-extra');
 const path = require('path');
 const { getDatabase, saveDatabase } = require('../../config/database');
+const { getUserStoragePath } = require('../../config/storage');
+const { ensureInside } = require('../../utils/security');
+const { rowsFromResult, openFileRows, openFolderRows } = require('./metadataService');
+const versionService = require('./versionService');
+const searchService = require('./searchService');
+const thumbnailService = require('../media/thumbnailService');
+const auditLogService = require('../security/auditLogService');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const MAX_RETENTION_DAYS = 3650;
+
+// IDs of a folder and every folder below it (UNION stops at cycles)
+const FOLDER_TREE = `
+  WITH RECURSIVE tree(id) AS (
+    SELECT id FROM folders WHERE id = ?
+    UNION
+    SELECT f.id FROM folders f JOIN tree ON f.parent_id = tree.id
+  )
+  SELECT id FROM tree`;
+
+// Trashed files past their owner's retention period
+const EXPIRED_FILES = `
+  SELECT f.id, f.user_id, f.filepath FROM files f JOIN users u ON u.id = f.user_id
+  WHERE f.trashed_at IS NOT NULL
+  AND julianday(f.trashed_at) < julianday('now', '-' || COALESCE(u.trash_retention_days, ${DEFAULT_RETENTION_DAYS}) || ' days')`;
+
+function statusError(status, error) {
+  return { success: false, status, error };
+}
+
+/**
+ * Days a user's files stay in trash
+ */
+function getRetentionDays(userId) {
+  const result = getDatabase().exec('SELECT trash_retention_days FROM users WHERE id = ?', [userId]);
+  const days = result.length > 0 ? result[0].values[0][0] : null;
+  return days || DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Change how long a user's files stay in trash
+ * Files already past the new period are purged straight away.
+ *
+ * @returns {Promise<Object>} - { success, days, removed } or { success: false, status, error }
+ */
+async function setRetentionDays(userId, days) {
+  if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) {
+    return statusError(400, `Retention must be a whole number of days from 1 to ${MAX_RETENTION_DAYS}`);
+  }
+  
+  getDatabase().run('UPDATE users SET trash_retention_days = ? WHERE id = ?', [days, userId]);
+  saveDatabase();
+  
+  const cleanup = await autoCleanup(userId);
+  return { success: true, days, removed: cleanup.success ? cleanup.count : 0 };
+}
+
+/**
+ * Remove a file for good: blob, older versions, thumbnails, search entry and row
+ * The blob goes first - a row is only deleted once its ciphertext is gone.
+ */
+async function purgeFile(file) {
+  const userPath = getUserStoragePath(file.user_id);
+  const filePath = path.join(userPath, file.filepath);
+  ensureInside(userPath, filePath);
+  
+  await fs.remove(filePath);
+  await versionService.deleteAllVersions(file.user_id, file.id);
+  await thumbnailService.deleteThumbnails(file.id);
+  searchService.removeFromIndex('file', file.id);
+  getDatabase().run('DELETE FROM files WHERE id = ?', [file.id]);
+}
+
+/**
+ * Purge files, carrying on past the ones that fail
+ * @returns {Promise<number>} - Number purged
+ */
+async function purgeFiles(files) {
+  let purged = 0;
+  for (const file of files) {
+    try {
+      await purgeFile(file);
+      purged++;
+    } catch (error) {
+      console.warn(`Failed to purge file ${file.id}:`, error.message);
+    }
+  }
+  return purged;
+}
 
 /**
  * Auto-cleanup old files from trash
+ * Each user's files go once they are past that user's retention period.
+ *
+ * @param {number} [userId] - Only this user's trash (default: everyone's)
  */
-async function autoCleanup() {
+async function autoCleanup(userId = null) {
   try {
     const db = getDatabase();
-    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+    const forUser = userId !== null ? ' AND u.id = ?' : '';
+    const params = userId !== null ? [userId] : [];
     
-    // Find files trashed more than 30 days ago
-    const result = db.exec(
-      'SELECT id, filepath FROM files WHERE trashed_at IS NOT NULL AND trashed_at < ?',
-      [thirtyDaysAgo]
-    );
+    const expired = rowsFromResult(db.exec(EXPIRED_FILES + forUser, params));
+    const cleanedCount = await purgeFiles(expired);
     
-    if (result.length === 0 || result[0].values.length === 0) {
-      return { success: true, count: 0 };
-    }
-    
-    let cleanedCount = 0;
-    
-    for (const row of result[0].values) {
-      const fileId = row[0];
-      const filepath = row[1];
-      
-      try {
-        // Delete from filesystem
-        if (await fs.pathExists(filepath)) {
-          await fs.remove(filepath);
-        }
-        
-        // Delete from database
-        db.exec('DELETE FROM files WHERE id = ?', [fileId]);
-        cleanedCount++;
-      } catch (error) {
-        console.warn(`Failed to cleanup file ${fileId}:`, error.message);
-      }
-    }
+    // Folders go once nothing is left in them
+    db.run(
+      `DELETE FROM folders WHERE id IN (
+         SELECT fo.id FROM folders fo JOIN users u ON u.id = fo.user_id
+         WHERE fo.trashed_at IS NOT NULL
+         AND julianday(fo.trashed_at) < julianday('now', '-' || COALESCE(u.trash_retention_days, ${DEFAULT_RETENTION_DAYS}) || ' days')
+         ${forUser}
+       ) AND id NOT IN (SELECT folder_id FROM files WHERE folder_id IS NOT NULL)`,
+      params
+    );
+    const cleanedFolders = db.getRowsModified();
     
-    if (cleanedCount > 0) {
+    if (cleanedCount > 0 || cleanedFolders > 0) {
       saveDatabase();
     }
     
-    return { success: true, count: cleanedCount };
+    return { success: true, count: cleanedCount, folders: cleanedFolders };
   } catch (error) {
     console.error('Trash auto-cleanup failed:', error);
     return { success: false, error: error.message };
@@ -58,39 +140,270 @@ async function autoCleanup() {
 /**
  * Move file to trash
  */
-async function moveToTrash(fileId) {
+async function moveToTrash(fileId, userId, req = null) {
   try {
     const db = getDatabase();
-    db.exec(
-      'UPDATE files SET trashed_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [fileId]
-    );
+    const [file] = rowsFromResult(db.exec(
+      'SELECT id, folder_id FROM files WHERE id = ? AND user_id = ? AND trashed_at IS NULL',
+      [fileId, userId]
+    ));
+    if (!file) {
+      return statusError(404, 'File not found');
+    }
+    
+    db.run('UPDATE files SET trashed_at = ? WHERE id = ?', [new Date().toISOString(), fileId]);
     saveDatabase();
-    return { success: true };
+    auditLogService.log(userId, 'file.trash', 'file', fileId, null, req);
+    
+    return { success: true, folderId: file.folder_id, message: 'File moved to trash' };
   } catch (error) {
-    return { success: false, error: error.message };
+    return statusError(500, error.message);
   }
 }
 
 /**
  * Restore file from trash
+ * It goes back to its folder, or to the top level if that folder is gone or in trash.
  */
-async function restoreFromTrash(fileId) {
+async function restoreFromTrash(fileId, userId, req = null) {
   try {
     const db = getDatabase();
-    db.exec(
-      'UPDATE files SET trashed_at = NULL WHERE id = ?',
-      [fileId]
+    const [file] = rowsFromResult(db.exec(
+      'SELECT id, folder_id FROM files WHERE id = ? AND user_id = ? AND trashed_at IS NOT NULL',
+      [fileId, userId]
+    ));
+    if (!file) {
+      return statusError(404, 'File not found in trash');
+    }
+    
+    let folderId = file.folder_id;
+    if (folderId !== null) {
+      const folder = db.exec('SELECT id FROM folders WHERE id = ? AND trashed_at IS NULL', [folderId]);
+      folderId = folder.length > 0 ? folderId : null;
+    }
+    
+    db.run('UPDATE files SET trashed_at = NULL, folder_id = ? WHERE id = ?', [folderId, fileId]);
+    saveDatabase();
+    auditLogService.log(userId, 'file.restore', 'file', fileId, { folderId }, req);
+    
+    return { success: true, folderId, message: 'File restored' };
+  } catch (error) {
+    return statusError(500, error.message);
+  }
+}
+
+/**
+ * Delete a file in trash for good
+ */
+async function permanentlyDelete(fileId, userId, req = null) {
+  try {
+    const [file] = rowsFromResult(getDatabase().exec(
+      'SELECT id, user_id, filepath FROM files WHERE id = ? AND user_id = ? AND trashed_at IS NOT NULL',
+      [fileId, userId]
+    ));
+    if (!file) {
+      return statusError(404, 'File not found in trash');
+    }
+    
+    await purgeFile(file);
+    saveDatabase();
+    auditLogService.log(userId, 'file.purge', 'file', fileId, null, req);
+    
+    return { success: true, message: 'File deleted permanently' };
+  } catch (error) {
+    return statusError(500, error.message);
+  }
+}
+
+/**
+ * Delete everything in a user's trash for good
+ */
+async function emptyTrash(userId, req = null) {
+  try {
+    const db = getDatabase();
+    const trashed = rowsFromResult(db.exec(
+      'SELECT id, user_id, filepath FROM files WHERE user_id = ? AND trashed_at IS NOT NULL',
+      [userId]
+    ));
+    const count = await purgeFiles(trashed);
+    
+    db.run(
+      `DELETE FROM folders WHERE user_id = ? AND trashed_at IS NOT NULL
+       AND id NOT IN (SELECT folder_id FROM files WHERE folder_id IS NOT NULL)`,
+      [userId]
     );
+    const folders = db.getRowsModified();
+    
+    saveDatabase();
+    auditLogService.log(userId, 'trash.empty', null, null, { files: count, folders }, req);
+    
+    return { success: true, count, folders, message: `Deleted ${count} file(s) and ${folders} folder(s) permanently` };
+  } catch (error) {
+    return statusError(500, error.message);
+  }
+}
+
+/**
+ * A user's trash, as it was deleted
+ * Files and folders trashed along with a folder are listed under that folder
+ * only - restoring it brings them back.
+ *
+ * @param {number} userId - Owner
+ * @param {Buffer} dataKey - Owner's unlocked data key
+ * @param {Object} [pagination] - { limit, offset } for the files
+ * @returns {Object} - { success, files, folders, totalFiles, totalFolders, retentionDays },
+ *   each item with its purgeAt; totalFiles counts every listed file, not just this page
+ */
+function getTrash(userId, dataKey, { limit = 50, offset = 0 } = {}) {
+  try {
+    const db = getDatabase();
+    const retentionDays = getRetentionDays(userId);
+    const purgeAt = trashedAt => new Date(Date.parse(trashedAt) + retentionDays * 86400000).toISOString();
+    
+    const folders = openFolderRows(dataKey, rowsFromResult(db.exec(
+      `SELECT fo.id, fo.parent_id, fo.name, fo.trashed_at FROM folders fo
+       LEFT JOIN folders parent ON parent.id = fo.parent_id
+       WHERE fo.user_id = ? AND fo.trashed_at IS NOT NULL
+       AND (parent.trashed_at IS NULL OR parent.trashed_at != fo.trashed_at)
+       ORDER BY fo.trashed_at DESC, fo.id`,
+      [userId]
+    )));
+    
+    const loose = `FROM files f LEFT JOIN folders fo ON fo.id = f.folder_id
+       WHERE f.user_id = ? AND f.trashed_at IS NOT NULL
+       AND (fo.trashed_at IS NULL OR fo.trashed_at != f.trashed_at)`;
+    const totalFiles = db.exec(`SELECT COUNT(*) ${loose}`, [userId])[0].values[0][0];
+    const files = openFileRows(dataKey, rowsFromResult(db.exec(
+      `SELECT f.id, f.folder_id, f.filename, f.size, f.mimetype, f.uploaded_at, f.trashed_at ${loose}
+       ORDER BY f.trashed_at DESC, f.id LIMIT ? OFFSET ?`,
+      [userId, limit, offset]
+    )));
+    
+    return {
+      success: true,
+      files: files.map(file => ({ ...file, purgeAt: purgeAt(file.trashed_at) })),
+      folders: folders.map(folder => ({ ...folder, purgeAt: purgeAt(folder.trashed_at) })),
+      totalFiles,
+      totalFolders: folders.length,
+      retentionDays
+    };
+  } catch (error) {
+    return statusError(500, error.message);
+  }
+}
+
+/**
+ * How much is in a user's trash
+ */
+function getTrashStats(userId) {
+  try {
+    const db = getDatabase();
+    const [files, size, oldest] = db.exec(
+      'SELECT COUNT(*), COALESCE(SUM(size), 0), MIN(trashed_at) FROM files WHERE user_id = ? AND trashed_at IS NOT NULL',
+      [userId]
+    )[0].values[0];
+    const folders = db.exec(
+      'SELECT COUNT(*) FROM folders WHERE user_id = ? AND trashed_at IS NOT NULL',
+      [userId]
+    )[0].values[0][0];
+    
+    return { success: true, stats: { files, folders, size, oldest, retentionDays: getRetentionDays(userId) } };
+  } catch (error) {
+    return statusError(500, error.message);
+  }
+}
+
+/**
+ * Move a folder to trash with everything below it
+ * Its subfolders and files get the same trashed_at, so restoring the folder
+ * brings back exactly what went with it - not things trashed before.
+ */
+async function moveFolderToTrash(folderId) {
+  try {
+    const db = getDatabase();
+    const trashedAt = new Date().toISOString();
+    let folders;
+    let files;
+    
+    db.run('BEGIN TRANSACTION');
+    try {
+      db.run(`UPDATE files SET trashed_at = ? WHERE trashed_at IS NULL AND folder_id IN (${FOLDER_TREE})`, [trashedAt, folderId]);
+      files = db.getRowsModified();
+      db.run(`UPDATE folders SET trashed_at = ? WHERE trashed_at IS NULL AND id IN (${FOLDER_TREE})`, [trashedAt, folderId]);
+      folders = db.getRowsModified();
+      db.run('COMMIT');
+    } catch (error) {
+      db.run('ROLLBACK');
+      throw error;
+    }
+    
+    if (folders === 0) {
+      return { success: false, error: 'Folder not found or already in trash' };
+    }
+    
+    saveDatabase();
+    return { success: true, folders, files, message: `Moved ${folders} folder(s) and ${files} file(s) to trash` };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Restore a folder from trash with what was trashed along with it
+ * If the folder it was in is gone or still in trash, it comes back at the top level.
+ */
+async function restoreFolderFromTrash(folderId) {
+  try {
+    const db = getDatabase();
+    const result = db.exec('SELECT parent_id, trashed_at FROM folders WHERE id = ?', [folderId]);
+    const [parentId, trashedAt] = result.length > 0 ? result[0].values[0] : [null, null];
+    
+    if (!trashedAt) {
+      return { success: false, error: 'Folder is not in trash' };
+    }
+    
+    let parentLive = false;
+    if (parentId !== null) {
+      const parent = db.exec('SELECT id FROM folders WHERE id = ? AND trashed_at IS NULL', [parentId]);
+      parentLive = parent.length > 0;
+    }
+    
+    let folders;
+    let files;
+    db.run('BEGIN TRANSACTION');
+    try {
+      db.run(`UPDATE files SET trashed_at = NULL WHERE trashed_at = ? AND folder_id IN (${FOLDER_TREE})`, [trashedAt, folderId]);
+      files = db.getRowsModified();
+      db.run(`UPDATE folders SET trashed_at = NULL WHERE trashed_at = ? AND id IN (${FOLDER_TREE})`, [trashedAt, folderId]);
+      folders = db.getRowsModified();
+      if (!parentLive) {
+        db.run('UPDATE folders SET parent_id = NULL WHERE id = ?', [folderId]);
+      }
+      db.run('COMMIT');
+    } catch (error) {
+      db.run('ROLLBACK');
+      throw error;
+    }
+    
     saveDatabase();
-    return { success: true };
+    return { success: true, folders, files, message: `Restored ${folders} folder(s) and ${files} file(s)` };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
 module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  MAX_RETENTION_DAYS,
+  getRetentionDays,
+  setRetentionDays,
   autoCleanup,
   moveToTrash,
-  restoreFromTrash
-};
\ No newline at end of file
+  restoreFromTrash,
+  permanentlyDelete,
+  emptyTrash,
+  getTrash,
+  getTrashStats,
+  moveFolderToTrash,
+  restoreFolderFromTrash
+};
@@ -5,6 +5,7 @@
 const { getDatabase, saveDatabase } = require('../../config/database');
 const bcrypt = require('bcryptjs');
 const { ROLES, isValidRole, getRoleLevel } = require('../../config/roles');
+const { getVersionUsage } = require('./versionService');
 
 class UserService {
   /**
@@ -351,6 +352,9 @@ class UserService {
       const fileStats = filesStmt.getAsObject();
       filesStmt.free();
       
+      // Older versions take space too
+      const versionStats = getVersionUsage(userId);
+      
       // Get folder count
       const foldersStmt = db.prepare('SELECT COUNT(*) as count FROM folders WHERE user_id = ?');
       foldersStmt.bind([userId]);
@@ -369,7 +373,9 @@ class UserService {
         success: true,
         stats: {
           files: fileStats.count,
-          totalSize: fileStats.total_size,
+          totalSize: fileStats.total_size + versionStats.size,
+          versions: versionStats.count,
+          versionSize: versionStats.size,
           folders: folderStats.count,
           shares: shareStats.count
         }
@@ -0,0 +1,469 @@
+/**
+ * Version Service for PocketCloud
+ * Older versions of a file, kept when a file is uploaded again under the same
+ * name into the same folder.
+ *
+ * The files row always describes the current version. Replacing it moves the
+ * row's blob (storage file, key ID, IV/tag, size, hash, sealed MIME type) into
+ * file_versions under the old version number, so every blob keeps the file
+ * key it was encrypted with and no key is ever used for two blobs. Restoring
+ * swaps a version back the same way: it becomes the newest version and the
+ * one it replaces goes into the history.
+ *
+ * Versions are stored in the owner's directory like any other .enc file, so
+ * they count against storage and are part of backups.
+ *
+ * How long versions are kept is a per-user policy (see getRetention).
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { getDatabase, saveDatabase } = require('../../config/database');
+const { getUserStoragePath } = require('../../config/storage');
+const { ensureInside } = require('../../utils/security');
+const { rowsFromResult, sealFileMetadata, openFileRows } = require('./metadataService');
+const auditLogService = require('../security/auditLogService');
+
+// What moves between files and file_versions
+const BLOB_COLUMNS = ['filepath', 'size', 'mimetype', 'file_hash', 'iv', 'auth_tag', 'encrypted', 'format_version', 'key_id'];
+
+// Keep the last 10 versions, however old
+const DEFAULT_RETENTION = { keepVersions: 10, keepDays: null };
+const MAX_KEEP_VERSIONS = 100;
+const MAX_KEEP_DAYS = 3650;
+
+function statusError(status, error) {
+  return { success: false, status, error };
+}
+
+/**
+ * A user's version retention policy
+ * A version is removed once it is not among the newest keepVersions or was
+ * replaced more than keepDays ago; null means no limit of that kind.
+ *
+ * @returns {Object} - { keepVersions, keepDays }
+ */
+function getRetention(userId) {
+  const result = getDatabase().exec('SELECT version_retention FROM users WHERE id = ?', [userId]);
+  const stored = result.length > 0 ? result[0].values[0][0] : null;
+  return stored ? { ...DEFAULT_RETENTION, ...JSON.parse(stored) } : { ...DEFAULT_RETENTION };
+}
+
+/**
+ * Check one limit of a retention policy
+ * @returns {string|null} - Error message, or null if the limit is fine
+ */
+function checkLimit(value, max, label) {
+  if (value === null) {
+    return null;
+  }
+  return Number.isInteger(value) && value >= 1 && value <= max ? null : `${label} must be a whole number from 1 to ${max}`;
+}
+
+/**
+ * Change a user's retention policy and apply it to their files right away
+ *
+ * @param {number} userId - User ID
+ * @param {Object} retention - { keepVersions, keepDays } (null: no limit; at least one is required)
+ * @returns {Promise<Object>} - { success, retention, removed } or { success: false, status, error }
+ */
+async function setRetention(userId, { keepVersions = null, keepDays = null }) {
+  const invalid = checkLimit(keepVersions, MAX_KEEP_VERSIONS, 'Versions to keep') ||
+    checkLimit(keepDays, MAX_KEEP_DAYS, 'Days to keep versions');
+  if (invalid) {
+    return statusError(400, invalid);
+  }
+  if (keepVersions === null && keepDays === null) {
+    return statusError(400, 'Set how many versions or how many days to keep');
+  }
+
+  const retention = { keepVersions, keepDays };
+  getDatabase().run('UPDATE users SET version_retention = ? WHERE id = ?', [JSON.stringify(retention), userId]);
+  saveDatabase();
+
+  const removed = await applyRetention(userId);
+  return { success: true, retention, removed };
+}
+
+/**
+ * The user's files outside trash in one folder, by decrypted name
+ *
+ * @param {number} userId - Owner
+ * @param {number|null} folderId - Folder (null: top level)
+ * @param {Buffer} dataKey - Owner's unlocked data key
+ * @returns {Map<string, number>} - filename → file ID
+ */
+function currentFilesByName(userId, folderId, dataKey) {
+  const rows = rowsFromResult(getDatabase().exec(
+    'SELECT id, filename FROM files WHERE user_id = ? AND folder_id IS ? AND trashed_at IS NULL ORDER BY id',
+    [userId, folderId]
+  ));
+  return new Map(openFileRows(dataKey, rows).map(row => [row.filename, row.id]));
+}
+
+/**
+ * Record an uploaded blob - as a new version of the file with the same name
+ * in the same folder, or as a new file
+ *
+ * Only writes rows (no saveDatabase), so it can run inside a caller's
+ * transaction. Versions beyond the retention policy are removed by
+ * applyRetention afterwards.
+ *
+ * @param {number} userId - Owner
+ * @param {Object} upload - { folderId, filename, mimetype (plaintext), filepath, size, iv, authTag,
+ *   format, keyId, fileHash? }
+ * @param {Buffer} dataKey - Owner's unlocked data key
+ * @param {Map<string, number>} [names] - currentFilesByName() of the folder, kept up to date here -
+ *   pass it when recording many uploads into one folder
+ * @returns {Object} - { id, version } - version is 1 for a new file
+ */
+function recordUpload(userId, upload, dataKey, names = currentFilesByName(userId, upload.folderId, dataKey)) {
+  const db = getDatabase();
+  const metadata = sealFileMetadata(dataKey, { filename: upload.filename, mimetype: upload.mimetype });
+  const blob = toBlob({ ...upload, mimetype: metadata.mimetype });
+
+  const existingId = names.get(upload.filename);
+  if (existingId === undefined) {
+    db.run(
+      `INSERT INTO files (user_id, folder_id, filename, meta_encrypted, ${BLOB_COLUMNS.join(', ')})
+       VALUES (?, ?, ?, 1, ${BLOB_COLUMNS.map(() => '?').join(', ')})`,
+      [userId, upload.folderId, metadata.filename, ...BLOB_COLUMNS.map(column => blob[column])]
+    );
+    const id = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+    names.set(upload.filename, id);
+    return { id, version: 1 };
+  }
+
+  const version = replaceCurrent(userId, existingId, blob);
+  return { id: existingId, version };
+}
+
+/**
+ * Make an uploaded blob the current version of a file
+ * For uploads whose metadata is sealed already (client mode) - the caller
+ * has checked that the file is the owner's.
+ *
+ * @param {number} userId - Owner
+ * @param {number} fileId - File the upload is a new version of
+ * @param {Object} upload - { filepath, size, mimetype (sealed), iv, authTag, format, keyId, fileHash? }
+ * @returns {number} - The new version number
+ */
+function addVersion(userId, fileId, upload) {
+  return replaceCurrent(userId, fileId, toBlob(upload));
+}
+
+// Columns of an encrypted upload
+function toBlob(upload) {
+  return {
+    filepath: upload.filepath,
+    size: upload.size,
+    mimetype: upload.mimetype || null,
+    file_hash: upload.fileHash || null,
+    iv: upload.iv || null,
+    auth_tag: upload.authTag || null,
+    encrypted: 1,
+    format_version: upload.format,
+    key_id: upload.keyId
+  };
+}
+
+/**
+ * Move a file's current blob into its history and make another blob current
+ * @returns {number} - The new current version number
+ */
+function replaceCurrent(userId, fileId, blob) {
+  const db = getDatabase();
+  const [current] = rowsFromResult(db.exec(
+    `SELECT id, version, uploaded_at, ${BLOB_COLUMNS.join(', ')} FROM files WHERE id = ? AND user_id = ?`,
+    [fileId, userId]
+  ));
+  const currentVersion = current.version || 1;
+  const newVersion = currentVersion + 1;
+
+  db.run('SAVEPOINT replace_current');
+  try {
+    db.run(
+      `INSERT INTO file_versions (file_id, user_id, version, created_at, ${BLOB_COLUMNS.join(', ')})
+       VALUES (?, ?, ?, ?, ${BLOB_COLUMNS.map(() => '?').join(', ')})`,
+      [fileId, userId, currentVersion, current.uploaded_at, ...BLOB_COLUMNS.map(column => current[column])]
+    );
+    db.run(
+      `UPDATE files SET ${BLOB_COLUMNS.map(column => `${column} = ?`).join(', ')}, version = ?,
+       uploaded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...BLOB_COLUMNS.map(column => blob[column]), newVersion, fileId]
+    );
+    db.run('RELEASE replace_current');
+  } catch (error) {
+    db.run('ROLLBACK TO replace_current');
+    db.run('RELEASE replace_current');
+    throw error;
+  }
+  return newVersion;
+}
+
+/**
+ * A user's file outside trash
+ */
+function getCurrentFile(userId, fileId) {
+  const [file] = rowsFromResult(getDatabase().exec(
+    `SELECT id, version, uploaded_at, ${BLOB_COLUMNS.join(', ')} FROM files WHERE id = ? AND user_id = ? AND trashed_at IS NULL`,
+    [fileId, userId]
+  ));
+  return file || null;
+}
+
+/**
+ * All versions of a file, newest first - the current one included
+ *
+ * @param {number} userId - Owner
+ * @param {number} fileId - File ID
+ * @returns {Object} - { success, versions: [{ version, size, created_at, replaced_at, isCurrent }] }
+ *   or { success: false, status, error }
+ */
+function listVersions(userId, fileId) {
+  const file = getCurrentFile(userId, fileId);
+  if (!file) {
+    return statusError(404, 'File not found');
+  }
+
+  const history = rowsFromResult(getDatabase().exec(
+    `SELECT version, size, created_at, replaced_at FROM file_versions
+     WHERE file_id = ? AND user_id = ? ORDER BY version DESC`,
+    [fileId, userId]
+  ));
+
+  return {
+    success: true,
+    versions: [
+      { version: file.version || 1, size: file.size, created_at: file.uploaded_at, replaced_at: null, isCurrent: true },
+      ...history.map(row => ({ ...row, isCurrent: false }))
+    ]
+  };
+}
+
+/**
+ * One version of a file, with what it takes to decrypt it
+ *
+ * @param {number} userId - Owner
+ * @param {number} fileId - File ID
+ * @param {number} version - Version number (the current one too)
+ * @param {Buffer} dataKey - Owner's unlocked data key
+ * @returns {Object|null} - { file_id, version, isCurrent, filename, mimetype, ...blob columns }
+ */
+function getVersion(userId, fileId, version, dataKey) {
+  const db = getDatabase();
+  const [file] = rowsFromResult(db.exec(
+    `SELECT id, filename, version, ${BLOB_COLUMNS.join(', ')} FROM files WHERE id = ? AND user_id = ? AND trashed_at IS NULL`,
+    [fileId, userId]
+  ));
+  if (!file) {
+    return null;
+  }
+
+  if ((file.version || 1) === version) {
+    const [opened] = openFileRows(dataKey, [file]);
+    return { ...opened, file_id: file.id, isCurrent: true };
+  }
+
+  const [row] = rowsFromResult(db.exec(
+    `SELECT version, ${BLOB_COLUMNS.join(', ')} FROM file_versions WHERE file_id = ? AND user_id = ? AND version = ?`,
+    [fileId, userId, version]
+  ));
+  if (!row) {
+    return null;
+  }
+
+  const [opened] = openFileRows(dataKey, [{ id: file.id, filename: file.filename, mimetype: row.mimetype }]);
+  return { ...row, file_id: file.id, filename: opened.filename, mimetype: opened.mimetype, isCurrent: false };
+}
+
+/**
+ * Make an older version current again
+ * It becomes the newest version; the current one goes into the history.
+ *
+ * @param {number} userId - Owner
+ * @param {number} fileId - File ID
+ * @param {number} version - Version to restore
+ * @param {Object} [req] - Request, for the audit log
+ * @returns {Promise<Object>} - { success, version } or { success: false, status, error }
+ */
+async function restoreVersion(userId, fileId, version, req = null) {
+  const db = getDatabase();
+  const file = getCurrentFile(userId, fileId);
+  if (!file) {
+    return statusError(404, 'File not found');
+  }
+  if ((file.version || 1) === version) {
+    return statusError(400, 'This is already the current version');
+  }
+
+  const [row] = rowsFromResult(db.exec(
+    `SELECT id, ${BLOB_COLUMNS.join(', ')} FROM file_versions WHERE file_id = ? AND user_id = ? AND version = ?`,
+    [fileId, userId, version]
+  ));
+  if (!row) {
+    return statusError(404, 'Version not found');
+  }
+
+  let newVersion;
+  db.run('BEGIN TRANSACTION');
+  try {
+    db.run('DELETE FROM file_versions WHERE id = ?', [row.id]);
+    newVersion = replaceCurrent(userId, fileId, row);
+    db.run('COMMIT');
+  } catch (error) {
+    db.run('ROLLBACK');
+    throw error;
+  }
+  saveDatabase();
+
+  auditLogService.log(userId, 'file.version.restore', 'file', fileId, { version, newVersion }, req);
+  await applyRetention(userId, fileId);
+  return { success: true, version: newVersion };
+}
+
+/**
+ * Remove version rows and their storage files
+ * Rows go first - a storage file left behind is only wasted space.
+ */
+async function removeVersions(userId, rows) {
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  const db = getDatabase();
+  for (const row of rows) {
+    db.run('DELETE FROM file_versions WHERE id = ?', [row.id]);
+  }
+  saveDatabase();
+
+  const userPath = getUserStoragePath(userId);
+  for (const row of rows) {
+    const blobPath = path.join(userPath, row.filepath);
+    ensureInside(userPath, blobPath);
+    await fs.remove(blobPath);
+  }
+  return rows.length;
+}
+
+/**
+ * Delete one older version
+ *
+ * @param {number} userId - Owner
+ * @param {number} fileId - File ID
+ * @param {number} version - Version to delete (not the current one)
+ * @param {Object} [req] - Request, for the audit log
+ * @returns {Promise<Object>} - { success } or { success: false, status, error }
+ */
+async function deleteVersion(userId, fileId, version, req = null) {
+  const file = getCurrentFile(userId, fileId);
+  if (!file) {
+    return statusError(404, 'File not found');
+  }
+  if ((file.version || 1) === version) {
+    return statusError(400, 'The current version cannot be deleted - delete the file instead');
+  }
+
+  const rows = rowsFromResult(getDatabase().exec(
+    'SELECT id, filepath FROM file_versions WHERE file_id = ? AND user_id = ? AND version = ?',
+    [fileId, userId, version]
+  ));
+  if (rows.length === 0) {
+    return statusError(404, 'Version not found');
+  }
+
+  await removeVersions(userId, rows);
+  auditLogService.log(userId, 'file.version.delete', 'file', fileId, { version }, req);
+  return { success: true };
+}
+
+/**
+ * Delete every older version of a file (when the file itself is deleted)
+ * @returns {Promise<number>} - Versions removed
+ */
+async function deleteAllVersions(userId, fileId) {
+  return removeVersions(userId, rowsFromResult(getDatabase().exec(
+    'SELECT id, filepath FROM file_versions WHERE file_id = ? AND user_id = ?',
+    [fileId, userId]
+  )));
+}
+
+/**
+ * Remove the versions a user's retention policy no longer keeps
+ * Never throws - the upload or restore that triggered it has already succeeded.
+ *
+ * @param {number} userId - Owner
+ * @param {number} [fileId] - Only this file's versions (default: all the user's files)
+ * @returns {Promise<number>} - Versions removed
+ */
+async function applyRetention(userId, fileId = null) {
+  try {
+    return await pruneVersions(userId, fileId);
+  } catch (error) {
+    console.warn(`⚠️  Version retention for user ${userId} failed: ${error.message}`);
+    return 0;
+  }
+}
+
+async function pruneVersions(userId, fileId) {
+  const { keepVersions, keepDays } = getRetention(userId);
+  const conditions = [];
+  const params = [];
+
+  if (keepVersions !== null) {
+    // Newest first within each file; the current version is not in this table,
+    // so keeping N versions means N - 1 older ones
+    conditions.push(`(SELECT COUNT(*) FROM file_versions newer
+      WHERE newer.file_id = v.file_id AND newer.version > v.version) >= ?`);
+    params.push(keepVersions - 1);
+  }
+  if (keepDays !== null) {
+    conditions.push("v.replaced_at < datetime('now', ?)");
+    params.push(`-${keepDays} days`);
+  }
+
+  const rows = rowsFromResult(getDatabase().exec(
+    `SELECT v.id, v.filepath FROM file_versions v
+     WHERE v.user_id = ?${fileId !== null ? ' AND v.file_id = ?' : ''} AND (${conditions.join(' OR ')})`,
+    [userId, ...(fileId !== null ? [fileId] : []), ...params]
+  ));
+
+  const removed = await removeVersions(userId, rows);
+  if (removed > 0) {
+    console.log(`🗑️  Removed ${removed} old file version(s) of user ${userId}`);
+  }
+  return removed;
+}
+
+/**
+ * Storage taken by older versions
+ *
+ * @param {number} [userId] - One user (default: everyone)
+ * @returns {Object} - { count, size } in bytes of plaintext
+ */
+function getVersionUsage(userId = null) {
+  const result = getDatabase().exec(
+    `SELECT COUNT(*), COALESCE(SUM(size), 0) FROM file_versions${userId !== null ? ' WHERE user_id = ?' : ''}`,
+    userId !== null ? [userId] : []
+  );
+  const [count, size] = result[0].values[0];
+  return { count, size };
+}
+
+module.exports = {
+  DEFAULT_RETENTION,
+  MAX_KEEP_VERSIONS,
+  MAX_KEEP_DAYS,
+  getRetention,
+  setRetention,
+  currentFilesByName,
+  recordUpload,
+  addVersion,
+  listVersions,
+  getVersion,
+  restoreVersion,
+  deleteVersion,
+  deleteAllVersions,
+  applyRetention,
+  getVersionUsage
+};
@@ -52,9 +52,36 @@ async function thumbnailExists(fileId, size = 'medium') {
   return await fs.pathExists(thumbnailPath);
 }
 
+/**
+ * Copy the thumbnails of one file to another
+ * @returns {Object} - Paths of the copied thumbnails by size
+ */
+async function copyThumbnails(fromFileId, toFileId) {
+  const copied = {};
+  for (const size of ['small', 'medium', 'large']) {
+    if (await thumbnailExists(fromFileId, size)) {
+      const target = getThumbnailPath(toFileId, size);
+      await fs.copy(getThumbnailPath(fromFileId, size), target);
+      copied[size] = target;
+    }
+  }
+  return copied;
+}
+
+/**
+ * Remove every thumbnail of a file
+ */
+async function deleteThumbnails(fileId) {
+  for (const size of ['small', 'medium', 'large']) {
+    await fs.remove(getThumbnailPath(fileId, size));
+  }
+}
+
 module.exports = {
   init,
   generateThumbnail,
   getThumbnailPath,
-  thumbnailExists
+  thumbnailExists,
+  copyThumbnails,
+  deleteThumbnails
 };
\ No newline at end of file
@@ -6,10 +6,12 @@ class PerformanceMonitorService {
       requests: [],
       queries: [],
       memory: [],
+      crypto: [],
       throughput: { count: 0, startTime: Date.now() }
     };
     this.slowQueryThreshold = 50; // ms
     this.slowRequestThreshold = 1000; // ms
+    this.slowCryptoWaitThreshold = 500; // ms queued before a crypto worker was free
   }
 
   // Initialize performance monitoring
@@ -106,6 +108,27 @@ class PerformanceMonitorService {
     }
   }
 
+  // Track a task run by the crypto worker pool (cryptoWorkerPool.js)
+  trackCryptoTask(type, waitTime, duration, queueDepth) {
+    this.metrics.crypto.push({
+      type,
+      waitTime,
+      duration,
+      queueDepth,
+      timestamp: Date.now()
+    });
+
+    // Keep only last 1000 tasks in memory
+    if (this.metrics.crypto.length > 1000) {
+      this.metrics.crypto.shift();
+    }
+
+    // Log tasks that sat in the queue (workers saturated)
+    if (waitTime > this.slowCryptoWaitThreshold && this.db) {
+      this.recordMetric('crypto', 'queue_wait', waitTime, 'ms', JSON.stringify({ type, queueDepth }));
+    }
+  }
+
   // Start memory monitoring
   startMemoryMonitoring() {
     setInterval(() => {
@@ -218,13 +241,37 @@ class PerformanceMonitorService {
     };
   }
 
+  // Get crypto worker pool metrics
+  getCryptoMetrics() {
+    const { size, running, queued } = require('../core/cryptoWorkerPool').stats();
+    const tasks = this.metrics.crypto;
+    if (tasks.length === 0) {
+      return { workers: size, running, queueDepth: queued, p50: 0, p95: 0, avgWait: 0, maxQueueDepth: 0 };
+    }
+
+    const durations = tasks.map(t => t.duration).sort((a, b) => a - b);
+    const len = durations.length;
+
+    return {
+      workers: size,
+      running,
+      queueDepth: queued,
+      p50: durations[Math.floor(len * 0.5)],
+      p95: durations[Math.floor(len * 0.95)],
+      avgWait: tasks.reduce((sum, t) => sum + t.waitTime, 0) / len,
+      maxQueueDepth: Math.max(...tasks.map(t => t.queueDepth)),
+      count: len
+    };
+  }
+
   // Get all metrics
   getAllMetrics() {
     return {
       responseTime: this.getResponseTimeMetrics(),
       queries: this.getQueryMetrics(),
       memory: this.getMemoryMetrics(),
-      throughput: this.getThroughputMetrics()
+      throughput: this.getThroughputMetrics(),
+      crypto: this.getCryptoMetrics()
     };
   }
 
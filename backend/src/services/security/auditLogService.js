@@ -14,8 +14,8 @@ class AuditLogService {
     try {
       const db = getDatabase();
       
-      const ipAddress = req ? (req.ip || req.connection.remoteAddress) : null;
-      const userAgent = req ? req.headers['user-agent'] : null;
+      const ipAddress = req ? (req.ip || req.connection.remoteAddress || null) : null;
+      const userAgent = req ? req.headers['user-agent'] || null : null;
       const severity = this.determineSeverity(action);
 
       db.run(
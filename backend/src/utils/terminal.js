@@ -0,0 +1,51 @@
+/**
+ * Terminal input for the maintenance scripts and the boot prompt
+ */
+
+/**
+ * Read a secret from the terminal without echoing it
+ *
+ * @param {string} label - Prompt written before the input
+ * @param {string} noTerminalMessage - Error when stdin is not a terminal (say how else to pass the secret)
+ * @returns {Promise<string>} - What was typed
+ */
+function promptHidden(label, noTerminalMessage) {
+  const { stdin, stdout } = process;
+
+  if (!stdin.isTTY) {
+    return Promise.reject(new Error(noTerminalMessage));
+  }
+
+  return new Promise((resolve, reject) => {
+    let value = '';
+
+    function finish() {
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdin.removeListener('data', onData);
+      stdout.write('\n');
+    }
+
+    function onData(chars) {
+      for (const char of chars) {
+        if (char === '\r' || char === '\n') {
+          finish();
+          return resolve(value);
+        }
+        if (char === '\u0003') {
+          finish();
+          return reject(new Error('Prompt cancelled'));
+        }
+        value = char === '\u007f' || char === '\b' ? value.slice(0, -1) : value + char;
+      }
+    }
+
+    stdout.write(label);
+    stdin.setEncoding('utf8');
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
+
+module.exports = { promptHidden };
@@ -0,0 +1,178 @@
+/**
+ * Test environment for services and routes
+ *
+ * Require this before anything from src/. It replaces:
+ * - the database with an in-memory one, built by config/database's own
+ *   createSchema - the real tables, migrated columns and indexes
+ * - user storage (the USB drive) and STORAGE_BASE with a temp directory
+ * - drive readiness and rate limits, which would only get in the way
+ * - storageService's drive checks, with a healthy drive unless a test
+ *   says otherwise (setStorageInfo)
+ *
+ * Route tests build their app with createApp and log in with loginAs
+ * instead of going through the password login.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const session = require('express-session');
+const request = require('supertest');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+const HEALTHY_STORAGE = { available: true, state: 'healthy' };
+
+// Fixed per test file so STORAGE_BASE, read once at require time, points at it too
+const mockStorageBase = path.join(os.tmpdir(), `pocketcloud-test-${crypto.randomBytes(6).toString('hex')}`);
+
+let mockDb = null;
+let mockStorage = null;
+let mockStorageInfo = HEALTHY_STORAGE;
+let SQL = null;
+
+jest.mock('../../src/config/database', () => ({
+  ...jest.requireActual('../../src/config/database'),
+  getDatabase: () => mockDb,
+  saveDatabase: jest.fn()
+}));
+
+jest.mock('../../src/config/storage', () => ({
+  ...jest.requireActual('../../src/config/storage'),
+  STORAGE_BASE: mockStorageBase,
+  getUserStoragePath: (userId) => {
+    const userPath = require('path').join(mockStorage, `user_${userId}`);
+    require('fs-extra').ensureDirSync(userPath);
+    return userPath;
+  }
+}));
+
+jest.mock('../../src/middleware/readiness', () => ({
+  requireReady: (req, res, next) => next()
+}));
+
+jest.mock('../../src/middleware/rateLimiter', () => ({
+  uploadLimiter: (req, res, next) => next(),
+  downloadLimiter: (req, res, next) => next()
+}));
+
+jest.mock('../../src/services/core/storageService', () => ({
+  canUpload: async () => ({ allowed: true }),
+  getStorageInfo: async () => mockStorageInfo
+}));
+
+/**
+ * A new, empty database with the production schema
+ * @returns {Promise<Object>} - sql.js Database, also what getDatabase() returns
+ */
+async function createDatabase() {
+  SQL = SQL || await initSqlJs();
+  mockDb = new SQL.Database();
+  jest.requireActual('../../src/config/database').createSchema(mockDb);
+  return mockDb;
+}
+
+/**
+ * A new, empty temp directory for user storage (also STORAGE_BASE)
+ * @returns {Promise<string>} - Path; each user's files go in user_<id> below it
+ */
+async function createStorage() {
+  await fs.emptyDir(mockStorageBase);
+  mockStorage = mockStorageBase;
+  return mockStorage;
+}
+
+/**
+ * What storageService.getStorageInfo answers (a healthy drive by default)
+ */
+function setStorageInfo(info) {
+  mockStorageInfo = info;
+}
+
+/**
+ * Add a user row
+ * @param {Object} fields - Column values; password defaults to '' (tests log in without one)
+ * @param {Buffer} [dataKey] - The user's data key: sets the key check and KDF parameters registration would
+ * @returns {number} - User ID
+ */
+function addUser(fields, dataKey = null) {
+  const keyed = dataKey ? {
+    kdf_params: JSON.stringify({ N: 1024, r: 8, p: 1 }),
+    key_check: require('../../src/services/core/cryptoService').computeKeyCheck(dataKey)
+  } : {};
+  const row = { password: '', ...keyed, ...fields };
+  const columns = Object.keys(row);
+  mockDb.run(
+    `INSERT INTO users (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => row[column])
+  );
+  return mockDb.exec('SELECT last_insert_rowid()')[0].values[0][0];
+}
+
+/**
+ * An Express app set up like server.js, with only the routes a test needs
+ * POST /test-login/:userId logs in as that user with the data key in the body (see loginAs).
+ *
+ * @param {Object} options
+ * @param {Array[]} [options.routes] - [mountPath, ...handlers] entries, mounted in order after the session
+ * @param {Array[]} [options.beforeSession] - The same, mounted before the cookie session (API tokens)
+ * @returns {Object} - Express app
+ */
+function createApp({ routes = [], beforeSession = [] } = {}) {
+  const app = express();
+  app.set('views', path.join(__dirname, '../../views'));
+  app.set('view engine', 'ejs');
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  beforeSession.forEach(([mountPath, ...handlers]) => app.use(mountPath, ...handlers));
+  app.use(session({ secret: 'test', resave: false, saveUninitialized: false }));
+  app.post('/test-login/:userId', (req, res) => {
+    const userId = Number(req.params.userId);
+    const user = mockDb.exec('SELECT username FROM users WHERE id = ?', [userId]);
+    req.session.userId = userId;
+    req.session.username = user.length > 0 ? user[0].values[0][0] : null;
+    require('../../src/services/core/sessionKeyring').store(req.sessionID, userId, Buffer.from(req.body.dataKey, 'hex'));
+    res.status(204).end();
+  });
+  routes.forEach(([mountPath, ...handlers]) => app.use(mountPath, ...handlers));
+  return app;
+}
+
+/**
+ * A supertest agent with a session for a user, their data key in the keyring
+ * @param {Object} app - From createApp
+ * @param {number} userId - User to log in as
+ * @param {Buffer} dataKey - The user's data key
+ * @returns {Promise<Object>} - supertest agent
+ */
+async function loginAs(app, userId, dataKey) {
+  const agent = request.agent(app);
+  await agent.post(`/test-login/${userId}`).send({ dataKey: dataKey.toString('hex') }).expect(204);
+  return agent;
+}
+
+/**
+ * Close the database and remove the storage directory
+ */
+async function cleanup() {
+  if (mockDb) {
+    mockDb.close();
+    mockDb = null;
+  }
+  if (mockStorage) {
+    await fs.remove(mockStorage);
+    mockStorage = null;
+  }
+  mockStorageInfo = HEALTHY_STORAGE;
+}
+
+module.exports = {
+  createDatabase,
+  createStorage,
+  setStorageInfo,
+  addUser,
+  createApp,
+  loginAs,
+  cleanup
+};
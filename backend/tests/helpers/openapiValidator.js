@@ -0,0 +1,258 @@
+/**
+ * OpenAPI contract checks for the integration tests
+ *
+ * Validates values against the JSON Schema subset config/openapi.js uses,
+ * and provides middleware that checks every request and response of an app
+ * against the document. No schema library is installed, so this covers
+ * just what the document needs: $ref, allOf/oneOf/anyOf, nullable, type,
+ * enum, properties/required/additionalProperties, items, the numeric,
+ * length and item limits, pattern and the date-time format.
+ */
+
+const TYPES = {
+  integer: value => Number.isInteger(value),
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  string: value => typeof value === 'string',
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Resolve a local $ref ("#/components/schemas/File")
+ */
+function resolve(spec, ref) {
+  const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], spec);
+  if (!target) {
+    throw new Error(`Unresolved $ref ${ref}`);
+  }
+  return target;
+}
+
+/**
+ * Problems with a value, as "at: problem" strings (empty when valid)
+ */
+function validate(spec, schema, value, at = 'value') {
+  if (schema.$ref) {
+    return validate(spec, resolve(spec, schema.$ref), value, at);
+  }
+  if (value === null) {
+    const any = !schema.type && !schema.allOf && !schema.oneOf && !schema.anyOf;
+    return schema.nullable || any ? [] : [`${at}: must not be null`];
+  }
+
+  const problems = [];
+  if (schema.allOf) {
+    schema.allOf.forEach(part => problems.push(...validate(spec, part, value, at)));
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(part => validate(spec, part, value, at).length === 0).length;
+    if (matches !== 1) {
+      problems.push(`${at}: must match exactly one schema in oneOf (matches ${matches})`);
+    }
+  }
+  if (schema.anyOf && !schema.anyOf.some(part => validate(spec, part, value, at).length === 0)) {
+    problems.push(`${at}: must match a schema in anyOf`);
+  }
+
+  if (schema.type && !TYPES[schema.type](value)) {
+    return [...problems, `${at}: must be ${schema.type}, got ${JSON.stringify(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${at}: must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${at}: must be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) problems.push(`${at}: must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) problems.push(`${at}: must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) problems.push(`${at}: must match ${schema.pattern}`);
+    if (schema.format === 'date-time' && !ISO_DATE_TIME.test(value)) problems.push(`${at}: must be an ISO 8601 date-time`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) problems.push(`${at}: must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) problems.push(`${at}: must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => problems.push(...validate(spec, schema.items, item, `${at}[${index}]`)));
+    }
+  } else if (TYPES.object(value)) {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) problems.push(`${at}.${name}: is required`);
+    }
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      problems.push(`${at}: must have at least ${schema.minProperties} properties`);
+    }
+    for (const [name, property] of Object.entries(value)) {
+      if (property === undefined) continue;
+      if (properties[name]) {
+        problems.push(...validate(spec, properties[name], property, `${at}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${at}.${name}: is not allowed`);
+      } else if (TYPES.object(schema.additionalProperties)) {
+        problems.push(...validate(spec, schema.additionalProperties, property, `${at}.${name}`));
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * The operation for a request path (relative to the server URL), literal
+ * paths before templated ones - /trash/stats is not /trash/{fileId}
+ *
+ * @returns {{ template: string, operation: Object, params: Object }|null}
+ */
+function findOperation(spec, method, path) {
+  const templates = Object.keys(spec.paths)
+    .filter(template => spec.paths[template][method.toLowerCase()])
+    .sort((a, b) => (a.match(/\{/g) || []).length - (b.match(/\{/g) || []).length);
+
+  for (const template of templates) {
+    const names = [];
+    const pattern = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    const match = new RegExp(`^${pattern}/?$`).exec(path);
+    if (match) {
+      const params = Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+      return { template, operation: spec.paths[template][method.toLowerCase()], params };
+    }
+  }
+  return null;
+}
+
+/**
+ * Path, query and header values are strings - read them as the schema's type
+ */
+function coerce(spec, schema, value) {
+  const type = (schema.$ref ? resolve(spec, schema.$ref) : schema).type;
+  if ((type === 'integer' || type === 'number') && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+function mediaTypeMatches(declared, actual) {
+  if (declared === '*/*' || declared === actual) return true;
+  return declared.endsWith('/*') && actual.startsWith(declared.slice(0, -1));
+}
+
+/**
+ * Problems with a request the app accepted
+ */
+function checkRequest(spec, operation, params, req) {
+  const problems = [];
+  const sources = {
+    path: params,
+    query: req.query,
+    header: Object.fromEntries((operation.parameters || [])
+      .filter(parameter => parameter.in === 'header' && req.get(parameter.name) !== undefined)
+      .map(parameter => [parameter.name, req.get(parameter.name)]))
+  };
+
+  for (const parameter of operation.parameters || []) {
+    const value = sources[parameter.in][parameter.name];
+    if (value === undefined) {
+      if (parameter.required) problems.push(`${parameter.in} parameter ${parameter.name}: is required`);
+      continue;
+    }
+    problems.push(...validate(spec, parameter.schema, coerce(spec, parameter.schema, value), `${parameter.in} parameter ${parameter.name}`));
+  }
+
+  const documented = (operation.parameters || []).filter(parameter => parameter.in === 'query').map(parameter => parameter.name);
+  for (const name of Object.keys(req.query)) {
+    if (!documented.includes(name)) problems.push(`query parameter ${name}: is not documented`);
+  }
+
+  const contentType = (req.get('content-type') || '').split(';')[0];
+  if (operation.requestBody && contentType) {
+    const media = Object.keys(operation.requestBody.content).find(type => mediaTypeMatches(type, contentType));
+    if (!media) {
+      problems.push(`request body: ${contentType} is not documented`);
+    } else if (media === 'application/json') {
+      problems.push(...validate(spec, operation.requestBody.content[media].schema, req.body, 'request body'));
+    }
+  } else if (!operation.requestBody && contentType === 'application/json' && Object.keys(req.body || {}).length > 0) {
+    problems.push('request body: none is documented');
+  }
+
+  return problems;
+}
+
+/**
+ * Middleware that checks everything under the server URL against the
+ * document. Mount it where the API is mounted, before anything that
+ * answers: app.use('/api/v1', checker)
+ *
+ * checker.violations collects "METHOD /path: problem" strings:
+ * - requests to undocumented operations that were answered (not 404)
+ * - requests outside the schemas that the app accepted (status < 400)
+ * - undocumented response statuses and content types
+ * - JSON bodies that don't match their response schema
+ */
+function contract(spec) {
+  const violations = [];
+
+  function checker(req, res, next) {
+    const label = `${req.method} ${req.path}`;
+    const found = findOperation(spec, req.method, req.path);
+    let jsonBody;
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      jsonBody = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      const report = problem => violations.push(`${label} ${res.statusCode}: ${problem}`);
+
+      if (!found) {
+        if (res.statusCode !== 404) report('operation is not documented');
+        return;
+      }
+      const { operation, params } = found;
+
+      if (res.statusCode < 400) {
+        checkRequest(spec, operation, params, req).forEach(report);
+      }
+
+      const response = operation.responses[res.statusCode];
+      if (!response) {
+        report('status is not documented');
+        return;
+      }
+      const content = (response.$ref ? resolve(spec, response.$ref) : response).content;
+      const contentType = (res.get('content-type') || '').split(';')[0];
+      if (!content) {
+        if (contentType) report(`${contentType} response has no documented content`);
+        return;
+      }
+      const media = Object.keys(content).find(type => mediaTypeMatches(type, contentType));
+      if (!media) {
+        report(`${contentType || 'empty'} response is not documented`);
+      } else if (media === 'application/json') {
+        validate(spec, content[media].schema, jsonBody, 'response body').forEach(report);
+      }
+    });
+
+    next();
+  }
+
+  checker.violations = violations;
+  return checker;
+}
+
+module.exports = { validate, findOperation, contract };
@@ -0,0 +1,186 @@
+process.env.SESSION_SECRET = 'test-session-secret';
+
+const request = require('supertest');
+
+// Real schema in memory, storage in a temp directory, no drive checks
+const { createDatabase, createStorage, addUser, createApp, loginAs, cleanup } = require('../../helpers/environment');
+
+const cryptoService = require('../../../src/services/core/cryptoService');
+const sessionKeyring = require('../../../src/services/core/sessionKeyring');
+const legacyEncryption = require('../../../src/services/core/legacyEncryption');
+const { apiErrorHandler } = require('../../../src/middleware/apiErrors');
+const { authenticateToken } = require('../../../src/middleware/apiToken');
+const { document } = require('../../../src/config/openapi');
+const { contract } = require('../../helpers/openapiValidator');
+
+describe('API tokens', () => {
+  let app;
+  let db;
+  let checker;
+  let dataKey;
+  let alice;
+
+  async function createToken(fields) {
+    const response = await alice.post('/api/v1/tokens').send({ name: 'script', ...fields });
+    expect(response.status).toBe(201);
+    return response.body;
+  }
+
+  function withToken(token) {
+    return {
+      get: url => request(app).get(url).set('Authorization', `Bearer ${token}`),
+      upload: (filename, content) => request(app).post('/api/v1/files/upload')
+        .set('Authorization', `Bearer ${token}`)
+        .attach('file', Buffer.from(content), { filename, contentType: 'text/plain' })
+    };
+  }
+
+  function tokenSessions() {
+    return [...sessionKeyring.entries.keys()].filter(id => id.startsWith('token-'));
+  }
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    await createStorage();
+
+    dataKey = cryptoService.generateDataKey();
+    addUser({ username: 'alice', role: 'editor' }, dataKey);
+
+    // Mounted like server.js: tokens before the cookie session, with every
+    // request and response checked against the OpenAPI document
+    checker = contract(document);
+    app = createApp({
+      beforeSession: [['/api/v1', checker, authenticateToken]],
+      routes: [['/api/v1', require('../../../src/routes/v1'), apiErrorHandler]]
+    });
+
+    alice = await loginAs(app, 1, dataKey);
+  });
+
+  afterEach(async () => {
+    expect(checker.violations).toEqual([]);
+    jest.restoreAllMocks();
+    await cleanup();
+  });
+
+  it('should read files with a read-only token and nothing more', async () => {
+    const uploaded = await alice.post('/api/v1/files/upload')
+      .attach('file', Buffer.from('from the browser'), { filename: 'notes.txt', contentType: 'text/plain' })
+      .expect(201);
+    const { token, apiToken } = await createToken({ scopes: 'read-only' });
+    expect(apiToken.scopes).toContain('file:download');
+    const script = withToken(token);
+
+    const list = await script.get('/api/v1/files');
+    expect(list.status).toBe(200);
+    expect(list.body.files.map(file => file.filename)).toEqual(['notes.txt']);
+    // A token request never starts a cookie session
+    expect(list.headers['set-cookie']).toBeUndefined();
+
+    const download = await script.get(`/api/v1/files/download/${uploaded.body.file.id}`);
+    expect(download.status).toBe(200);
+    expect(download.text).toBe('from the browser');
+
+    const me = await script.get('/api/v1/auth/me');
+    expect(me.body.user).toEqual({ id: 1, username: 'alice', role: 'editor' });
+
+    const upload = await script.upload('todo.txt', 'milk');
+    expect(upload.status).toBe(403);
+    expect(upload.body).toEqual({
+      error: 'API token is missing the file:upload scope',
+      code: 'insufficient_scope',
+      details: { required: 'file:upload' }
+    });
+
+    // Tokens can't manage tokens
+    const tokens = await script.get('/api/v1/tokens');
+    expect(tokens.status).toBe(403);
+    expect(tokens.body.code).toBe('forbidden');
+
+    // The unlocked key only lives for the request
+    expect(tokenSessions()).toEqual([]);
+  });
+
+  it('should upload with an upload-only token', async () => {
+    const { token } = await createToken({ scopes: ['file:upload'] });
+    const script = withToken(token);
+
+    const upload = await script.upload('photo.txt', 'from a script');
+    expect(upload.status).toBe(201);
+    expect((await script.get('/api/v1/files')).status).toBe(403);
+
+    // Encrypted with the user's key - the browser opens it
+    const download = await alice.get(`/api/v1/files/download/${upload.body.file.id}`);
+    expect(download.text).toBe('from a script');
+  });
+
+  it('should give a newly registered account an upload-only token', async () => {
+    // No background encryption of legacy files
+    jest.spyOn(legacyEncryption, 'queueUser').mockImplementation(() => {});
+    await request(app).post('/api/v1/auth/register')
+      .send({ username: 'bob', password: 'correct horse', confirmPassword: 'correct horse' })
+      .expect(201);
+    const bob = request.agent(app);
+    const login = await bob.post('/api/v1/auth/login').send({ username: 'bob', password: 'correct horse' });
+    expect(login.body.user.role).toBe('viewer');
+
+    const created = await bob.post('/api/v1/tokens').send({ name: 'camera', scopes: 'upload-only' });
+    expect(created.status).toBe(201);
+    const upload = await withToken(created.body.token).upload('photo.txt', 'from the camera');
+    expect(upload.status).toBe(201);
+    expect((await bob.get(`/api/v1/files/download/${upload.body.file.id}`)).text).toBe('from the camera');
+
+    // Their own files only - not what the viewer role lacks
+    const backup = await bob.post('/api/v1/tokens').send({ name: 'backup', scopes: ['system:backup'] });
+    expect(backup.status).toBe(403);
+  });
+
+  it('should hold a token to the user\'s current role', async () => {
+    db.run("UPDATE users SET role = 'admin' WHERE id = 1");
+    const { token } = await createToken({ scopes: ['system:backup'] });
+    const script = withToken(token);
+    expect((await script.get('/api/v1/backup/jobs')).status).toBe(200);
+
+    // Demoted after the token was made: the scope no longer counts
+    db.run("UPDATE users SET role = 'editor' WHERE id = 1");
+    const jobs = await script.get('/api/v1/backup/jobs');
+    expect(jobs.status).toBe(403);
+    expect(jobs.body).toEqual({
+      error: 'Your role no longer allows the system:backup scope',
+      code: 'insufficient_scope',
+      details: { required: 'system:backup' }
+    });
+  });
+
+  it('should list and revoke tokens', async () => {
+    const { token, apiToken } = await createToken({ scopes: 'read-only', expiresInDays: 30 });
+    await withToken(token).get('/api/v1/files').expect(200);
+
+    const list = await alice.get('/api/v1/tokens');
+    expect(list.body.tokens).toEqual([expect.objectContaining({ id: apiToken.id, name: 'script', expired: false })]);
+    expect(list.body.tokens[0].lastUsedAt).not.toBeNull();
+    expect(list.body.presets['upload-only']).toEqual(['file:upload']);
+
+    await alice.delete(`/api/v1/tokens/${apiToken.id}`).expect(204);
+    const revoked = await withToken(token).get('/api/v1/files');
+    expect(revoked.status).toBe(401);
+    expect(revoked.body).toEqual({ error: 'Invalid API token', code: 'invalid_token' });
+    expect(revoked.headers['www-authenticate']).toBe('Bearer error="invalid_token"');
+    expect((await alice.delete(`/api/v1/tokens/${apiToken.id}`)).status).toBe(404);
+  });
+
+  it('should reject expired tokens and bad requests to create one', async () => {
+    const { token, apiToken } = await createToken({ scopes: 'read-only' });
+    db.run('UPDATE api_tokens SET expires_at = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), apiToken.id]);
+    const expired = await withToken(token).get('/api/v1/files');
+    expect(expired.status).toBe(401);
+    expect(expired.body.error).toBe('API token has expired');
+
+    const noScopes = await alice.post('/api/v1/tokens').send({ name: 'script', scopes: [] });
+    expect(noScopes.status).toBe(400);
+    expect(noScopes.body.code).toBe('bad_request');
+
+    const beyondRole = await alice.post('/api/v1/tokens').send({ name: 'script', scopes: ['system:backup'] });
+    expect(beyondRole.status).toBe(403);
+  });
+});
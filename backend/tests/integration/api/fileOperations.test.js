@@ -0,0 +1,180 @@
+process.env.SESSION_SECRET = 'test-session-secret';
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// Real schema in memory, storage in a temp directory, no drive checks
+const { createDatabase, createStorage, addUser, createApp, loginAs, cleanup } = require('../../helpers/environment');
+
+const cryptoService = require('../../../src/services/core/cryptoService');
+const { rowsFromResult, openFileRows, openSearchEntries } = require('../../../src/services/core/metadataService');
+
+const ALICE = 1;
+const BOB = 2;
+const CONTENT = 'quarterly numbers\n'.repeat(5000);
+
+describe('File rename, move and copy', () => {
+  let app;
+  let db;
+  let storage;
+  let keys;
+  let alice;
+  let bob;
+
+  async function upload(filename, content = CONTENT) {
+    await alice.post('/files/upload').attach('file', Buffer.from(content), { filename, contentType: 'text/plain' }).expect(302);
+    return db.exec('SELECT MAX(id) FROM files')[0].values[0][0];
+  }
+
+  async function createFolder(name) {
+    const response = await alice.post('/api/folders').send({ name });
+    expect(response.status).toBe(201);
+    return response.body.folder.id;
+  }
+
+  function fileRow(id) {
+    const [row] = rowsFromResult(db.exec('SELECT * FROM files WHERE id = ?', [id]));
+    return openFileRows(keys[ALICE], [row])[0];
+  }
+
+  function logged(table) {
+    return rowsFromResult(db.exec(`SELECT action, resource_id, details FROM ${table} ORDER BY id`));
+  }
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    storage = await createStorage();
+
+    keys = { [ALICE]: cryptoService.generateDataKey(), [BOB]: cryptoService.generateDataKey() };
+    addUser({ username: 'alice' }, keys[ALICE]);
+    addUser({ username: 'bob' }, keys[BOB]);
+
+    app = createApp({
+      routes: [
+        ['/api', require('../../../src/routes/api')],
+        ['/files', require('../../../src/routes/files')]
+      ]
+    });
+
+    alice = await loginAs(app, ALICE, keys[ALICE]);
+    bob = await loginAs(app, BOB, keys[BOB]);
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('should rename and move a file and keep the search index in step', async () => {
+    const id = await upload('draft.txt');
+    const reports = await createFolder('Reports');
+
+    const renamed = await alice.patch(`/api/files/${id}`).send({ filename: 'final.txt' });
+    expect(renamed.status).toBe(200);
+    expect(renamed.body.changes).toEqual(['filename']);
+    expect(fileRow(id).filename).toBe('final.txt');
+    // Stored sealed, searchable by the new name
+    expect(db.exec('SELECT filename FROM files WHERE id = ?', [id])[0].values[0][0]).toMatch(/^pcm1:/);
+    const [entry] = openSearchEntries(keys[ALICE], rowsFromResult(db.exec('SELECT * FROM search_index')));
+    expect(entry.title).toBe('final.txt');
+
+    const moved = await alice.patch(`/api/files/${id}`).send({ folderId: reports });
+    expect(moved.status).toBe(200);
+    expect(moved.body.changes).toEqual(['folderId']);
+    expect((await alice.get(`/api/folders/${reports}`)).body.files.map(file => file.filename)).toEqual(['final.txt']);
+
+    // Logged by ID only - names are encrypted metadata
+    expect(logged('activity_log').map(row => row.action)).toEqual(['rename', 'move']);
+    expect(logged('audit_logs').map(row => row.action)).toEqual(['file.rename', 'file.move']);
+    expect(JSON.parse(logged('audit_logs')[1].details)).toEqual({ from: null, to: reports });
+    expect(JSON.stringify(logged('audit_logs'))).not.toContain('final');
+
+    // Browser form back to the top level
+    const form = await alice.post(`/files/${id}/move`).type('form').send({ folderId: '' });
+    expect(form.status).toBe(302);
+    expect(form.headers.location).toBe(`/files/browse/${reports}`);
+    expect(fileRow(id).folder_id).toBeNull();
+  });
+
+  it('should reject bad names, unknown folders and other users', async () => {
+    const id = await upload('notes.txt');
+
+    expect((await alice.patch(`/api/files/${id}`).send({ filename: '../notes.txt' })).status).toBe(400);
+    expect((await alice.patch(`/api/files/${id}`).send({ filename: '  ' })).status).toBe(400);
+    expect((await alice.patch(`/api/files/${id}`).send({})).status).toBe(400);
+    expect((await alice.patch(`/api/files/${id}`).send({ folderId: 'x' })).status).toBe(400);
+    expect((await alice.patch(`/api/files/${id}`).send({ folderId: 999 })).status).toBe(404);
+    expect((await alice.post(`/api/files/${id}/copy`).send({ folderId: 999 })).status).toBe(404);
+
+    expect((await bob.patch(`/api/files/${id}`).send({ filename: 'mine.txt' })).status).toBe(404);
+    expect((await bob.post(`/api/files/${id}/copy`)).status).toBe(404);
+
+    expect(fileRow(id).filename).toBe('notes.txt');
+    expect(logged('audit_logs')).toEqual([]);
+  });
+
+  it('should copy a file under a new key and decrypt it to the same bytes', async () => {
+    const id = await upload('budget.txt');
+    const archive = await createFolder('Archive');
+
+    const copy = await alice.post(`/api/files/${id}/copy`);
+    expect(copy.status).toBe(201);
+    expect(copy.body.file).toEqual(expect.objectContaining({ filename: 'budget (copy).txt', folder_id: null, size: CONTENT.length }));
+
+    const elsewhere = await alice.post(`/api/files/${id}/copy`).send({ folderId: archive });
+    expect(elsewhere.status).toBe(201);
+    expect(elsewhere.body.file.filename).toBe('budget.txt');
+
+    const source = fileRow(id);
+    for (const { id: copyId } of [copy.body.file, elsewhere.body.file]) {
+      const row = fileRow(copyId);
+      expect(row.key_id).not.toBe(source.key_id);
+      expect(row.filepath).not.toBe(source.filepath);
+      expect(row.format_version).toBe(cryptoService.FORMAT_SEGMENTED);
+      expect(row.mimetype).toBe('text/plain');
+
+      const download = await alice.get(`/files/download/${copyId}`).buffer(true).parse((res, done) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => done(null, Buffer.concat(chunks)));
+      });
+      expect(download.status).toBe(200);
+      expect(download.body.toString()).toBe(CONTENT);
+    }
+
+    // Different ciphertext, no .tmp left behind
+    const stored = fs.readdirSync(path.join(storage, 'user_1'));
+    expect(stored).toHaveLength(3);
+    const [a, b] = [source, fileRow(copy.body.file.id)].map(row => fs.readFileSync(path.join(storage, 'user_1', row.filepath)));
+    expect(a.equals(b)).toBe(false);
+
+    expect(logged('audit_logs').map(row => [row.action, row.resource_id])).toEqual([
+      ['file.copy', copy.body.file.id],
+      ['file.copy', elsewhere.body.file.id]
+    ]);
+    expect(JSON.parse(logged('activity_log')[1].details)).toEqual({ source: id, folderId: archive });
+    expect(db.exec('SELECT COUNT(*) FROM search_index')[0].values[0][0]).toBe(2);
+  });
+
+  it('should re-encrypt legacy plaintext files when copying them', async () => {
+    await fs.outputFile(path.join(storage, 'user_1', 'old.txt'), 'from before encryption');
+    db.run(
+      "INSERT INTO files (user_id, filename, filepath, size, mimetype) VALUES (?, 'old.txt', 'old.txt', 22, 'text/plain')",
+      [ALICE]
+    );
+
+    const form = await alice.post('/files/1/copy');
+    expect(form.status).toBe(302);
+    expect(form.headers.location).toBe('/files/browse');
+
+    const copy = fileRow(2);
+    expect(copy.encrypted).toBe(1);
+    expect(copy.filename).toBe('old (copy).txt');
+    const download = await alice.get('/files/download/2');
+    expect(download.text).toBe('from before encryption');
+
+    // A source that doesn't match its recorded size is not copied
+    db.run('UPDATE files SET size = 5 WHERE id = 1');
+    expect((await alice.post('/api/files/1/copy')).status).toBe(500);
+    expect(fs.readdirSync(path.join(storage, 'user_1'))).toHaveLength(2);
+  });
+});
@@ -0,0 +1,166 @@
+process.env.SESSION_SECRET = 'test-session-secret';
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// Real schema in memory, storage in a temp directory, no drive checks
+const { createDatabase, createStorage, addUser, createApp, loginAs, cleanup } = require('../../helpers/environment');
+
+const cryptoService = require('../../../src/services/core/cryptoService');
+const { rowsFromResult } = require('../../../src/services/core/metadataService');
+
+const ALICE = 1;
+const BOB = 2;
+
+describe('File versions', () => {
+  let app;
+  let db;
+  let storage;
+  let keys;
+  let alice;
+  let bob;
+
+  async function upload(filename, content, folderId = null) {
+    const form = alice.post('/files/upload');
+    if (folderId) {
+      form.field('folderId', String(folderId));
+    }
+    await form.attach('file', Buffer.from(content), { filename, contentType: 'text/plain' }).expect(302);
+    return db.exec('SELECT MAX(id) FROM files')[0].values[0][0];
+  }
+
+  async function versions(fileId) {
+    const response = await alice.get(`/api/files/${fileId}/versions`);
+    expect(response.status).toBe(200);
+    return response.body.versions.map(version => version.version);
+  }
+
+  function blobs(userId = ALICE) {
+    return fs.readdirSync(path.join(storage, `user_${userId}`)).filter(name => name.endsWith('.enc'));
+  }
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    storage = await createStorage();
+
+    keys = { [ALICE]: cryptoService.generateDataKey(), [BOB]: cryptoService.generateDataKey() };
+    addUser({ username: 'alice' }, keys[ALICE]);
+    addUser({ username: 'bob' }, keys[BOB]);
+
+    app = createApp({
+      routes: [
+        ['/api', require('../../../src/routes/api')],
+        ['/files', require('../../../src/routes/files')]
+      ]
+    });
+
+    alice = await loginAs(app, ALICE, keys[ALICE]);
+    bob = await loginAs(app, BOB, keys[BOB]);
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('should keep the older blob when a file is uploaded again under the same name', async () => {
+    const id = await upload('notes.txt', 'first draft');
+    expect(await upload('notes.txt', 'second draft, longer')).toBe(id);
+
+    // One file, two encrypted blobs
+    expect(db.exec('SELECT COUNT(*) FROM files')[0].values[0][0]).toBe(1);
+    expect(blobs()).toHaveLength(2);
+    for (const blob of blobs()) {
+      expect(fs.readFileSync(path.join(storage, `user_${ALICE}`, blob), 'utf8')).not.toContain('draft');
+    }
+
+    const list = await alice.get(`/api/files/${id}/versions`);
+    expect(list.body.versions).toEqual([
+      expect.objectContaining({ version: 2, size: 20, isCurrent: true, replaced_at: null }),
+      expect.objectContaining({ version: 1, size: 11, isCurrent: false })
+    ]);
+    expect(list.body.retention).toEqual({ keepVersions: 10, keepDays: null });
+
+    const older = await alice.get(`/api/files/${id}/versions/1`);
+    expect(older.status).toBe(200);
+    expect(older.text).toBe('first draft');
+    expect(older.headers['content-disposition']).toContain('notes (v1).txt');
+    expect((await alice.get(`/api/files/${id}/versions/2`)).text).toBe('second draft, longer');
+    expect((await alice.get(`/api/files/${id}/versions/3`)).status).toBe(404);
+    expect((await alice.get(`/api/files/${id}/versions/0`)).status).toBe(400);
+
+    // Versions count against storage
+    expect((await alice.get('/api/versions/retention')).body.usage).toEqual({ count: 1, size: 11 });
+
+    // Same name in another folder is a file of its own
+    const folder = (await alice.post('/api/folders').send({ name: 'Other' })).body.folder.id;
+    expect(await upload('notes.txt', 'elsewhere', folder)).not.toBe(id);
+
+    // Other users see nothing
+    expect((await bob.get(`/api/files/${id}/versions`)).status).toBe(404);
+    expect((await bob.get(`/api/files/${id}/versions/1`)).status).toBe(404);
+  });
+
+  it('should restore and delete older versions', async () => {
+    const id = await upload('plan.txt', 'version one');
+    await upload('plan.txt', 'version two');
+
+    const restored = await alice.post(`/api/files/${id}/versions/1/restore`);
+    expect(restored.status).toBe(200);
+    expect(restored.body.version).toBe(3);
+    expect(await versions(id)).toEqual([3, 2]);
+    expect((await alice.get(`/api/files/${id}/versions/3`)).text).toBe('version one');
+    expect(blobs()).toHaveLength(2);
+
+    expect((await alice.delete(`/api/files/${id}/versions/3`)).status).toBe(400);
+    expect((await bob.delete(`/api/files/${id}/versions/2`)).status).toBe(404);
+    expect((await alice.delete(`/api/files/${id}/versions/2`)).status).toBe(200);
+    expect(await versions(id)).toEqual([3]);
+    expect(blobs()).toHaveLength(1);
+
+    const audited = rowsFromResult(db.exec("SELECT action, resource_id FROM audit_logs WHERE action LIKE 'file.version.%' ORDER BY id"));
+    expect(audited).toEqual([
+      { action: 'file.version.restore', resource_id: id },
+      { action: 'file.version.delete', resource_id: id }
+    ]);
+
+    // Trash keeps the history, deleting the file for good takes it with it
+    await upload('plan.txt', 'version four');
+    const history = () => db.exec('SELECT COUNT(*) FROM file_versions')[0].values[0][0];
+    const kept = history();
+    expect((await alice.post(`/files/delete/${id}`)).status).toBe(302);
+    expect(history()).toBe(kept);
+    expect((await alice.post('/files/trash/empty')).status).toBe(302);
+    expect(history()).toBe(0);
+    expect(blobs()).toHaveLength(0);
+  });
+
+  it('should prune versions past the retention policy', async () => {
+    expect((await alice.put('/api/versions/retention').send({ keepVersions: null, keepDays: null })).status).toBe(400);
+    expect((await alice.put('/api/versions/retention').send({ keepVersions: 0 })).status).toBe(400);
+
+    const id = await upload('log.txt', 'a');
+    for (const content of ['b', 'c', 'd']) {
+      await upload('log.txt', content);
+    }
+    expect(await versions(id)).toEqual([4, 3, 2, 1]);
+
+    // Keeping 2 versions leaves the current one and the one before it
+    const policy = await alice.put('/api/versions/retention').send({ keepVersions: 2 });
+    expect(policy.status).toBe(200);
+    expect(policy.body).toEqual({ retention: { keepVersions: 2, keepDays: null }, removed: 2, usage: { count: 1, size: 1 } });
+    expect(await versions(id)).toEqual([4, 3]);
+    expect(blobs()).toHaveLength(2);
+
+    await upload('log.txt', 'e');
+    expect(await versions(id)).toEqual([5, 4]);
+
+    // Versions replaced long ago go, however few there are
+    db.run("UPDATE file_versions SET replaced_at = datetime('now', '-40 days')");
+    const byAge = await alice.put('/api/versions/retention').send({ keepVersions: null, keepDays: 30 });
+    expect(byAge.body.removed).toBe(1);
+    expect(await versions(id)).toEqual([5]);
+
+    // Bob's policy is his own
+    expect((await bob.get('/api/versions/retention')).body.retention).toEqual({ keepVersions: 10, keepDays: null });
+  });
+});
@@ -0,0 +1,128 @@
+process.env.SESSION_SECRET = 'test-session-secret';
+process.env.MAX_UPLOAD_SIZE = String(1024 * 1024);
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// Real schema in memory, storage in a temp directory, no drive checks
+const { createDatabase, createStorage, addUser, createApp, loginAs, cleanup } = require('../../helpers/environment');
+
+const cryptoService = require('../../../src/services/core/cryptoService');
+const { listFolders } = require('../../../src/services/core/folderService');
+
+describe('Folder upload', () => {
+  let app;
+  let db;
+  let storage;
+  let dataKey;
+  let agent;
+
+  function uploadFolder(files, fields = {}) {
+    const req = agent.post('/files/upload-folder').set('Accept', 'application/json');
+    for (const [name, value] of Object.entries(fields)) {
+      req.field(name, value);
+    }
+    for (const [filepath, content, contentType] of files) {
+      req.attach('files', Buffer.from(content), { filepath, contentType });
+    }
+    return req;
+  }
+
+  // Folder path of every file, by its decrypted name
+  function fileLocations() {
+    const folders = new Map(listFolders(1, dataKey).map(folder => [folder.id, folder]));
+    const pathOf = (id) => {
+      const folder = folders.get(id);
+      return folder ? [...pathOf(folder.parent_id), folder.name] : [];
+    };
+    const rows = db.exec('SELECT id, folder_id FROM files ORDER BY id');
+    return rows.length === 0 ? [] : rows[0].values.map(([id, folderId]) => [id, pathOf(folderId).join('/')]);
+  }
+
+  function storedFiles() {
+    return fs.readdirSync(path.join(storage, 'user_1'));
+  }
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    storage = await createStorage();
+
+    dataKey = cryptoService.generateDataKey();
+    addUser({ username: 'alice' }, dataKey);
+
+    app = createApp({ routes: [['/files', require('../../../src/routes/files')]] });
+
+    agent = await loginAs(app, 1, dataKey);
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('should recreate the directory tree and file each upload in its folder', async () => {
+    const response = await uploadFolder([
+      ['Trip/notes.txt', 'packing list', 'text/plain'],
+      ['Trip/Day 1/beach.jpg', 'not really a jpeg', 'image/jpeg'],
+      ['Trip/Day 1/Night/stars.png', 'pixels', 'image/png']
+    ]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.uploaded.map(file => file.path)).toEqual(['Trip/notes.txt', 'Trip/Day 1/beach.jpg', 'Trip/Day 1/Night/stars.png']);
+    expect(response.body.failed).toEqual([]);
+    expect(response.body.foldersCreated).toBe(3);
+    expect(fileLocations().map(([, location]) => location)).toEqual(['Trip', 'Trip/Day 1', 'Trip/Day 1/Night']);
+
+    // Folder names are encrypted like filenames
+    const names = db.exec('SELECT name FROM folders')[0].values.map(([name]) => name);
+    expect(names.every(name => name.startsWith('pcm1:'))).toBe(true);
+
+    const beach = response.body.uploaded[1];
+    const download = await agent.get(`/files/download/${beach.id}`);
+    expect(download.status).toBe(200);
+    expect(download.headers['content-disposition']).toContain('beach.jpg');
+
+    // Uploading into the same tree again reuses the folders
+    const again = await uploadFolder([['Trip/Day 1/shells.jpg', 'more', 'image/jpeg']]);
+    expect(again.body.foldersCreated).toBe(0);
+    expect(fileLocations().pop()[1]).toBe('Trip/Day 1');
+  });
+
+  it('should report rejected files without failing the rest', async () => {
+    const response = await uploadFolder([
+      ['Backup/readme.txt', 'keep', 'text/plain'],
+      ['Backup/setup.exe', 'MZ', 'application/x-msdownload'],
+      ['Backup/huge.zip', Buffer.alloc(1024 * 1024 + 1), 'application/zip'],
+      ['Backup/../../escape.txt', 'out', 'text/plain'],
+      ['Backup/Docs/plan.pdf', 'plan', 'application/pdf']
+    ]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.uploaded.map(file => file.path)).toEqual(['Backup/readme.txt', 'Backup/Docs/plan.pdf']);
+    expect(response.body.failed).toEqual([
+      { path: 'Backup/setup.exe', error: 'File type not allowed' },
+      { path: 'Backup/huge.zip', error: 'File too large. Maximum size is 1MB' },
+      { path: '../escape.txt', error: 'Invalid file path' }
+    ]);
+
+    // Only the two stored files are left - no .tmp or orphaned .enc
+    expect(storedFiles()).toHaveLength(2);
+    expect(storedFiles().every(name => name.endsWith('.enc'))).toBe(true);
+  });
+
+  it('should upload into an existing folder of the user only', async () => {
+    await uploadFolder([['Photos/a.jpg', 'a', 'image/jpeg']]);
+    const [photos] = listFolders(1, dataKey);
+
+    const into = await uploadFolder([['2024/b.jpg', 'b', 'image/jpeg']], { folderId: photos.id });
+    expect(into.status).toBe(200);
+    expect(fileLocations().pop()[1]).toBe('Photos/2024');
+
+    const missing = await uploadFolder([['c.jpg', 'c', 'image/jpeg']], { folderId: 999 });
+    expect(missing.status).toBe(404);
+    expect(storedFiles()).toHaveLength(2);
+
+    const nothing = await uploadFolder([['tool.exe', 'MZ', 'application/x-msdownload']]);
+    expect(nothing.status).toBe(400);
+    expect(nothing.body.success).toBe(false);
+  });
+});
@@ -0,0 +1,214 @@
+process.env.SESSION_SECRET = 'test-session-secret';
+
+// Real schema in memory, storage in a temp directory, no drive checks
+const { createDatabase, createStorage, addUser, createApp, loginAs, cleanup } = require('../../helpers/environment');
+
+const cryptoService = require('../../../src/services/core/cryptoService');
+const { sealFileMetadata } = require('../../../src/services/core/metadataService');
+
+const ALICE = 1;
+const BOB = 2;
+
+describe('Folders', () => {
+  let app;
+  let db;
+  let keys;
+  let alice;
+  let bob;
+
+  async function createFolder(name, parentId) {
+    const response = await alice.post('/api/folders').send({ name, parentId });
+    expect(response.status).toBe(201);
+    return response.body.folder.id;
+  }
+
+  function addFile(folderId, filename) {
+    const metadata = sealFileMetadata(keys[ALICE], { filename, mimetype: 'text/plain' });
+    db.run(
+      'INSERT INTO files (user_id, folder_id, filename, filepath, size, mimetype, meta_encrypted) VALUES (?, ?, ?, ?, 4, ?, 1)',
+      [ALICE, folderId, metadata.filename, `${filename}.enc`, metadata.mimetype]
+    );
+  }
+
+  function share(folderId, permission = 'view') {
+    db.run(
+      "INSERT INTO shares (user_id, shared_with_user_id, resource_type, resource_id, permission) VALUES (?, ?, 'folder', ?, ?)",
+      [ALICE, BOB, folderId, permission]
+    );
+  }
+
+  function names(list) {
+    return list.map(item => item.name);
+  }
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    await createStorage();
+
+    keys = { [ALICE]: cryptoService.generateDataKey(), [BOB]: cryptoService.generateDataKey() };
+    addUser({ username: 'alice' }, keys[ALICE]);
+    addUser({ username: 'bob' }, keys[BOB]);
+
+    app = createApp({
+      routes: [
+        ['/api', require('../../../src/routes/api')],
+        ['/files', require('../../../src/routes/files')]
+      ]
+    });
+
+    alice = await loginAs(app, ALICE, keys[ALICE]);
+    bob = await loginAs(app, BOB, keys[BOB]);
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('should create nested folders and list them with breadcrumbs', async () => {
+    const projects = await createFolder('Projects');
+    const year = await createFolder('2024', projects);
+    const quarter = await createFolder('Q1', year);
+    addFile(quarter, 'plan.txt');
+
+    const contents = await alice.get(`/api/folders/${quarter}`);
+    expect(contents.status).toBe(200);
+    expect(contents.body.permission).toBe('owner');
+    expect(contents.body.breadcrumbs).toEqual([
+      { id: projects, name: 'Projects' },
+      { id: year, name: '2024' },
+      { id: quarter, name: 'Q1' }
+    ]);
+    expect(contents.body.files.map(file => file.filename)).toEqual(['plan.txt']);
+
+    const top = await alice.get('/api/folders');
+    expect(names(top.body.folders)).toEqual(['Projects']);
+    expect(top.body.breadcrumbs).toEqual([]);
+
+    // Folder names are encrypted like filenames
+    const stored = db.exec('SELECT name FROM folders')[0].values.map(([name]) => name);
+    expect(stored.every(name => name.startsWith('pcm1:'))).toBe(true);
+
+    // The same page for the browser
+    const page = await alice.get(`/files/browse/${quarter}`);
+    expect(page.status).toBe(200);
+    expect(page.text).toContain(`href="/files/browse/${year}">2024</a>`);
+    expect(page.text).toContain('plan.txt');
+  });
+
+  it('should rename and move folders but not into themselves', async () => {
+    const projects = await createFolder('Projects');
+    const year = await createFolder('2024', projects);
+    await createFolder('Archive');
+
+    expect((await alice.post('/api/folders').send({ name: 'Projects' })).status).toBe(409);
+    expect((await alice.post('/api/folders').send({ name: '../up' })).status).toBe(400);
+    expect((await alice.get('/api/folders/abc')).status).toBe(400);
+
+    const renamed = await alice.patch(`/api/folders/${projects}`).send({ name: 'Work' });
+    expect(renamed.status).toBe(200);
+    expect(renamed.body.changes).toEqual(['name']);
+    expect((await alice.patch(`/api/folders/${projects}`).send({ name: 'Archive' })).status).toBe(409);
+
+    const intoChild = await alice.patch(`/api/folders/${projects}`).send({ parentId: year });
+    expect(intoChild.status).toBe(400);
+
+    const moved = await alice.patch(`/api/folders/${year}`).send({ parentId: null });
+    expect(moved.status).toBe(200);
+    expect(names((await alice.get('/api/folders')).body.folders)).toEqual(['2024', 'Archive', 'Work']);
+
+    // Browser form
+    const form = await alice.post(`/files/folders/${year}/rename`).type('form').send({ name: '2025' });
+    expect(form.status).toBe(302);
+    expect(form.headers.location).toBe('/files/browse');
+    expect(names((await alice.get('/api/folders')).body.folders)).toContain('2025');
+  });
+
+  it('should let shares on a parent folder reach nested folders', async () => {
+    const shared = await createFolder('Shared');
+    const inner = await createFolder('Inner', shared);
+    const deep = await createFolder('Deep', inner);
+    const secret = await createFolder('Secret');
+    addFile(inner, 'notes.txt');
+    share(shared);
+
+    const contents = await bob.get(`/api/folders/${inner}`);
+    expect(contents.status).toBe(200);
+    expect(contents.body.permission).toBe('view');
+    // Names are sealed under the owner's key - placeholders, and nothing above the share
+    expect(contents.body.breadcrumbs).toEqual([
+      { id: shared, name: `folder-${shared}` },
+      { id: inner, name: `folder-${inner}` }
+    ]);
+    expect(contents.body.folders).toEqual([expect.objectContaining({ id: deep, name: `folder-${deep}`, metadataUnreadable: true })]);
+    expect(contents.body.files[0]).toEqual(expect.objectContaining({ filename: expect.stringMatching(/^file-/), mimetype: null }));
+
+    expect((await bob.get(`/api/folders/${secret}`)).status).toBe(404);
+    expect(names((await bob.get('/api/folders')).body.folders)).toEqual([]);
+
+    // Viewers can't delete, only an editor with an edit share can
+    expect((await bob.delete(`/api/folders/${deep}`)).status).toBe(403);
+    db.run("UPDATE users SET role = 'editor' WHERE id = ?", [BOB]);
+    expect((await bob.delete(`/api/folders/${deep}`)).status).toBe(403);
+    db.run("UPDATE shares SET permission = 'edit'");
+    expect((await bob.delete(`/api/folders/${deep}`)).status).toBe(200);
+
+    // Creating and renaming need the owner's key
+    expect((await bob.post('/api/folders').send({ name: 'Mine', parentId: inner })).status).toBe(403);
+    expect((await bob.patch(`/api/folders/${inner}`).send({ name: 'Renamed' })).status).toBe(403);
+  });
+
+  it('should move a folder to trash with everything in it and restore it', async () => {
+    const photos = await createFolder('Photos');
+    const trip = await createFolder('Trip', photos);
+    await createFolder('Other');
+    addFile(photos, 'cover.jpg');
+    addFile(trip, 'beach.jpg');
+
+    const deleted = await alice.delete(`/api/folders/${photos}`);
+    expect(deleted.status).toBe(200);
+    expect(deleted.body).toEqual(expect.objectContaining({ folders: 2, files: 2, parentId: null }));
+
+    expect(names((await alice.get('/api/folders')).body.folders)).toEqual(['Other']);
+    expect((await alice.get(`/api/folders/${trip}`)).status).toBe(404);
+    expect(db.exec('SELECT COUNT(*) FROM files WHERE trashed_at IS NULL')[0].values[0][0]).toBe(0);
+    expect((await alice.delete(`/api/folders/${photos}`)).status).toBe(404);
+
+    const restored = await alice.post(`/api/folders/${photos}/restore`);
+    expect(restored.status).toBe(200);
+    expect(restored.body).toEqual(expect.objectContaining({ folders: 2, files: 2 }));
+    expect((await alice.get(`/api/folders/${trip}`)).body.files.map(file => file.filename)).toEqual(['beach.jpg']);
+
+    // Browser form goes back to the parent
+    const form = await alice.post(`/files/folders/${trip}/delete`);
+    expect(form.status).toBe(302);
+    expect(form.headers.location).toBe(`/files/browse/${photos}`);
+  });
+
+  it('should page through files with sorting and filters', async () => {
+    const projects = await createFolder('Projects');
+    ['c.txt', 'a.txt', 'b.txt'].forEach(filename => addFile(projects, filename));
+    addFile(null, 'top.txt');
+
+    const first = await alice.get(`/api/folders/${projects}`).query({ sort: 'name', limit: 2 });
+    expect(first.status).toBe(200);
+    expect(first.body.files.map(file => file.filename)).toEqual(['a.txt', 'b.txt']);
+    expect(first.body.totalFiles).toBe(3);
+
+    const second = await alice.get(`/api/folders/${projects}`).query({ sort: 'name', limit: 2, cursor: first.body.nextCursor });
+    expect(second.body.files.map(file => file.filename)).toEqual(['c.txt']);
+    expect(second.body.nextCursor).toBeNull();
+    expect((await alice.get('/api/folders').query({ sort: 'owner' })).status).toBe(400);
+
+    // The JSON variant of /files lists every folder
+    const all = await alice.get('/files').set('Accept', 'application/json').query({ sort: 'size', mimetype: 'text' });
+    expect(all.status).toBe(200);
+    expect(all.body).toMatchObject({ total: 4, nextCursor: null });
+    expect((await alice.get('/files').set('Accept', 'application/json').query({ from: 'soon' })).status).toBe(400);
+
+    const page = await alice.get(`/files/browse/${projects}`).query({ sort: 'name', limit: 1 });
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('a.txt');
+    expect(page.text).not.toContain('b.txt');
+    expect(page.text).toMatch(/href="\/files\/browse\/\d+\?sort=name&amp;limit=1&amp;cursor=[\w-]+"/);
+  });
+});
@@ -0,0 +1,209 @@
+process.env.SESSION_SECRET = 'test-session-secret';
+
+const request = require('supertest');
+
+// Real schema in memory, storage in a temp directory, no drive checks
+const { createDatabase, createStorage, addUser, createApp, loginAs, cleanup } = require('../../helpers/environment');
+
+const cryptoService = require('../../../src/services/core/cryptoService');
+const { apiErrorHandler } = require('../../../src/middleware/apiErrors');
+const { scopeFor } = require('../../../src/middleware/apiToken');
+const { document } = require('../../../src/config/openapi');
+const { validate, contract } = require('../../helpers/openapiValidator');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Every "METHOD /path" the v1 router answers, with {} for path parameters
+function routerOperations(stack, prefix = '') {
+  return stack.flatMap(layer => {
+    if (layer.route) {
+      return [].concat(layer.route.path).flatMap(routePath => Object.keys(layer.route.methods)
+        .map(method => `${method.toUpperCase()} ${prefix}${routePath === '/' ? '' : routePath}`.replace(/:\w+/g, '{}')));
+    }
+    if (layer.name === 'router') {
+      // Mount path from the layer's pattern: /^\/files\/?(?=\/|$)/i -> /files
+      const mount = layer.regexp.fast_slash ? '' : /^\^(.*?)\\\/\?\(\?=/.exec(layer.regexp.source)[1].replace(/\\\//g, '/');
+      return routerOperations(layer.handle.stack, prefix + mount);
+    }
+    return [];
+  });
+}
+
+function documentedOperations() {
+  return Object.entries(document.paths).flatMap(([template, methods]) => Object.keys(methods)
+    .filter(method => METHODS.includes(method))
+    .map(method => `${method.toUpperCase()} ${template.replace(/\{\w+\}/g, '{}')}`));
+}
+
+function refs(node) {
+  if (!node || typeof node !== 'object') return [];
+  return Object.entries(node).flatMap(([key, value]) => (key === '$ref' ? [value] : refs(value)));
+}
+
+describe('OpenAPI document', () => {
+  describe('serving', () => {
+    const app = createApp({ routes: [['/api', require('../../../src/routes/openapi')]] });
+
+    it('should serve the document as JSON without a login', async () => {
+      const response = await request(app).get('/api/openapi.json');
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/application\/json/);
+      expect(response.body).toEqual(JSON.parse(JSON.stringify(document)));
+      expect(response.body.openapi).toMatch(/^3\./);
+    });
+
+    it('should render a docs page with every operation', async () => {
+      const response = await request(app).get('/api/docs');
+      expect(response.status).toBe(200);
+      for (const methods of Object.values(document.paths)) {
+        for (const operation of Object.values(methods)) {
+          expect(response.text).toContain(`id="${operation.operationId}"`);
+        }
+      }
+      expect(response.text).toContain('Token scope: <code>file:upload</code>');
+    });
+  });
+
+  describe('contents', () => {
+    it('should describe every route of API v1, and nothing else', () => {
+      const router = require('../../../src/routes/v1');
+      expect(documentedOperations().sort()).toEqual(routerOperations(router.stack).sort());
+    });
+
+    it('should resolve every $ref and name every operation once', () => {
+      for (const ref of refs(document)) {
+        const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], document);
+        expect({ ref, resolved: Boolean(target) }).toEqual({ ref, resolved: true });
+      }
+
+      const ids = Object.values(document.paths).flatMap(methods => Object.values(methods).map(operation => operation.operationId));
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    it('should declare each path parameter and an error for every failure', () => {
+      for (const [template, methods] of Object.entries(document.paths)) {
+        const names = (template.match(/\{\w+\}/g) || []).map(name => name.slice(1, -1));
+        for (const operation of Object.values(methods)) {
+          const declared = (operation.parameters || []).filter(parameter => parameter.in === 'path').map(parameter => parameter.name);
+          expect({ template, declared }).toEqual({ template, declared: names });
+          expect(operation.responses[500]).toBeDefined();
+        }
+      }
+    });
+
+    it('should give the scope a token needs, or keep the operation to browser sessions', () => {
+      for (const [template, methods] of Object.entries(document.paths)) {
+        for (const [method, operation] of Object.entries(methods)) {
+          const sample = template.replace(/\{\w+\}/g, '1');
+          expect({ template, method, scope: operation['x-token-scope'] || null })
+            .toEqual({ template, method, scope: scopeFor(method.toUpperCase(), sample) });
+          if (!operation['x-token-scope']) {
+            expect(operation.security).toBeDefined();
+            expect(operation.security.some(requirement => requirement.apiToken)).toBe(false);
+          }
+        }
+      }
+    });
+
+    it('should only allow the error shape the API sends', () => {
+      const error = { $ref: '#/components/schemas/Error' };
+      expect(validate(document, error, { error: 'File not found', code: 'not_found' })).toEqual([]);
+      expect(validate(document, error, { error: 'Bad', code: 'bad_request', details: { field: 'name' } })).toEqual([]);
+      expect(validate(document, error, { success: false, error: 'File not found' })).toEqual([
+        'value.code: is required',
+        'value.success: is not allowed'
+      ]);
+    });
+  });
+
+  describe('contract', () => {
+    let app;
+    let checker;
+    let alice;
+    let dataKey;
+
+    function upload(filename, content, folderId) {
+      const form = alice.post('/api/v1/files/upload');
+      if (folderId) {
+        form.field('folderId', String(folderId));
+      }
+      return form.attach('file', Buffer.from(content), { filename, contentType: 'text/plain' });
+    }
+
+    beforeEach(async () => {
+      await createDatabase();
+      await createStorage();
+
+      dataKey = cryptoService.generateDataKey();
+      addUser({ username: 'alice', role: 'editor' }, dataKey);
+
+      checker = contract(document);
+      app = createApp({ routes: [['/api/v1', checker, require('../../../src/routes/v1'), apiErrorHandler]] });
+
+      alice = await loginAs(app, 1, dataKey);
+    });
+
+    afterEach(async () => {
+      expect(checker.violations).toEqual([]);
+      await cleanup();
+    });
+
+    it('should answer files and folders as documented', async () => {
+      const folder = await alice.post('/api/v1/folders').send({ name: 'Documents', color: '#3498db' });
+      expect(folder.status).toBe(201);
+      const folderId = folder.body.folder.id;
+
+      const first = await upload('notes.txt', 'first draft', folderId).expect(201);
+      await upload('notes.txt', 'second draft', folderId).expect(200);
+      const fileId = first.body.file.id;
+
+      await alice.get(`/api/v1/folders/${folderId}`).query({ sort: 'name', limit: 10 }).expect(200);
+      await alice.get('/api/v1/folders').expect(200);
+      await alice.get('/api/v1/files').query({ mimetype: 'text', order: 'asc' }).expect(200);
+      await alice.get('/api/v1/files/dashboard').expect(200);
+      await alice.get(`/api/v1/files/download/${fileId}`).expect(200);
+
+      await alice.patch(`/api/v1/files/${fileId}`).send({ filename: 'draft.txt', folderId: null }).expect(200);
+      await alice.post(`/api/v1/files/${fileId}/copy`).send({ folderId }).expect(201);
+      await alice.patch(`/api/v1/folders/${folderId}`).send({ name: 'Docs', description: 'Papers' }).expect(200);
+
+      // Errors are documented too
+      await alice.get('/api/v1/files/download/999').expect(404);
+      await alice.post('/api/v1/folders').send({}).expect(400);
+      await alice.get('/api/v1/files').query({ limit: 0 }).expect(400);
+      await request(app).get('/api/v1/auth/me').expect(401);
+    });
+
+    it('should answer versions, trash and retention as documented', async () => {
+      const first = await upload('notes.txt', 'first draft').expect(201);
+      await upload('notes.txt', 'second draft').expect(200);
+      const fileId = first.body.file.id;
+
+      const versions = await alice.get(`/api/v1/files/${fileId}/versions`).expect(200);
+      expect(versions.body.versions).toHaveLength(2);
+      await alice.get(`/api/v1/files/${fileId}/versions/1`).expect(200);
+      await alice.post(`/api/v1/files/${fileId}/versions/1/restore`).expect(200);
+      await alice.delete(`/api/v1/files/${fileId}/versions/2`).expect(200);
+      await alice.get('/api/v1/versions/retention').expect(200);
+      await alice.put('/api/v1/versions/retention').send({ keepVersions: 5, keepDays: null }).expect(200);
+
+      const folder = await alice.post('/api/v1/folders').send({ name: 'Old' }).expect(201);
+      await alice.delete(`/api/v1/folders/${folder.body.folder.id}`).expect(200);
+      await alice.post(`/api/v1/trash/${fileId}`).expect(200);
+
+      const trash = await alice.get('/api/v1/trash').query({ limit: 10 }).expect(200);
+      expect(trash.body.files).toHaveLength(1);
+      expect(trash.body.folders).toHaveLength(1);
+      await alice.get('/api/v1/trash/stats').expect(200);
+      await alice.get('/api/v1/trash/retention').expect(200);
+      await alice.put('/api/v1/trash/retention').send({ days: 7 }).expect(200);
+      await alice.put('/api/v1/trash/retention').send({ days: 0 }).expect(400);
+
+      await alice.post(`/api/v1/trash/${fileId}/restore`).expect(200);
+      await alice.post(`/api/v1/folders/${folder.body.folder.id}/restore`).expect(200);
+      await alice.delete(`/api/v1/files/${fileId}`).expect(200);
+      await alice.delete(`/api/v1/trash/${fileId}`).expect(200);
+      await alice.delete('/api/v1/trash').expect(200);
+    });
+  });
+});
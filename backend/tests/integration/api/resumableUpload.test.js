@@ -0,0 +1,215 @@
+process.env.SESSION_SECRET = 'test-session-secret';
+process.env.MAX_UPLOAD_SIZE = String(1024 * 1024);
+
+const request = require('supertest');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Real schema in memory, storage in a temp directory, no drive checks
+const { createDatabase, createStorage, addUser, createApp, loginAs, cleanup } = require('../../helpers/environment');
+
+const cryptoService = require('../../../src/services/core/cryptoService');
+const resumableUploadService = require('../../../src/services/core/resumableUploadService');
+const folderService = require('../../../src/services/core/folderService');
+const realtimeSyncService = require('../../../src/services/automation/realtimeSyncService');
+
+const SEGMENT = 64 * 1024;
+const TUS = { 'Tus-Resumable': '1.0.0' };
+
+function metadata(fields) {
+  return Object.entries(fields).map(([key, value]) => `${key} ${Buffer.from(value).toString('base64')}`).join(',');
+}
+
+describe('Resumable uploads (tus)', () => {
+  let app;
+  let db;
+  let storage;
+  let dataKey;
+  let agent;
+
+  async function createUpload(length, fields = { filename: 'holiday.pdf', filetype: 'application/pdf' }) {
+    return agent.post('/files/uploads').set(TUS)
+      .set('Upload-Length', String(length))
+      .set('Upload-Metadata', metadata(fields));
+  }
+
+  function patch(location, offset, chunk) {
+    return agent.patch(location).set(TUS)
+      .set('Upload-Offset', String(offset))
+      .set('Content-Type', 'application/offset+octet-stream')
+      .send(chunk);
+  }
+
+  function partFiles() {
+    const dir = path.join(storage, 'user_1', '.uploads');
+    return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+  }
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    storage = await createStorage();
+
+    dataKey = cryptoService.generateDataKey();
+    addUser({ username: 'alice' }, dataKey);
+
+    app = createApp({
+      routes: [
+        ['/files/uploads', require('../../../src/routes/uploads')],
+        ['/files', require('../../../src/routes/files')]
+      ]
+    });
+
+    agent = await loginAs(app, 1, dataKey);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanup();
+  });
+
+  it('should advertise tus 1.0 and reject other versions', async () => {
+    const options = await agent.options('/files/uploads');
+    expect(options.status).toBe(204);
+    expect(options.headers['tus-version']).toBe('1.0.0');
+    expect(options.headers['tus-extension']).toBe('creation,expiration,termination');
+    expect(options.headers['tus-max-size']).toBe(String(1024 * 1024));
+
+    const oldClient = await agent.post('/files/uploads').set('Tus-Resumable', '0.2.2').set('Upload-Length', '10');
+    expect(oldClient.status).toBe(412);
+  });
+
+  it('should keep a partial segment between chunks and store a normal encrypted file', async () => {
+    const progress = jest.spyOn(realtimeSyncService, 'updateUploadProgress');
+    const content = Buffer.alloc(3 * SEGMENT + 1000);
+    for (let i = 0; i < content.length; i++) {
+      content[i] = i % 251;
+    }
+
+    const created = await createUpload(content.length);
+    expect(created.status).toBe(201);
+    const location = created.headers.location;
+    expect(location).toMatch(/^\/files\/uploads\/[0-9a-f]{32}$/);
+    expect(created.headers['upload-expires']).toBeDefined();
+
+    // Every byte is acknowledged - the 5000 past the first segment wait in the tail
+    const first = await patch(location, 0, content.subarray(0, SEGMENT + 5000));
+    expect(first.status).toBe(204);
+    expect(first.headers['upload-offset']).toBe(String(SEGMENT + 5000));
+
+    const head = await agent.head(location).set(TUS);
+    expect(head.status).toBe(200);
+    expect(head.headers['upload-offset']).toBe(String(SEGMENT + 5000));
+    expect(head.headers['upload-length']).toBe(String(content.length));
+
+    // Nothing but ciphertext in the part file and the tail
+    const [part] = partFiles();
+    const partial = await fs.readFile(path.join(storage, 'user_1', '.uploads', part));
+    expect(partial.includes(content.subarray(0, 64))).toBe(false);
+    const tail = Buffer.from(db.exec('SELECT tail FROM upload_sessions')[0].values[0][0], 'hex');
+    expect(tail.length).toBe(cryptoService.IV_LENGTH + cryptoService.AUTH_TAG_LENGTH + 5000);
+    expect(tail.includes(content.subarray(SEGMENT, SEGMENT + 64))).toBe(false);
+
+    // Small chunks that never fill a segment on their own
+    const small = await patch(location, SEGMENT + 5000, content.subarray(SEGMENT + 5000, SEGMENT + 6000));
+    expect(small.headers['upload-offset']).toBe(String(SEGMENT + 6000));
+
+    const rest = await patch(location, SEGMENT + 6000, content.subarray(SEGMENT + 6000));
+    expect(rest.status).toBe(204);
+    expect(rest.headers['upload-offset']).toBe(String(content.length));
+
+    expect(partFiles()).toEqual([]);
+    expect(db.exec('SELECT COUNT(*) FROM upload_sessions')[0].values[0][0]).toBe(0);
+    const [[id, size, encrypted]] = db.exec('SELECT id, size, encrypted FROM files')[0].values;
+    expect([size, encrypted]).toEqual([content.length, 1]);
+
+    const download = await agent.get(`/files/download/${id}`).buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+    expect(download.status).toBe(200);
+    expect(download.headers['content-disposition']).toContain('holiday.pdf');
+    expect(download.body.equals(content)).toBe(true);
+
+    expect(progress).toHaveBeenLastCalledWith(location.split('/').pop(), 1, 100);
+  });
+
+  it('should keep what was received before a connection drops', async () => {
+    const content = Buffer.alloc(4 * SEGMENT, 'v');
+    const created = await createUpload(content.length, { filename: 'photos.zip', filetype: 'application/zip' });
+    const uploadId = created.headers.location.split('/').pop();
+
+    async function* droppedAfterTwoSegments() {
+      yield content.subarray(0, 2 * SEGMENT + 100);
+      throw new Error('aborted');
+    }
+
+    const upload = resumableUploadService.getUpload(1, uploadId);
+    const result = await resumableUploadService.appendChunk(upload, droppedAfterTwoSegments(), Buffer.from(dataKey));
+    expect(result.success).toBe(false);
+    expect(result.offset).toBe(2 * SEGMENT + 100);
+
+    const resumed = await patch(created.headers.location, 2 * SEGMENT + 100, content.subarray(2 * SEGMENT + 100));
+    expect(resumed.status).toBe(204);
+    expect(resumed.headers['upload-offset']).toBe(String(content.length));
+    expect(db.exec('SELECT size FROM files')[0].values[0][0]).toBe(content.length);
+  });
+
+  it('should put the file in the folder named in Upload-Metadata', async () => {
+    const { folder } = folderService.createFolder(1, { name: 'Holidays' }, dataKey);
+    const fields = { filename: 'beach.pdf', filetype: 'application/pdf', folderId: String(folder.id) };
+
+    const created = await createUpload(10, fields);
+    expect(created.status).toBe(201);
+    expect((await patch(created.headers.location, 0, Buffer.alloc(10, 'b'))).status).toBe(204);
+    expect(db.exec('SELECT folder_id FROM files')[0].values[0][0]).toBe(folder.id);
+
+    expect((await createUpload(10, { ...fields, folderId: '999' })).status).toBe(404);
+    expect((await createUpload(10, { ...fields, folderId: 'photos' })).status).toBe(400);
+
+    // A folder that went to trash during the upload leaves the file at the top level
+    const later = await createUpload(10, { ...fields, filename: 'dunes.pdf' });
+    await folderService.trashFolder(1, folder.id);
+    await patch(later.headers.location, 0, Buffer.alloc(10, 'd')).expect(204);
+    expect(db.exec('SELECT folder_id FROM files ORDER BY id')[0].values).toEqual([[folder.id], [null]]);
+  });
+
+  it('should reject bad creation and chunk requests', async () => {
+    expect((await createUpload(2 * 1024 * 1024)).status).toBe(413);
+    expect((await createUpload(10, { filename: 'tool.exe', filetype: 'application/x-msdownload' })).status).toBe(400);
+    expect((await agent.post('/files/uploads').set(TUS).set('Upload-Defer-Length', '1')).status).toBe(400);
+
+    const { headers } = await createUpload(10);
+    expect((await patch(headers.location, 5, Buffer.alloc(5))).status).toBe(409);
+    expect((await patch(headers.location, 0, Buffer.alloc(11))).status).toBe(413);
+    expect((await agent.patch(headers.location).set(TUS).set('Upload-Offset', '0')
+      .set('Content-Type', 'text/plain').send('0123456789')).status).toBe(415);
+
+    // Uploads belong to a logged-in session
+    const stranger = request.agent(app);
+    expect((await stranger.head(headers.location).set(TUS).set('Accept', 'application/json')).status).toBe(401);
+
+    expect((await agent.delete(headers.location).set(TUS)).status).toBe(204);
+    expect((await agent.head(headers.location).set(TUS)).status).toBe(404);
+    expect(partFiles()).toEqual([]);
+  });
+
+  it('should expire abandoned uploads and clean them up', async () => {
+    const { headers } = await createUpload(SEGMENT * 2);
+    await patch(headers.location, 0, Buffer.alloc(SEGMENT));
+    const stray = path.join(storage, 'user_1', '.uploads', 'deadbeef.part');
+    await fs.writeFile(stray, 'leftover');
+
+    db.run("UPDATE upload_sessions SET expires_at = '2000-01-01T00:00:00.000Z'");
+    expect((await agent.head(headers.location).set(TUS)).status).toBe(410);
+
+    const { headers: other } = await createUpload(SEGMENT);
+    db.run("UPDATE upload_sessions SET expires_at = '2000-01-01T00:00:00.000Z'");
+    const result = await resumableUploadService.cleanupExpiredUploads();
+
+    expect(result).toEqual({ success: true, removed: 2 });
+    expect(partFiles()).toEqual([]);
+    expect(resumableUploadService.getUpload(1, other.location.split('/').pop())).toBeNull();
+  });
+});
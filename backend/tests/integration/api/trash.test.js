@@ -0,0 +1,158 @@
+process.env.SESSION_SECRET = 'test-session-secret';
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// Real schema in memory, storage in a temp directory, no drive checks
+const { createDatabase, createStorage, addUser, createApp, loginAs, cleanup } = require('../../helpers/environment');
+
+const cryptoService = require('../../../src/services/core/cryptoService');
+const { rowsFromResult } = require('../../../src/services/core/metadataService');
+
+const ALICE = 1;
+const BOB = 2;
+
+describe('Trash', () => {
+  let app;
+  let db;
+  let storage;
+  let keys;
+  let alice;
+  let bob;
+
+  async function upload(filename, folderId = null) {
+    const form = alice.post('/files/upload');
+    if (folderId) {
+      form.field('folderId', String(folderId));
+    }
+    await form.attach('file', Buffer.from(`contents of ${filename}`), { filename, contentType: 'text/plain' }).expect(302);
+    return db.exec('SELECT MAX(id) FROM files')[0].values[0][0];
+  }
+
+  async function createFolder(name, parentId) {
+    const response = await alice.post('/api/folders').send({ name, parentId });
+    expect(response.status).toBe(201);
+    return response.body.folder.id;
+  }
+
+  async function listed(folderId) {
+    const response = await alice.get(folderId ? `/api/folders/${folderId}` : '/api/folders');
+    return response.body.files.map(file => file.filename);
+  }
+
+  function blobs() {
+    return fs.readdirSync(path.join(storage, `user_${ALICE}`)).filter(name => name.endsWith('.enc'));
+  }
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    storage = await createStorage();
+
+    keys = { [ALICE]: cryptoService.generateDataKey(), [BOB]: cryptoService.generateDataKey() };
+    addUser({ username: 'alice' }, keys[ALICE]);
+    addUser({ username: 'bob' }, keys[BOB]);
+
+    app = createApp({
+      routes: [
+        ['/api', require('../../../src/routes/api')],
+        ['/files', require('../../../src/routes/files')]
+      ]
+    });
+
+    alice = await loginAs(app, ALICE, keys[ALICE]);
+    bob = await loginAs(app, BOB, keys[BOB]);
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('should move deleted files to trash and restore them to their folder', async () => {
+    const reports = await createFolder('Reports');
+    const report = await upload('q1.txt', reports);
+    const notes = await upload('notes.txt');
+
+    // The browser form and the API both go to trash
+    expect((await alice.post(`/files/delete/${report}`)).status).toBe(302);
+    const deleted = await alice.delete(`/api/files/${notes}`);
+    expect(deleted.status).toBe(200);
+    expect((await alice.delete(`/api/files/${notes}`)).status).toBe(404);
+    expect((await bob.delete(`/api/files/${report}`)).status).toBe(404);
+
+    // Out of every listing, but nothing removed yet
+    expect(await listed(reports)).toEqual([]);
+    expect(await listed(null)).toEqual([]);
+    expect((await alice.get(`/files/download/${report}`)).status).toBe(404);
+    const dashboard = await alice.get('/files');
+    expect(dashboard.status).toBe(200);
+    expect(dashboard.text).not.toContain('notes.txt');
+    expect(blobs()).toHaveLength(2);
+
+    const trash = await alice.get('/api/trash');
+    expect(trash.status).toBe(200);
+    expect(trash.body.files.map(file => file.filename).sort()).toEqual(['notes.txt', 'q1.txt']);
+    expect(trash.body).toEqual(expect.objectContaining({ totalFiles: 2, totalFolders: 0, folders: [], retentionDays: 30 }));
+    expect((await bob.get('/api/trash')).body.files).toEqual([]);
+
+    const page = await alice.get('/files/trash');
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('q1.txt');
+
+    // Back where it was
+    const restored = await alice.post(`/api/trash/${report}/restore`);
+    expect(restored.body.folderId).toBe(reports);
+    expect(await listed(reports)).toEqual(['q1.txt']);
+
+    const form = await alice.post(`/files/trash/${notes}/restore`);
+    expect(form.headers.location).toBe('/files/browse');
+    expect(await listed(null)).toEqual(['notes.txt']);
+
+    const audited = db.exec("SELECT action FROM audit_logs WHERE action LIKE 'file.%' ORDER BY id")[0].values.flat();
+    expect(audited).toEqual(['file.trash', 'file.trash', 'file.restore', 'file.restore']);
+  });
+
+  it('should list a deleted folder once and purge for good', async () => {
+    const photos = await createFolder('Photos');
+    await upload('beach.jpg.txt', photos);
+    const loose = await upload('draft.txt');
+    await upload('draft.txt');
+
+    expect((await alice.delete(`/api/folders/${photos}`)).status).toBe(200);
+    await alice.delete(`/api/files/${loose}`);
+
+    const trash = await alice.get('/api/trash');
+    expect(trash.body.folders.map(folder => folder.name)).toEqual(['Photos']);
+    expect(trash.body.files.map(file => file.filename)).toEqual(['draft.txt']);
+    expect(trash.body).toEqual(expect.objectContaining({ totalFiles: 1, totalFolders: 1 }));
+    expect((await alice.get('/api/trash/stats')).body.stats).toEqual(expect.objectContaining({ files: 2, folders: 1 }));
+
+    // The file and its older version go
+    expect(blobs()).toHaveLength(3);
+    expect((await bob.delete(`/api/trash/${loose}`)).status).toBe(404);
+    expect((await alice.delete(`/api/trash/${loose}`)).status).toBe(200);
+    expect(blobs()).toHaveLength(1);
+    expect(db.exec('SELECT COUNT(*) FROM file_versions')[0].values[0][0]).toBe(0);
+
+    expect((await alice.post('/files/trash/empty')).headers.location).toBe('/files/trash');
+    expect(blobs()).toHaveLength(0);
+    expect(db.exec('SELECT COUNT(*) FROM folders')[0].values[0][0]).toBe(0);
+    expect((await alice.get('/files/trash')).text).toContain('Trash is empty');
+  });
+
+  it('should keep files in trash for the days each user chooses', async () => {
+    const id = await upload('old.txt');
+    await alice.delete(`/api/files/${id}`);
+    db.run("UPDATE files SET trashed_at = datetime('now', '-10 days')");
+
+    expect((await alice.put('/api/trash/retention').send({ days: 'soon' })).status).toBe(400);
+    const kept = await alice.put('/api/trash/retention').send({ days: 14 });
+    expect(kept.body).toEqual({ days: 14, removed: 0 });
+    expect((await alice.get('/api/trash/retention')).body.days).toBe(14);
+    expect((await bob.get('/api/trash/retention')).body.days).toBe(30);
+
+    const form = await alice.post('/files/trash/retention').type('form').send({ days: '7' });
+    expect(form.status).toBe(302);
+    expect(blobs()).toHaveLength(0);
+    expect(db.exec('SELECT COUNT(*) FROM files')[0].values[0][0]).toBe(0);
+  });
+});
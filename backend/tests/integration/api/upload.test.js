@@ -0,0 +1,127 @@
+process.env.SESSION_SECRET = 'test-session-secret';
+process.env.MAX_UPLOAD_SIZE = String(256 * 1024);
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// Real schema in memory, storage in a temp directory, no drive checks
+const { createDatabase, createStorage, addUser, createApp, loginAs, cleanup } = require('../../helpers/environment');
+
+const cryptoService = require('../../../src/services/core/cryptoService');
+const { sealFileMetadata } = require('../../../src/services/core/metadataService');
+
+const CONCURRENT_UPLOADS = 12;
+
+describe('File uploads', () => {
+  let app;
+  let db;
+  let storage;
+  let dataKey;
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    storage = await createStorage();
+
+    dataKey = cryptoService.generateDataKey();
+    addUser({ username: 'alice' }, dataKey);
+
+    app = createApp({ routes: [['/files', require('../../../src/routes/files')]] });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanup();
+  });
+
+  async function storedFiles() {
+    const userPath = path.join(storage, 'user_1');
+    return (await fs.pathExists(userPath)) ? fs.readdir(userPath) : [];
+  }
+
+  it('should only ever write ciphertext to the drive', async () => {
+    const writeStream = jest.spyOn(require('fs'), 'createWriteStream');
+    const agent = await loginAs(app, 1, dataKey);
+    const secret = Buffer.from('top secret plaintext '.repeat(4000));
+
+    const response = await agent.post('/files/upload')
+      .attach('file', secret, { filename: 'secret.txt', contentType: 'text/plain' });
+    expect(response.status).toBe(302);
+
+    const written = writeStream.mock.calls.map(([target]) => String(target));
+    expect(written).toHaveLength(1);
+    expect(written[0]).toMatch(/\.enc\.tmp$/);
+
+    const [stored] = await storedFiles();
+    expect(stored).toMatch(/\.enc$/);
+    const onDisk = await fs.readFile(path.join(storage, 'user_1', stored));
+    expect(onDisk.includes('top secret')).toBe(false);
+    expect(db.exec('SELECT size FROM files')[0].values[0][0]).toBe(secret.length);
+  });
+
+  it('should stop oversized and disallowed uploads mid-stream', async () => {
+    const agent = await loginAs(app, 1, dataKey);
+
+    const tooLarge = await agent.post('/files/upload')
+      .attach('file', Buffer.alloc(300 * 1024, 'a'), { filename: 'big.txt', contentType: 'text/plain' });
+    expect(tooLarge.status).toBe(400);
+    expect(tooLarge.body.error).toMatch(/too large/);
+
+    const disallowed = await agent.post('/files/upload')
+      .attach('file', Buffer.from('MZ'), { filename: 'tool.exe', contentType: 'application/x-msdownload' });
+    expect(disallowed.status).toBe(400);
+    expect(disallowed.body.error).toMatch(/not allowed/);
+
+    expect(await storedFiles()).toEqual([]);
+    expect(db.exec('SELECT COUNT(*) FROM files')[0].values[0][0]).toBe(0);
+  });
+
+  it('should give concurrent uploads distinct file keys that all decrypt', async () => {
+    const agent = await loginAs(app, 1, dataKey);
+    const contents = Array.from({ length: CONCURRENT_UPLOADS }, (_, i) => Buffer.alloc(70 * 1024 + i, String(i % 10)));
+
+    const responses = await Promise.all(contents.map((content, i) =>
+      agent.post('/files/upload').attach('file', content, { filename: `file-${i}.txt`, contentType: 'text/plain' })
+    ));
+    responses.forEach(response => expect(response.status).toBe(302));
+
+    const rows = db.exec('SELECT id, size, key_id FROM files ORDER BY id')[0].values;
+    expect(rows).toHaveLength(CONCURRENT_UPLOADS);
+    expect(new Set(rows.map(row => row[2])).size).toBe(CONCURRENT_UPLOADS);
+
+    // Each file comes back whole - no header is bound to another file's key
+    for (const [id, size] of rows) {
+      const response = await agent.get(`/files/download/${id}`).buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+      expect(response.status).toBe(200);
+      expect(contents.some(content => content.length === size && content.equals(response.body))).toBe(true);
+    }
+  });
+
+  it('should still decrypt files keyed by row ID before the migration', async () => {
+    const agent = await loginAs(app, 1, dataKey);
+    const userPath = path.join(storage, 'user_1');
+    await fs.ensureDir(userPath);
+
+    const content = Buffer.from('uploaded before files.key_id');
+    await cryptoService.encryptFileStream(content, path.join(userPath, 'old.enc'), dataKey, '1-7');
+    const metadata = sealFileMetadata(dataKey, { filename: 'old.txt', mimetype: 'text/plain' });
+
+    // NULL as in a backup from an older release, '1-7' as backfilled by initDatabase
+    for (const keyId of [null, '1-7']) {
+      db.run('DELETE FROM files');
+      db.run(
+        `INSERT INTO files (id, user_id, filename, filepath, size, mimetype, encrypted, format_version, meta_encrypted, key_id)
+         VALUES (7, 1, ?, 'old.enc', ?, ?, 1, ?, 1, ?)`,
+        [metadata.filename, content.length, metadata.mimetype, cryptoService.FORMAT_SEGMENTED, keyId]
+      );
+
+      const response = await agent.get('/files/download/7');
+      expect(response.status).toBe(200);
+      expect(response.text).toBe(content.toString());
+    }
+  });
+});
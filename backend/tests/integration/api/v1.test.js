@@ -0,0 +1,130 @@
+process.env.SESSION_SECRET = 'test-session-secret';
+
+const request = require('supertest');
+
+// Real schema in memory, storage in a temp directory, no drive checks
+const { createDatabase, createStorage, setStorageInfo, addUser, createApp, loginAs, cleanup } = require('../../helpers/environment');
+
+jest.mock('../../../src/services/core/identityService', () => ({
+  getIdentity: async () => ({ name: 'My PocketCloud', lastBackup: '2024-06-01T00:00:00.000Z' })
+}));
+
+const cryptoService = require('../../../src/services/core/cryptoService');
+const { apiErrorHandler } = require('../../../src/middleware/apiErrors');
+const { document } = require('../../../src/config/openapi');
+const { contract } = require('../../helpers/openapiValidator');
+
+describe('API v1', () => {
+  let app;
+  let db;
+  let checker;
+  let dataKey;
+  let alice;
+
+  function upload(filename, content, fields = {}) {
+    const req = alice.post('/api/v1/files/upload');
+    for (const [name, value] of Object.entries(fields)) {
+      req.field(name, value);
+    }
+    return req.attach('file', Buffer.from(content), { filename, contentType: 'text/plain' });
+  }
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    await createStorage();
+    setStorageInfo({ available: true, state: 'healthy', totalGB: '64.0', usedGB: '1.0', freeGB: '63.0', percentUsed: 2 });
+
+    dataKey = cryptoService.generateDataKey();
+    addUser({ username: 'alice', role: 'user' }, dataKey);
+
+    // Every request and response is checked against the OpenAPI document
+    checker = contract(document);
+    app = createApp({ routes: [['/api/v1', checker, require('../../../src/routes/v1'), apiErrorHandler]] });
+
+    alice = await loginAs(app, 1, dataKey);
+  });
+
+  afterEach(async () => {
+    expect(checker.violations).toEqual([]);
+    await cleanup();
+  });
+
+  it('should send every error in the same shape', async () => {
+    const unknown = await alice.get('/api/v1/nothing-here');
+    expect(unknown.status).toBe(404);
+    expect(unknown.body).toEqual({ error: 'No API route for GET /api/v1/nothing-here', code: 'not_found' });
+
+    const malformed = await alice.post('/api/v1/folders').set('Content-Type', 'application/json').send('{"name":');
+    expect(malformed.status).toBe(400);
+    expect(malformed.body).toEqual({ error: 'Request body is not valid JSON', code: 'bad_request' });
+
+    const invalid = await alice.get('/api/v1/files').query({ sort: 'filepath' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body).toEqual({ error: 'Sort must be one of: date, size, name, type', code: 'bad_request' });
+
+    // Details a handler gives are kept
+    const badId = await alice.delete('/api/v1/files/abc');
+    expect(badId.body).toEqual({ error: 'Invalid file ID', code: 'bad_request', details: 'File ID must be a positive integer' });
+
+    // Error pages from the web UI's handlers come back as JSON
+    const noFolder = await upload('notes.txt', 'hello', { folderId: '99' });
+    expect(noFolder.status).toBe(404);
+    expect(noFolder.body).toEqual({ error: 'Folder not found', code: 'not_found' });
+
+    const anonymous = await request(app).get('/api/v1/files/dashboard');
+    expect(anonymous.status).toBe(401);
+    expect(anonymous.body.code).toBe('unauthorized');
+  });
+
+  it('should upload, list, download and delete files', async () => {
+    const first = await upload('notes.txt', 'first draft');
+    expect(first.status).toBe(201);
+    expect(first.body.file).toMatchObject({ filename: 'notes.txt', folderId: null, size: 11, version: 1 });
+
+    const second = await upload('notes.txt', 'second draft!');
+    expect(second.status).toBe(200);
+    expect(second.body.file).toMatchObject({ id: first.body.file.id, version: 2 });
+
+    await upload('todo.txt', 'milk').expect(201);
+
+    const page = await alice.get('/api/v1/files').query({ sort: 'name', limit: 1 });
+    expect(page.status).toBe(200);
+    expect(page.body.files.map(file => file.filename)).toEqual(['notes.txt']);
+    expect(page.body.total).toBe(2);
+    const next = await alice.get('/api/v1/files').query({ sort: 'name', limit: 1, cursor: page.body.nextCursor });
+    expect(next.body.files.map(file => file.filename)).toEqual(['todo.txt']);
+
+    const download = await alice.get(`/api/v1/files/download/${first.body.file.id}`);
+    expect(download.status).toBe(200);
+    expect(download.text).toBe('second draft!');
+
+    await alice.delete(`/api/v1/files/${first.body.file.id}`).expect(200);
+    const after = await alice.get('/api/v1/files');
+    expect(after.body.files.map(file => file.filename)).toEqual(['todo.txt']);
+  });
+
+  it('should serve the dashboard, storage info and security status', async () => {
+    await upload('notes.txt', 'hello').expect(201);
+
+    const dashboard = await alice.get('/api/v1/files/dashboard');
+    expect(dashboard.status).toBe(200);
+    expect(dashboard.body).toMatchObject({
+      totalFiles: 1,
+      storageInfo: { available: true, state: 'healthy' },
+      securityStatus: { encryptionEnabled: true, encryptedFileCount: 1, totalFileCount: 1, encryptionInProgress: false }
+    });
+    expect(dashboard.body.recentFiles).toEqual([expect.objectContaining({ filename: 'notes.txt', formattedSize: '5 Bytes' })]);
+
+    const storage = await alice.get('/api/v1/storage');
+    expect(storage.body.storage).toMatchObject({ available: true, freeGB: '63.0' });
+
+    const security = await alice.get('/api/v1/security/status');
+    expect(security.status).toBe(200);
+    expect(security.body).toEqual({
+      encryption: { encryptionEnabled: true, encryptedFileCount: 1, totalFileCount: 1, encryptionInProgress: false },
+      recoveryKey: { enabled: false, createdAt: null },
+      keyfile: { enrolled: false, enrolledAt: null },
+      lastBackup: '2024-06-01T00:00:00.000Z'
+    });
+  });
+});
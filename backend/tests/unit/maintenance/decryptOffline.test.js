@@ -0,0 +1,121 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Real schema in memory, written out below as the database file the script reads
+const { createDatabase, addUser, cleanup } = require('../../helpers/environment');
+
+const cryptoService = require('../../../src/services/core/cryptoService');
+const { sealFolderMetadata } = require('../../../src/services/core/metadataService');
+const { KeyUnlockError } = require('../../../src/services/core/cryptoErrors');
+const { decryptOffline } = require('../../../scripts/maintenance/decrypt-offline');
+
+const PASSWORD = 'offline password';
+const KDF = { N: 1024, r: 8, p: 1 };
+
+describe('decrypt-offline', () => {
+  let tempDir;
+  let drivePath;
+  let dbPath;
+  const contents = {};
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pocketcloud-offline-test-'));
+    drivePath = path.join(tempDir, 'drive');
+    dbPath = path.join(tempDir, 'pocketcloud.db');
+    const userPath = path.join(drivePath, 'user_1');
+    await fs.ensureDir(userPath);
+
+    const salt = cryptoService.generateSalt();
+    const dataKey = cryptoService.generateDataKey();
+    const wrapped = await cryptoService.protectDataKey(PASSWORD, salt, dataKey, KDF);
+
+    const db = await createDatabase();
+    addUser({
+      username: 'alice',
+      encryption_salt: salt.toString('hex'),
+      wrapped_data_key: wrapped,
+      kdf_params: JSON.stringify(KDF),
+      key_check: cryptoService.computeKeyCheck(dataKey)
+    });
+    // Folder names are sealed like the app seals them; one can't be decrypted
+    const folders = [
+      { id: 1, parent: null, name: sealFolderMetadata(dataKey, { name: 'Photos' }).name },
+      { id: 2, parent: 1, name: sealFolderMetadata(dataKey, { name: '2024' }).name },
+      { id: 3, parent: 1, name: sealFolderMetadata(dataKey, { name: 'Scans' }).name.slice(0, -8) }
+    ];
+    for (const folder of folders) {
+      db.run('INSERT INTO folders (id, user_id, parent_id, name) VALUES (?, 1, ?, ?)', [folder.id, folder.parent, folder.name]);
+    }
+
+    const files = [
+      { id: 1, folder: 2, name: 'beach.jpg' },
+      { id: 2, folder: 2, name: 'beach.jpg' },
+      { id: 3, folder: null, name: 'notes.txt', trashed: true },
+      { id: 4, folder: null, name: 'damaged.bin', damage: true },
+      { id: 5, folder: 3, name: 'gone.pdf', missing: true }
+    ];
+
+    // Filenames are stored encrypted, except one row from before metadata encryption
+    const metadataKey = cryptoService.deriveMetadataKey(dataKey);
+
+    for (const file of files) {
+      const data = crypto.randomBytes(1000 * file.id);
+      const filepath = `${file.id}-upload.enc`;
+      await cryptoService.encryptFileStream(data, path.join(userPath, filepath), dataKey, `1-${file.id}`, { kdf: KDF });
+
+      if (file.damage) {
+        const encrypted = await fs.readFile(path.join(userPath, filepath));
+        encrypted[encrypted.length - 100] ^= 0xff;
+        await fs.writeFile(path.join(userPath, filepath), encrypted);
+      }
+      if (file.missing) {
+        await fs.remove(path.join(userPath, filepath));
+      }
+
+      db.run(`INSERT INTO files (id, user_id, folder_id, filename, filepath, size, encrypted, format_version, trashed_at)
+        VALUES (?, 1, ?, ?, ?, ?, 1, 2, ?)`,
+        [file.id, file.folder, file.id === 3 ? file.name : cryptoService.encryptMetadata(metadataKey, file.name, 'files.filename'),
+          filepath, data.length, file.trashed ? '2024-01-01' : null]);
+      contents[file.id] = data;
+    }
+
+    await fs.writeFile(dbPath, Buffer.from(db.export()));
+    await cleanup();
+    dataKey.fill(0);
+  });
+
+  afterAll(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should rebuild the folder tree and report per-file integrity', async () => {
+    const outputDir = path.join(tempDir, 'out');
+    const report = await decryptOffline({ drivePath, dbPath, username: 'alice', password: PASSWORD, outputDir });
+
+    expect(report).toMatchObject({ recovered: 3, failed: 1, missing: 1 });
+    expect((await fs.readFile(path.join(outputDir, 'Photos/2024/beach.jpg'))).equals(contents[1])).toBe(true);
+    expect((await fs.readFile(path.join(outputDir, 'Photos/2024/beach (1).jpg'))).equals(contents[2])).toBe(true);
+    expect((await fs.readFile(path.join(outputDir, 'Trash/notes.txt'))).equals(contents[3])).toBe(true);
+
+    // Damaged files are reported, never written out
+    expect(report.files.find(file => file.id === 4)).toMatchObject({ status: 'failed', path: 'damaged.bin' });
+    expect(await fs.pathExists(path.join(outputDir, 'damaged.bin'))).toBe(false);
+    expect(await fs.pathExists(path.join(outputDir, 'damaged.bin.part'))).toBe(false);
+    expect(report.files.find(file => file.id === 5)).toMatchObject({ status: 'missing', path: 'Photos/folder-3/gone.pdf' });
+
+    expect(await fs.readJson(path.join(outputDir, 'recovery-report.json'))).toEqual(report);
+  });
+
+  it('should refuse the wrong password', async () => {
+    await expect(decryptOffline({
+      drivePath,
+      dbPath,
+      username: 'alice',
+      password: 'not it',
+      outputDir: path.join(tempDir, 'wrong')
+    })).rejects.toThrow(KeyUnlockError);
+    expect(await fs.pathExists(path.join(tempDir, 'wrong'))).toBe(false);
+  });
+});
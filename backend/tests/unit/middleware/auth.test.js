@@ -0,0 +1,69 @@
+process.env.SESSION_SECRET = 'test-session-secret';
+
+const crypto = require('crypto');
+const sessionKeyring = require('../../../src/services/core/sessionKeyring');
+const { withDataKey } = require('../../../src/middleware/auth');
+
+describe('withDataKey', () => {
+  let dataKey;
+  let req;
+  let res;
+  let next;
+
+  beforeEach(() => {
+    dataKey = crypto.randomBytes(32);
+    req = {
+      sessionID: 'session-a',
+      session: { userId: 1, username: 'alice', destroy: jest.fn(callback => callback()) },
+      headers: { accept: 'application/json' }
+    };
+    res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sessionKeyring.remove('session-a');
+  });
+
+  it('should wipe the key once a sync callback returns', () => {
+    sessionKeyring.store('session-a', 1, dataKey);
+    let seen;
+
+    const result = withDataKey(req, res, next, key => {
+      seen = key;
+      expect(key.equals(dataKey)).toBe(true);
+      return { success: true };
+    });
+
+    expect(result).toEqual({ success: true });
+    expect(seen.equals(Buffer.alloc(32))).toBe(true);
+  });
+
+  it('should wipe the key only after an async callback settles', async () => {
+    sessionKeyring.store('session-a', 1, dataKey);
+    let seen;
+
+    const pending = withDataKey(req, res, next, async key => {
+      seen = key;
+      await new Promise(resolve => setImmediate(resolve));
+      expect(key.equals(dataKey)).toBe(true);
+      throw new Error('failed');
+    });
+
+    await expect(pending).rejects.toThrow('failed');
+    expect(seen.equals(Buffer.alloc(32))).toBe(true);
+  });
+
+  it('should end the session instead of calling back when the key is gone', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const fn = jest.fn();
+
+    expect(withDataKey(req, res, next, fn)).toBeUndefined();
+
+    expect(fn).not.toHaveBeenCalled();
+    expect(next).not.toHaveBeenCalled();
+    expect(req.session.destroy).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
@@ -0,0 +1,145 @@
+
+// Real schema in memory
+const { createDatabase, addUser, cleanup } = require('../../helpers/environment');
+
+const cryptoService = require('../../../src/services/core/cryptoService');
+const apiTokenService = require('../../../src/services/core/apiTokenService');
+
+const ALICE = 1;
+const BOB = 2;
+
+describe('ApiTokenService', () => {
+  let db;
+  let dataKey;
+
+  function create(options = {}, userId = ALICE) {
+    return apiTokenService.createToken(userId, dataKey, { name: 'backup script', scopes: 'read-only', ...options });
+  }
+
+  function auditActions() {
+    const result = db.exec('SELECT action FROM audit_logs ORDER BY id');
+    return result.length > 0 ? result[0].values.map(([action]) => action) : [];
+  }
+
+  beforeEach(async () => {
+    db = await createDatabase();
+
+    dataKey = cryptoService.generateDataKey();
+    addUser({ username: 'alice', role: 'editor', key_check: cryptoService.computeKeyCheck(dataKey) });
+    addUser({ username: 'bob', role: 'viewer', key_check: cryptoService.computeKeyCheck(cryptoService.generateDataKey()) });
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  describe('createToken', () => {
+    it('should store only a hash and a wrapped copy of the data key', () => {
+      const result = create();
+      expect(result.success).toBe(true);
+      expect(result.token).toMatch(/^pct_[A-Za-z0-9_-]{43}$/);
+      expect(result.apiToken).toMatchObject({
+        name: 'backup script',
+        prefix: result.token.slice(0, 10),
+        scopes: apiTokenService.SCOPE_PRESETS['read-only'],
+        lastUsedAt: null,
+        expired: false
+      });
+
+      const stored = JSON.stringify(db.exec('SELECT * FROM api_tokens'));
+      expect(stored).not.toContain(result.token);
+      expect(stored).not.toContain(result.token.slice(4));
+      expect(stored).not.toContain(dataKey.toString('hex'));
+      expect(auditActions()).toEqual(['token.create']);
+    });
+
+    it('should expire after the requested number of days', () => {
+      const { apiToken } = create({ expiresInDays: 7 });
+      const days = (Date.parse(apiToken.expiresAt) - Date.parse(apiToken.createdAt)) / 86400000;
+      expect(days).toBe(7);
+    });
+
+    it('should reject bad names, scopes and expiry', () => {
+      expect(create({ name: '  ' }).status).toBe(400);
+      expect(create({ scopes: [] }).status).toBe(400);
+      expect(create({ scopes: ['file:read', 'files:everything'] }).status).toBe(400);
+      expect(create({ scopes: 'write-everything' }).status).toBe(400);
+      expect(create({ expiresInDays: 0 }).status).toBe(400);
+      expect(create({ expiresInDays: apiTokenService.MAX_EXPIRY_DAYS + 1 }).status).toBe(400);
+      expect(create({ expiresInDays: 1.5 }).status).toBe(400);
+      expect(db.exec('SELECT id FROM api_tokens')).toEqual([]);
+    });
+
+    it('should not grant scopes beyond the user\'s role', () => {
+      const result = create({ scopes: ['file:read', 'system:backup'] });
+      expect(result).toEqual({ success: false, status: 403, error: 'Your role does not allow: system:backup' });
+
+      // Viewers - every new account - still manage their own files, but nothing more
+      expect(create({ scopes: 'upload-only' }, BOB).success).toBe(true);
+      expect(create({ scopes: ['file:delete', 'folder:create'] }, BOB).success).toBe(true);
+      expect(create({ scopes: ['search:all'] }, BOB)).toMatchObject({ success: false, status: 403 });
+    });
+  });
+
+  describe('authenticate', () => {
+    it('should unlock the data key for a valid token', () => {
+      const { token, apiToken } = create({ scopes: ['file:upload', 'file:upload'] });
+
+      const result = apiTokenService.authenticate(token);
+      expect(result).toMatchObject({ success: true, tokenId: apiToken.id, userId: ALICE, username: 'alice', role: 'editor', scopes: ['file:upload'] });
+      expect(result.dataKey.equals(dataKey)).toBe(true);
+
+      const { tokens } = apiTokenService.listTokens(ALICE);
+      expect(tokens[0].lastUsedAt).not.toBeNull();
+    });
+
+    it('should reject unknown, malformed and expired tokens', () => {
+      const { token, apiToken } = create();
+      const tampered = token.slice(0, -1) + (token.endsWith('A') ? 'E' : 'A');
+
+      for (const bad of [undefined, '', 'Bearer', token.replace(/^pct_/, 'xyz_'), token.slice(0, -2), tampered]) {
+        const result = apiTokenService.authenticate(bad);
+        expect(result).toEqual({ success: false, status: 401, error: 'Invalid API token' });
+      }
+
+      db.run('UPDATE api_tokens SET expires_at = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), apiToken.id]);
+      expect(apiTokenService.authenticate(token)).toEqual({ success: false, status: 401, error: 'API token has expired' });
+      expect(apiTokenService.listTokens(ALICE).tokens[0].expired).toBe(true);
+    });
+
+    it('should reject a token whose key no longer opens the user\'s files', () => {
+      const { token } = create();
+      db.run('UPDATE users SET key_check = ? WHERE id = ?', [cryptoService.computeKeyCheck(cryptoService.generateDataKey()), ALICE]);
+
+      const result = apiTokenService.authenticate(token);
+      expect(result.success).toBe(false);
+      expect(result.status).toBe(401);
+    });
+  });
+
+  describe('revokeToken', () => {
+    it('should delete the token and its key, for its owner only', () => {
+      const { token, apiToken } = create();
+
+      expect(apiTokenService.revokeToken(BOB, apiToken.id)).toEqual({ success: false, status: 404, error: 'Token not found' });
+      expect(apiTokenService.authenticate(token).success).toBe(true);
+
+      expect(apiTokenService.revokeToken(ALICE, apiToken.id)).toEqual({ success: true });
+      expect(apiTokenService.authenticate(token)).toEqual({ success: false, status: 401, error: 'Invalid API token' });
+      expect(apiTokenService.listTokens(ALICE).tokens).toEqual([]);
+      expect(auditActions()).toEqual(['token.create', 'token.revoke']);
+    });
+  });
+
+  describe('listTokens', () => {
+    it('should list a user\'s own tokens, newest first', () => {
+      create({ name: 'first' });
+      create({ name: 'second' });
+      create({ name: 'bob\'s' }, BOB);
+
+      const { tokens } = apiTokenService.listTokens(ALICE);
+      expect(tokens.map(token => token.name)).toEqual(['second', 'first']);
+      expect(Object.keys(tokens[0]).sort()).toEqual(['createdAt', 'expired', 'expiresAt', 'id', 'lastUsedAt', 'name', 'prefix', 'scopes']);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+process.env.SESSION_SECRET = 'test-session-secret';
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { Writable } = require('stream');
+
+// Real schema in memory, storage in a temp directory, no drive checks
+const { createDatabase, createStorage, addUser, cleanup } = require('../../helpers/environment');
+
+const clientEncryptionService = require('../../../src/services/core/clientEncryptionService');
+const cryptoService = require('../../../src/services/core/cryptoService');
+
+const KDF = { N: 1024, r: 8, p: 1 };
+
+async function decryptToBuffer(filePath, dataKey, fileId) {
+  const chunks = [];
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  await cryptoService.decryptFileStream(filePath, sink, dataKey, fileId, null, null, {
+    format: cryptoService.FORMAT_SEGMENTED
+  });
+  return Buffer.concat(chunks);
+}
+
+describe('clientEncryptionService', () => {
+  let db;
+  let storage;
+  let dataKey;
+  let metadataKey;
+
+  // What the browser does: encrypt under a random key ID, seal the metadata
+  async function clientUpload(userId, plaintext, keyId = crypto.randomUUID(), options = {}) {
+    const storageName = `${crypto.randomBytes(8).toString('hex')}.enc`;
+    const filePath = path.join(storage, `user_${userId}`, storageName);
+    await fs.ensureDir(path.dirname(filePath));
+    await cryptoService.encryptFileStream(plaintext, filePath, dataKey, keyId, { kdf: KDF });
+
+    return {
+      keyId,
+      filePath,
+      result: await clientEncryptionService.registerClientFile(userId, storageName, {
+        filename: cryptoService.encryptMetadata(metadataKey, 'holiday.jpg', 'files.filename'),
+        mimetype: cryptoService.encryptMetadata(metadataKey, 'image/jpeg', 'files.mimetype'),
+        ...options
+      })
+    };
+  }
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    storage = await createStorage();
+
+    dataKey = cryptoService.generateDataKey();
+    metadataKey = cryptoService.deriveMetadataKey(dataKey);
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('should hand out key material that unlocks only with the password', async () => {
+    const salt = cryptoService.generateSalt();
+    addUser({
+      username: 'alice',
+      encryption_salt: salt.toString('hex'),
+      wrapped_data_key: await cryptoService.protectDataKey('pw', salt, dataKey, KDF),
+      kdf_params: JSON.stringify(KDF),
+      key_check: cryptoService.computeKeyCheck(dataKey)
+    });
+
+    const { success, material } = clientEncryptionService.getWrappedKeyMaterial(1);
+    expect(success).toBe(true);
+    expect(material).toMatchObject({ userId: 1, kdfParams: KDF, keyfileRequired: false });
+
+    const unlocked = await cryptoService.unlockDataKey(
+      'pw', Buffer.from(material.encryptionSalt, 'hex'), material.wrappedDataKey, material.kdfParams
+    );
+    expect(unlocked.equals(dataKey)).toBe(true);
+  });
+
+  it('should store a client upload the server can decrypt', async () => {
+    const plaintext = Buffer.alloc(150 * 1024, 'x');
+    const { keyId, filePath, result } = await clientUpload(1, plaintext);
+
+    expect(result).toEqual({ success: true, id: 1, size: plaintext.length, version: 1 });
+    const row = db.exec('SELECT filename, size, encrypted, format_version, meta_encrypted, key_id FROM files')[0].values[0];
+    expect(cryptoService.decryptMetadata(metadataKey, row[0], 'files.filename')).toBe('holiday.jpg');
+    expect(row.slice(1)).toEqual([plaintext.length, 1, cryptoService.FORMAT_SEGMENTED, 1, keyId]);
+
+    expect((await decryptToBuffer(filePath, dataKey, keyId)).equals(plaintext)).toBe(true);
+  });
+
+  it('should reject a file key ID that is already in use', async () => {
+    const first = await clientUpload(1, Buffer.from('first'));
+    expect(first.result.success).toBe(true);
+
+    const { filePath, result } = await clientUpload(1, Buffer.from('replayed'), first.keyId);
+    expect(result).toMatchObject({ success: false, status: 409 });
+    expect(await fs.pathExists(filePath)).toBe(false);
+    expect(await fs.pathExists(first.filePath)).toBe(true);
+  });
+
+  it('should reject uploads that are not sealed for this account', async () => {
+    // Row-style IDs are predictable and only valid for old files
+    const predictable = await clientUpload(1, Buffer.from('data'), '1-1');
+    expect(predictable.result).toMatchObject({ success: false, status: 400 });
+
+    const storageName = 'plain.enc';
+    await fs.writeFile(path.join(storage, 'user_1', storageName), 'not encrypted');
+    const plain = await clientEncryptionService.registerClientFile(1, storageName, {
+      filename: cryptoService.encryptMetadata(metadataKey, 'a.txt', 'files.filename')
+    });
+    expect(plain).toMatchObject({ success: false, status: 400, error: 'Upload is not a PocketCloud encrypted file' });
+
+    const { result } = await clientUpload(1, Buffer.from('data'));
+    expect(result.success).toBe(true);
+    const unsealed = await clientEncryptionService.registerClientFile(1, 'whatever.enc', { filename: 'a.txt' });
+    expect(unsealed).toMatchObject({ success: false, status: 400 });
+    expect(db.exec('SELECT COUNT(*) FROM files')[0].values[0][0]).toBe(1);
+  });
+
+  it('should add a client upload as a new version of a file in the same folder', async () => {
+    const first = await clientUpload(1, Buffer.from('first draft'));
+    const second = await clientUpload(1, Buffer.from('second draft'), undefined, { versionOf: first.result.id });
+    expect(second.result).toEqual({ success: true, id: first.result.id, size: 12, version: 2 });
+
+    // The older ciphertext stays, keyed as before
+    const [older] = db.exec('SELECT version, key_id, filepath FROM file_versions')[0].values;
+    expect(older.slice(0, 2)).toEqual([1, first.keyId]);
+    expect((await decryptToBuffer(first.filePath, dataKey, first.keyId)).toString()).toBe('first draft');
+    expect(db.exec('SELECT version, key_id FROM files')[0].values).toEqual([[2, second.keyId]]);
+
+    // Only files of the user, in the folder the upload goes to
+    const elsewhere = await clientUpload(1, Buffer.from('x'), undefined, { versionOf: first.result.id, folderId: 7 });
+    expect(elsewhere.result).toMatchObject({ success: false, status: 404 });
+    expect(await fs.pathExists(elsewhere.filePath)).toBe(false);
+    const foreign = await clientUpload(2, Buffer.from('x'), undefined, { versionOf: first.result.id });
+    expect(foreign.result).toMatchObject({ success: false, status: 404 });
+
+    // Old key IDs stay taken
+    const replayed = await clientUpload(1, Buffer.from('x'), first.keyId);
+    expect(replayed.result).toMatchObject({ success: false, status: 409 });
+  });
+});
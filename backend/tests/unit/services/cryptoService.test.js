@@ -0,0 +1,315 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const cryptoService = require('../../../src/services/core/cryptoService');
+const crypto = require('crypto');
+const {
+  SEGMENT_SIZE,
+  SEGMENT_TAG_LENGTH,
+  HEADER_LENGTH_V1,
+  headerLength
+} = require('../../../src/services/core/segmentedCrypto');
+const { CryptoIntegrityError, KeyUnlockError } = require('../../../src/services/core/cryptoErrors');
+
+const PASSWORD = 'correct horse battery staple';
+
+const KDF = { N: 16384, r: 8, p: 1 };
+
+// Collect everything written to a stream
+function sink() {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  output.contents = () => Buffer.concat(chunks);
+  return output;
+}
+
+describe('cryptoService', () => {
+  let tempDir;
+  let dataKey;
+  let plaintext;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pocketcloud-crypto-'));
+    dataKey = cryptoService.generateDataKey();
+    // Three full segments plus a partial one
+    plaintext = crypto.randomBytes(SEGMENT_SIZE * 3 + 1234);
+  });
+
+  afterAll(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('segmented format', () => {
+    let encryptedPath;
+
+    beforeAll(async () => {
+      encryptedPath = path.join(tempDir, 'segmented.enc');
+      const result = await cryptoService.encryptFileStream(plaintext, encryptedPath, dataKey, '1-1', { kdf: KDF });
+      expect(result.format).toBe(cryptoService.FORMAT_SEGMENTED);
+    });
+
+    it('should write the exact segmented size', async () => {
+      const stats = await fs.stat(encryptedPath);
+      expect(stats.size).toBe(cryptoService.encryptedFileSize(plaintext.length, cryptoService.FORMAT_SEGMENTED, '1-1'));
+    });
+
+    it('should round-trip the whole file', async () => {
+      const output = sink();
+      await cryptoService.decryptFileStream(encryptedPath, output, dataKey, '1-1', null, null, {
+        format: cryptoService.FORMAT_SEGMENTED
+      });
+      expect(output.contents().equals(plaintext)).toBe(true);
+    });
+
+    it('should decrypt byte ranges across segment boundaries', async () => {
+      const ranges = [
+        { start: 0, end: 0 },
+        { start: 10, end: 99 },
+        { start: SEGMENT_SIZE - 5, end: SEGMENT_SIZE + 5 },
+        { start: SEGMENT_SIZE * 2, end: plaintext.length - 1 }
+      ];
+
+      for (const range of ranges) {
+        const output = sink();
+        await cryptoService.decryptFileStream(encryptedPath, output, dataKey, '1-1', null, null, {
+          format: cryptoService.FORMAT_SEGMENTED,
+          range
+        });
+        expect(output.contents().equals(plaintext.subarray(range.start, range.end + 1))).toBe(true);
+      }
+    });
+
+    it('should round-trip an empty file', async () => {
+      const emptyPath = path.join(tempDir, 'empty.enc');
+      await cryptoService.encryptFileStream(Buffer.alloc(0), emptyPath, dataKey, '1-2');
+
+      const output = sink();
+      await cryptoService.decryptFileStream(emptyPath, output, dataKey, '1-2', null, null, {
+        format: cryptoService.FORMAT_SEGMENTED
+      });
+      expect(output.contents().length).toBe(0);
+    });
+
+    it('should localize corruption to the damaged segment', async () => {
+      const corruptPath = path.join(tempDir, 'corrupt.enc');
+      const data = await fs.readFile(encryptedPath);
+      // Flip a byte inside segment 2
+      data[headerLength('1-1') + 2 * (SEGMENT_SIZE + SEGMENT_TAG_LENGTH) + 10] ^= 0xff;
+      await fs.writeFile(corruptPath, data);
+
+      const healthy = sink();
+      await cryptoService.decryptFileStream(corruptPath, healthy, dataKey, '1-1', null, null, {
+        format: cryptoService.FORMAT_SEGMENTED,
+        range: { start: 0, end: SEGMENT_SIZE * 2 - 1 }
+      });
+      expect(healthy.contents().equals(plaintext.subarray(0, SEGMENT_SIZE * 2))).toBe(true);
+
+      await expect(cryptoService.decryptFileStream(corruptPath, sink(), dataKey, '1-1', null, null, {
+        format: cryptoService.FORMAT_SEGMENTED
+      })).rejects.toThrow(CryptoIntegrityError);
+    });
+
+    it('should detect truncation at a segment boundary', async () => {
+      const truncatedPath = path.join(tempDir, 'truncated.enc');
+      const data = await fs.readFile(encryptedPath);
+      await fs.writeFile(truncatedPath, data.subarray(0, headerLength('1-1') + 2 * (SEGMENT_SIZE + SEGMENT_TAG_LENGTH)));
+
+      await expect(cryptoService.decryptFileStream(truncatedPath, sink(), dataKey, '1-1', null, null, {
+        format: cryptoService.FORMAT_SEGMENTED
+      })).rejects.toThrow(CryptoIntegrityError);
+    });
+
+    it('should reject the wrong file key', async () => {
+      await expect(cryptoService.decryptFileStream(encryptedPath, sink(), dataKey, '1-99', null, null, {
+        format: cryptoService.FORMAT_SEGMENTED
+      })).rejects.toThrow(CryptoIntegrityError);
+    });
+
+    it('should reject a tampered header', async () => {
+      const tamperedPath = path.join(tempDir, 'tampered.enc');
+      const data = await fs.readFile(encryptedPath);
+      // Raise the recorded scrypt r - still parses, but the header is AAD
+      data[14] += 1;
+      await fs.writeFile(tamperedPath, data);
+
+      await expect(cryptoService.decryptFileStream(tamperedPath, sink(), dataKey, '1-1', null, null, {
+        format: cryptoService.FORMAT_SEGMENTED
+      })).rejects.toThrow(CryptoIntegrityError);
+    });
+  });
+
+  describe('file header', () => {
+    it('should describe the file without a key', async () => {
+      const encryptedPath = path.join(tempDir, 'described.enc');
+      await cryptoService.encryptFileStream(plaintext, encryptedPath, dataKey, '7-42', { kdf: KDF });
+
+      const info = await cryptoService.inspectEncryptedFile(encryptedPath);
+      expect(info).toMatchObject({
+        segmented: true,
+        valid: true,
+        version: 2,
+        cipher: 'aes-256-gcm',
+        segmentSize: SEGMENT_SIZE,
+        kdf: { algorithm: 'scrypt', ...KDF },
+        fileId: '7-42',
+        segments: 4,
+        plainSize: plaintext.length
+      });
+    });
+
+    it('should report truncated files', async () => {
+      const encryptedPath = path.join(tempDir, 'cut.enc');
+      await cryptoService.encryptFileStream(plaintext, encryptedPath, dataKey, '7-43');
+      const data = await fs.readFile(encryptedPath);
+      await fs.writeFile(encryptedPath, data.subarray(0, data.length - 1234 - 8));
+
+      const info = await cryptoService.inspectEncryptedFile(encryptedPath);
+      expect(info.valid).toBe(false);
+      expect(info.reason).toMatch(/truncated/);
+    });
+
+    it('should leave legacy files alone', async () => {
+      const legacyPath = path.join(tempDir, 'plain-legacy.enc');
+      const { encryptedBuffer } = await cryptoService.encryptFile(plaintext, dataKey, '7-44');
+      await fs.writeFile(legacyPath, encryptedBuffer);
+
+      expect(await cryptoService.inspectEncryptedFile(legacyPath)).toEqual({
+        segmented: false,
+        size: plaintext.length
+      });
+    });
+
+    it('should still decrypt files with a v1 header', async () => {
+      // v1: magic | version 1 | segment size | nonce prefix, no KDF or file ID
+      const v1Path = path.join(tempDir, 'v1.enc');
+      const fileKey = cryptoService.deriveFileKey(dataKey, '1-5');
+      const header = Buffer.concat([
+        Buffer.from('PCSG', 'ascii'), Buffer.from([1]),
+        Buffer.from([0, 1, 0, 0]), crypto.randomBytes(7)
+      ]);
+      const parts = [header];
+      const segments = Math.ceil(plaintext.length / SEGMENT_SIZE);
+
+      for (let i = 0; i < segments; i++) {
+        const nonce = Buffer.alloc(12);
+        header.copy(nonce, 0, 9, HEADER_LENGTH_V1);
+        nonce.writeUInt32BE(i, 7);
+        nonce[11] = i === segments - 1 ? 1 : 0;
+
+        const cipher = crypto.createCipheriv('aes-256-gcm', fileKey, nonce, { authTagLength: SEGMENT_TAG_LENGTH });
+        cipher.setAAD(header);
+        parts.push(cipher.update(plaintext.subarray(i * SEGMENT_SIZE, (i + 1) * SEGMENT_SIZE)), cipher.final(), cipher.getAuthTag());
+      }
+      await fs.writeFile(v1Path, Buffer.concat(parts));
+
+      const output = sink();
+      await cryptoService.decryptFileStream(v1Path, output, dataKey, '1-5', null, null, {
+        format: cryptoService.FORMAT_SEGMENTED,
+        range: { start: SEGMENT_SIZE - 5, end: SEGMENT_SIZE + 5 }
+      });
+      expect(output.contents().equals(plaintext.subarray(SEGMENT_SIZE - 5, SEGMENT_SIZE + 6))).toBe(true);
+      expect((await cryptoService.inspectEncryptedFile(v1Path)).plainSize).toBe(plaintext.length);
+    });
+  });
+
+  describe('envelope encryption', () => {
+    it('should unlock a protected data key with the right password', async () => {
+      const salt = cryptoService.generateSalt();
+      const wrapped = await cryptoService.protectDataKey(PASSWORD, salt, dataKey);
+
+      const unlocked = await cryptoService.unlockDataKey(PASSWORD, salt, wrapped);
+      expect(unlocked.equals(dataKey)).toBe(true);
+    });
+
+    it('should reject the wrong password', async () => {
+      const salt = cryptoService.generateSalt();
+      const wrapped = await cryptoService.protectDataKey(PASSWORD, salt, dataKey);
+
+      await expect(cryptoService.unlockDataKey('wrong password', salt, wrapped))
+        .rejects.toThrow(KeyUnlockError);
+    });
+
+    it('should only unlock with the params the key was wrapped with', async () => {
+      const salt = cryptoService.generateSalt();
+      const wrapped = await cryptoService.protectDataKey(PASSWORD, salt, dataKey, KDF);
+
+      const unlocked = await cryptoService.unlockDataKey(PASSWORD, salt, wrapped, KDF);
+      expect(unlocked.equals(dataKey)).toBe(true);
+      await expect(cryptoService.unlockDataKey(PASSWORD, salt, wrapped))
+        .rejects.toThrow(KeyUnlockError);
+    });
+
+    it('should keep the same data key across a password change', async () => {
+      const salt = cryptoService.generateSalt();
+      const wrapped = await cryptoService.protectDataKey(PASSWORD, salt, dataKey);
+
+      const rewrapped = await cryptoService.rewrapDataKey(PASSWORD, salt, wrapped, 'new password');
+      expect(rewrapped.salt).not.toBe(salt.toString('hex'));
+
+      const unlocked = await cryptoService.unlockDataKey(
+        'new password',
+        Buffer.from(rewrapped.salt, 'hex'),
+        rewrapped.wrappedDataKey
+      );
+      expect(unlocked.equals(dataKey)).toBe(true);
+    });
+
+    it('should mix a keyfile into the key derivation', async () => {
+      const salt = cryptoService.generateSalt();
+      const keyfile = cryptoService.hashKeyfile(Buffer.from('keyfile bytes'));
+      const wrapped = await cryptoService.protectDataKey(PASSWORD, salt, dataKey, undefined, keyfile);
+
+      const unlocked = await cryptoService.unlockDataKey(PASSWORD, salt, wrapped, undefined, keyfile);
+      expect(unlocked.equals(dataKey)).toBe(true);
+
+      await expect(cryptoService.unlockDataKey(PASSWORD, salt, wrapped))
+        .rejects.toThrow(KeyUnlockError);
+      const otherKeyfile = cryptoService.hashKeyfile(Buffer.from('keyfile bytez'));
+      await expect(cryptoService.unlockDataKey(PASSWORD, salt, wrapped, undefined, otherKeyfile))
+        .rejects.toThrow(KeyUnlockError);
+    });
+
+    it('should reject empty and oversized keyfiles', () => {
+      expect(() => cryptoService.hashKeyfile(Buffer.alloc(0))).toThrow('Keyfile is empty');
+      expect(() => cryptoService.hashKeyfile(Buffer.alloc(cryptoService.KEYFILE_MAX_SIZE + 1)))
+        .toThrow('1 MB or smaller');
+    });
+  });
+
+  describe('legacy format', () => {
+    it('should still decrypt single-tag files', async () => {
+      const legacyPath = path.join(tempDir, 'legacy.enc');
+      const { encryptedBuffer, iv, authTag } = await cryptoService.encryptFile(plaintext, dataKey, '1-3');
+      await fs.writeFile(legacyPath, encryptedBuffer);
+
+      const output = sink();
+      await cryptoService.decryptFileStream(legacyPath, output, dataKey, '1-3', iv, authTag);
+      expect(output.contents().equals(plaintext)).toBe(true);
+    });
+  });
+
+  describe('metadata', () => {
+    it('should encrypt metadata values bound to their column', () => {
+      const key = cryptoService.deriveMetadataKey(dataKey);
+      const sealed = cryptoService.encryptMetadata(key, 'Tax return 2024.pdf', 'files.filename');
+
+      expect(cryptoService.isEncryptedMetadata(sealed)).toBe(true);
+      expect(sealed).not.toContain('Tax');
+      expect(cryptoService.decryptMetadata(key, sealed, 'files.filename')).toBe('Tax return 2024.pdf');
+
+      // Moved to another column, or read with another key
+      expect(() => cryptoService.decryptMetadata(key, sealed, 'files.description')).toThrow(CryptoIntegrityError);
+      const otherKey = cryptoService.deriveMetadataKey(crypto.randomBytes(32));
+      expect(() => cryptoService.decryptMetadata(otherKey, sealed, 'files.filename')).toThrow(CryptoIntegrityError);
+    });
+
+    it('should pass plaintext and NULL values through', () => {
+      const key = cryptoService.deriveMetadataKey(dataKey);
+      expect(cryptoService.encryptMetadata(key, null, 'files.tags')).toBeNull();
+      expect(cryptoService.decryptMetadata(key, null, 'files.tags')).toBeNull();
+      expect(cryptoService.decryptMetadata(key, 'notes.txt', 'files.filename')).toBe('notes.txt');
+    });
+  });
+});
@@ -0,0 +1,64 @@
+process.env.SESSION_SECRET = 'test-session-secret';
+process.env.CRYPTO_WORKERS = '2';
+
+const crypto = require('crypto');
+const cryptoWorkerPool = require('../../../src/services/core/cryptoWorkerPool');
+const performanceMonitorService = require('../../../src/services/monitoring/performanceMonitorService');
+const { CryptoIntegrityError } = require('../../../src/services/core/cryptoErrors');
+const { sealSegment, createHeader } = require('../../../src/services/core/segmentedCrypto');
+
+describe('cryptoWorkerPool', () => {
+  const fileKey = crypto.randomBytes(32);
+  const header = createHeader({ fileId: 'pool-test' });
+  const noncePrefix = header.subarray(header.length - 7);
+
+  afterAll(async () => {
+    await cryptoWorkerPool.shutdown();
+  });
+
+  it('should seal and open segments on worker threads like inline code', async () => {
+    const plaintext = crypto.randomBytes(1000);
+
+    const sealed = await cryptoWorkerPool.sealSegment(fileKey, header, noncePrefix, 3, true, plaintext);
+    expect(Buffer.isBuffer(sealed)).toBe(true);
+    expect(sealed.length).toBe(plaintext.length + 16);
+
+    const opened = await cryptoWorkerPool.openSegment(fileKey, header, noncePrefix, 3, true, sealed);
+    expect(opened.equals(plaintext)).toBe(true);
+
+    // Same key, nonce and AAD as the inline implementation
+    await expect(cryptoWorkerPool.openSegment(fileKey, header, noncePrefix, 3, true,
+      sealSegment(fileKey, header, noncePrefix, 3, true, plaintext))).resolves.toEqual(plaintext);
+
+    // The caller's key is a copy on the worker side - it must survive
+    expect(fileKey.equals(Buffer.alloc(32))).toBe(false);
+  });
+
+  it('should report integrity failures as CryptoIntegrityError', async () => {
+    const sealed = await cryptoWorkerPool.sealSegment(fileKey, header, noncePrefix, 0, false, Buffer.from('data'));
+    sealed[0] ^= 0x01;
+
+    await expect(cryptoWorkerPool.openSegment(fileKey, header, noncePrefix, 0, false, sealed))
+      .rejects.toBeInstanceOf(CryptoIntegrityError);
+  });
+
+  it('should queue beyond the pool size and report depth and latency', async () => {
+    const track = jest.spyOn(performanceMonitorService, 'trackCryptoTask');
+    const options = { N: 1024, r: 8, p: 1 };
+
+    const keys = await Promise.all(Array.from({ length: 6 }, (_, i) =>
+      cryptoWorkerPool.scrypt(`password-${i}`, Buffer.alloc(16, i), 32, options)
+    ));
+
+    keys.forEach((key, i) => {
+      expect(key.equals(crypto.scryptSync(`password-${i}`, Buffer.alloc(16, i), 32, options))).toBe(true);
+    });
+    expect(cryptoWorkerPool.stats()).toEqual({ size: 2, running: 0, queued: 0 });
+
+    // Six tasks on two workers: later ones waited behind a queue
+    expect(track).toHaveBeenCalledTimes(6);
+    expect(Math.max(...track.mock.calls.map(([, , , queueDepth]) => queueDepth))).toBeGreaterThan(0);
+    expect(performanceMonitorService.getCryptoMetrics()).toMatchObject({ workers: 2, queueDepth: 0 });
+    track.mockRestore();
+  });
+});
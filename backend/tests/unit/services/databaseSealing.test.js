@@ -0,0 +1,103 @@
+process.env.SESSION_SECRET = 'test-session-secret';
+process.env.SCRYPT_N = '1024';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Real schema in memory, exported as the image to seal
+const { createDatabase, addUser, cleanup } = require('../../helpers/environment');
+
+const {
+  isSealed,
+  createSealingKey,
+  unlockSealingKey,
+  sealDatabase,
+  unsealDatabase
+} = require('../../../src/services/core/databaseSealing');
+const { loadSystemSecret } = require('../../../src/services/core/systemKey');
+const { KeyUnlockError } = require('../../../src/services/core/cryptoErrors');
+
+describe('databaseSealing', () => {
+  let image;
+
+  beforeAll(async () => {
+    const db = await createDatabase();
+    addUser({ username: 'alice', wrapped_data_key: 'JBSWY3DPEHPK3PXP' });
+    image = Buffer.from(db.export());
+    await cleanup();
+  });
+
+  it('should seal the export so nothing is readable', async () => {
+    const sealingKey = await createSealingKey(Buffer.from('system passphrase'));
+    const sealed = sealDatabase(image, sealingKey);
+
+    expect(isSealed(sealed)).toBe(true);
+    expect(isSealed(image)).toBe(false);
+    expect(sealed.includes('SQLite format 3')).toBe(false);
+    expect(sealed.includes('JBSWY3DPEHPK3PXP')).toBe(false);
+
+    // A fresh boot derives the same key from the header
+    const unlocked = await unlockSealingKey(Buffer.from('system passphrase'), sealed);
+    expect(unsealDatabase(sealed, unlocked).equals(image)).toBe(true);
+  });
+
+  it('should reject the wrong key and modified files', async () => {
+    const sealingKey = await createSealingKey(Buffer.from('system passphrase'));
+    const sealed = sealDatabase(image, sealingKey);
+
+    const wrong = await unlockSealingKey(Buffer.from('not it'), sealed);
+    expect(() => unsealDatabase(sealed, wrong)).toThrow(KeyUnlockError);
+
+    const tampered = Buffer.from(sealed);
+    tampered[tampered.length - 1] ^= 0x01;
+    expect(() => unsealDatabase(tampered, sealingKey)).toThrow(KeyUnlockError);
+
+    // Header fields are authenticated too
+    const weakened = Buffer.from(sealed);
+    weakened[5] -= 1;
+    expect(() => unsealDatabase(weakened, sealingKey)).toThrow(KeyUnlockError);
+  });
+
+  describe('system key sources', () => {
+    let tempDir;
+
+    beforeAll(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pocketcloud-systemkey-'));
+    });
+
+    afterAll(async () => {
+      delete process.env.CREDENTIALS_DIRECTORY;
+      await fs.remove(tempDir);
+    });
+
+    it('should return no secret when database encryption is off', async () => {
+      expect(await loadSystemSecret({ source: null })).toBeNull();
+    });
+
+    it('should open a passphrase-sealed database from a keyfile or credential', async () => {
+      const sealed = sealDatabase(image, await createSealingKey(await loadSystemSecret({
+        source: 'passphrase',
+        passphrase: 'correct horse'
+      })));
+
+      // Written by an editor, with a trailing newline
+      await fs.writeFile(path.join(tempDir, 'db.key'), 'correct horse\n');
+      await fs.writeFile(path.join(tempDir, 'pocketcloud-db-key'), 'correct horse');
+      process.env.CREDENTIALS_DIRECTORY = tempDir;
+
+      const fromKeyfile = await loadSystemSecret({ source: 'keyfile', keyfile: path.join(tempDir, 'db.key') });
+      const fromCredential = await loadSystemSecret({ source: 'credential', credential: 'pocketcloud-db-key' });
+
+      for (const secret of [fromKeyfile, fromCredential]) {
+        expect(unsealDatabase(sealed, await unlockSealingKey(secret, sealed)).equals(image)).toBe(true);
+      }
+    });
+
+    it('should fail clearly when the key is unavailable', async () => {
+      await expect(loadSystemSecret({ source: 'keyfile', keyfile: path.join(tempDir, 'missing.key') }))
+        .rejects.toThrow('Database keyfile not found');
+      await expect(loadSystemSecret({ source: 'usb' })).rejects.toThrow('Unknown DB_KEY_SOURCE');
+    });
+  });
+});
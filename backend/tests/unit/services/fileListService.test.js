@@ -0,0 +1,125 @@
+// Real schema in memory
+const { createDatabase, cleanup } = require('../../helpers/environment');
+
+const fileListService = require('../../../src/services/core/fileListService');
+const { sealFileMetadata, openFileRows } = require('../../../src/services/core/metadataService');
+const cryptoService = require('../../../src/services/core/cryptoService');
+
+describe('fileListService', () => {
+  let db;
+  let dataKey;
+  const open = rows => openFileRows(dataKey, rows);
+
+  function addFile(filename, mimetype, size, uploadedAt, { userId = 1, folderId = null, trashed = false } = {}) {
+    const sealed = sealFileMetadata(dataKey, { filename, mimetype });
+    db.run(
+      `INSERT INTO files (user_id, folder_id, filename, filepath, size, mimetype, uploaded_at, meta_encrypted, trashed_at)
+       VALUES (?, ?, ?, 'x.enc', ?, ?, ?, 1, ?)`,
+      [userId, folderId, sealed.filename, size, sealed.mimetype, uploadedAt, trashed ? '2024-07-01T00:00:00.000Z' : null]
+    );
+    return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+  }
+
+  function options(query) {
+    const parsed = fileListService.parseListOptions(query);
+    expect(parsed.success).toBe(true);
+    return parsed.options;
+  }
+
+  // Every page from the first to the last
+  function allPages(scope, query) {
+    const names = [];
+    let cursor;
+    do {
+      const page = fileListService.listFiles(scope, options({ ...query, cursor }), open);
+      expect(page.success).toBe(true);
+      names.push(page.files.map(file => file.filename));
+      cursor = page.nextCursor;
+    } while (cursor);
+    return names;
+  }
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    dataKey = cryptoService.generateDataKey();
+
+    addFile('photo 10.jpg', 'image/jpeg', 300, '2024-03-01 10:00:00');
+    addFile('notes.txt', 'text/plain', 20, '2024-05-01 10:00:00');
+    addFile('photo 2.jpg', 'image/jpeg', 300, '2024-06-30 23:59:59');
+    addFile('Budget.pdf', 'application/pdf', 4000, '2024-07-01 00:00:00');
+    addFile('hidden.txt', 'text/plain', 5, '2024-07-02 10:00:00', { trashed: true });
+    addFile('other.txt', 'text/plain', 5, '2024-07-02 10:00:00', { userId: 2 });
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('should check list options', () => {
+    expect(options({})).toMatchObject({ sort: 'date', order: 'desc', limit: fileListService.DEFAULT_LIMIT, mimetype: null });
+    expect(options({ sort: 'name' }).order).toBe('asc');
+    expect(options({ mimetype: 'Image' }).mimetype).toBe('image/');
+    expect(options({ from: '2024-06-01', to: '2024-06-30' })).toMatchObject({ from: '2024-06-01 00:00:00', to: '2024-07-01 00:00:00' });
+
+    for (const query of [{ sort: 'filepath' }, { sort: 'toString' }, { order: 'up' }, { limit: '0' }, { limit: '500' },
+      { mimetype: "image' OR 1=1" }, { from: 'yesterday' }, { cursor: 'bogus' }]) {
+      expect(fileListService.parseListOptions(query)).toMatchObject({ success: false, status: 400 });
+    }
+
+    // A cursor only continues the listing it came from
+    const { nextCursor } = fileListService.listFiles({ userId: 1 }, options({ limit: 1 }), open);
+    expect(fileListService.parseListOptions({ sort: 'size', cursor: nextCursor })).toMatchObject({ success: false, status: 400 });
+  });
+
+  it('should page through files by date and size in SQL', () => {
+    expect(allPages({ userId: 1 }, { limit: 3 })).toEqual([
+      ['Budget.pdf', 'photo 2.jpg', 'notes.txt'],
+      ['photo 10.jpg']
+    ]);
+    // Equal sizes are ordered by ID
+    expect(allPages({ userId: 1 }, { sort: 'size', order: 'asc', limit: 2 })).toEqual([
+      ['notes.txt', 'photo 10.jpg'],
+      ['photo 2.jpg', 'Budget.pdf']
+    ]);
+
+    const first = fileListService.listFiles({ userId: 1 }, options({ limit: 3 }), open);
+    expect(first.total).toBe(4);
+    // Cursors carry an ID, never a name
+    expect(Buffer.from(first.nextCursor, 'base64url').toString()).not.toContain('notes');
+  });
+
+  it('should sort by decrypted names and types', () => {
+    expect(allPages({ userId: 1 }, { sort: 'name', limit: 2 })).toEqual([
+      ['Budget.pdf', 'notes.txt'],
+      ['photo 2.jpg', 'photo 10.jpg']
+    ]);
+    // Descending breaks ties by descending ID, like SQL
+    expect(allPages({ userId: 1 }, { sort: 'type', order: 'desc', limit: 10 })).toEqual([
+      ['notes.txt', 'photo 2.jpg', 'photo 10.jpg', 'Budget.pdf']
+    ]);
+  });
+
+  it('should filter by MIME type and upload date', () => {
+    const images = fileListService.listFiles({ userId: 1 }, options({ mimetype: 'image', sort: 'size', limit: 1 }), open);
+    expect(images.files.map(file => file.filename)).toEqual(['photo 2.jpg']);
+    expect(images.total).toBe(2);
+
+    // "to" takes in the whole day
+    const june = fileListService.listFiles({ userId: 1 }, options({ from: '2024-05-01', to: '2024-06-30' }), open);
+    expect(june.files.map(file => file.filename)).toEqual(['photo 2.jpg', 'notes.txt']);
+    expect(june.nextCursor).toBeNull();
+  });
+
+  it('should keep paging when the last file of a page is trashed', () => {
+    const first = fileListService.listFiles({ userId: 1 }, options({ sort: 'name', limit: 2 }), open);
+    const last = first.files[first.files.length - 1];
+    db.run("UPDATE files SET trashed_at = '2024-08-01T00:00:00.000Z' WHERE id = ?", [last.id]);
+
+    const next = fileListService.listFiles({ userId: 1 }, options({ sort: 'name', limit: 2, cursor: first.nextCursor }), open);
+    expect(next.files.map(file => file.filename)).toEqual(['photo 2.jpg', 'photo 10.jpg']);
+
+    // Another user's cursor names a file outside this listing
+    const bobs = fileListService.listFiles({ userId: 2 }, options({ sort: 'name', limit: 2, cursor: first.nextCursor }), open);
+    expect(bobs).toMatchObject({ success: false, status: 400 });
+  });
+});
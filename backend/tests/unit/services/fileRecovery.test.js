@@ -0,0 +1,77 @@
+process.env.SESSION_SECRET = 'test-session-secret';
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Real schema in memory
+const { createDatabase, createStorage, addUser, cleanup } = require('../../helpers/environment');
+
+jest.mock('../../../src/services/core/keyService', () => ({
+  verifyDataKey: jest.fn()
+}));
+
+const { verifyDataKey } = require('../../../src/services/core/keyService');
+const { handleCryptoIntegrityError, cleanupCorruptedFile, scanStorageHeaders } = require('../../../src/services/core/fileRecovery');
+const { CryptoIntegrityError } = require('../../../src/services/core/cryptoErrors');
+
+describe('fileRecovery', () => {
+  let db;
+
+  function quarantined() {
+    const result = db.exec('SELECT file_id FROM corrupted_files');
+    return result.length === 0 ? [] : result[0].values.map(row => row[0]);
+  }
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    addUser({ username: 'alice' });
+    db.run("INSERT INTO files (id, user_id, filename, filepath, size) VALUES (7, 1, 'pcm1:sealed', 'a.enc', 10)");
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanup();
+  });
+
+  it('should not quarantine a file when the key is wrong', async () => {
+    verifyDataKey.mockReturnValue(false);
+
+    const info = await handleCryptoIntegrityError(7, 1, new CryptoIntegrityError(), crypto.randomBytes(32));
+    expect(info.keyMismatch).toBe(true);
+    expect(quarantined()).toEqual([]);
+  });
+
+  it('should quarantine a file that fails with the right key', async () => {
+    verifyDataKey.mockReturnValue(true);
+
+    const info = await handleCryptoIntegrityError(7, 1, new CryptoIntegrityError(), crypto.randomBytes(32));
+    expect(info.keyMismatch).toBeUndefined();
+    expect(quarantined()).toEqual([7]);
+  });
+
+  it('should remove older versions along with a cleaned-up corrupted file', async () => {
+    const storage = await createStorage();
+    await fs.outputFile(path.join(storage, 'user_1', 'a.enc'), crypto.randomBytes(64));
+    await fs.outputFile(path.join(storage, 'user_1', 'a.v1.enc'), crypto.randomBytes(64));
+    db.run("INSERT INTO file_versions (file_id, user_id, version, filepath, size) VALUES (7, 1, 1, 'a.v1.enc', 10)");
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    expect(await cleanupCorruptedFile(7, 1)).toEqual({ success: true });
+    expect(db.exec('SELECT id FROM file_versions')).toEqual([]);
+    expect(await fs.pathExists(path.join(storage, 'user_1', 'a.v1.enc'))).toBe(false);
+  });
+
+  it('should not report older versions on disk as orphans', async () => {
+    const storage = await createStorage();
+    await fs.outputFile(path.join(storage, 'user_1', 'a.enc'), crypto.randomBytes(64));
+    await fs.outputFile(path.join(storage, 'user_1', 'a.v1.enc'), crypto.randomBytes(64));
+    db.run("INSERT INTO file_versions (file_id, user_id, version, filepath, size) VALUES (7, 1, 1, 'a.v1.enc', 10)");
+
+    const report = await scanStorageHeaders();
+    expect(report.scanned).toBe(2);
+    expect(report.orphans).toEqual([]);
+  });
+});
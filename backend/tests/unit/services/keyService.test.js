@@ -0,0 +1,250 @@
+process.env.SESSION_SECRET = 'test-session-secret';
+
+const bcrypt = require('bcryptjs');
+
+// Real schema in memory
+const { createDatabase, addUser, cleanup } = require('../../helpers/environment');
+
+const keyService = require('../../../src/services/core/keyService');
+const cryptoService = require('../../../src/services/core/cryptoService');
+const { KeyUnlockError, KeyMismatchError, KeyfileError } = require('../../../src/services/core/cryptoErrors');
+
+const PASSWORD = 'old password';
+
+let userCount = 0;
+
+async function createUser(password, { legacy = false, withRecovery = false } = {}) {
+  const hashedPassword = await bcrypt.hash(password, 4);
+  const username = `user${++userCount}`;
+  let keys = { encryptionSalt: cryptoService.generateSalt().toString('hex') };
+
+  if (!legacy) {
+    keys = await keyService.provisionUserKeys(password, { withRecovery });
+  }
+
+  const userId = addUser({
+    username,
+    password: hashedPassword,
+    encryption_salt: keys.encryptionSalt,
+    wrapped_data_key: keys.wrappedDataKey || null,
+    kdf_params: keys.kdfParams || null,
+    key_check: keys.keyCheck || null,
+    recovery_salt: keys.recoverySalt || null,
+    recovery_wrapped_key: keys.recoveryWrappedKey || null
+  });
+  return { userId, username, recoveryWords: keys.recoveryWords };
+}
+
+describe('keyService', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await createDatabase();
+  });
+
+  afterAll(async () => {
+    await cleanup();
+  });
+
+  it('should migrate legacy accounts to the old master key', async () => {
+    const { userId } = await createUser(PASSWORD, { legacy: true });
+    const { encryptionSalt } = keyService.getUserKeys(userId);
+    const legacyKey = await cryptoService.deriveMasterKey(PASSWORD, Buffer.from(encryptionSalt, 'hex'));
+
+    const dataKey = await keyService.unlockDataKey(userId, PASSWORD);
+    expect(dataKey.equals(legacyKey)).toBe(true);
+    expect(keyService.getUserKeys(userId).wrappedDataKey).toBeTruthy();
+
+    // Second unlock goes through the wrapped key
+    const again = await keyService.unlockDataKey(userId, PASSWORD);
+    expect(again.equals(legacyKey)).toBe(true);
+  });
+
+  it('should keep the data key when the password changes', async () => {
+    const { userId } = await createUser(PASSWORD);
+    const before = await keyService.unlockDataKey(userId, PASSWORD);
+
+    const result = await keyService.changePassword(userId, PASSWORD, 'new password');
+    expect(result.success).toBe(true);
+
+    const after = await keyService.unlockDataKey(userId, 'new password');
+    expect(after.equals(before)).toBe(true);
+    await expect(keyService.unlockDataKey(userId, PASSWORD)).rejects.toThrow(KeyUnlockError);
+  });
+
+  it('should upgrade weaker KDF params at unlock', async () => {
+    const { userId } = await createUser(PASSWORD);
+    const dataKey = await keyService.unlockDataKey(userId, PASSWORD);
+
+    // Re-wrap as if the account was created with a lower cost
+    const weak = { N: 16384, r: 8, p: 1 };
+    const salt = cryptoService.generateSalt();
+    const wrapped = await cryptoService.protectDataKey(PASSWORD, salt, dataKey, weak);
+    db.run('UPDATE users SET encryption_salt = ?, wrapped_data_key = ?, kdf_params = ? WHERE id = ?',
+      [salt.toString('hex'), wrapped, JSON.stringify(weak), userId]);
+
+    const unlocked = await keyService.unlockDataKey(userId, PASSWORD);
+    expect(unlocked.equals(dataKey)).toBe(true);
+
+    const keys = keyService.getUserKeys(userId);
+    expect(keys.kdfParams).toEqual(cryptoService.currentKdfParams());
+    expect(keys.encryptionSalt).not.toBe(salt.toString('hex'));
+    expect((await keyService.unlockDataKey(userId, PASSWORD)).equals(dataKey)).toBe(true);
+  });
+
+  describe('key check', () => {
+    it('should record a key check for existing accounts on first unlock', async () => {
+      const { userId } = await createUser(PASSWORD, { legacy: true });
+      expect(keyService.getUserKeys(userId).keyCheck).toBeNull();
+
+      const dataKey = await keyService.unlockDataKey(userId, PASSWORD);
+      expect(keyService.getUserKeys(userId).keyCheck).toBe(cryptoService.computeKeyCheck(dataKey));
+      expect(keyService.verifyDataKey(userId, dataKey)).toBe(true);
+    });
+
+    it('should fail fast when a legacy password derives the wrong key', async () => {
+      const { userId } = await createUser(PASSWORD, { legacy: true });
+      const dataKey = await keyService.unlockDataKey(userId, PASSWORD);
+
+      // Login hash reset out of band: bcrypt accepts it, but it is not the encryption password
+      db.run('UPDATE users SET wrapped_data_key = NULL WHERE id = ?', [userId]);
+      await expect(keyService.unlockDataKey(userId, 'reset by admin')).rejects.toThrow(KeyMismatchError);
+
+      // Nothing was wrapped under the wrong key
+      expect(keyService.getUserKeys(userId).wrappedDataKey).toBeNull();
+      expect((await keyService.unlockDataKey(userId, PASSWORD)).equals(dataKey)).toBe(true);
+    });
+
+    it('should reject a data key from another account', async () => {
+      const { userId } = await createUser(PASSWORD);
+      const other = await createUser(PASSWORD);
+      const otherKey = await keyService.unlockDataKey(other.userId, PASSWORD);
+
+      expect(keyService.verifyDataKey(userId, otherKey)).toBe(false);
+      expect(await cryptoService.verifyPassword(
+        PASSWORD,
+        Buffer.from(keyService.getUserKeys(userId).encryptionSalt, 'hex'),
+        cryptoService.computeKeyCheck(otherKey),
+        keyService.getUserKeys(userId).wrappedDataKey,
+        keyService.getUserKeys(userId).kdfParams
+      )).toBe(false);
+    });
+  });
+
+  it('should refuse a password change with the wrong current password', async () => {
+    const { userId } = await createUser(PASSWORD);
+
+    const result = await keyService.changePassword(userId, 'not it', 'new password');
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Current password is incorrect');
+  });
+
+  describe('recovery key', () => {
+    it('should reset a forgotten password without changing the data key', async () => {
+      const { userId, username, recoveryWords } = await createUser(PASSWORD, { withRecovery: true });
+      const before = await keyService.unlockDataKey(userId, PASSWORD);
+
+      const result = await keyService.recoverAccount(username, recoveryWords.join(' '), 'new password');
+      expect(result).toEqual({ success: true, userId, keyfileRemoved: false });
+
+      const after = await keyService.unlockDataKey(userId, 'new password');
+      expect(after.equals(before)).toBe(true);
+      expect(keyService.hasRecoveryKey(userId).enabled).toBe(true);
+    });
+
+    it('should reject a recovery key from another account', async () => {
+      const { username } = await createUser(PASSWORD, { withRecovery: true });
+      const other = await createUser(PASSWORD, { withRecovery: true });
+
+      const result = await keyService.recoverAccount(username, other.recoveryWords, 'new password');
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Recovery key does not match this account');
+    });
+
+    it('should give existing accounts a new recovery key', async () => {
+      const { userId, username } = await createUser(PASSWORD);
+      expect(keyService.hasRecoveryKey(userId).enabled).toBe(false);
+
+      const dataKey = await keyService.unlockDataKey(userId, PASSWORD);
+      const words = keyService.resetRecoveryKey(userId, dataKey);
+
+      const result = await keyService.recoverAccount(username, words, 'new password');
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('keyfile', () => {
+    const keyfile = cryptoService.hashKeyfile(Buffer.from('contents of a usb stick'));
+
+    async function enrolledUser() {
+      const user = await createUser(PASSWORD, { withRecovery: true });
+      const dataKey = await keyService.unlockDataKey(user.userId, PASSWORD);
+      const result = await keyService.enrollKeyfile(user.userId, PASSWORD, dataKey, keyfile);
+      expect(result.success).toBe(true);
+      return { ...user, dataKey };
+    }
+
+    it('should need both the password and the keyfile once enrolled', async () => {
+      const { userId, dataKey } = await enrolledUser();
+      expect(keyService.getUserKeys(userId).keyfileEnrolledAt).toBeTruthy();
+
+      await expect(keyService.unlockDataKey(userId, PASSWORD))
+        .rejects.toThrow('This account requires its keyfile');
+
+      const otherKeyfile = cryptoService.hashKeyfile(Buffer.from('some other file'));
+      await expect(keyService.unlockDataKey(userId, PASSWORD, otherKeyfile))
+        .rejects.toThrow(KeyfileError);
+
+      const unlocked = await keyService.unlockDataKey(userId, PASSWORD, keyfile);
+      expect(unlocked.equals(dataKey)).toBe(true);
+    });
+
+    it('should require a recovery key before enrolling', async () => {
+      const { userId } = await createUser(PASSWORD);
+      const dataKey = await keyService.unlockDataKey(userId, PASSWORD);
+
+      const result = await keyService.enrollKeyfile(userId, PASSWORD, dataKey, keyfile);
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/recovery key first/);
+      expect(keyService.getUserKeys(userId).keyfileEnrolledAt).toBeNull();
+    });
+
+    it('should keep the keyfile across a password change', async () => {
+      const { userId, dataKey } = await enrolledUser();
+
+      const missing = await keyService.changePassword(userId, PASSWORD, 'new password');
+      expect(missing.success).toBe(false);
+
+      const result = await keyService.changePassword(userId, PASSWORD, 'new password', keyfile);
+      expect(result.success).toBe(true);
+
+      await expect(keyService.unlockDataKey(userId, 'new password')).rejects.toThrow(KeyfileError);
+      const unlocked = await keyService.unlockDataKey(userId, 'new password', keyfile);
+      expect(unlocked.equals(dataKey)).toBe(true);
+    });
+
+    it('should go back to password only when removed', async () => {
+      const { userId, dataKey } = await enrolledUser();
+
+      const wrongPassword = await keyService.removeKeyfile(userId, 'not it', dataKey);
+      expect(wrongPassword.success).toBe(false);
+
+      const result = await keyService.removeKeyfile(userId, PASSWORD, dataKey);
+      expect(result.success).toBe(true);
+
+      const unlocked = await keyService.unlockDataKey(userId, PASSWORD);
+      expect(unlocked.equals(dataKey)).toBe(true);
+    });
+
+    it('should recover a lost keyfile with the recovery key', async () => {
+      const { userId, username, recoveryWords, dataKey } = await enrolledUser();
+
+      const result = await keyService.recoverAccount(username, recoveryWords, 'new password');
+      expect(result).toEqual({ success: true, userId, keyfileRemoved: true });
+      expect(keyService.getUserKeys(userId).keyfileEnrolledAt).toBeNull();
+
+      const unlocked = await keyService.unlockDataKey(userId, 'new password');
+      expect(unlocked.equals(dataKey)).toBe(true);
+    });
+  });
+});
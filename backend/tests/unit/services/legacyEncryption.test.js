@@ -0,0 +1,126 @@
+process.env.SESSION_SECRET = 'test-session-secret';
+
+const fs = require('fs-extra');
+const path = require('path');
+const { Writable } = require('stream');
+
+// Real schema in memory, storage in a temp directory
+const { createDatabase, createStorage, addUser, cleanup } = require('../../helpers/environment');
+
+const legacyEncryption = require('../../../src/services/core/legacyEncryption');
+const cryptoService = require('../../../src/services/core/cryptoService');
+const sessionKeyring = require('../../../src/services/core/sessionKeyring');
+
+async function decryptToBuffer(filePath, dataKey, keyId) {
+  const chunks = [];
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  await cryptoService.decryptFileStream(filePath, sink, dataKey, keyId, null, null, {
+    format: cryptoService.FORMAT_SEGMENTED
+  });
+  return Buffer.concat(chunks);
+}
+
+describe('legacyEncryption', () => {
+  let db;
+  let dataKey;
+  let userPath;
+
+  // A file as migrate-encryption.js left it: plaintext on disk, encrypted = 0
+  async function legacyFile(name, content) {
+    await fs.writeFile(path.join(userPath, name), content);
+    db.run(
+      'INSERT INTO files (user_id, filename, filepath, size, mimetype, encrypted) VALUES (1, ?, ?, ?, ?, 0)',
+      [name, name, content.length, 'text/plain']
+    );
+  }
+
+  function fileRows() {
+    const result = db.exec('SELECT id, filepath, size, encrypted, format_version, key_id FROM files ORDER BY id');
+    return result.length > 0 ? result[0].values : [];
+  }
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    addUser({ username: 'alice', kdf_params: '{"N":1024,"r":8,"p":1}' });
+
+    userPath = path.join(await createStorage(), 'user_1');
+    await fs.ensureDir(userPath);
+
+    dataKey = cryptoService.generateDataKey();
+    sessionKeyring.store('session-1', 1, dataKey);
+  });
+
+  afterEach(async () => {
+    await legacyEncryption.idle();
+    sessionKeyring.remove('session-1');
+    jest.restoreAllMocks();
+    await cleanup();
+  });
+
+  it('should encrypt plaintext files in the background and remove the originals', async () => {
+    const contents = [Buffer.from('old holiday notes'), Buffer.alloc(200 * 1024, 'x')];
+    await legacyFile('notes.txt', contents[0]);
+    await legacyFile('big.txt', contents[1]);
+
+    legacyEncryption.queueUser('session-1', 1);
+    expect(legacyEncryption.isEncrypting(1)).toBe(true);
+    await legacyEncryption.idle();
+    expect(legacyEncryption.isEncrypting(1)).toBe(false);
+
+    const rows = fileRows();
+    for (const [index, [, filepath, size, encrypted, format, keyId]] of rows.entries()) {
+      expect(encrypted).toBe(1);
+      expect(format).toBe(cryptoService.FORMAT_SEGMENTED);
+      expect(filepath).toMatch(/\.enc$/);
+      expect(size).toBe(contents[index].length);
+      expect(keyId).toMatch(/^[0-9a-f-]{36}$/);
+
+      const decrypted = await decryptToBuffer(path.join(userPath, filepath), dataKey, keyId);
+      expect(decrypted.equals(contents[index])).toBe(true);
+    }
+
+    // Only ciphertext left on the drive
+    expect((await fs.readdir(userPath)).sort()).toEqual(rows.map(row => row[1]).sort());
+  });
+
+  it('should leave a file untouched if it changes while being encrypted', async () => {
+    await legacyFile('notes.txt', Buffer.from('keep me'));
+
+    // Someone appends to the file after encryption started
+    const stat = fs.stat.bind(fs);
+    jest.spyOn(fs, 'stat').mockImplementationOnce(stat).mockImplementationOnce(async (filePath) => {
+      await fs.appendFile(filePath, ' and me');
+      return stat(filePath);
+    });
+
+    legacyEncryption.queueUser('session-1', 1);
+    await legacyEncryption.idle();
+
+    expect(fileRows()).toEqual([[1, 'notes.txt', 7, 0, 1, null]]);
+    expect(await fs.readFile(path.join(userPath, 'notes.txt'), 'utf8')).toBe('keep me and me');
+    expect(await fs.readdir(userPath)).toEqual(['notes.txt']);
+  });
+
+  it('should stop when the session locks and resume at the next login', async () => {
+    await legacyFile('a.txt', Buffer.from('a'));
+    await legacyFile('b.txt', Buffer.from('b'));
+
+    // Lock after the first file
+    const peek = sessionKeyring.peek.bind(sessionKeyring);
+    jest.spyOn(sessionKeyring, 'peek').mockImplementationOnce(peek).mockReturnValue(null);
+
+    legacyEncryption.queueUser('session-1', 1);
+    await legacyEncryption.idle();
+    expect(fileRows().map(row => row[3])).toEqual([1, 0]);
+
+    sessionKeyring.peek.mockRestore();
+    legacyEncryption.queueUser('session-1', 1);
+    await legacyEncryption.idle();
+    expect(fileRows().map(row => row[3])).toEqual([1, 1]);
+  });
+});
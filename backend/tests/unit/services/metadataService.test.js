@@ -0,0 +1,84 @@
+// Real schema in memory
+const { createDatabase, cleanup } = require('../../helpers/environment');
+
+const metadataService = require('../../../src/services/core/metadataService');
+const searchService = require('../../../src/services/core/searchService');
+const cryptoService = require('../../../src/services/core/cryptoService');
+
+describe('metadataService', () => {
+  let db;
+  let dataKey;
+
+  function fileRows(userId) {
+    return metadataService.rowsFromResult(db.exec(
+      'SELECT id, filename, mimetype, description, tags, meta_encrypted FROM files WHERE user_id = ? ORDER BY id',
+      [userId]
+    ));
+  }
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    dataKey = cryptoService.generateDataKey();
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('should encrypt existing plaintext rows at login', () => {
+    db.run(`INSERT INTO files (user_id, filename, filepath, size, mimetype, description, tags)
+      VALUES (1, 'payslip.pdf', 'a.enc', 10, 'application/pdf', 'March', 'work,tax'),
+             (2, 'other.txt', 'b.enc', 10, 'text/plain', NULL, NULL)`);
+    db.run(`INSERT INTO search_index (resource_type, resource_id, user_id, title, content, tags, metadata)
+      VALUES ('file', 1, 1, 'payslip.pdf', 'payslip.pdf March', 'work,tax', '{}')`);
+
+    const result = metadataService.migrateUserMetadata(1, dataKey);
+    expect(result).toEqual({ success: true, files: 1, searchEntries: 1 });
+
+    const [stored] = fileRows(1);
+    expect(stored.meta_encrypted).toBe(1);
+    for (const field of metadataService.FILE_FIELDS) {
+      expect(cryptoService.isEncryptedMetadata(stored[field])).toBe(true);
+    }
+    const index = db.exec('SELECT title, content, tags FROM search_index')[0].values[0];
+    expect(index.every(value => cryptoService.isEncryptedMetadata(value))).toBe(true);
+
+    // Other users' rows are left for their own login
+    expect(fileRows(2)[0].filename).toBe('other.txt');
+
+    const [opened] = metadataService.openFileRows(dataKey, fileRows(1));
+    expect(opened).toMatchObject({ filename: 'payslip.pdf', mimetype: 'application/pdf', description: 'March', tags: 'work,tax' });
+
+    // Second login has nothing to do
+    expect(metadataService.migrateUserMetadata(1, dataKey)).toEqual({ success: true, files: 0, searchEntries: 0 });
+  });
+
+  it('should list rows it cannot decrypt under a placeholder name', () => {
+    const sealed = metadataService.sealFileMetadata(cryptoService.generateDataKey(), { filename: 'x.txt' });
+    db.run("INSERT INTO files (user_id, filename, filepath, size, meta_encrypted) VALUES (1, ?, 'x.enc', 1, 1)",
+      [sealed.filename]);
+
+    const [opened] = metadataService.openFileRows(dataKey, fileRows(1));
+    expect(opened).toMatchObject({ filename: `file-${opened.id}`, metadataUnreadable: true });
+  });
+
+  it('should search the encrypted index', async () => {
+    for (const [name, mimetype] of [['Holiday photo.jpg', 'image/jpeg'], ['budget.xlsx', 'application/vnd.ms-excel']]) {
+      const sealed = metadataService.sealFileMetadata(dataKey, { filename: name, mimetype });
+      db.run(`INSERT INTO files (user_id, filename, filepath, size, mimetype, meta_encrypted)
+        VALUES (1, ?, 'f.enc', 5, ?, 1)`, [sealed.filename, sealed.mimetype]);
+    }
+
+    const reindexed = await searchService.reindexAll(1, dataKey);
+    expect(reindexed.indexed.files).toBe(2);
+    const titles = db.exec('SELECT title FROM search_index')[0].values.map(row => row[0]);
+    expect(titles.every(title => cryptoService.isEncryptedMetadata(title))).toBe(true);
+
+    const found = searchService.search(1, dataKey, 'holiday');
+    expect(found.results.map(result => result.title)).toEqual(['Holiday photo.jpg']);
+    expect(found.results[0].mimetype).toBe('image/jpeg');
+
+    expect(searchService.search(1, dataKey, '', { mimetype: 'application/' }).results).toHaveLength(1);
+    expect(searchService.getSuggestions(1, dataKey, 'bud').suggestions).toEqual(['budget.xlsx']);
+  });
+});
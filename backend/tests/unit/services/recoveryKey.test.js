@@ -0,0 +1,39 @@
+const {
+  generateRecoveryKey,
+  encodeRecoveryKey,
+  decodeRecoveryKey,
+  RECOVERY_WORD_COUNT
+} = require('../../../src/services/core/recoveryKey');
+
+describe('recoveryKey', () => {
+  it('should round-trip a key through words', () => {
+    const recoveryKey = generateRecoveryKey();
+    const words = encodeRecoveryKey(recoveryKey);
+
+    expect(words).toHaveLength(RECOVERY_WORD_COUNT);
+    expect(decodeRecoveryKey(words.join(' ')).equals(recoveryKey)).toBe(true);
+  });
+
+  it('should accept words as typed from a printed kit', () => {
+    const recoveryKey = generateRecoveryKey();
+    const typed = encodeRecoveryKey(recoveryKey)
+      .map((word, index) => `${index + 1}. ${word.toUpperCase()}`)
+      .join(',\n  ');
+
+    expect(decodeRecoveryKey(typed).equals(recoveryKey)).toBe(true);
+  });
+
+  it('should catch typos with the checksum', () => {
+    const words = encodeRecoveryKey(Buffer.alloc(16));
+    words[3] = words[3] === 'acorn' ? 'actor' : 'acorn';
+
+    expect(() => decodeRecoveryKey(words)).toThrow('checksum');
+  });
+
+  it('should reject unknown and missing words', () => {
+    const words = encodeRecoveryKey(generateRecoveryKey());
+
+    expect(() => decodeRecoveryKey(words.slice(1))).toThrow('must be');
+    expect(() => decodeRecoveryKey(['zzz', ...words.slice(1)])).toThrow('Unknown recovery word');
+  });
+});
@@ -0,0 +1,94 @@
+process.env.SESSION_SECRET = 'test-session-secret';
+
+const crypto = require('crypto');
+const config = require('../../../src/config/config');
+const sessionKeyring = require('../../../src/services/core/sessionKeyring');
+
+describe('sessionKeyring', () => {
+  let dataKey;
+
+  beforeEach(() => {
+    dataKey = crypto.randomBytes(32);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sessionKeyring.remove('session-a');
+    sessionKeyring.remove('session-b');
+    sessionKeyring.remove('session-c');
+  });
+
+  it('should hand out copies of the stored key', () => {
+    sessionKeyring.store('session-a', 1, dataKey);
+    dataKey.fill(0);
+
+    const first = sessionKeyring.get('session-a', 1);
+    expect(first.equals(Buffer.alloc(32))).toBe(false);
+
+    first.fill(0);
+    expect(sessionKeyring.get('session-a', 1).equals(first)).toBe(false);
+  });
+
+  it('should not give a key to another user', () => {
+    sessionKeyring.store('session-a', 1, dataKey);
+
+    expect(sessionKeyring.get('session-a', 2)).toBeNull();
+    expect(sessionKeyring.has('session-a', 2)).toBe(false);
+  });
+
+  it('should zeroize the key on remove', () => {
+    sessionKeyring.store('session-a', 1, dataKey);
+    const stored = sessionKeyring.entries.get('session-a').dataKey;
+
+    sessionKeyring.remove('session-a');
+    expect(stored.equals(Buffer.alloc(32))).toBe(true);
+    expect(sessionKeyring.has('session-a')).toBe(false);
+  });
+
+  it('should remove all of a user\'s keys but the one kept', () => {
+    sessionKeyring.store('session-a', 1, dataKey);
+    sessionKeyring.store('session-b', 1, dataKey);
+    sessionKeyring.store('session-c', 2, dataKey);
+
+    expect(sessionKeyring.removeUser(1, 'session-a')).toBe(1);
+    expect(sessionKeyring.has('session-a', 1)).toBe(true);
+    expect(sessionKeyring.has('session-b')).toBe(false);
+    expect(sessionKeyring.has('session-c', 2)).toBe(true);
+
+    expect(sessionKeyring.removeUser(1)).toBe(1);
+    expect(sessionKeyring.has('session-a')).toBe(false);
+  });
+
+  it('should drop keys after the idle timeout', () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    sessionKeyring.store('session-a', 1, dataKey);
+
+    Date.now.mockReturnValue(now + config.KEY_IDLE_TIMEOUT - 1);
+    sessionKeyring.touch('session-a');
+
+    Date.now.mockReturnValue(now + config.KEY_IDLE_TIMEOUT * 2 - 2);
+    expect(sessionKeyring.has('session-a', 1)).toBe(true);
+
+    Date.now.mockReturnValue(now + config.KEY_IDLE_TIMEOUT * 2 - 1);
+    expect(sessionKeyring.sweep()).toBe(1);
+    expect(sessionKeyring.get('session-a', 1)).toBeNull();
+  });
+
+  it('should drop keys when the session expires', () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    sessionKeyring.store('session-a', 1, dataKey, new Date(now + 1000));
+
+    Date.now.mockReturnValue(now + 1000);
+    expect(sessionKeyring.get('session-a', 1)).toBeNull();
+  });
+
+  it('should never serialize keys', () => {
+    sessionKeyring.store('session-a', 1, dataKey);
+
+    const serialized = JSON.stringify({ keyring: sessionKeyring });
+    expect(serialized).not.toContain(dataKey.toString('hex'));
+    expect(JSON.parse(serialized).keyring).toEqual({ unlockedSessions: 1 });
+  });
+});
@@ -1,36 +1,181 @@
-const trashService = require('../../../services/trashService');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Real schema in memory, storage in a temp directory, no drive checks
+const { createDatabase, createStorage, addUser, cleanup } = require('../../helpers/environment');
+
+const trashService = require('../../../src/services/core/trashService');
+const thumbnailService = require('../../../src/services/media/thumbnailService');
+
+const ALICE = 1;
+const BOB = 2;
 
 describe('TrashService', () => {
+  let db;
+  let storage;
+
+  // A stored file: blob relative to user_N, like uploads write them
+  function addFile(userId, { folderId = null, trashedAt = null } = {}) {
+    const storageName = `${Math.random().toString(16).slice(2)}.enc`;
+    fs.outputFileSync(path.join(storage, `user_${userId}`, storageName), 'ciphertext');
+    db.run(
+      'INSERT INTO files (user_id, folder_id, filename, filepath, size, trashed_at) VALUES (?, ?, ?, ?, 10, ?)',
+      [userId, folderId, 'pcm1:sealed', storageName, trashedAt]
+    );
+    const id = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+    return { id, blob: path.join(storage, `user_${userId}`, storageName) };
+  }
+
+  function addVersion(userId, fileId) {
+    const storageName = `${Math.random().toString(16).slice(2)}.enc`;
+    fs.outputFileSync(path.join(storage, `user_${userId}`, storageName), 'older ciphertext');
+    db.run('INSERT INTO file_versions (file_id, user_id, version, filepath, size) VALUES (?, ?, 1, ?, 16)', [fileId, userId, storageName]);
+    return path.join(storage, `user_${userId}`, storageName);
+  }
+
+  function trashedAt(fileId) {
+    return db.exec('SELECT trashed_at FROM files WHERE id = ?', [fileId])[0].values[0][0];
+  }
+
+  function daysAgo(days) {
+    return new Date(Date.now() - days * 86400000).toISOString();
+  }
+
+  function fileIds() {
+    const result = db.exec('SELECT id FROM files ORDER BY id');
+    return result.length > 0 ? result[0].values.map(([id]) => id) : [];
+  }
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    addUser({ username: 'alice' });
+    addUser({ username: 'bob' });
+    storage = await createStorage();
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
   describe('moveToTrash', () => {
     it('should move file to trash', async () => {
-      // Mock test - implement with actual database
-      expect(true).toBe(true);
+      const { id, blob } = addFile(ALICE);
+
+      const result = await trashService.moveToTrash(id, ALICE);
+      expect(result).toMatchObject({ success: true, folderId: null });
+      expect(await fs.pathExists(blob)).toBe(true);
+      expect(db.exec("SELECT action FROM audit_logs")[0].values).toEqual([['file.trash']]);
     });
-    
+
     it('should set trashed_at timestamp', async () => {
-      expect(true).toBe(true);
+      const { id } = addFile(ALICE);
+      await trashService.moveToTrash(id, ALICE);
+      expect(Date.now() - Date.parse(trashedAt(id))).toBeLessThan(60000);
+
+      // Only the owner's files, and only once
+      expect(await trashService.moveToTrash(id, ALICE)).toMatchObject({ success: false, status: 404 });
+      const other = addFile(ALICE);
+      expect(await trashService.moveToTrash(other.id, BOB)).toMatchObject({ success: false, status: 404 });
+      expect(trashedAt(other.id)).toBeNull();
     });
   });
-  
+
   describe('restoreFromTrash', () => {
     it('should restore file from trash', async () => {
-      expect(true).toBe(true);
+      db.run("INSERT INTO folders (user_id, name) VALUES (?, 'Reports'), (?, 'Old')", [ALICE, ALICE]);
+      const inFolder = addFile(ALICE, { folderId: 1, trashedAt: daysAgo(1) });
+      const inTrashedFolder = addFile(ALICE, { folderId: 2, trashedAt: daysAgo(1) });
+      db.run('UPDATE folders SET trashed_at = ? WHERE id = 2', [daysAgo(1)]);
+
+      expect(await trashService.restoreFromTrash(inFolder.id, BOB)).toMatchObject({ success: false, status: 404 });
+      expect(await trashService.restoreFromTrash(inFolder.id, ALICE)).toMatchObject({ success: true, folderId: 1 });
+      // Its folder is in trash - back at the top level
+      expect(await trashService.restoreFromTrash(inTrashedFolder.id, ALICE)).toMatchObject({ success: true, folderId: null });
     });
-    
+
     it('should clear trashed_at timestamp', async () => {
-      expect(true).toBe(true);
+      const { id } = addFile(ALICE, { trashedAt: daysAgo(1) });
+      await trashService.restoreFromTrash(id, ALICE);
+      expect(trashedAt(id)).toBeNull();
+      expect(await trashService.restoreFromTrash(id, ALICE)).toMatchObject({ success: false, status: 404 });
     });
   });
-  
+
   describe('emptyTrash', () => {
     it('should permanently delete trashed files', async () => {
-      expect(true).toBe(true);
+      const trashed = addFile(ALICE, { trashedAt: daysAgo(1) });
+      const version = addVersion(ALICE, trashed.id);
+      const kept = addFile(ALICE);
+      const bobs = addFile(BOB, { trashedAt: daysAgo(1) });
+      db.run("INSERT INTO search_index (resource_type, resource_id, user_id) VALUES ('file', ?, ?)", [trashed.id, ALICE]);
+      const thumbnail = thumbnailService.getThumbnailPath(trashed.id, 'small');
+      await fs.outputFile(thumbnail, 'jpeg');
+
+      try {
+        const result = await trashService.emptyTrash(ALICE);
+        expect(result).toMatchObject({ success: true, count: 1 });
+
+        expect(fileIds()).toEqual([kept.id, bobs.id]);
+        expect(await fs.pathExists(trashed.blob)).toBe(false);
+        expect(await fs.pathExists(version)).toBe(false);
+        expect(await fs.pathExists(thumbnail)).toBe(false);
+        expect(db.exec('SELECT COUNT(*) FROM file_versions')[0].values[0][0]).toBe(0);
+        expect(db.exec('SELECT COUNT(*) FROM search_index')[0].values[0][0]).toBe(0);
+        expect(await fs.pathExists(kept.blob)).toBe(true);
+        expect(await fs.pathExists(bobs.blob)).toBe(true);
+      } finally {
+        await fs.remove(thumbnail);
+      }
+    });
+
+    it('should only delete a single file for good once it is in trash', async () => {
+      const { id, blob } = addFile(ALICE);
+      expect(await trashService.permanentlyDelete(id, ALICE)).toMatchObject({ success: false, status: 404 });
+
+      await trashService.moveToTrash(id, ALICE);
+      expect(await trashService.permanentlyDelete(id, BOB)).toMatchObject({ success: false, status: 404 });
+      expect(await trashService.permanentlyDelete(id, ALICE)).toMatchObject({ success: true });
+      expect(await fs.pathExists(blob)).toBe(false);
+      expect(fileIds()).toEqual([]);
     });
   });
-  
+
   describe('cleanupOld', () => {
     it('should delete files older than specified days', async () => {
-      expect(true).toBe(true);
+      const old = addFile(ALICE, { trashedAt: daysAgo(31) });
+      const recent = addFile(ALICE, { trashedAt: daysAgo(5) });
+      const live = addFile(ALICE);
+
+      // Blobs are stored relative to the user's directory
+      const result = await trashService.autoCleanup();
+      expect(result).toMatchObject({ success: true, count: 1 });
+      expect(await fs.pathExists(old.blob)).toBe(false);
+      expect(fileIds()).toEqual([recent.id, live.id]);
+    });
+
+    it('should follow each user\'s retention period', async () => {
+      const alices = addFile(ALICE, { trashedAt: daysAgo(5) });
+      const bobs = addFile(BOB, { trashedAt: daysAgo(5) });
+      const bobsOld = addFile(BOB, { trashedAt: daysAgo(45) });
+      db.run('UPDATE users SET trash_retention_days = 60 WHERE id = ?', [BOB]);
+      expect(trashService.getRetentionDays(ALICE)).toBe(trashService.DEFAULT_RETENTION_DAYS);
+      expect(trashService.getRetentionDays(BOB)).toBe(60);
+
+      expect((await trashService.autoCleanup()).count).toBe(0);
+
+      // A shorter period applies straight away
+      expect(await trashService.setRetentionDays(ALICE, 0)).toMatchObject({ success: false, status: 400 });
+      expect(await trashService.setRetentionDays(ALICE, 3)).toEqual({ success: true, days: 3, removed: 1 });
+      expect(fileIds()).toEqual([bobs.id, bobsOld.id]);
+      expect(await fs.pathExists(alices.blob)).toBe(false);
+    });
+
+    it('should delete folders once their files are gone', async () => {
+      db.run('INSERT INTO folders (user_id, name, trashed_at) VALUES (?, ?, ?)', [ALICE, 'Old', daysAgo(40)]);
+      addFile(ALICE, { folderId: 1, trashedAt: daysAgo(40) });
+
+      expect(await trashService.autoCleanup()).toMatchObject({ success: true, count: 1, folders: 1 });
+      expect(db.exec('SELECT COUNT(*) FROM folders')[0].values[0][0]).toBe(0);
     });
   });
 });
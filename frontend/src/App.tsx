@@ -8,6 +8,7 @@ import LoginPage from './pages/LoginPage'
 import RegisterPage from './pages/RegisterPage'
 import DashboardPage from './pages/DashboardPage'
 import FilesPage from './pages/FilesPage'
+import TrashPage from './pages/TrashPage'
 import SecurityPage from './pages/SecurityPage'
 import SupportPage from './pages/SupportPage'
 import SettingsPage from './pages/SettingsPage'
@@ -57,6 +58,16 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/trash"
+          element={
+            <ProtectedRoute>
+              <DashboardLayout>
+                <TrashPage />
+              </DashboardLayout>
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/security"
           element={
@@ -3,26 +3,23 @@ import { X, Clock, Download, RotateCcw, Trash2, AlertCircle } from 'lucide-react
 import { toast } from 'sonner'
 import { formatDistanceToNow } from 'date-fns'
 import Button from './ui/Button'
-import { FileItem } from '../services/fileService'
-
-interface FileVersion {
-  id: number
-  version: number
-  size: number
-  formattedSize: string
-  timestamp: string
-  isCurrent: boolean
-  comment?: string
-}
+import Input from './ui/Input'
+import { FileItem, FileVersion, VersionRetention, fileService } from '../services/fileService'
+import { formatBytes } from '../lib/utils'
 
 interface FileVersionModalProps {
   file: FileItem | null
   isOpen: boolean
   onClose: () => void
+  // A restore changes the current version's size and date
+  onVersionsChanged?: () => void
 }
 
-export default function FileVersionModal({ file, isOpen, onClose }: FileVersionModalProps) {
+export default function FileVersionModal({ file, isOpen, onClose, onVersionsChanged }: FileVersionModalProps) {
   const [versions, setVersions] = useState<FileVersion[]>([])
+  const [retention, setRetention] = useState<VersionRetention | null>(null)
+  const [keepVersions, setKeepVersions] = useState('')
+  const [keepDays, setKeepDays] = useState('')
   const [isLoading, setIsLoading] = useState(true)
 
   useEffect(() => {
@@ -32,43 +29,12 @@ export default function FileVersionModal({ file, isOpen, onClose }: FileVersionM
   }, [file, isOpen])
 
   const loadVersions = async () => {
+    if (!file) return
     setIsLoading(true)
     try {
-      // TODO: API call to fetch versions
-      await new Promise(resolve => setTimeout(resolve, 500))
-      
-      // Mock data
-      const mockVersions: FileVersion[] = [
-        {
-          id: 1,
-          version: 3,
-          size: 1024000,
-          formattedSize: '1.0 MB',
-          timestamp: new Date().toISOString(),
-          isCurrent: true,
-          comment: 'Latest version'
-        },
-        {
-          id: 2,
-          version: 2,
-          size: 950000,
-          formattedSize: '950 KB',
-          timestamp: new Date(Date.now() - 1000 * 60 * 60 * 24).toISOString(),
-          isCurrent: false,
-          comment: 'Updated content'
-        },
-        {
-          id: 3,
-          version: 1,
-          size: 800000,
-          formattedSize: '800 KB',
-          timestamp: new Date(Date.now() - 1000 * 60 * 60 * 24 * 7).toISOString(),
-          isCurrent: false,
-          comment: 'Initial version'
-        },
-      ]
-      
-      setVersions(mockVersions)
+      const result = await fileService.getFileVersions(file.id)
+      setVersions(result.versions)
+      showRetention(result.retention)
     } catch (error) {
       console.error('Failed to load versions:', error)
       toast.error('Failed to load file versions')
@@ -77,32 +43,39 @@ export default function FileVersionModal({ file, isOpen, onClose }: FileVersionM
     }
   }
 
+  const showRetention = (value: VersionRetention) => {
+    setRetention(value)
+    setKeepVersions(value.keepVersions ? String(value.keepVersions) : '')
+    setKeepDays(value.keepDays ? String(value.keepDays) : '')
+  }
+
   const handleDownloadVersion = async (version: FileVersion) => {
+    if (!file) return
     try {
-      // TODO: API call to download specific version
-      await new Promise(resolve => setTimeout(resolve, 500))
-      toast.success(`Downloading version ${version.version}`)
+      await fileService.downloadFileVersion(file.id, version.version, versionFilename(file.filename, version))
     } catch (error) {
       toast.error('Failed to download version')
     }
   }
 
   const handleRestoreVersion = async (version: FileVersion) => {
+    if (!file) return
     if (!confirm(`Restore to version ${version.version}? This will create a new version.`)) {
       return
     }
 
     try {
-      // TODO: API call to restore version
-      await new Promise(resolve => setTimeout(resolve, 500))
-      toast.success(`Restored to version ${version.version}`)
+      const current = await fileService.restoreFileVersion(file.id, version.version)
+      toast.success(`Restored version ${version.version} as version ${current}`)
       await loadVersions()
-    } catch (error) {
-      toast.error('Failed to restore version')
+      onVersionsChanged?.()
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to restore version')
     }
   }
 
   const handleDeleteVersion = async (version: FileVersion) => {
+    if (!file) return
     if (version.isCurrent) {
       toast.error('Cannot delete current version')
       return
@@ -113,12 +86,28 @@ export default function FileVersionModal({ file, isOpen, onClose }: FileVersionM
     }
 
     try {
-      // TODO: API call to delete version
-      await new Promise(resolve => setTimeout(resolve, 500))
+      await fileService.deleteFileVersion(file.id, version.version)
       toast.success(`Version ${version.version} deleted`)
       await loadVersions()
-    } catch (error) {
-      toast.error('Failed to delete version')
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to delete version')
+    }
+  }
+
+  // Applies to all files, and prunes older versions straight away
+  const handleSaveRetention = async () => {
+    try {
+      const result = await fileService.setVersionRetention({
+        keepVersions: keepVersions ? Number(keepVersions) : null,
+        keepDays: keepDays ? Number(keepDays) : null,
+      })
+      showRetention(result.retention)
+      toast.success(result.removed > 0
+        ? `Retention updated - ${result.removed} older version${result.removed === 1 ? '' : 's'} removed`
+        : 'Retention updated')
+      await loadVersions()
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to update retention')
     }
   }
 
@@ -158,6 +147,11 @@ export default function FileVersionModal({ file, isOpen, onClose }: FileVersionM
                 PocketCloud automatically saves versions when you upload a file with the same name.
                 You can restore or download any previous version.
               </p>
+              {retention && (
+                <p className="text-blue-800 dark:text-blue-200 mt-1">
+                  {describeRetention(retention)} Older versions count towards your storage.
+                </p>
+              )}
             </div>
           </div>
         </div>
@@ -177,7 +171,7 @@ export default function FileVersionModal({ file, isOpen, onClose }: FileVersionM
             <div className="space-y-3">
               {versions.map((version) => (
                 <VersionItem
-                  key={version.id}
+                  key={version.version}
                   version={version}
                   onDownload={() => handleDownloadVersion(version)}
                   onRestore={() => handleRestoreVersion(version)}
@@ -189,7 +183,35 @@ export default function FileVersionModal({ file, isOpen, onClose }: FileVersionM
         </div>
 
         {/* Footer */}
-        <div className="p-4 border-t border-gray-200 dark:border-gray-700">
+        <div className="p-4 border-t border-gray-200 dark:border-gray-700 space-y-3">
+          {retention && (
+            <div className="flex items-end gap-2">
+              <Input
+                label="Keep versions"
+                type="number"
+                min="1"
+                value={keepVersions}
+                onChange={(e) => setKeepVersions(e.target.value)}
+                placeholder="No limit"
+              />
+              <Input
+                label="Keep for (days)"
+                type="number"
+                min="1"
+                value={keepDays}
+                onChange={(e) => setKeepDays(e.target.value)}
+                placeholder="No limit"
+              />
+              <Button
+                variant="outline"
+                onClick={handleSaveRetention}
+                disabled={!keepVersions && !keepDays}
+                title="Applies to all your files"
+              >
+                Save
+              </Button>
+            </div>
+          )}
           <Button onClick={onClose} className="w-full">
             Close
           </Button>
@@ -229,11 +251,11 @@ function VersionItem({
             )}
           </div>
           <p className="text-sm text-gray-600 dark:text-gray-400">
-            {version.formattedSize} • {formatDistanceToNow(new Date(version.timestamp), { addSuffix: true })}
+            {formatBytes(version.size)} • {formatDistanceToNow(parseTimestamp(version.created_at), { addSuffix: true })}
           </p>
-          {version.comment && (
+          {version.replaced_at && (
             <p className="text-sm text-gray-500 dark:text-gray-500 mt-1">
-              {version.comment}
+              Replaced {formatDistanceToNow(parseTimestamp(version.replaced_at), { addSuffix: true })}
             </p>
           )}
         </div>
@@ -272,3 +294,25 @@ function VersionItem({
     </div>
   )
 }
+
+// "report.pdf" → "report (v2).pdf", as the server names older versions
+function versionFilename(filename: string, version: FileVersion): string {
+  if (version.isCurrent) return filename
+  const dot = filename.lastIndexOf('.')
+  return dot > 0
+    ? `${filename.slice(0, dot)} (v${version.version})${filename.slice(dot)}`
+    : `${filename} (v${version.version})`
+}
+
+// SQLite timestamps are UTC without a zone
+function parseTimestamp(timestamp: string): Date {
+  return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(timestamp) ? timestamp : `${timestamp.replace(' ', 'T')}Z`)
+}
+
+function describeRetention({ keepVersions, keepDays }: VersionRetention): string {
+  const limits = [
+    keepVersions ? `up to ${keepVersions} version${keepVersions === 1 ? '' : 's'} of each file` : null,
+    keepDays ? `replaced versions for ${keepDays} day${keepDays === 1 ? '' : 's'}` : null,
+  ].filter(Boolean)
+  return `Keeping ${limits.join(' and ')}.`
+}
@@ -0,0 +1,84 @@
+import { ReactNode, Key, useEffect, useLayoutEffect, useRef, useState } from 'react'
+import { clsx } from 'clsx'
+
+interface VirtualListProps<T> {
+  items: T[]
+  itemKey: (item: T) => Key
+  renderItem: (item: T) => ReactNode
+  // Items per row - a grid is virtualized row by row
+  columns?: number
+  // Until the first row has been measured
+  estimatedRowHeight: number
+  rowClassName?: string
+  // Called when the last rows come into view, to load the next page
+  onEndReached?: () => void
+  className?: string
+}
+
+const OVERSCAN = 4
+
+// Renders only the rows in view (plus a few either side) of a scrolling box
+export default function VirtualList<T>({
+  items,
+  itemKey,
+  renderItem,
+  columns = 1,
+  estimatedRowHeight,
+  rowClassName,
+  onEndReached,
+  className,
+}: VirtualListProps<T>) {
+  const firstRowRef = useRef<HTMLDivElement>(null)
+  const [scrollTop, setScrollTop] = useState(0)
+  // The box is at most 70vh tall - the window height is a safe upper bound
+  const [viewportHeight, setViewportHeight] = useState(window.innerHeight)
+  const [rowHeight, setRowHeight] = useState(estimatedRowHeight)
+
+  const rowCount = Math.ceil(items.length / columns)
+
+  useEffect(() => {
+    const updateViewport = () => setViewportHeight(window.innerHeight)
+    window.addEventListener('resize', updateViewport)
+    return () => window.removeEventListener('resize', updateViewport)
+  }, [])
+
+  // Every row is taken to be as tall as the first one rendered
+  useLayoutEffect(() => {
+    const measured = firstRowRef.current?.offsetHeight
+    if (measured && measured !== rowHeight) {
+      setRowHeight(measured)
+    }
+  })
+
+  const firstRow = Math.max(0, Math.floor(scrollTop / rowHeight) - OVERSCAN)
+  const lastRow = Math.min(rowCount, Math.ceil((scrollTop + viewportHeight) / rowHeight) + OVERSCAN)
+
+  useEffect(() => {
+    if (onEndReached && rowCount > 0 && lastRow >= rowCount) {
+      onEndReached()
+    }
+  }, [lastRow, rowCount, onEndReached])
+
+  const rows = []
+  for (let row = firstRow; row < lastRow; row++) {
+    const rowItems = items.slice(row * columns, (row + 1) * columns)
+    rows.push(
+      <div key={itemKey(rowItems[0])} ref={row === firstRow ? firstRowRef : undefined} className={rowClassName}>
+        {rowItems.map(item => (
+          <div key={itemKey(item)}>{renderItem(item)}</div>
+        ))}
+      </div>
+    )
+  }
+
+  return (
+    <div
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      className={clsx('overflow-y-auto max-h-[70vh]', className)}
+    >
+      <div style={{ paddingTop: firstRow * rowHeight, paddingBottom: (rowCount - lastRow) * rowHeight }}>
+        {rows}
+      </div>
+    </div>
+  )
+}
@@ -1,5 +1,5 @@
 import { Link, useLocation, useNavigate } from 'react-router-dom'
-import { Cloud, LayoutDashboard, Files, Shield, HelpCircle, LogOut, Menu, X, Settings } from 'lucide-react'
+import { Cloud, LayoutDashboard, Files, Shield, HelpCircle, LogOut, Menu, X, Settings, Trash2 } from 'lucide-react'
 import { useState } from 'react'
 import { useAuthStore } from '../../stores/authStore'
 import { authService } from '../../services/authService'
@@ -32,6 +32,7 @@ export default function DashboardLayout({ children }: DashboardLayoutProps) {
   const navItems = [
     { path: '/dashboard', icon: LayoutDashboard, label: 'Dashboard' },
     { path: '/files', icon: Files, label: 'Files' },
+    { path: '/trash', icon: Trash2, label: 'Trash' },
     { path: '/security', icon: Shield, label: 'Security' },
     { path: '/support', icon: HelpCircle, label: 'Support' },
     { path: '/settings', icon: Settings, label: 'Settings' },
@@ -0,0 +1,374 @@
+import { scryptAsync } from '@noble/hashes/scrypt'
+
+/**
+ * Browser-side encryption for PocketCloud
+ *
+ * Mirrors backend/src/services/core/cryptoService.js and segmentedCrypto.js
+ * byte for byte, so files and metadata sealed here are indistinguishable
+ * from server-encrypted ones and either side can open them:
+ *
+ *   KEK       = HKDF(scrypt([keyfile digest |] password, salt), 'pocketcloud-kek')
+ *   data key  = AES-GCM unwrap of users.wrapped_data_key (AAD 'pocketcloud-data-key-v1')
+ *   file key  = HKDF(data key, 'pocketcloud-file-' + file key ID)
+ *   metadata  = 'pcm1:' + base64(IV | tag | ciphertext), AAD = column name
+ *   file body = segmented format v2 (header + 64 KiB AES-GCM segments)
+ *
+ * WebCrypto has no scrypt, so the password step uses @noble/hashes.
+ * The data key is imported as a non-extractable HKDF key.
+ */
+
+export interface WrappedKeyMaterial {
+  userId: number
+  encryptionSalt: string
+  wrappedDataKey: string
+  kdfParams: KdfParams
+  keyCheck: string | null
+  keyfileRequired: boolean
+}
+
+export interface KdfParams {
+  N: number
+  r: number
+  p: number
+}
+
+export class ClientCryptoError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'ClientCryptoError'
+  }
+}
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+const KEY_WRAP_VERSION = 1
+const WRAP_IV_LENGTH = 12
+const AUTH_TAG_LENGTH = 16
+const DATA_KEY_LENGTH = 32
+const KEY_CHECK_LENGTH = 16
+const METADATA_IV_LENGTH = 12
+const METADATA_PREFIX = 'pcm1:'
+const KEYFILE_MAX_SIZE = 1024 * 1024
+
+// Segmented format - see segmentedCrypto.js, never change these
+const SEGMENT_MAGIC = [0x50, 0x43, 0x53, 0x47] // "PCSG"
+const SEGMENT_FORMAT_VERSION = 2
+const SEGMENT_SIZE = 64 * 1024
+const NONCE_PREFIX_LENGTH = 7
+const HEADER_LENGTH_V1 = 16
+const HEADER_FIXED_LENGTH = 18 + NONCE_PREFIX_LENGTH
+const CIPHER_AES_256_GCM = 1
+const KDF_SCRYPT = 1
+const FILE_KEY_HKDF_SHA256 = 1
+
+function fromHex(hex: string): Uint8Array<ArrayBuffer> {
+  const bytes = new Uint8Array(hex.length / 2)
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16)
+  }
+  return bytes
+}
+
+function toHex(bytes: Uint8Array): string {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('')
+}
+
+function toBase64(bytes: Uint8Array): string {
+  let binary = ''
+  bytes.forEach((b) => (binary += String.fromCharCode(b)))
+  return btoa(binary)
+}
+
+function fromBase64(text: string): Uint8Array<ArrayBuffer> {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0))
+}
+
+function concat(...parts: Uint8Array[]): Uint8Array<ArrayBuffer> {
+  const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0))
+  let offset = 0
+  for (const part of parts) {
+    out.set(part, offset)
+    offset += part.length
+  }
+  return out
+}
+
+// WebCrypto returns ciphertext | tag; PocketCloud stores IV | tag | ciphertext
+function splitSealed(sealed: Uint8Array) {
+  return {
+    ciphertext: sealed.subarray(0, sealed.length - AUTH_TAG_LENGTH),
+    tag: sealed.subarray(sealed.length - AUTH_TAG_LENGTH),
+  }
+}
+
+async function hkdf(baseKey: CryptoKey, info: string, usage: 'aes' | 'bits'): Promise<CryptoKey | ArrayBuffer> {
+  const params = { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: encoder.encode(info) }
+  if (usage === 'bits') {
+    return crypto.subtle.deriveBits(params, baseKey, KEY_CHECK_LENGTH * 8)
+  }
+  return crypto.subtle.deriveKey(params, baseKey, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+}
+
+function deriveAesKey(baseKey: CryptoKey, info: string): Promise<CryptoKey> {
+  return hkdf(baseKey, info, 'aes') as Promise<CryptoKey>
+}
+
+/**
+ * Hash a keyfile the way the server does (cryptoService.hashKeyfile)
+ */
+export async function hashKeyfile(file: Blob): Promise<Uint8Array<ArrayBuffer>> {
+  if (file.size === 0) {
+    throw new ClientCryptoError('Keyfile is empty')
+  }
+  if (file.size > KEYFILE_MAX_SIZE) {
+    throw new ClientCryptoError('Keyfile must be 1 MB or smaller')
+  }
+  const contents = new Uint8Array(await file.arrayBuffer())
+  const digest = await crypto.subtle.digest('SHA-256', concat(encoder.encode('pocketcloud-keyfile-v1'), contents))
+  return new Uint8Array(digest)
+}
+
+/**
+ * Unlock the data key in the browser
+ * The password (and keyfile) never leave this function.
+ *
+ * @returns Non-extractable HKDF key to derive file and metadata keys from
+ */
+export async function unlockDataKey(
+  password: string,
+  material: WrappedKeyMaterial,
+  keyfileHash: Uint8Array | null = null
+): Promise<CryptoKey> {
+  if (material.keyfileRequired && !keyfileHash) {
+    throw new ClientCryptoError('This account requires its keyfile')
+  }
+
+  const secret = keyfileHash ? concat(keyfileHash, encoder.encode(password)) : encoder.encode(password)
+  const { N, r, p } = material.kdfParams
+  const stretched = await scryptAsync(secret, fromHex(material.encryptionSalt), {
+    N,
+    r,
+    p,
+    dkLen: 32,
+    maxmem: 256 * N * r,
+  })
+  secret.fill(0)
+
+  const masterKey = await crypto.subtle.importKey('raw', concat(stretched), 'HKDF', false, ['deriveKey'])
+  stretched.fill(0)
+  const kek = await deriveAesKey(masterKey, 'pocketcloud-kek')
+
+  const blob = fromHex(material.wrappedDataKey)
+  if (blob.length !== 1 + WRAP_IV_LENGTH + AUTH_TAG_LENGTH + DATA_KEY_LENGTH || blob[0] !== KEY_WRAP_VERSION) {
+    throw new ClientCryptoError('Wrapped data key is malformed')
+  }
+
+  let rawKey: Uint8Array<ArrayBuffer>
+  try {
+    const iv = blob.subarray(1, 1 + WRAP_IV_LENGTH)
+    const tag = blob.subarray(1 + WRAP_IV_LENGTH, 1 + WRAP_IV_LENGTH + AUTH_TAG_LENGTH)
+    const wrapped = blob.subarray(1 + WRAP_IV_LENGTH + AUTH_TAG_LENGTH)
+    rawKey = new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv, additionalData: encoder.encode('pocketcloud-data-key-v1') },
+      kek,
+      concat(wrapped, tag)
+    ))
+  } catch {
+    throw new ClientCryptoError(
+      material.keyfileRequired ? 'Password or keyfile is incorrect' : 'Password does not unlock your encryption key'
+    )
+  }
+
+  try {
+    const dataKey = await crypto.subtle.importKey('raw', rawKey, 'HKDF', false, ['deriveKey', 'deriveBits'])
+
+    if (material.keyCheck) {
+      const check = toHex(new Uint8Array(await hkdf(dataKey, 'pocketcloud-key-check', 'bits') as ArrayBuffer))
+      if (check !== material.keyCheck) {
+        throw new ClientCryptoError('Encryption key does not match this account')
+      }
+    }
+    return dataKey
+  } finally {
+    rawKey.fill(0)
+  }
+}
+
+/**
+ * Encrypt one metadata value for a files/search_index column
+ */
+export async function sealMetadata(dataKey: CryptoKey, value: string, field: string): Promise<string> {
+  const key = await deriveAesKey(dataKey, 'pocketcloud-metadata')
+  const iv = crypto.getRandomValues(new Uint8Array(METADATA_IV_LENGTH))
+  const sealed = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: encoder.encode(field) },
+    key,
+    encoder.encode(value)
+  ))
+  const { ciphertext, tag } = splitSealed(sealed)
+  return METADATA_PREFIX + toBase64(concat(iv, tag, ciphertext))
+}
+
+/**
+ * Decrypt one metadata value; plaintext values (not migrated yet) pass through
+ */
+export async function openMetadata(dataKey: CryptoKey, stored: string | null, field: string): Promise<string | null> {
+  if (stored === null || !stored.startsWith(METADATA_PREFIX)) {
+    return stored
+  }
+
+  const blob = fromBase64(stored.slice(METADATA_PREFIX.length))
+  const key = await deriveAesKey(dataKey, 'pocketcloud-metadata')
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: blob.subarray(0, METADATA_IV_LENGTH), additionalData: encoder.encode(field) },
+      key,
+      concat(blob.subarray(METADATA_IV_LENGTH + AUTH_TAG_LENGTH), blob.subarray(METADATA_IV_LENGTH, METADATA_IV_LENGTH + AUTH_TAG_LENGTH))
+    )
+    return decoder.decode(plaintext)
+  } catch {
+    throw new ClientCryptoError(`Encrypted ${field} could not be decrypted`)
+  }
+}
+
+function createHeader(fileId: string, kdf: KdfParams): Uint8Array<ArrayBuffer> {
+  const fileIdBytes = encoder.encode(fileId)
+  if (fileIdBytes.length > 255) {
+    throw new ClientCryptoError('File ID too long for file header')
+  }
+
+  const header = new Uint8Array(HEADER_FIXED_LENGTH + fileIdBytes.length)
+  const view = new DataView(header.buffer)
+  header.set(SEGMENT_MAGIC, 0)
+  view.setUint8(4, SEGMENT_FORMAT_VERSION)
+  view.setUint16(5, header.length)
+  view.setUint8(7, CIPHER_AES_256_GCM)
+  view.setUint32(8, SEGMENT_SIZE)
+  view.setUint8(12, KDF_SCRYPT)
+  view.setUint8(13, Math.log2(kdf.N))
+  view.setUint8(14, kdf.r)
+  view.setUint8(15, kdf.p)
+  view.setUint8(16, FILE_KEY_HKDF_SHA256)
+  view.setUint8(17, fileIdBytes.length)
+  header.set(fileIdBytes, 18)
+  header.set(crypto.getRandomValues(new Uint8Array(NONCE_PREFIX_LENGTH)), 18 + fileIdBytes.length)
+  return header
+}
+
+interface ParsedHeader {
+  header: Uint8Array<ArrayBuffer>
+  segmentSize: number
+  fileId: string | null
+  noncePrefix: Uint8Array<ArrayBuffer>
+}
+
+function parseHeader(bytes: Uint8Array<ArrayBuffer>): ParsedHeader {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  if (bytes.length < HEADER_LENGTH_V1 || SEGMENT_MAGIC.some((b, i) => bytes[i] !== b)) {
+    throw new ClientCryptoError('Unrecognized encrypted file header')
+  }
+
+  const version = view.getUint8(4)
+  if (version === 1) {
+    return {
+      header: bytes.subarray(0, HEADER_LENGTH_V1),
+      segmentSize: view.getUint32(5),
+      fileId: null,
+      noncePrefix: bytes.subarray(9, HEADER_LENGTH_V1),
+    }
+  }
+  if (version !== SEGMENT_FORMAT_VERSION) {
+    throw new ClientCryptoError(`Unsupported segmented format version: ${version}`)
+  }
+
+  const length = view.getUint16(5)
+  const fileIdLength = view.getUint8(17)
+  if (length !== HEADER_FIXED_LENGTH + fileIdLength || bytes.length < length) {
+    throw new ClientCryptoError('Encrypted file header is truncated')
+  }
+  if (view.getUint8(7) !== CIPHER_AES_256_GCM || view.getUint8(16) !== FILE_KEY_HKDF_SHA256) {
+    throw new ClientCryptoError('Encrypted file uses an unsupported cipher')
+  }
+
+  return {
+    header: bytes.subarray(0, length),
+    segmentSize: view.getUint32(8),
+    fileId: decoder.decode(bytes.subarray(18, 18 + fileIdLength)),
+    noncePrefix: bytes.subarray(18 + fileIdLength, length),
+  }
+}
+
+function segmentNonce(noncePrefix: Uint8Array, index: number, final: boolean): Uint8Array<ArrayBuffer> {
+  const nonce = new Uint8Array(12)
+  nonce.set(noncePrefix, 0)
+  new DataView(nonce.buffer).setUint32(NONCE_PREFIX_LENGTH, index)
+  nonce[11] = final ? 1 : 0
+  return nonce
+}
+
+/**
+ * Encrypt a file into the segmented format, one segment in memory at a time
+ *
+ * @param fileId - HKDF context of the file key: a fresh random UUID (files.key_id)
+ * @param kdf - Owner's scrypt params, recorded in the header like server uploads
+ */
+export async function encryptFile(file: Blob, dataKey: CryptoKey, fileId: string, kdf: KdfParams): Promise<Blob> {
+  const fileKey = await deriveAesKey(dataKey, `pocketcloud-file-${fileId}`)
+  const header = createHeader(fileId, kdf)
+  const noncePrefix = header.subarray(header.length - NONCE_PREFIX_LENGTH)
+  const segments = Math.max(1, Math.ceil(file.size / SEGMENT_SIZE))
+  const parts: BlobPart[] = [header]
+
+  for (let index = 0; index < segments; index++) {
+    const plaintext = await file.slice(index * SEGMENT_SIZE, (index + 1) * SEGMENT_SIZE).arrayBuffer()
+    parts.push(await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: segmentNonce(noncePrefix, index, index === segments - 1), additionalData: header },
+      fileKey,
+      plaintext
+    ))
+  }
+
+  return new Blob(parts, { type: 'application/octet-stream' })
+}
+
+/**
+ * Decrypt a segmented file (as stored on the drive)
+ *
+ * @param fallbackFileId - File ID for v1 headers, which don't record it
+ */
+export async function decryptFile(encrypted: ArrayBuffer, dataKey: CryptoKey, fallbackFileId: string): Promise<Blob> {
+  const bytes = new Uint8Array(encrypted)
+  const parsed = parseHeader(bytes)
+  if (parsed.fileId !== null && parsed.fileId !== fallbackFileId) {
+    throw new ClientCryptoError(`Encrypted file belongs to file ${parsed.fileId}, not ${fallbackFileId}`)
+  }
+
+  const fileKey = await deriveAesKey(dataKey, `pocketcloud-file-${parsed.fileId ?? fallbackFileId}`)
+  const sealedSize = parsed.segmentSize + AUTH_TAG_LENGTH
+  const body = bytes.subarray(parsed.header.length)
+  const segments = Math.max(1, Math.ceil(body.length / sealedSize))
+  const parts: BlobPart[] = []
+
+  for (let index = 0; index < segments; index++) {
+    const sealed = body.subarray(index * sealedSize, (index + 1) * sealedSize)
+    if (sealed.length < AUTH_TAG_LENGTH) {
+      throw new ClientCryptoError(`Segment ${index} is truncated`)
+    }
+    try {
+      parts.push(await crypto.subtle.decrypt(
+        {
+          name: 'AES-GCM',
+          iv: segmentNonce(parsed.noncePrefix, index, index === segments - 1),
+          additionalData: parsed.header,
+        },
+        fileKey,
+        sealed
+      ))
+    } catch {
+      throw new ClientCryptoError(`Segment ${index} failed integrity verification`)
+    }
+  }
+
+  return new Blob(parts)
+}
@@ -77,7 +77,7 @@ export default function DashboardPage() {
           icon={<Shield className="w-6 h-6" />}
           title="Encrypted"
           value={`${data.securityStatus.encryptedFileCount}`}
-          description="Files protected"
+          description={data.securityStatus.encryptionInProgress ? 'Encrypting older files…' : 'Files protected'}
           color="green"
         />
         <StatCard
@@ -1,7 +1,8 @@
-import { useEffect, useState, useCallback } from 'react'
+import { useEffect, useState, useCallback, useRef } from 'react'
 import { useDropzone } from 'react-dropzone'
 import { 
   Upload, 
+  FolderUp,
   Download, 
   Trash2, 
   Search, 
@@ -16,84 +17,207 @@ import {
   Loader2,
   Share2,
   Clock,
-  Tag
+  Tag,
+  Folder,
+  FolderPlus,
+  ChevronRight,
+  Pencil,
+  Copy
 } from 'lucide-react'
 import { toast } from 'sonner'
 import { formatDistanceToNow } from 'date-fns'
 import Button from '../components/ui/Button'
 import Input from '../components/ui/Input'
 import { Card, CardContent } from '../components/ui/Card'
-import { fileService, FileItem } from '../services/fileService'
+import { fileService, FileItem, FolderItem, Breadcrumb, FolderPermission, FolderUploadResult, FileSort, FileListQuery, relativePath } from '../services/fileService'
 import FileShareModal from '../components/FileShareModal'
 import ActivityLog from '../components/ActivityLog'
 import FileTagModal from '../components/FileTagModal'
 import FileVersionModal from '../components/FileVersionModal'
+import VirtualList from '../components/VirtualList'
 
 type ViewMode = 'grid' | 'list'
-type SortBy = 'name' | 'date' | 'size'
+
+// Drag-and-drop payload when a file is dragged onto a folder or breadcrumb
+const FILE_DRAG_TYPE = 'application/x-pocketcloud-file'
+
+// MIME type filters - prefixes, matched by the server
+const TYPE_FILTERS = [
+  { value: '', label: 'All types' },
+  { value: 'image', label: 'Images' },
+  { value: 'video', label: 'Videos' },
+  { value: 'audio', label: 'Audio' },
+  { value: 'application/pdf', label: 'PDFs' },
+  { value: 'text', label: 'Text' },
+  { value: 'application', label: 'Documents & archives' },
+]
+
+const PAGE_SIZE = 100
+
+// Cards per row of the grid - the breakpoints of its grid-cols classes
+function gridColumns() {
+  const width = window.innerWidth
+  return width >= 1280 ? 4 : width >= 1024 ? 3 : width >= 640 ? 2 : 1
+}
 
 export default function FilesPage() {
   const [files, setFiles] = useState<FileItem[]>([])
+  const [folders, setFolders] = useState<FolderItem[]>([])
+  const [breadcrumbs, setBreadcrumbs] = useState<Breadcrumb[]>([])
+  const [permission, setPermission] = useState<FolderPermission>('owner')
+  const [currentFolderId, setCurrentFolderId] = useState<number | null>(null)
   const [filteredFiles, setFilteredFiles] = useState<FileItem[]>([])
   const [isLoading, setIsLoading] = useState(true)
   const [viewMode, setViewMode] = useState<ViewMode>('grid')
   const [searchQuery, setSearchQuery] = useState('')
-  const [sortBy, setSortBy] = useState<SortBy>('date')
+  const [sortBy, setSortBy] = useState<FileSort>('date')
+  const [typeFilter, setTypeFilter] = useState('')
+  const [fromDate, setFromDate] = useState('')
+  const [toDate, setToDate] = useState('')
+  const [nextCursor, setNextCursor] = useState<string | null>(null)
+  const [totalFiles, setTotalFiles] = useState(0)
+  const [columns, setColumns] = useState(gridColumns)
   const [uploadingFiles, setUploadingFiles] = useState<Map<string, number>>(new Map())
   const [selectedFiles, setSelectedFiles] = useState<Set<number>>(new Set())
   const [shareFile, setShareFile] = useState<FileItem | null>(null)
   const [showActivityLog, setShowActivityLog] = useState(false)
   const [tagFile, setTagFile] = useState<FileItem | null>(null)
   const [versionFile, setVersionFile] = useState<FileItem | null>(null)
+  const folderInputRef = useRef<HTMLInputElement>(null)
+  const loadingMore = useRef(false)
 
   useEffect(() => {
+    setSelectedFiles(new Set())
     loadFiles()
+  }, [currentFolderId, sortBy, typeFilter, fromDate, toDate])
+
+  useEffect(() => {
+    const updateColumns = () => setColumns(gridColumns())
+    window.addEventListener('resize', updateColumns)
+    return () => window.removeEventListener('resize', updateColumns)
+  }, [])
+
+  // Not in React's input props - set it directly
+  useEffect(() => {
+    folderInputRef.current?.setAttribute('webkitdirectory', '')
   }, [])
 
   useEffect(() => {
-    filterAndSortFiles()
-  }, [files, searchQuery, sortBy])
+    filterFiles()
+  }, [files, searchQuery])
 
+  const listQuery = (): FileListQuery => ({
+    sort: sortBy,
+    mimetype: typeFilter,
+    from: fromDate,
+    to: toDate,
+    limit: PAGE_SIZE,
+  })
+
+  // The first page - sorting and filters are applied by the server
   const loadFiles = async () => {
     try {
-      const data = await fileService.getFiles()
-      setFiles(data)
+      const contents = await fileService.getFolderContents(currentFolderId, listQuery())
+      setFiles(contents.files)
+      setNextCursor(contents.nextCursor)
+      setTotalFiles(contents.totalFiles)
+      setFolders(contents.folders)
+      setBreadcrumbs(contents.breadcrumbs)
+      setPermission(contents.permission)
     } catch (error: any) {
-      toast.error('Failed to load files')
+      toast.error(error.response?.data?.error || 'Failed to load files')
       console.error(error)
+      // The folder is gone or no longer shared - back to the top level
+      if (currentFolderId !== null && error.response?.status === 404) {
+        setCurrentFolderId(null)
+      }
     } finally {
       setIsLoading(false)
     }
   }
 
-  const filterAndSortFiles = () => {
-    let result = [...files]
+  // The next page, when the end of the list scrolls into view
+  const loadMoreFiles = useCallback(async () => {
+    if (!nextCursor || loadingMore.current) {
+      return
+    }
 
-    // Filter by search query
-    if (searchQuery) {
-      result = result.filter(file =>
-        file.filename.toLowerCase().includes(searchQuery.toLowerCase())
-      )
+    loadingMore.current = true
+    try {
+      const contents = await fileService.getFolderContents(currentFolderId, { ...listQuery(), cursor: nextCursor })
+      setFiles(prev => {
+        const loaded = new Set(prev.map(file => file.id))
+        return [...prev, ...contents.files.filter(file => !loaded.has(file.id))]
+      })
+      setNextCursor(contents.nextCursor)
+      setTotalFiles(contents.totalFiles)
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to load more files')
+      setNextCursor(null)
+    } finally {
+      loadingMore.current = false
     }
+  }, [nextCursor, currentFolderId, sortBy, typeFilter, fromDate, toDate])
 
-    // Sort files
-    result.sort((a, b) => {
-      switch (sortBy) {
-        case 'name':
-          return a.filename.localeCompare(b.filename)
-        case 'date':
-          return new Date(b.uploaded_at).getTime() - new Date(a.uploaded_at).getTime()
-        case 'size':
-          return b.size - a.size
-        default:
-          return 0
-      }
-    })
+  // The search box narrows down the files loaded so far
+  const filterFiles = () => {
+    setFilteredFiles(searchQuery
+      ? files.filter(file => file.filename.toLowerCase().includes(searchQuery.toLowerCase()))
+      : files)
+  }
+
+  const reportFolderUpload = (folderName: string, result: FolderUploadResult) => {
+    if (result.uploaded.length > 0) {
+      toast.success(`${folderName}: ${result.uploaded.length} file(s) uploaded`)
+    }
+    if (result.failed.length > 0) {
+      toast.error(`${folderName}: ${result.failed.length} file(s) failed`, {
+        description: result.failed.slice(0, 5).map(({ path, error }) => `${path}: ${error}`).join('\n'),
+      })
+    }
+  }
+
+  // A whole directory goes up as one upload with one progress bar
+  const uploadFolder = async (folderFiles: File[]) => {
+    if (folderFiles.length === 0) {
+      return
+    }
+
+    const folderName = relativePath(folderFiles[0]).split('/')[0]
+    const uploadId = `${folderName} (${folderFiles.length} files)-${Date.now()}`
+
+    try {
+      setUploadingFiles(prev => new Map(prev).set(uploadId, 0))
+
+      const result = await fileService.uploadFolder(folderFiles, (progress) => {
+        setUploadingFiles(prev => new Map(prev).set(uploadId, progress))
+      }, currentFolderId)
 
-    setFilteredFiles(result)
+      reportFolderUpload(folderName, result)
+      await loadFiles()
+    } catch (error: any) {
+      // Nothing could be stored - the summary says why
+      const result = error.response?.data
+      if (result?.failed) {
+        reportFolderUpload(folderName, result)
+      } else {
+        toast.error(result?.error || error.message || `Failed to upload ${folderName}`)
+      }
+    } finally {
+      setUploadingFiles(prev => {
+        const next = new Map(prev)
+        next.delete(uploadId)
+        return next
+      })
+    }
   }
 
   const onDrop = useCallback(async (acceptedFiles: File[]) => {
+    // Dropped directories keep their structure
+    if (acceptedFiles.some(file => relativePath(file).includes('/'))) {
+      return uploadFolder(acceptedFiles)
+    }
+
     for (const file of acceptedFiles) {
       const fileId = `${file.name}-${Date.now()}`
       
@@ -101,10 +225,11 @@ export default function FilesPage() {
         // Add to uploading files
         setUploadingFiles(prev => new Map(prev).set(fileId, 0))
 
-        // Upload file
+        // Upload file - a file of the same name here gets a new version
+        const existing = files.find(f => f.filename === file.name)
         await fileService.uploadFile(file, (progress) => {
           setUploadingFiles(prev => new Map(prev).set(fileId, progress))
-        })
+        }, currentFolderId, existing?.id ?? null)
 
         // Remove from uploading files
         setUploadingFiles(prev => {
@@ -128,7 +253,7 @@ export default function FilesPage() {
         toast.error(message)
       }
     }
-  }, [])
+  }, [currentFolderId, files])
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
@@ -145,23 +270,132 @@ export default function FilesPage() {
   }
 
   const handleDelete = async (file: FileItem) => {
-    if (!confirm(`Are you sure you want to delete "${file.filename}"?`)) {
+    if (!confirm(`Move "${file.filename}" to trash?`)) {
       return
     }
 
     try {
       await fileService.deleteFile(file.id)
-      toast.success(`${file.filename} deleted`)
+      toast.success(`${file.filename} moved to trash`, {
+        action: {
+          label: 'Undo',
+          onClick: async () => {
+            await fileService.restoreFromTrash(file.id)
+            await loadFiles()
+          },
+        },
+      })
       await loadFiles()
     } catch (error: any) {
       toast.error('Failed to delete file')
     }
   }
 
+  const isOwner = permission === 'owner'
+
+  const handleRename = async (file: FileItem) => {
+    const filename = prompt('Rename file', file.filename)?.trim()
+    if (!filename || filename === file.filename) {
+      return
+    }
+
+    try {
+      await fileService.renameFile(file.id, filename)
+      toast.success(`Renamed to "${filename}"`)
+      await loadFiles()
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to rename file')
+    }
+  }
+
+  const handleCopy = async (file: FileItem) => {
+    try {
+      const copy = await fileService.copyFile(file.id)
+      toast.success(`Created "${copy.filename}"`)
+      await loadFiles()
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to copy file')
+    }
+  }
+
+  // Drop target for files dragged out of the listing (null: the top level)
+  const moveTarget = (folderId: number | null) => isOwner && folderId !== currentFolderId ? {
+    onDragOver: (e: React.DragEvent) => {
+      if (e.dataTransfer.types.includes(FILE_DRAG_TYPE)) {
+        e.preventDefault()
+      }
+    },
+    onDrop: async (e: React.DragEvent) => {
+      const fileId = Number(e.dataTransfer.getData(FILE_DRAG_TYPE))
+      if (!fileId) {
+        return
+      }
+      e.preventDefault()
+      e.stopPropagation()
+
+      try {
+        await fileService.moveFile(fileId, folderId)
+        toast.success('File moved')
+        await loadFiles()
+      } catch (error: any) {
+        toast.error(error.response?.data?.error || 'Failed to move file')
+      }
+    },
+  } : {}
+
+  const startFileDrag = (file: FileItem) => (e: React.DragEvent) => {
+    e.dataTransfer.setData(FILE_DRAG_TYPE, String(file.id))
+    e.dataTransfer.effectAllowed = 'move'
+  }
+
+  const handleCreateFolder = async () => {
+    const name = prompt('Folder name')?.trim()
+    if (!name) {
+      return
+    }
+
+    try {
+      await fileService.createFolder(name, currentFolderId)
+      toast.success(`Folder "${name}" created`)
+      await loadFiles()
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to create folder')
+    }
+  }
+
+  const handleRenameFolder = async (folder: FolderItem) => {
+    const name = prompt('Rename folder', folder.name)?.trim()
+    if (!name || name === folder.name) {
+      return
+    }
+
+    try {
+      await fileService.renameFolder(folder.id, name)
+      toast.success(`Folder renamed to "${name}"`)
+      await loadFiles()
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to rename folder')
+    }
+  }
+
+  const handleDeleteFolder = async (folder: FolderItem) => {
+    if (!confirm(`Move "${folder.name}" and everything in it to trash?`)) {
+      return
+    }
+
+    try {
+      const result = await fileService.deleteFolder(folder.id)
+      toast.success(result.message)
+      await loadFiles()
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to delete folder')
+    }
+  }
+
   const handleBulkDelete = async () => {
     if (selectedFiles.size === 0) return
     
-    if (!confirm(`Delete ${selectedFiles.size} selected file(s)?`)) {
+    if (!confirm(`Move ${selectedFiles.size} selected file(s) to trash?`)) {
       return
     }
 
@@ -169,7 +403,7 @@ export default function FilesPage() {
       for (const fileId of selectedFiles) {
         await fileService.deleteFile(fileId)
       }
-      toast.success(`${selectedFiles.size} file(s) deleted`)
+      toast.success(`${selectedFiles.size} file(s) moved to trash`)
       setSelectedFiles(new Set())
       await loadFiles()
     } catch (error: any) {
@@ -217,6 +451,12 @@ export default function FilesPage() {
     }
   }
 
+  const filtered = Boolean(typeFilter || fromDate || toDate)
+
+  const filteredFolders = searchQuery
+    ? folders.filter(folder => folder.name.toLowerCase().includes(searchQuery.toLowerCase()))
+    : folders
+
   if (isLoading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -235,6 +475,33 @@ export default function FilesPage() {
         </p>
       </div>
 
+      {/* Breadcrumbs */}
+      <nav className="flex flex-wrap items-center gap-1 text-sm" aria-label="Folder path">
+        <button
+          onClick={() => setCurrentFolderId(null)}
+          {...moveTarget(null)}
+          className={`font-medium ${breadcrumbs.length === 0 ? 'text-gray-900 dark:text-white' : 'text-blue-600 hover:text-blue-700'}`}
+        >
+          My Files
+        </button>
+        {breadcrumbs.map((crumb, index) => (
+          <span key={crumb.id} className="flex items-center gap-1">
+            <ChevronRight className="w-4 h-4 text-gray-400" />
+            {index === breadcrumbs.length - 1 ? (
+              <span className="font-medium text-gray-900 dark:text-white">{crumb.name}</span>
+            ) : (
+              <button
+                onClick={() => setCurrentFolderId(crumb.id)}
+                {...moveTarget(crumb.id)}
+                className="font-medium text-blue-600 hover:text-blue-700"
+              >
+                {crumb.name}
+              </button>
+            )}
+          </span>
+        ))}
+      </nav>
+
       {/* Upload Area */}
       <Card>
         <CardContent className="pt-6">
@@ -258,11 +525,34 @@ export default function FilesPage() {
                 <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
                   or click to browse
                 </p>
-                <Button>Select Files</Button>
+                <div className="flex justify-center gap-3">
+                  <Button>Select Files</Button>
+                  <Button
+                    variant="outline"
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      folderInputRef.current?.click()
+                    }}
+                  >
+                    <FolderUp className="w-4 h-4 mr-2" />
+                    Select Folder
+                  </Button>
+                </div>
               </>
             )}
           </div>
 
+          <input
+            ref={folderInputRef}
+            type="file"
+            multiple
+            className="hidden"
+            onChange={(e) => {
+              uploadFolder(Array.from(e.target.files || []))
+              e.target.value = ''
+            }}
+          />
+
           {/* Upload Progress */}
           {uploadingFiles.size > 0 && (
             <div className="mt-4 space-y-2">
@@ -309,14 +599,43 @@ export default function FilesPage() {
           {/* Sort */}
           <select
             value={sortBy}
-            onChange={(e) => setSortBy(e.target.value as SortBy)}
+            onChange={(e) => setSortBy(e.target.value as FileSort)}
             className="px-3 py-2 border border-gray-300 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-800 text-sm"
           >
             <option value="date">Sort by Date</option>
             <option value="name">Sort by Name</option>
             <option value="size">Sort by Size</option>
+            <option value="type">Sort by Type</option>
           </select>
 
+          {/* Filters */}
+          <select
+            value={typeFilter}
+            onChange={(e) => setTypeFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-800 text-sm"
+            aria-label="File type"
+          >
+            {TYPE_FILTERS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={fromDate}
+            max={toDate || undefined}
+            onChange={(e) => setFromDate(e.target.value)}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-800 text-sm"
+            aria-label="Uploaded from"
+          />
+          <input
+            type="date"
+            value={toDate}
+            min={fromDate || undefined}
+            onChange={(e) => setToDate(e.target.value)}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-800 text-sm"
+            aria-label="Uploaded until"
+          />
+
           {/* View Mode */}
           <div className="flex border border-gray-300 dark:border-gray-700 rounded-lg overflow-hidden">
             <button
@@ -341,6 +660,14 @@ export default function FilesPage() {
             </button>
           </div>
 
+          {/* New Folder */}
+          {isOwner && (
+            <Button variant="outline" size="sm" onClick={handleCreateFolder}>
+              <FolderPlus className="w-4 h-4 mr-2" />
+              New Folder
+            </Button>
+          )}
+
           {/* Activity Log Button */}
           <Button variant="outline" size="sm" onClick={() => setShowActivityLog(true)}>
             <Clock className="w-4 h-4" />
@@ -365,8 +692,10 @@ export default function FilesPage() {
       {/* Files Count */}
       <div className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-400">
         <div>
-          {filteredFiles.length} {filteredFiles.length === 1 ? 'file' : 'files'}
-          {searchQuery && ` matching "${searchQuery}"`}
+          {searchQuery
+            ? `${filteredFiles.length} loaded ${filteredFiles.length === 1 ? 'file' : 'files'} matching "${searchQuery}"`
+            : `${totalFiles} ${totalFiles === 1 ? 'file' : 'files'}`}
+          {!searchQuery && files.length < totalFiles && ` (${files.length} loaded)`}
         </div>
         {filteredFiles.length > 0 && (
           <button
@@ -378,20 +707,38 @@ export default function FilesPage() {
         )}
       </div>
 
+      {/* Folders */}
+      {filteredFolders.length > 0 && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+          {filteredFolders.map((folder) => (
+            <FolderCard
+              key={folder.id}
+              folder={folder}
+              canRename={isOwner}
+              canDelete={permission !== 'view'}
+              onOpen={() => setCurrentFolderId(folder.id)}
+              onRename={() => handleRenameFolder(folder)}
+              onDelete={() => handleDeleteFolder(folder)}
+              dropTarget={moveTarget(folder.id)}
+            />
+          ))}
+        </div>
+      )}
+
       {/* Files Display */}
-      {filteredFiles.length === 0 ? (
+      {filteredFiles.length === 0 && filteredFolders.length === 0 && !nextCursor ? (
         <Card>
           <CardContent className="py-12 text-center">
             <File className="w-16 h-16 text-gray-400 mx-auto mb-4" />
             <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
-              {searchQuery ? 'No files found' : 'No files yet'}
+              {searchQuery || filtered ? 'No files found' : currentFolderId ? 'This folder is empty' : 'No files yet'}
             </h3>
             <p className="text-gray-600 dark:text-gray-400 mb-6">
-              {searchQuery
-                ? 'Try a different search term'
+              {searchQuery || filtered
+                ? 'Try a different search term or filter'
                 : 'Upload your first file to get started'}
             </p>
-            {!searchQuery && (
+            {!searchQuery && !filtered && (
               <Button onClick={() => {
                 const input = document.querySelector('input[type="file"]') as HTMLInputElement | null
                 input?.click()
@@ -402,40 +749,55 @@ export default function FilesPage() {
             )}
           </CardContent>
         </Card>
-      ) : viewMode === 'grid' ? (
-        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
-          {filteredFiles.map((file) => (
+      ) : filteredFiles.length === 0 && !nextCursor ? null : viewMode === 'grid' ? (
+        <VirtualList
+          items={filteredFiles}
+          itemKey={file => file.id}
+          columns={columns}
+          estimatedRowHeight={280}
+          rowClassName="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4 pb-4"
+          onEndReached={loadMoreFiles}
+          renderItem={(file) => (
             <FileCard
-              key={file.id}
               file={file}
               isSelected={selectedFiles.has(file.id)}
               onToggleSelect={() => toggleFileSelection(file.id)}
               onDownload={() => handleDownload(file)}
               onDelete={() => handleDelete(file)}
+              onRename={isOwner ? () => handleRename(file) : undefined}
+              onCopy={isOwner ? () => handleCopy(file) : undefined}
+              onDragStart={isOwner ? startFileDrag(file) : undefined}
               onShare={() => handleShare(file)}
               onTag={() => setTagFile(file)}
               onVersion={() => setVersionFile(file)}
             />
-          ))}
-        </div>
+          )}
+        />
       ) : (
         <Card>
           <CardContent className="p-0">
-            <div className="divide-y divide-gray-200 dark:divide-gray-700">
-              {filteredFiles.map((file) => (
+            <VirtualList
+              items={filteredFiles}
+              itemKey={file => file.id}
+              estimatedRowHeight={73}
+              rowClassName="border-b border-gray-200 dark:border-gray-700"
+              onEndReached={loadMoreFiles}
+              renderItem={(file) => (
                 <FileRow
-                  key={file.id}
                   file={file}
                   isSelected={selectedFiles.has(file.id)}
                   onToggleSelect={() => toggleFileSelection(file.id)}
                   onDownload={() => handleDownload(file)}
                   onDelete={() => handleDelete(file)}
+                  onRename={isOwner ? () => handleRename(file) : undefined}
+                  onCopy={isOwner ? () => handleCopy(file) : undefined}
+                  onDragStart={isOwner ? startFileDrag(file) : undefined}
                   onShare={() => handleShare(file)}
                   onTag={() => setTagFile(file)}
                   onVersion={() => setVersionFile(file)}
                 />
-              ))}
-            </div>
+              )}
+            />
           </CardContent>
         </Card>
       )}
@@ -465,11 +827,58 @@ export default function FilesPage() {
         file={versionFile}
         isOpen={!!versionFile}
         onClose={() => setVersionFile(null)}
+        onVersionsChanged={loadFiles}
       />
     </div>
   )
 }
 
+// Folder Card Component - click to open
+function FolderCard({
+  folder,
+  canRename,
+  canDelete,
+  onOpen,
+  onRename,
+  onDelete,
+  dropTarget,
+}: {
+  folder: FolderItem
+  canRename: boolean
+  canDelete: boolean
+  onOpen: () => void
+  onRename: () => void
+  onDelete: () => void
+  dropTarget: React.HTMLAttributes<HTMLDivElement>
+}) {
+  return (
+    <div {...dropTarget}>
+    <Card className="cursor-pointer hover:ring-2 hover:ring-blue-300" onClick={onOpen}>
+      <CardContent className="p-4 flex items-center gap-3">
+        <div className="p-2 bg-yellow-50 dark:bg-yellow-900/20 rounded">
+          <Folder className="w-6 h-6 text-yellow-600" />
+        </div>
+        <p className="flex-1 min-w-0 font-medium text-sm truncate" title={folder.name}>
+          {folder.name}
+        </p>
+        <div className="flex gap-1" onClick={(e) => e.stopPropagation()}>
+          {canRename && (
+            <Button variant="ghost" size="sm" onClick={onRename} title="Rename">
+              <Pencil className="w-4 h-4" />
+            </Button>
+          )}
+          {canDelete && (
+            <Button variant="ghost" size="sm" onClick={onDelete} title="Delete">
+              <Trash2 className="w-4 h-4 text-red-600" />
+            </Button>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+    </div>
+  )
+}
+
 // File Card Component (Grid View)
 function FileCard({
   file,
@@ -480,6 +889,9 @@ function FileCard({
   onShare,
   onTag,
   onVersion,
+  onRename,
+  onCopy,
+  onDragStart,
 }: {
   file: FileItem
   isSelected: boolean
@@ -489,10 +901,14 @@ function FileCard({
   onShare: () => void
   onTag: () => void
   onVersion: () => void
+  onRename?: () => void
+  onCopy?: () => void
+  onDragStart?: (e: React.DragEvent) => void
 }) {
   const Icon = getFileIcon(file.mimetype)
 
   return (
+    <div draggable={!!onDragStart} onDragStart={onDragStart}>
     <Card className={`relative ${isSelected ? 'ring-2 ring-blue-500' : ''}`}>
       <CardContent className="p-4">
         {/* Selection Checkbox */}
@@ -567,6 +983,26 @@ function FileCard({
             <Clock className="w-3 h-3 mr-1" />
             History
           </Button>
+          {onRename && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={onRename}
+            >
+              <Pencil className="w-3 h-3 mr-1" />
+              Rename
+            </Button>
+          )}
+          {onCopy && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={onCopy}
+            >
+              <Copy className="w-3 h-3 mr-1" />
+              Duplicate
+            </Button>
+          )}
         </div>
         <Button
           variant="destructive"
@@ -579,6 +1015,7 @@ function FileCard({
         </Button>
       </CardContent>
     </Card>
+    </div>
   )
 }
 
@@ -592,6 +1029,9 @@ function FileRow({
   onShare,
   onTag,
   onVersion,
+  onRename,
+  onCopy,
+  onDragStart,
 }: {
   file: FileItem
   isSelected: boolean
@@ -601,11 +1041,17 @@ function FileRow({
   onShare: () => void
   onTag: () => void
   onVersion: () => void
+  onRename?: () => void
+  onCopy?: () => void
+  onDragStart?: (e: React.DragEvent) => void
 }) {
   const Icon = getFileIcon(file.mimetype)
 
   return (
-    <div className={`flex items-center gap-4 p-4 hover:bg-gray-50 dark:hover:bg-gray-800 ${isSelected ? 'bg-blue-50 dark:bg-blue-900/20' : ''}`}>
+    <div
+      draggable={!!onDragStart}
+      onDragStart={onDragStart}
+      className={`flex items-center gap-4 p-4 hover:bg-gray-50 dark:hover:bg-gray-800 ${isSelected ? 'bg-blue-50 dark:bg-blue-900/20' : ''}`}>
       {/* Checkbox */}
       <input
         type="checkbox"
@@ -652,6 +1098,16 @@ function FileRow({
         <Button variant="ghost" size="sm" onClick={onVersion} title="Version History">
           <Clock className="w-4 h-4" />
         </Button>
+        {onRename && (
+          <Button variant="ghost" size="sm" onClick={onRename} title="Rename">
+            <Pencil className="w-4 h-4" />
+          </Button>
+        )}
+        {onCopy && (
+          <Button variant="ghost" size="sm" onClick={onCopy} title="Duplicate">
+            <Copy className="w-4 h-4" />
+          </Button>
+        )}
         <Button variant="ghost" size="sm" onClick={onDelete} title="Delete">
           <Trash2 className="w-4 h-4 text-red-600" />
         </Button>
@@ -7,6 +7,7 @@ import Input from '../components/ui/Input'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/Card'
 import { authService } from '../services/authService'
 import { useAuthStore } from '../stores/authStore'
+import { useClientCryptoStore } from '../stores/clientCryptoStore'
 
 export default function LoginPage() {
   const navigate = useNavigate()
@@ -25,8 +26,16 @@ export default function LoginPage() {
 
     try {
       const response = await authService.login(formData)
-      login(response.user, response.token)
+      login(response.user)
       toast.success('Welcome back!')
+
+      // Browser encryption reuses the password; a keyfile has to be added on the Security page
+      const clientCrypto = useClientCryptoStore.getState()
+      if (clientCrypto.enabled) {
+        clientCrypto.unlock(formData.password).catch((error) => {
+          toast.warning(`Browser encryption is locked: ${error.message}`)
+        })
+      }
       navigate('/dashboard')
     } catch (error: any) {
       const message = error.response?.data?.error || 'Login failed. Please try again.'
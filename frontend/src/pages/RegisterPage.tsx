@@ -48,8 +48,9 @@ export default function RegisterPage() {
     setIsLoading(true)
 
     try {
-      const response = await authService.register(formData)
-      login(response.user, response.token)
+      await authService.register(formData)
+      const response = await authService.login({ username: formData.username, password: formData.password })
+      login(response.user)
       toast.success('Account created successfully!')
       navigate('/dashboard')
     } catch (error: any) {
@@ -1,17 +1,99 @@
-import { useState } from 'react'
-import { Shield, Lock, Key, Download, Upload, AlertTriangle, CheckCircle2, Info } from 'lucide-react'
+import { useEffect, useState } from 'react'
+import { Shield, Lock, Key, Download, Upload, AlertTriangle, CheckCircle2, Info, Monitor, Terminal } from 'lucide-react'
 import { toast } from 'sonner'
 import Button from '../components/ui/Button'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/Card'
 import Input from '../components/ui/Input'
+import { useClientCryptoStore } from '../stores/clientCryptoStore'
+import { tokenService, TokenList, ApiToken } from '../services/tokenService'
+import { authService } from '../services/authService'
 
 export default function SecurityPage() {
+  const clientCrypto = useClientCryptoStore()
+  const [isUnlocking, setIsUnlocking] = useState(false)
+  const [unlockForm, setUnlockForm] = useState<{ password: string; keyfile: File | null }>({
+    password: '',
+    keyfile: null,
+  })
   const [isChangingPassword, setIsChangingPassword] = useState(false)
-  const [passwordForm, setPasswordForm] = useState({
+  const [passwordForm, setPasswordForm] = useState<{
+    currentPassword: string
+    newPassword: string
+    confirmPassword: string
+    keyfile: File | null
+  }>({
     currentPassword: '',
     newPassword: '',
     confirmPassword: '',
+    keyfile: null,
+  })
+  // What the server said about the re-wrapped key, until the next change
+  const [passwordResult, setPasswordResult] = useState<string | null>(null)
+  const [tokens, setTokens] = useState<TokenList | null>(null)
+  const [tokenForm, setTokenForm] = useState<{ name: string; preset: string; scopes: string[]; expiresInDays: string }>({
+    name: '',
+    preset: 'read-only',
+    scopes: [],
+    expiresInDays: '90',
   })
+  const [isCreatingToken, setIsCreatingToken] = useState(false)
+  // Shown once, until the user dismisses it
+  const [newToken, setNewToken] = useState<string | null>(null)
+
+  useEffect(() => {
+    loadTokens()
+  }, [])
+
+  const loadTokens = async () => {
+    try {
+      setTokens(await tokenService.getTokens())
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to load API tokens')
+    }
+  }
+
+  const handleCreateToken = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault()
+    setIsCreatingToken(true)
+
+    try {
+      const created = await tokenService.createToken({
+        name: tokenForm.name,
+        scopes: tokenForm.preset === 'custom' ? tokenForm.scopes : tokenForm.preset,
+        expiresInDays: Number(tokenForm.expiresInDays),
+      })
+      setNewToken(created.token)
+      setTokenForm({ ...tokenForm, name: '', scopes: [] })
+      await loadTokens()
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to create token')
+    } finally {
+      setIsCreatingToken(false)
+    }
+  }
+
+  const handleRevokeToken = async (token: ApiToken) => {
+    if (!confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) {
+      return
+    }
+
+    try {
+      await tokenService.revokeToken(token.id)
+      toast.success(`${token.name} revoked`)
+      await loadTokens()
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to revoke token')
+    }
+  }
+
+  const toggleTokenScope = (scope: string) => {
+    setTokenForm({
+      ...tokenForm,
+      scopes: tokenForm.scopes.includes(scope)
+        ? tokenForm.scopes.filter(s => s !== scope)
+        : [...tokenForm.scopes, scope],
+    })
+  }
 
   const handlePasswordChange = async (e: React.FormEvent<HTMLFormElement>) => {
     e.preventDefault()
@@ -27,19 +109,35 @@ export default function SecurityPage() {
     }
 
     setIsChangingPassword(true)
+    setPasswordResult(null)
     
     try {
-      // TODO: Implement password change API call
-      await new Promise(resolve => setTimeout(resolve, 1000))
-      toast.success('Password changed successfully')
-      setPasswordForm({ currentPassword: '', newPassword: '', confirmPassword: '' })
+      const { message } = await authService.changePassword(passwordForm)
+      setPasswordResult(message)
+      toast.success('Password changed')
+      setPasswordForm({ currentPassword: '', newPassword: '', confirmPassword: '', keyfile: null })
     } catch (error: any) {
-      toast.error('Failed to change password')
+      toast.error(error.response?.data?.error || 'Failed to change password')
     } finally {
       setIsChangingPassword(false)
     }
   }
 
+  const handleClientUnlock = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault()
+    setIsUnlocking(true)
+
+    try {
+      await clientCrypto.unlock(unlockForm.password, unlockForm.keyfile)
+      toast.success('Browser encryption unlocked')
+      setUnlockForm({ password: '', keyfile: null })
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || error.message || 'Failed to unlock browser encryption')
+    } finally {
+      setIsUnlocking(false)
+    }
+  }
+
   const handleCreateBackup = async () => {
     try {
       toast.info('Creating backup...')
@@ -158,6 +256,175 @@ export default function SecurityPage() {
         </CardContent>
       </Card>
 
+      {/* Browser Encryption */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Monitor className="w-5 h-5" />
+            Browser Encryption
+          </CardTitle>
+          <CardDescription>Encrypt and decrypt files on this device instead of on the server</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="space-y-4">
+            <label className="flex items-center gap-3">
+              <input
+                type="checkbox"
+                checked={clientCrypto.enabled}
+                onChange={(e) => clientCrypto.setEnabled(e.target.checked)}
+              />
+              <span className="text-sm font-medium">Use browser encryption on this device</span>
+            </label>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Uploads are encrypted before they leave your browser and downloads are decrypted here, in the same
+              format the server uses. Files uploaded either way open either way. The server cannot check the type
+              of files it cannot read.
+            </p>
+
+            {clientCrypto.enabled && (clientCrypto.dataKey ? (
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-green-600 dark:text-green-400">Unlocked until you log out or reload</span>
+                <Button variant="outline" onClick={clientCrypto.lock}>
+                  Lock
+                </Button>
+              </div>
+            ) : (
+              <form onSubmit={handleClientUnlock} className="space-y-4">
+                <Input
+                  label="Password"
+                  type="password"
+                  value={unlockForm.password}
+                  onChange={(e: React.ChangeEvent<HTMLInputElement>) => setUnlockForm({ ...unlockForm, password: e.target.value })}
+                  placeholder="Enter your password"
+                  required
+                />
+                <Input
+                  label="Keyfile (if enrolled)"
+                  type="file"
+                  onChange={(e: React.ChangeEvent<HTMLInputElement>) => setUnlockForm({ ...unlockForm, keyfile: e.target.files?.[0] ?? null })}
+                />
+                <Button type="submit" isLoading={isUnlocking}>
+                  Unlock
+                </Button>
+              </form>
+            ))}
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* API Tokens */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Terminal className="w-5 h-5" />
+            API Tokens
+          </CardTitle>
+          <CardDescription>Let scripts and other apps use the API without your password</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Each token only gets the scopes you choose, and can unlock your files until it expires or is revoked.
+              Send it as <code className="font-mono">Authorization: Bearer &lt;token&gt;</code>.
+            </p>
+
+            {newToken && (
+              <div className="p-4 bg-green-50 dark:bg-green-900/20 rounded-lg space-y-3">
+                <p className="text-sm font-medium text-green-900 dark:text-green-100">
+                  Copy your new token now - it won't be shown again.
+                </p>
+                <pre className="text-sm font-mono break-all whitespace-pre-wrap">{newToken}</pre>
+                <div className="flex gap-2">
+                  <Button variant="outline" onClick={() => navigator.clipboard.writeText(newToken).then(() => toast.success('Token copied'))}>
+                    Copy
+                  </Button>
+                  <Button variant="outline" onClick={() => setNewToken(null)}>
+                    Done
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            {tokens && tokens.tokens.length > 0 && (
+              <div className="space-y-2">
+                {tokens.tokens.map(token => (
+                  <div
+                    key={token.id}
+                    className={`flex items-center justify-between gap-4 p-3 border border-gray-200 dark:border-gray-700 rounded-lg ${token.expired ? 'opacity-60' : ''}`}
+                  >
+                    <div>
+                      <p className="font-medium">{token.name}</p>
+                      <p className="text-xs text-gray-600 dark:text-gray-400 mt-1">
+                        <span className="font-mono">{token.prefix}…</span> · {token.scopes.join(', ')}
+                      </p>
+                      <p className="text-xs text-gray-600 dark:text-gray-400">
+                        {token.expired ? 'Expired' : 'Expires'} {new Date(token.expiresAt).toLocaleDateString()} ·{' '}
+                        {token.lastUsedAt ? `Last used ${new Date(token.lastUsedAt).toLocaleString()}` : 'Never used'}
+                      </p>
+                    </div>
+                    <Button variant="outline" onClick={() => handleRevokeToken(token)}>
+                      Revoke
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {tokens && (
+              <form onSubmit={handleCreateToken} className="space-y-4">
+                <Input
+                  label="Name"
+                  value={tokenForm.name}
+                  onChange={(e: React.ChangeEvent<HTMLInputElement>) => setTokenForm({ ...tokenForm, name: e.target.value })}
+                  placeholder="e.g. backup script"
+                  maxLength={100}
+                  required
+                />
+                <div>
+                  <label className="block text-sm font-medium mb-2">Scopes</label>
+                  <select
+                    className="h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+                    value={tokenForm.preset}
+                    onChange={(e) => setTokenForm({ ...tokenForm, preset: e.target.value })}
+                  >
+                    {Object.entries(tokens.presets).map(([preset, scopes]) => (
+                      <option key={preset} value={preset}>{preset} ({scopes.join(', ')})</option>
+                    ))}
+                    <option value="custom">custom</option>
+                  </select>
+                  {tokenForm.preset === 'custom' && (
+                    <div className="grid grid-cols-2 gap-2 mt-3">
+                      {tokens.scopes.map(scope => (
+                        <label key={scope} className="flex items-center gap-2 text-sm">
+                          <input
+                            type="checkbox"
+                            checked={tokenForm.scopes.includes(scope)}
+                            onChange={() => toggleTokenScope(scope)}
+                          />
+                          <span className="font-mono">{scope}</span>
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                </div>
+                <Input
+                  label="Expires after (days)"
+                  type="number"
+                  min={1}
+                  max={365}
+                  value={tokenForm.expiresInDays}
+                  onChange={(e: React.ChangeEvent<HTMLInputElement>) => setTokenForm({ ...tokenForm, expiresInDays: e.target.value })}
+                  required
+                />
+                <Button type="submit" isLoading={isCreatingToken}>
+                  Create Token
+                </Button>
+              </form>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+
       {/* Change Password */}
       <Card>
         <CardHeader>
@@ -173,8 +440,8 @@ export default function SecurityPage() {
                   Important Warning
                 </p>
                 <p className="text-yellow-800 dark:text-yellow-200">
-                  Changing your password will re-encrypt all files. This process cannot be undone.
-                  Make sure to remember your new password!
+                  Your encryption key is re-wrapped under the new password; files are not re-encrypted. Without
+                  the new password only your recovery key can open them, so make sure to remember it!
                 </p>
               </div>
             </div>
@@ -208,6 +475,19 @@ export default function SecurityPage() {
               required
             />
 
+            <Input
+              label="Keyfile (if enrolled)"
+              type="file"
+              onChange={(e: React.ChangeEvent<HTMLInputElement>) => setPasswordForm({ ...passwordForm, keyfile: e.target.files?.[0] ?? null })}
+            />
+
+            {passwordResult && (
+              <div className="flex gap-3 p-4 bg-green-50 dark:bg-green-900/20 rounded-lg">
+                <CheckCircle2 className="w-5 h-5 text-green-600 flex-shrink-0 mt-0.5" />
+                <p className="text-sm text-green-800 dark:text-green-200">{passwordResult}</p>
+              </div>
+            )}
+
             <Button type="submit" isLoading={isChangingPassword}>
               Change Password
             </Button>
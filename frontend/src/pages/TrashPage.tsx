@@ -0,0 +1,243 @@
+import { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Trash2, RotateCcw, Folder, File, Clock } from 'lucide-react'
+import { toast } from 'sonner'
+import { formatDistanceToNow } from 'date-fns'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/Card'
+import Button from '../components/ui/Button'
+import Input from '../components/ui/Input'
+import { fileService, TrashContents, TrashedFile, TrashedFolder } from '../services/fileService'
+import { formatBytes } from '../lib/utils'
+
+export default function TrashPage() {
+  const navigate = useNavigate()
+  const [trash, setTrash] = useState<TrashContents | null>(null)
+  const [retentionDays, setRetentionDays] = useState('')
+  const [isLoading, setIsLoading] = useState(true)
+
+  useEffect(() => {
+    loadTrash()
+  }, [])
+
+  const loadTrash = async () => {
+    try {
+      const contents = await fileService.getTrash()
+      setTrash(contents)
+      setRetentionDays(String(contents.retentionDays))
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to load trash')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleRestoreFile = async (file: TrashedFile) => {
+    try {
+      const { folderId } = await fileService.restoreFromTrash(file.id)
+      toast.success(folderId === null && file.folder_id !== null
+        ? `${file.filename} restored to My Files - its folder is gone`
+        : `${file.filename} restored`)
+      await loadTrash()
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to restore file')
+    }
+  }
+
+  const handleRestoreFolder = async (folder: TrashedFolder) => {
+    try {
+      const result = await fileService.restoreFolderFromTrash(folder.id)
+      toast.success(result.message)
+      await loadTrash()
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to restore folder')
+    }
+  }
+
+  const handleDeleteForever = async (file: TrashedFile) => {
+    if (!confirm(`Delete "${file.filename}" for good? This cannot be undone.`)) {
+      return
+    }
+
+    try {
+      await fileService.deleteForever(file.id)
+      toast.success(`${file.filename} deleted for good`)
+      await loadTrash()
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to delete file')
+    }
+  }
+
+  const handleEmptyTrash = async () => {
+    if (!confirm('Delete everything in trash for good? This cannot be undone.')) {
+      return
+    }
+
+    try {
+      const result = await fileService.emptyTrash()
+      toast.success(result.message)
+      await loadTrash()
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to empty trash')
+    }
+  }
+
+  const handleSaveRetention = async () => {
+    try {
+      const result = await fileService.setTrashRetention(Number(retentionDays))
+      toast.success(result.removed > 0
+        ? `Trash keeps files for ${result.days} days - ${result.removed} older file(s) deleted`
+        : `Trash keeps files for ${result.days} days`)
+      await loadTrash()
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to update retention')
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    )
+  }
+
+  const isEmpty = !trash || (trash.files.length === 0 && trash.folders.length === 0)
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white">Trash</h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-1">
+            Deleted files can be restored until they are deleted for good.
+          </p>
+        </div>
+        {!isEmpty && (
+          <Button variant="destructive" onClick={handleEmptyTrash}>
+            <Trash2 className="w-4 h-4 mr-2" />
+            Empty Trash
+          </Button>
+        )}
+      </div>
+
+      {/* Retention */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Clock className="w-5 h-5" />
+            Keep Deleted Files
+          </CardTitle>
+          <CardDescription>
+            Files in trash are deleted for good after this many days, with their older versions.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="flex items-end gap-2 max-w-sm">
+            <Input
+              type="number"
+              min="1"
+              max="3650"
+              value={retentionDays}
+              onChange={(e) => setRetentionDays(e.target.value)}
+              aria-label="Days in trash"
+            />
+            <Button
+              variant="outline"
+              onClick={handleSaveRetention}
+              disabled={!retentionDays || Number(retentionDays) === trash?.retentionDays}
+            >
+              Save
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Contents */}
+      {isEmpty ? (
+        <Card>
+          <CardContent className="py-12 text-center">
+            <Trash2 className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">Trash is empty</h3>
+            <Button variant="outline" onClick={() => navigate('/files')}>Back to Files</Button>
+          </CardContent>
+        </Card>
+      ) : (
+        <Card>
+          <CardContent className="p-0 divide-y divide-gray-200 dark:divide-gray-700">
+            {trash!.folders.map((folder) => (
+              <TrashRow
+                key={`folder-${folder.id}`}
+                icon={<Folder className="w-5 h-5 text-blue-500" />}
+                name={folder.name}
+                details="Folder and everything deleted with it"
+                trashedAt={folder.trashed_at}
+                purgeAt={folder.purgeAt}
+                onRestore={() => handleRestoreFolder(folder)}
+              />
+            ))}
+            {trash!.files.map((file) => (
+              <TrashRow
+                key={`file-${file.id}`}
+                icon={<File className="w-5 h-5 text-gray-500" />}
+                name={file.filename}
+                details={formatBytes(file.size)}
+                trashedAt={file.trashed_at}
+                purgeAt={file.purgeAt}
+                onRestore={() => handleRestoreFile(file)}
+                onDelete={() => handleDeleteForever(file)}
+              />
+            ))}
+          </CardContent>
+        </Card>
+      )}
+
+      {trash && trash.totalFiles > trash.files.length && (
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Showing the {trash.files.length} most recently deleted of {trash.totalFiles} files.
+        </p>
+      )}
+    </div>
+  )
+}
+
+function TrashRow({
+  icon,
+  name,
+  details,
+  trashedAt,
+  purgeAt,
+  onRestore,
+  onDelete,
+}: {
+  icon: React.ReactNode
+  name: string
+  details: string
+  trashedAt: string
+  purgeAt: string
+  onRestore: () => void
+  onDelete?: () => void
+}) {
+  return (
+    <div className="flex items-center gap-4 p-4">
+      {icon}
+      <div className="flex-1 min-w-0">
+        <p className="font-medium text-gray-900 dark:text-white truncate">{name}</p>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          {details} • Deleted {formatDistanceToNow(new Date(trashedAt), { addSuffix: true })} •
+          Gone {formatDistanceToNow(new Date(purgeAt), { addSuffix: true })}
+        </p>
+      </div>
+      <div className="flex gap-1">
+        <Button variant="ghost" size="sm" onClick={onRestore} title="Restore">
+          <RotateCcw className="w-4 h-4" />
+        </Button>
+        {onDelete && (
+          <Button variant="ghost" size="sm" onClick={onDelete} title="Delete for good">
+            <Trash2 className="w-4 h-4 text-red-600" />
+          </Button>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -1,30 +1,21 @@
 import axios from 'axios'
 import { useAuthStore } from '../stores/authStore'
 
+// The session cookie set at login authenticates every request.
+// Errors come back as { error, code, details? }
 const api = axios.create({
-  baseURL: '/api',
+  baseURL: '/api/v1',
   headers: {
     'Content-Type': 'application/json',
   },
 })
 
-// Request interceptor to add auth token
-api.interceptors.request.use(
-  (config) => {
-    const token = useAuthStore.getState().token
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`
-    }
-    return config
-  },
-  (error) => Promise.reject(error)
-)
-
 // Response interceptor to handle errors
 api.interceptors.response.use(
   (response) => response,
   (error) => {
-    if (error.response?.status === 401) {
+    // A failed login is reported on the login page itself
+    if (error.response?.status === 401 && !error.config?.url?.startsWith('/auth/')) {
       useAuthStore.getState().logout()
       window.location.href = '/login'
     }
@@ -9,12 +9,28 @@ export interface RegisterCredentials extends LoginCredentials {
   confirmPassword: string
 }
 
+export interface AuthUser {
+  id: number
+  username: string
+  role?: string
+}
+
 export interface AuthResponse {
-  user: {
-    id: number
-    username: string
-  }
-  token: string
+  user: AuthUser
+}
+
+export interface RegisterResponse {
+  user: AuthUser
+  // Only when a recovery key was asked for - shown once
+  recoveryWords?: string[]
+}
+
+export interface PasswordChange {
+  currentPassword: string
+  newPassword: string
+  confirmPassword: string
+  // Required when the account has a keyfile enrolled
+  keyfile?: File | null
 }
 
 export const authService = {
@@ -23,7 +39,8 @@ export const authService = {
     return response.data
   },
 
-  async register(credentials: RegisterCredentials): Promise<AuthResponse> {
+  // Doesn't log in - call login() afterwards
+  async register(credentials: RegisterCredentials): Promise<RegisterResponse> {
     const response = await api.post('/auth/register', credentials)
     return response.data
   },
@@ -31,4 +48,26 @@ export const authService = {
   async logout(): Promise<void> {
     await api.post('/auth/logout')
   },
+
+  // Re-wraps the encryption key - files aren't re-encrypted and the session stays unlocked
+  async changePassword({ keyfile, ...fields }: PasswordChange): Promise<{ message: string }> {
+    if (!keyfile) {
+      const response = await api.post('/auth/change-password', fields)
+      return response.data
+    }
+    const form = new FormData()
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value))
+    form.append('keyfile', keyfile)
+    const response = await api.post('/auth/change-password', form, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    })
+    return response.data
+  },
+
+  async me(): Promise<{ user: AuthUser; encryptionUnlocked: boolean }> {
+    const response = await api.get('/auth/me')
+    return response.data
+  },
 }
@@ -1,4 +1,8 @@
 import api from './api'
+import { decryptFile, encryptFile, sealMetadata, type WrappedKeyMaterial } from '../lib/clientCrypto'
+import { useClientCryptoStore } from '../stores/clientCryptoStore'
+import type { FileWithPath } from 'react-dropzone'
+import { formatBytes } from '../lib/utils'
 
 export interface FileItem {
   id: number
@@ -21,7 +25,6 @@ export interface StorageInfo {
 }
 
 export interface DashboardData {
-  files: FileItem[]
   recentFiles: FileItem[]
   storageInfo: StorageInfo
   totalFiles: number
@@ -29,22 +32,188 @@ export interface DashboardData {
     encryptionEnabled: boolean
     encryptedFileCount: number
     totalFileCount: number
+    // Older plaintext files are being encrypted in the background
+    encryptionInProgress?: boolean
   }
 }
 
+export interface FolderItem {
+  id: number
+  parent_id: number | null
+  name: string
+  description: string | null
+  color: string | null
+  created_at: string
+  // Shared by someone else - the name is a placeholder
+  metadataUnreadable?: boolean
+}
+
+export interface Breadcrumb {
+  id: number
+  name: string
+}
+
+export type FolderPermission = 'owner' | 'admin' | 'edit' | 'view'
+
+export interface FolderContents {
+  folder: Breadcrumb | null
+  permission: FolderPermission
+  breadcrumbs: Breadcrumb[]
+  folders: FolderItem[]
+  // One page - nextCursor fetches the next
+  files: FileItem[]
+  nextCursor: string | null
+  totalFiles: number
+}
+
+export type FileSort = 'date' | 'name' | 'size' | 'type'
+
+// Sorting, filters and page of a file listing - the server's defaults apply to anything left out
+export interface FileListQuery {
+  sort?: FileSort
+  order?: 'asc' | 'desc'
+  // "image", "image/" or "image/png"
+  mimetype?: string
+  // ISO dates, "to" includes that day
+  from?: string
+  to?: string
+  cursor?: string | null
+  limit?: number
+}
+
+export interface FileList {
+  files: FileItem[]
+  nextCursor: string | null
+  total: number
+}
+
+export interface FolderUploadResult {
+  success: boolean
+  uploaded: { id: number; path: string; size: number }[]
+  failed: { path: string; error: string }[]
+  foldersCreated: number
+}
+
+export interface FileVersion {
+  version: number
+  size: number
+  created_at: string
+  // When a newer version took its place - null for the current one
+  replaced_at: string | null
+  isCurrent: boolean
+}
+
+// Older versions are pruned past either limit; null means no limit
+export interface VersionRetention {
+  keepVersions: number | null
+  keepDays: number | null
+}
+
+export interface VersionUsage {
+  count: number
+  size: number
+}
+
+// Deleted files and folders wait in trash until purgeAt
+export interface TrashedFile {
+  id: number
+  folder_id: number | null
+  filename: string
+  size: number
+  mimetype: string | null
+  uploaded_at: string
+  trashed_at: string
+  purgeAt: string
+}
+
+export interface TrashedFolder {
+  id: number
+  parent_id: number | null
+  name: string
+  trashed_at: string
+  purgeAt: string
+}
+
+export interface TrashContents {
+  files: TrashedFile[]
+  folders: TrashedFolder[]
+  totalFiles: number
+  totalFolders: number
+  retentionDays: number
+}
+
+// "Trip/Day 1/beach.jpg" for files from a folder picker or a dropped folder, else the name
+export function relativePath(file: File): string {
+  const path = (file as FileWithPath).relativePath || file.webkitRelativePath || file.name
+  return path.replace(/^\.?\//, '')
+}
+
 export const fileService = {
   async getDashboard(): Promise<DashboardData> {
     const response = await api.get('/files/dashboard')
     return response.data
   },
 
-  async getFiles(): Promise<FileItem[]> {
-    const response = await api.get('/files')
+  // All of the user's files, folders aside - one page at a time
+  async getFiles(query: FileListQuery = {}): Promise<FileList> {
+    const params = Object.fromEntries(Object.entries(query).filter(([, value]) => value !== undefined && value !== null && value !== ''))
+    const response = await api.get('/files', { params })
+    return response.data
+  },
+
+  // Folders - null is the top level
+  async getFolderContents(folderId: number | null, query: FileListQuery = {}): Promise<FolderContents> {
+    const params = Object.fromEntries(Object.entries(query).filter(([, value]) => value !== undefined && value !== null && value !== ''))
+    const response = await api.get(folderId ? `/folders/${folderId}` : '/folders', { params })
+    const contents = response.data
+    return {
+      ...contents,
+      files: contents.files.map((file: FileItem) => ({ ...file, formattedSize: formatBytes(file.size) })),
+    }
+  },
+
+  async createFolder(name: string, parentId: number | null): Promise<FolderItem> {
+    const response = await api.post('/folders', { name, parentId })
+    return response.data.folder
+  },
+
+  async renameFolder(folderId: number, name: string): Promise<FolderItem> {
+    const response = await api.patch(`/folders/${folderId}`, { name })
+    return response.data.folder
+  },
+
+  // Goes to trash with everything in it
+  async deleteFolder(folderId: number): Promise<{ message: string; folders: number; files: number }> {
+    const response = await api.delete(`/folders/${folderId}`)
+    return response.data
+  },
+
+  // Browser-side encryption: the server only ever receives ciphertext
+  async getWrappedKey(): Promise<WrappedKeyMaterial> {
+    const response = await api.get('/keys/wrapped')
     return response.data
   },
 
-  async uploadFile(file: File, onProgress?: (progress: number) => void): Promise<void> {
+  // A file with the same name in the folder gets a new version. The server matches names itself;
+  // with browser encryption it can't read them, so versionOf names the file being replaced.
+  async uploadFile(
+    file: File,
+    onProgress?: (progress: number) => void,
+    folderId: number | null = null,
+    versionOf: number | null = null
+  ): Promise<void> {
+    const { enabled, dataKey, material } = useClientCryptoStore.getState()
+    if (enabled) {
+      if (!dataKey || !material) {
+        throw new Error('Unlock browser encryption on the Security page before uploading')
+      }
+      return uploadEncrypted(file, dataKey, material, onProgress, folderId, versionOf)
+    }
+
     const formData = new FormData()
+    if (folderId) {
+      formData.append('folderId', String(folderId))
+    }
     formData.append('file', file)
 
     await api.post('/files/upload', formData, {
@@ -60,26 +229,76 @@ export const fileService = {
     })
   },
 
+  // One request for the whole directory - the server recreates its folders
+  async uploadFolder(files: File[], onProgress?: (progress: number) => void, folderId: number | null = null): Promise<FolderUploadResult> {
+    if (useClientCryptoStore.getState().enabled) {
+      throw new Error('Folder upload is not available with browser encryption yet - upload the files one by one')
+    }
+
+    const formData = new FormData()
+    if (folderId) {
+      formData.append('folderId', String(folderId))
+    }
+    files.forEach(file => formData.append('files', file, relativePath(file)))
+
+    const response = await api.post('/files/upload-folder', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      onUploadProgress: (progressEvent) => {
+        if (progressEvent.total && onProgress) {
+          onProgress(Math.round((progressEvent.loaded * 100) / progressEvent.total))
+        }
+      },
+    })
+    return response.data
+  },
+
   async downloadFile(fileId: number, filename: string): Promise<void> {
+    const { enabled, dataKey } = useClientCryptoStore.getState()
+    if (enabled && dataKey) {
+      try {
+        const response = await api.get(`/files/${fileId}/encrypted`, {
+          responseType: 'arraybuffer',
+        })
+        const fallbackFileId = response.headers['x-pocketcloud-file-id'] as string
+        saveBlob(await decryptFile(response.data, dataKey, fallbackFileId), filename)
+        return
+      } catch (error: any) {
+        // Older files can only be decrypted by the server
+        if (error.response?.status !== 409) {
+          throw error
+        }
+      }
+    }
+
     const response = await api.get(`/files/download/${fileId}`, {
       responseType: 'blob',
     })
 
-    // Create download link
-    const url = window.URL.createObjectURL(new Blob([response.data]))
-    const link = document.createElement('a')
-    link.href = url
-    link.setAttribute('download', filename)
-    document.body.appendChild(link)
-    link.click()
-    link.remove()
-    window.URL.revokeObjectURL(url)
+    saveBlob(new Blob([response.data]), filename)
   },
 
+  // Goes to trash - restoreFromTrash brings it back
   async deleteFile(fileId: number): Promise<void> {
     await api.delete(`/files/${fileId}`)
   },
 
+  async renameFile(fileId: number, filename: string): Promise<void> {
+    await api.patch(`/files/${fileId}`, { filename })
+  },
+
+  // folderId null: the top level
+  async moveFile(fileId: number, folderId: number | null): Promise<void> {
+    await api.patch(`/files/${fileId}`, { folderId })
+  },
+
+  // Re-encrypted under a new file key; defaults to "name (copy)" in the same folder
+  async copyFile(fileId: number, options: { folderId?: number | null; filename?: string } = {}): Promise<{ id: number; filename: string }> {
+    const response = await api.post(`/files/${fileId}/copy`, options)
+    return response.data.file
+  },
+
   // File Sharing
   async generateShareLink(fileId: number, options: {
     expiresIn: number
@@ -104,33 +323,72 @@ export const fileService = {
     await api.put(`/files/${fileId}/tags`, { tags })
   },
 
-  // File Versioning
-  async getFileVersions(fileId: number): Promise<any[]> {
+  // File Versioning - newest first, the current version included
+  async getFileVersions(fileId: number): Promise<{ versions: FileVersion[]; retention: VersionRetention }> {
     const response = await api.get(`/files/${fileId}/versions`)
     return response.data
   },
 
-  async downloadFileVersion(fileId: number, versionId: number, filename: string): Promise<void> {
-    const response = await api.get(`/files/${fileId}/versions/${versionId}`, {
+  // Decrypted by the server, like older files
+  async downloadFileVersion(fileId: number, version: number, filename: string): Promise<void> {
+    const response = await api.get(`/files/${fileId}/versions/${version}`, {
       responseType: 'blob',
     })
 
-    const url = window.URL.createObjectURL(new Blob([response.data]))
-    const link = document.createElement('a')
-    link.href = url
-    link.setAttribute('download', filename)
-    document.body.appendChild(link)
-    link.click()
-    link.remove()
-    window.URL.revokeObjectURL(url)
+    saveBlob(new Blob([response.data]), filename)
   },
 
-  async restoreFileVersion(fileId: number, versionId: number): Promise<void> {
-    await api.post(`/files/${fileId}/versions/${versionId}/restore`)
+  // The restored content becomes a new current version
+  async restoreFileVersion(fileId: number, version: number): Promise<number> {
+    const response = await api.post(`/files/${fileId}/versions/${version}/restore`)
+    return response.data.version
   },
 
-  async deleteFileVersion(fileId: number, versionId: number): Promise<void> {
-    await api.delete(`/files/${fileId}/versions/${versionId}`)
+  async deleteFileVersion(fileId: number, version: number): Promise<void> {
+    await api.delete(`/files/${fileId}/versions/${version}`)
+  },
+
+  async getVersionRetention(): Promise<{ retention: VersionRetention; usage: VersionUsage }> {
+    const response = await api.get('/versions/retention')
+    return response.data
+  },
+
+  // Prunes versions past the new limits straight away
+  async setVersionRetention(retention: VersionRetention): Promise<{ retention: VersionRetention; removed: number; usage: VersionUsage }> {
+    const response = await api.put('/versions/retention', retention)
+    return response.data
+  },
+
+  // Trash - files and folders deleted along with a folder come back with it
+  async getTrash(limit = 200): Promise<TrashContents> {
+    const response = await api.get('/trash', { params: { limit } })
+    return response.data
+  },
+
+  // Back to the folder it was deleted from, or the top level if that is gone (folderId null)
+  async restoreFromTrash(fileId: number): Promise<{ folderId: number | null }> {
+    const response = await api.post(`/trash/${fileId}/restore`)
+    return response.data
+  },
+
+  async restoreFolderFromTrash(folderId: number): Promise<{ message: string }> {
+    const response = await api.post(`/folders/${folderId}/restore`)
+    return response.data
+  },
+
+  async deleteForever(fileId: number): Promise<void> {
+    await api.delete(`/trash/${fileId}`)
+  },
+
+  async emptyTrash(): Promise<{ message: string; count: number }> {
+    const response = await api.delete('/trash')
+    return response.data
+  },
+
+  // Files older than the new period are purged straight away
+  async setTrashRetention(days: number): Promise<{ days: number; removed: number }> {
+    const response = await api.put('/trash/retention', { days })
+    return response.data
   },
 
   // Activity Log
@@ -142,3 +400,42 @@ export const fileService = {
     return response.data
   },
 }
+
+
+async function uploadEncrypted(
+  file: File,
+  dataKey: CryptoKey,
+  material: WrappedKeyMaterial,
+  onProgress?: (progress: number) => void,
+  folderId: number | null = null,
+  versionOf: number | null = null
+): Promise<void> {
+  // Random file key ID, as the server uses for its own uploads
+  const encrypted = await encryptFile(file, dataKey, crypto.randomUUID(), material.kdfParams)
+
+  await api.post('/files/client', encrypted, {
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'X-PocketCloud-Filename': await sealMetadata(dataKey, file.name, 'files.filename'),
+      'X-PocketCloud-Mimetype': await sealMetadata(dataKey, file.type || 'application/octet-stream', 'files.mimetype'),
+      ...(folderId ? { 'X-PocketCloud-Folder-Id': String(folderId) } : {}),
+      ...(versionOf ? { 'X-PocketCloud-Version-Of': String(versionOf) } : {}),
+    },
+    onUploadProgress: (progressEvent) => {
+      if (progressEvent.total && onProgress) {
+        onProgress(Math.round((progressEvent.loaded * 100) / progressEvent.total))
+      }
+    },
+  })
+}
+
+function saveBlob(blob: Blob, filename: string): void {
+  const url = window.URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.setAttribute('download', filename)
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  window.URL.revokeObjectURL(url)
+}
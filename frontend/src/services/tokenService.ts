@@ -0,0 +1,49 @@
+import api from './api'
+
+export interface ApiToken {
+  id: number
+  name: string
+  // First characters of the token, to tell tokens apart
+  prefix: string
+  scopes: string[]
+  createdAt: string
+  expiresAt: string
+  lastUsedAt: string | null
+  expired: boolean
+}
+
+export interface TokenList {
+  tokens: ApiToken[]
+  // Scopes a token can have, and the named sets of them
+  scopes: string[]
+  presets: Record<string, string[]>
+}
+
+export interface NewToken {
+  name: string
+  // Scope names, or the name of a preset
+  scopes: string[] | string
+  expiresInDays: number
+}
+
+export interface CreatedToken {
+  // Shown once - only its hash is stored
+  token: string
+  apiToken: ApiToken
+}
+
+export const tokenService = {
+  async getTokens(): Promise<TokenList> {
+    const response = await api.get('/tokens')
+    return response.data
+  },
+
+  async createToken(token: NewToken): Promise<CreatedToken> {
+    const response = await api.post('/tokens', token)
+    return response.data
+  },
+
+  async revokeToken(tokenId: number): Promise<void> {
+    await api.delete(`/tokens/${tokenId}`)
+  },
+}
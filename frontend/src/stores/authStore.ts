@@ -4,13 +4,14 @@ import { persist } from 'zustand/middleware'
 interface User {
   id: number
   username: string
+  role?: string
 }
 
 interface AuthState {
+  // The session itself is a cookie - this only remembers who is logged in
   user: User | null
-  token: string | null
   isAuthenticated: boolean
-  login: (user: User, token: string) => void
+  login: (user: User) => void
   logout: () => void
 }
 
@@ -18,10 +19,9 @@ export const useAuthStore = create<AuthState>()(
   persist(
     (set) => ({
       user: null,
-      token: null,
       isAuthenticated: false,
-      login: (user, token) => set({ user, token, isAuthenticated: true }),
-      logout: () => set({ user: null, token: null, isAuthenticated: false }),
+      login: (user) => set({ user, isAuthenticated: true }),
+      logout: () => set({ user: null, isAuthenticated: false }),
     }),
     {
       name: 'pocketcloud-auth',
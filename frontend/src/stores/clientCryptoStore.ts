@@ -0,0 +1,48 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import { hashKeyfile, unlockDataKey, type WrappedKeyMaterial } from '../lib/clientCrypto'
+import { fileService } from '../services/fileService'
+import { useAuthStore } from './authStore'
+
+interface ClientCryptoState {
+  // Only this flag is persisted - the key lives in memory until logout or reload
+  enabled: boolean
+  dataKey: CryptoKey | null
+  material: WrappedKeyMaterial | null
+  setEnabled: (enabled: boolean) => void
+  unlock: (password: string, keyfile?: File | null) => Promise<void>
+  lock: () => void
+}
+
+export const useClientCryptoStore = create<ClientCryptoState>()(
+  persist(
+    (set) => ({
+      enabled: false,
+      dataKey: null,
+      material: null,
+      setEnabled: (enabled) => set(enabled ? { enabled } : { enabled, dataKey: null, material: null }),
+      unlock: async (password, keyfile = null) => {
+        const material = await fileService.getWrappedKey()
+        const keyfileHash = keyfile ? await hashKeyfile(keyfile) : null
+        try {
+          const dataKey = await unlockDataKey(password, material, keyfileHash)
+          set({ dataKey, material })
+        } finally {
+          keyfileHash?.fill(0)
+        }
+      },
+      lock: () => set({ dataKey: null, material: null }),
+    }),
+    {
+      name: 'pocketcloud-client-crypto',
+      partialize: (state) => ({ enabled: state.enabled }),
+    }
+  )
+)
+
+// Forget the key when the session ends
+useAuthStore.subscribe((state) => {
+  if (!state.isAuthenticated && useClientCryptoStore.getState().dataKey) {
+    useClientCryptoStore.getState().lock()
+  }
+})